@@ -63,6 +63,22 @@ const avatarStorage = new CloudinaryStorage({
     },
 });
 
+// Create storage for deposit deduction evidence photos
+const depositEvidenceStorage = new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: {
+        folder: 'property-rental/deposit-evidence',
+        allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+        transformation: [
+            { width: 1600, height: 1600, crop: 'limit', quality: 'auto' }
+        ],
+        public_id: (req, file) => {
+            const timestamp = Date.now();
+            return `deposit_${req.params.bookingId}_${timestamp}_${Math.round(Math.random() * 1E6)}`;
+        },
+    },
+});
+
 // Create multer instances
 const propertyUpload = multer({
     storage: propertyStorage,
@@ -109,6 +125,22 @@ const avatarUpload = multer({
     },
 });
 
+// Rejections use the message middleware/upload's error handler answers with a 400
+const depositEvidenceUpload = multer({
+    storage: depositEvidenceStorage,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB per photo
+        files: 10, // Maximum 10 photos
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only image files are allowed!'), false);
+        }
+    },
+});
+
 // Utility functions
 const deleteImage = async (publicId) => {
     try {
@@ -176,6 +208,7 @@ module.exports = {
     propertyUpload,
     bannerUpload,
     avatarUpload,
+    depositEvidenceUpload,
     deleteImage,
     deleteMultipleImages,
     // extractPublicId,
@@ -0,0 +1,293 @@
+// Notification types and their built-in templates
+//
+// Admins can override any channel of a type with a versioned template stored
+// in Mongo (models/NotificationTemplate.js); these defaults are used until then
+// and act as version 0. Bodies use "{{placeholder}}" like agreement templates.
+// Email bodies are HTML fragments wrapped in the shared email layout.
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'in_app'];
+
+/*
+ * Per type:
+ *   placeholders   - values a template may use
+ *   channels       - default templates per channel; the type is only sent on these
+ *   transactional  - sent regardless of the user's notification preferences
+ *   sensitive      - carries a secret (OTP, reset link): content isn't logged and failures aren't retried
+ *   preference     - reminderPreferences key the user can switch the type off with
+ *   inAppType      - Notification.type used for in-app notifications
+ */
+const NOTIFICATION_TYPES = {
+    welcome: {
+        description: 'New account created',
+        placeholders: ['name'],
+        channels: {
+            sms: {
+                body: 'Welcome to Property Rental, {{name}}! Your account has been created successfully. Please verify your email to get started.'
+            }
+        }
+    },
+    'email-verification': {
+        description: 'Email address verification link',
+        placeholders: ['name', 'verificationUrl'],
+        transactional: true,
+        sensitive: true,
+        channels: {
+            email: {
+                subject: 'Email Verification - Property Rental',
+                body: `<p>Hi <strong>{{name}}</strong>,</p>
+<p>Thanks for signing up on <strong>Property Rental</strong>. To complete your registration, please verify your email address by clicking the button below.</p>
+<p style="text-align: center; margin: 30px 0;"><a href="{{verificationUrl}}" style="background-color: #28a745; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; display: inline-block;">Verify Email</a></p>
+<p>If the button above doesn't work, copy and paste this link into your browser:<br><a href="{{verificationUrl}}">{{verificationUrl}}</a></p>
+<p style="color: #999;">If you didn't sign up for this account, you can safely ignore this email.</p>`
+            }
+        }
+    },
+    'email-verified': {
+        description: 'Email address verified',
+        placeholders: ['name'],
+        transactional: true,
+        channels: {
+            sms: {
+                body: 'Congratulations {{name}}! Your email has been verified successfully. Welcome to Property Rental!'
+            }
+        }
+    },
+    'password-reset': {
+        description: 'Password reset token and OTP',
+        placeholders: ['name', 'resetToken', 'otp'],
+        transactional: true,
+        sensitive: true,
+        channels: {
+            email: {
+                subject: 'Password Reset - Property Rental',
+                body: `<p>We received a request to reset your password. Please use the token below to complete the password reset process.</p>
+<p style="text-align: center; margin: 30px 0;"><span style="display: inline-block; background-color: #f1f1f1; padding: 16px 32px; border-radius: 8px; font-size: 20px; font-weight: bold; letter-spacing: 1px;">{{resetToken}}</span></p>
+<p style="color: #777;">If you didn't request this, please ignore this email. This token will expire in <strong>1 hour</strong>.</p>`
+            },
+            sms: {
+                body: 'Your password reset OTP is: {{otp}}. This OTP will expire in 10 minutes. If you didn\'t request this, please ignore.'
+            }
+        }
+    },
+    'password-reset-confirmation': {
+        description: 'Password changed',
+        placeholders: ['name'],
+        transactional: true,
+        channels: {
+            sms: {
+                body: 'Hi {{name}}, your password has been reset successfully. If this wasn\'t you, please contact support immediately.'
+            }
+        }
+    },
+    'phone-verification-otp': {
+        description: 'Phone number verification OTP',
+        placeholders: ['otp', 'expiresInMinutes'],
+        transactional: true,
+        sensitive: true,
+        channels: {
+            sms: {
+                body: 'Your phone verification OTP is: {{otp}}. This OTP will expire in {{expiresInMinutes}} minutes.'
+            }
+        }
+    },
+    'login-otp': {
+        description: 'Phone sign-in OTP',
+        placeholders: ['otp', 'expiresInMinutes'],
+        transactional: true,
+        sensitive: true,
+        channels: {
+            sms: {
+                body: 'Your login OTP is: {{otp}}. It expires in {{expiresInMinutes}} minutes. Do not share it with anyone.'
+            }
+        }
+    },
+    'agreement-otp': {
+        description: 'Rental agreement acceptance OTP',
+        placeholders: ['otp', 'agreementNumber', 'expiresInMinutes'],
+        transactional: true,
+        sensitive: true,
+        channels: {
+            sms: {
+                body: 'Your OTP to accept rental agreement {{agreementNumber}} is: {{otp}}. It expires in {{expiresInMinutes}} minutes. Do not share it with anyone.'
+            }
+        }
+    },
+    'visit-reminder': {
+        description: 'Upcoming property visit',
+        placeholders: ['name', 'propertyTitle', 'when', 'mode'],
+        preference: 'visits',
+        channels: {
+            sms: {
+                body: 'Reminder: your {{mode}} visit to {{propertyTitle}} is on {{when}}.'
+            },
+            whatsapp: {
+                body: 'Hi {{name}}, this is a reminder of your {{mode}} visit to {{propertyTitle}} on {{when}}.'
+            },
+            email: {
+                subject: 'Reminder: your visit to {{propertyTitle}}',
+                body: `<h2>Hello {{name}}!</h2>
+<p>This is a reminder of your {{mode}} visit:</p>
+<p><strong>Property:</strong> {{propertyTitle}}<br><strong>When:</strong> {{when}}</p>`
+            }
+        }
+    },
+    'check-in-reminder': {
+        description: 'Upcoming check-in',
+        placeholders: ['name', 'propertyTitle', 'checkIn', 'bookingReference'],
+        preference: 'checkIn',
+        channels: {
+            sms: {
+                body: 'Reminder: your check-in at {{propertyTitle}} is on {{checkIn}}. Booking {{bookingReference}}.'
+            },
+            whatsapp: {
+                body: 'Hi {{name}}, your check-in at {{propertyTitle}} is on {{checkIn}}. Booking {{bookingReference}}.'
+            },
+            email: {
+                subject: 'Reminder: check-in at {{propertyTitle}}',
+                body: `<h2>Hello {{name}}!</h2>
+<p>Your stay is about to begin:</p>
+<p><strong>Property:</strong> {{propertyTitle}}<br><strong>Check-in:</strong> {{checkIn}}<br><strong>Booking ID:</strong> {{bookingReference}}</p>`
+            }
+        }
+    },
+    'rent-due-reminder': {
+        description: 'Rent coming due',
+        placeholders: ['name', 'invoiceNumber', 'amountDue', 'dueDate'],
+        preference: 'rentDue',
+        channels: {
+            sms: {
+                body: 'Reminder: rent of Rs.{{amountDue}} for invoice {{invoiceNumber}} is due on {{dueDate}}.'
+            },
+            whatsapp: {
+                body: 'Hi {{name}}, rent of Rs.{{amountDue}} for invoice {{invoiceNumber}} is due on {{dueDate}}.'
+            },
+            email: {
+                subject: 'Rent due on {{dueDate}} - {{invoiceNumber}}',
+                body: `<h2>Hello {{name}}!</h2>
+<p>Your rent is due soon:</p>
+<p><strong>Invoice:</strong> {{invoiceNumber}}<br><strong>Amount due:</strong> ₹{{amountDue}}<br><strong>Due date:</strong> {{dueDate}}</p>
+<p>A late fee applies to rent paid after the due date.</p>`
+            }
+        }
+    },
+    'property-alert': {
+        description: 'New property matching a saved search or preferences',
+        placeholders: ['name', 'propertyTitle', 'city', 'startingPrice', 'propertyUrl', 'matchedBy'],
+        inAppType: 'property-alert',
+        channels: {
+            in_app: {
+                subject: 'New match: {{propertyTitle}}',
+                body: '{{propertyTitle}} in {{city}} matches {{matchedBy}}.'
+            },
+            email: {
+                subject: 'New match: {{propertyTitle}} in {{city}}',
+                body: `<h2>Hello {{name}}!</h2>
+<p>A property matching {{matchedBy}} is now available:</p>
+<p><strong>Property:</strong> {{propertyTitle}}<br><strong>City:</strong> {{city}}<br><strong>Starting from:</strong> {{startingPrice}}</p>
+<p style="text-align: center; margin: 30px 0;"><a href="{{propertyUrl}}" style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">View Property</a></p>
+<p style="color: #666;">You can turn these alerts off from your saved searches or profile preferences.</p>`
+            }
+        }
+    },
+    'kyc-document-rejected': {
+        description: 'KYC document rejected during onboarding',
+        placeholders: ['name', 'documentLabel', 'reason', 'uploadUrl'],
+        inAppType: 'kyc-update',
+        channels: {
+            in_app: {
+                subject: '{{documentLabel}} rejected',
+                body: 'Your {{documentLabel}} was rejected: {{reason}}. Please upload a new document.'
+            },
+            email: {
+                subject: 'Action required: {{documentLabel}} rejected',
+                body: `<h2>Hello {{name}}!</h2>
+<p>We could not verify the {{documentLabel}} you uploaded.</p>
+<p><strong>Document:</strong> {{documentLabel}}<br><strong>Reason:</strong> {{reason}}</p>
+<p style="text-align: center; margin: 30px 0;"><a href="{{uploadUrl}}" style="background: #dc3545; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">Upload a New Document</a></p>
+<p style="color: #666;">Your move-in can go ahead once all required documents are approved.</p>`
+            }
+        }
+    },
+    'kyc-document-approved': {
+        description: 'KYC document approved during onboarding',
+        placeholders: ['documentLabel'],
+        inAppType: 'kyc-update',
+        channels: {
+            in_app: {
+                subject: '{{documentLabel}} approved',
+                body: 'Your {{documentLabel}} has been verified.'
+            }
+        }
+    },
+    'booking-status-changed': {
+        description: 'Booking confirmed, checked in, completed or cancelled',
+        placeholders: ['propertyTitle', 'bookingReference', 'status'],
+        inAppType: 'booking-update',
+        channels: {
+            in_app: {
+                subject: 'Booking {{bookingReference}} {{status}}',
+                body: 'Your booking at {{propertyTitle}} is now {{status}}.'
+            }
+        }
+    },
+    'booking-cancelled-by-resident': {
+        description: 'Resident cancelled a booking (sent to property staff)',
+        placeholders: ['name', 'propertyTitle', 'bookingReference'],
+        inAppType: 'booking-update',
+        channels: {
+            in_app: {
+                subject: 'Booking {{bookingReference}} cancelled',
+                body: '{{name}} cancelled their booking at {{propertyTitle}}.'
+            }
+        }
+    },
+    'visit-status-changed': {
+        description: 'Visit confirmed, completed or cancelled',
+        placeholders: ['propertyTitle', 'when', 'status'],
+        inAppType: 'visit-update',
+        channels: {
+            in_app: {
+                subject: 'Visit {{status}}',
+                body: 'Your visit to {{propertyTitle}} on {{when}} is now {{status}}.'
+            }
+        }
+    },
+    'visit-cancelled-by-visitor': {
+        description: 'Visitor cancelled a visit (sent to property staff)',
+        placeholders: ['name', 'propertyTitle', 'when'],
+        inAppType: 'visit-update',
+        channels: {
+            in_app: {
+                subject: 'Visit cancelled',
+                body: '{{name}} cancelled their visit to {{propertyTitle}} on {{when}}.'
+            }
+        }
+    },
+    'spam-report-submitted': {
+        description: 'New spam report from a user (sent to moderators)',
+        placeholders: ['contentType', 'category'],
+        inAppType: 'spam-report-update',
+        channels: {
+            in_app: {
+                subject: 'New {{category}} report',
+                body: 'A user reported a {{contentType}} as {{category}}.'
+            }
+        }
+    },
+    'spam-report-status-changed': {
+        description: 'Spam report reviewed (sent to the reporter)',
+        placeholders: ['contentType', 'status'],
+        inAppType: 'spam-report-update',
+        channels: {
+            in_app: {
+                subject: 'Your report was reviewed',
+                body: 'Your report about a {{contentType}} is now {{status}}.'
+            }
+        }
+    }
+};
+
+module.exports = {
+    CHANNELS,
+    NOTIFICATION_TYPES
+};
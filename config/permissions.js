@@ -0,0 +1,82 @@
+// Role-based permission matrix
+
+const ROLES = ['user', 'admin', 'owner', 'manager', 'support', 'editor', 'sales'];
+
+// Roles that can only act on the properties they own or run
+const PROPERTY_SCOPED_ROLES = ['owner', 'manager'];
+
+// Roles a user can pick when registering; owners publish listings, so they and staff roles are assigned by an admin
+const SELF_SERVICE_ROLES = ['user'];
+
+// Permission -> roles granted it. Admins hold every permission.
+const PERMISSIONS = {
+    // Properties and rooms
+    'properties:create': ['owner'],
+    'properties:update': ['owner', 'manager'],
+    'properties:delete': [],
+    'properties:staff': ['owner'],
+    'properties:stats': ['support'],
+    'properties:analytics': ['owner', 'manager'],
+    'rooms:manage': ['owner', 'manager'],
+    'cancellation-policies:manage': [],
+    'cancellation-policies:assign': ['owner'],
+    'visit-settings:manage': ['owner', 'manager'],
+
+    // Bookings and stays
+    'bookings:read': ['owner', 'manager', 'support'],
+    'bookings:manage': ['owner', 'manager'],
+    'visits:read': ['owner', 'manager', 'support'],
+    'visits:manage': ['owner', 'manager', 'support'],
+    'invoices:read': ['owner', 'manager', 'support'],
+    'invoices:manage': ['owner', 'manager'],
+    'billing:run': [],
+    'payments:manage': ['owner', 'manager'],
+    'deposits:read': ['owner', 'manager', 'support'],
+    'deposits:manage': ['owner', 'manager'],
+    'onboarding:read': ['owner', 'manager', 'support'],
+    'onboarding:review': ['support'],
+    'agreements:manage': ['owner', 'manager'],
+    'agreement-templates:manage': [],
+
+    // Users and moderation
+    'users:read': ['support'],
+    'users:manage': [],
+    'documents:read': ['support'],
+    'reviews:moderate': ['support'],
+    'reviews:reply': ['owner', 'manager'],
+    'spam:moderate': ['support'],
+    'notifications:read': ['support'],
+    'notifications:manage': [],
+
+    // Sales
+    'leads:read': ['sales', 'support'],
+    'leads:manage': ['sales'],
+    'leads:assign': [],
+    'leads:import': [],
+
+    // Site content
+    'content:manage': ['editor'],
+    'banners:manage': ['editor'],
+    'banners:analytics': ['editor', 'support']
+};
+
+/**
+ * Check whether a role holds a permission (ignoring property scope)
+ * @param {string} role - User role
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {boolean}
+ */
+const roleHasPermission = (role, permission) => {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+    return role === 'admin' || PERMISSIONS[permission].includes(role);
+};
+
+module.exports = {
+    ROLES,
+    PROPERTY_SCOPED_ROLES,
+    SELF_SERVICE_ROLES,
+    PERMISSIONS,
+    roleHasPermission
+};
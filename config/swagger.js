@@ -36,7 +36,7 @@ const options = {
                         name: { type: 'string' },
                         email: { type: 'string' },
                         phone: { type: 'string' },
-                        role: { type: 'string', enum: ['user', 'admin'] },
+                        role: { type: 'string', enum: ['user', 'admin', 'owner', 'manager', 'support', 'editor', 'sales'] },
                         avatar: { type: 'string' },
                         isVerified: { type: 'boolean' },
                         createdAt: { type: 'string', format: 'date-time' }
@@ -0,0 +1,372 @@
+const AgreementTemplate = require('../models/AgreementTemplate');
+const Booking = require('../models/Booking');
+const agreementService = require('../services/agreementService');
+const accessService = require('../services/accessService');
+const { validationResult } = require('express-validator');
+
+// Operational errors from the agreement service carry their own status code
+const sendAgreementError = (res, error, context) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`,
+        error: error.message
+    });
+};
+
+const TEMPLATE_FIELDS = ['name', 'body', 'lockInMonths', 'noticePeriodDays', 'isDefault', 'isActive'];
+
+// Load the booking and check the user may act on its agreement
+const findBookingForUser = async (req, res, { residentOnly = false } = {}) => {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking) {
+        res.status(404).json({
+            success: false,
+            message: 'Booking not found'
+        });
+        return null;
+    }
+
+    const isResident = booking.user.toString() === req.user.id;
+    if (!isResident &&
+        (residentOnly || !(await accessService.canAccessProperty(req.user, 'agreements:manage', booking.property)))) {
+        res.status(403).json({
+            success: false,
+            message: 'Not authorized to access this agreement'
+        });
+        return null;
+    }
+
+    return booking;
+};
+
+/**
+ * @desc    Get agreement templates
+ * @route   GET /api/agreements/templates
+ * @access  Private (agreement-templates:manage)
+ */
+const getTemplates = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.isActive !== undefined) {
+            filter.isActive = req.query.isActive === 'true';
+        }
+
+        const templates = await AgreementTemplate.find(filter)
+            .populate('createdBy', 'name')
+            .sort({ isDefault: -1, name: 1 });
+
+        res.json({
+            success: true,
+            count: templates.length,
+            placeholders: AgreementTemplate.PLACEHOLDERS,
+            data: templates
+        });
+    } catch (error) {
+        sendAgreementError(res, error, 'Fetching agreement templates');
+    }
+};
+
+/**
+ * @desc    Create an agreement template
+ * @route   POST /api/agreements/templates
+ * @access  Private (agreement-templates:manage)
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const data = {};
+        TEMPLATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                data[field] = req.body[field];
+            }
+        });
+
+        // The first template becomes the default
+        if (data.isDefault === undefined && !(await AgreementTemplate.exists({ isDefault: true }))) {
+            data.isDefault = true;
+        }
+
+        const template = await AgreementTemplate.create({ ...data, createdBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Agreement template created successfully',
+            data: template
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A template with this name already exists'
+            });
+        }
+        sendAgreementError(res, error, 'Creating agreement template');
+    }
+};
+
+/**
+ * @desc    Update an agreement template
+ * @route   PUT /api/agreements/templates/:id
+ * @access  Private (agreement-templates:manage)
+ */
+const updateTemplate = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const template = await AgreementTemplate.findById(req.params.id);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: 'Agreement template not found'
+            });
+        }
+
+        // Agreements already generated keep the version they were rendered from
+        TEMPLATE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                template[field] = req.body[field];
+            }
+        });
+        await template.save();
+
+        res.json({
+            success: true,
+            message: 'Agreement template updated successfully',
+            data: template
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A template with this name already exists'
+            });
+        }
+        sendAgreementError(res, error, 'Updating agreement template');
+    }
+};
+
+/**
+ * @desc    Generate (or regenerate) the agreement of a booking
+ * @route   POST /api/agreements/booking/:bookingId/generate
+ * @access  Private (agreements:manage)
+ */
+const generateAgreement = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const agreement = await agreementService.generate(booking, {
+            templateId: req.body.templateId,
+            generatedBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Agreement generated successfully',
+            data: agreement
+        });
+    } catch (error) {
+        sendAgreementError(res, error, 'Generating agreement');
+    }
+};
+
+/**
+ * @desc    Get the agreement of a booking
+ * @route   GET /api/agreements/booking/:bookingId
+ * @access  Private (resident or agreements:manage)
+ */
+const getBookingAgreement = async (req, res) => {
+    try {
+        const booking = await findBookingForUser(req, res);
+        if (!booking) {
+            return;
+        }
+
+        const agreement = await agreementService.getForBooking(booking);
+
+        res.json({
+            success: true,
+            data: agreement
+        });
+    } catch (error) {
+        sendAgreementError(res, error, 'Fetching agreement');
+    }
+};
+
+/**
+ * @desc    Download the agreement PDF (the signed copy once accepted)
+ * @route   GET /api/agreements/booking/:bookingId/pdf
+ * @access  Private (resident or agreements:manage)
+ */
+const downloadAgreement = async (req, res) => {
+    try {
+        const booking = await findBookingForUser(req, res);
+        if (!booking) {
+            return;
+        }
+
+        const agreement = await agreementService.getForBooking(booking);
+        const pdf = await agreementService.getPdf(agreement);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${agreement.agreementNumber}.pdf"`);
+        if (agreement.signedCopy && agreement.signedCopy.pdfHash) {
+            res.setHeader('X-Agreement-SHA256', agreement.signedCopy.pdfHash);
+        }
+
+        res.send(pdf);
+    } catch (error) {
+        sendAgreementError(res, error, 'Downloading agreement');
+    }
+};
+
+/**
+ * @desc    Send the resident an OTP to accept the agreement
+ * @route   POST /api/agreements/booking/:bookingId/send-otp
+ * @access  Private (resident)
+ */
+const sendAcceptanceOtp = async (req, res) => {
+    try {
+        const booking = await findBookingForUser(req, res, { residentOnly: true });
+        if (!booking) {
+            return;
+        }
+
+        const agreement = await agreementService.getForBooking(booking);
+        const { phone, expiresAt } = await agreementService.sendOtp(agreement);
+
+        res.json({
+            success: true,
+            message: `OTP sent to ${phone.replace(/\d(?=\d{4})/g, '*')}`,
+            data: { expiresAt }
+        });
+    } catch (error) {
+        sendAgreementError(res, error, 'Sending agreement OTP');
+    }
+};
+
+/**
+ * @desc    Accept the agreement with the OTP
+ * @route   POST /api/agreements/booking/:bookingId/accept
+ * @access  Private (resident)
+ */
+const acceptAgreement = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await findBookingForUser(req, res, { residentOnly: true });
+        if (!booking) {
+            return;
+        }
+
+        const agreement = await agreementService.getForBooking(booking);
+        const accepted = await agreementService.accept(agreement, req.body.otp, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.json({
+            success: true,
+            message: 'Agreement accepted successfully',
+            data: accepted
+        });
+    } catch (error) {
+        sendAgreementError(res, error, 'Accepting agreement');
+    }
+};
+
+/**
+ * @desc    Check the signed copy hasn't been tampered with
+ * @route   GET /api/agreements/booking/:bookingId/verify
+ * @access  Private (resident or agreements:manage)
+ */
+const verifyAgreement = async (req, res) => {
+    try {
+        const booking = await findBookingForUser(req, res);
+        if (!booking) {
+            return;
+        }
+
+        const agreement = await agreementService.getForBooking(booking);
+        const result = await agreementService.verify(agreement);
+
+        res.json({
+            success: true,
+            data: {
+                agreementNumber: agreement.agreementNumber,
+                status: agreement.status,
+                valid: result.signed && result.contentIntact && result.pdfIntact && result.signatureValid,
+                ...result
+            }
+        });
+    } catch (error) {
+        sendAgreementError(res, error, 'Verifying agreement');
+    }
+};
+
+module.exports = {
+    getTemplates,
+    createTemplate,
+    updateTemplate,
+    generateAgreement,
+    getBookingAgreement,
+    downloadAgreement,
+    sendAcceptanceOtp,
+    acceptAgreement,
+    verifyAgreement
+};
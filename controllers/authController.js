@@ -1,58 +1,31 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { validationResult } = require('express-validator');
 
-const sgMail = require('@sendgrid/mail');
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-
-const twilio = require('twilio');
-const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-
-
-const sendEmail = async (options) => {
-    const msg = {
-        to: options.email,
-        from: process.env.SENDGRID_FROM_EMAIL,
-        subject: options.subject,
-        text: options.message,
-        html: options.html || options.message,
-    };
-
-    try {
-        await sgMail.send(msg);
-        console.log('Email sent successfully via SendGrid');
-    } catch (error) {
-        console.error('Error sending email via SendGrid:', error);
-        throw error;
-    }
-}
-
-const sendSMS = async (phone, message) => {
-    try {
-        const result = await twilioClient.messages.create({
-            body: message,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: phone
-        });
-        console.log('SMS sent successfully via Twilio:', result.sid);
-    } catch (error) {
-        console.error('Error sending SMS via Twilio:', error);
-        throw error;
-    }
-}
+const sessionService = require('../services/sessionService');
+const phoneAuthService = require('../services/phoneAuthService');
+const notificationService = require('../services/notificationService');
+const { SELF_SERVICE_ROLES } = require('../config/permissions');
 
 const generateOTP = () => {
     return Math.floor(100000 + Math.random() * 900000).toString();
 }
 
 
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
-    });
-};
+// Start a session for the device signing in and get its token pair
+const startSession = (user, req) => sessionService.createSession(user, {
+    deviceName: req.body.deviceName,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+});
+
+// Token fields sent back to the client; `token` is the short-lived access token
+const tokenResponse = (tokens) => ({
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    tokenType: tokens.tokenType,
+    expiresIn: tokens.expiresIn
+});
 
 /**
  * @desc    Register new user
@@ -88,7 +61,7 @@ const register = async (req, res) => {
             email,
             password,
             phone,
-            role: role || 'user'
+            role: SELF_SERVICE_ROLES.includes(role) ? role : 'user'
         });
 
 
@@ -96,71 +69,22 @@ const register = async (req, res) => {
         const verificationToken = user.generateVerificationToken();
         await user.save();
 
-        // Send verification email
-        try {
-            const verificationUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
-            await sendEmail({
-                email: user.email,
-                subject: 'Email Verification - Property Rental',
-                message: `Please click the following link to verify your email: ${verificationUrl}`,
-                html: `
-                    <div style="font-family: Arial, sans-serif; background-color: #f4f4f4; padding: 40px;">
-                        <div style="max-width: 600px; margin: auto; background-color: #ffffff; border-radius: 10px; padding: 30px; box-shadow: 0 0 10px rgba(0,0,0,0.05);">
-                        
-                        <h2 style="color: #2c3e50; text-align: center;">✅ Verify Your Email Address</h2>
-
-                        <p style="font-size: 16px; color: #555; line-height: 1.6;">
-                            Hi <strong>${user.name || 'there'}</strong>,
-                            <br><br>
-                            Thanks for signing up on <strong>Property Rental</strong>. To complete your registration, please verify your email address by clicking the button below.
-                        </p>
-
-                        <div style="text-align: center; margin: 30px 0;">
-                            <a href="${verificationUrl}" style="background-color: #28a745; color: white; padding: 14px 28px; text-decoration: none; font-size: 16px; border-radius: 6px; display: inline-block;">
-                            Verify Email
-                            </a>
-                        </div>
-
-                        <p style="font-size: 14px; color: #777; line-height: 1.5;">
-                            If the button above doesn't work, you can also copy and paste the link below into your browser:
-                        </p>
-
-                        <p style="word-break: break-word; font-size: 14px; color: #007bff;">
-                            <a href="${verificationUrl}" style="color: #007bff;">${verificationUrl}</a>
-                        </p>
-
-                        <p style="font-size: 14px; color: #999; margin-top: 30px;">
-                            If you didn’t sign up for this account, you can safely ignore this email.
-                        </p>
-
-                        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-
-                        <p style="text-align: center; font-size: 12px; color: #bbb;">
-                            © ${new Date().getFullYear()} Property Rental. All rights reserved.
-                        </p>
-                        </div>
-                    </div>
-                `
-            });
-        } catch (error) {
-            console.error('Email sending failed:', error);
-        }
-
-        if (phone) {
-            try {
-                await sendSMS(phone, `Welcome to Property Rental, ${name}! Your account has been created successfully. Please verify your email to get started.`);
-            } catch (error) {
-                console.error('Welcome SMS failed', error);
+        // Send the verification email and the welcome SMS
+        await notificationService.send('email-verification', {
+            user,
+            data: {
+                name: user.name || 'there',
+                verificationUrl: `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`
             }
-        }
+        });
+        await notificationService.send('welcome', { user, data: { name } });
 
-        // Generate token
-        const token = generateToken(user._id);
+        const tokens = await startSession(user, req);
 
         res.status(201).json({
             success: true,
             message: 'User registered successfully. Please check your email for verification.',
-            token,
+            ...tokenResponse(tokens),
             data: {
                 user: {
                     id: user._id,
@@ -208,8 +132,8 @@ const login = async (req, res) => {
             });
         }
 
-        // Check password
-        const isMatch = await user.matchPassword(password);
+        // Check password; accounts created by phone sign-in have none
+        const isMatch = !!user.password && await user.matchPassword(password);
         if (!isMatch) {
             return res.status(401).json({
                 success: false,
@@ -217,13 +141,12 @@ const login = async (req, res) => {
             });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
+        const tokens = await startSession(user, req);
 
         res.status(200).json({
             success: true,
             message: 'Login successful',
-            token,
+            ...tokenResponse(tokens),
             data: {
                 user: {
                     id: user._id,
@@ -246,6 +169,98 @@ const login = async (req, res) => {
 };
 
 
+/**
+ * @desc    Send a sign-in OTP to a phone number
+ * @route   POST /api/auth/phone/send-otp
+ * @access  Public
+ */
+const sendLoginOTP = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { phone, expiresAt, resendAfter } = await phoneAuthService.sendOtp(req.body.phone);
+
+        res.status(200).json({
+            success: true,
+            message: `OTP sent to ${phone.replace(/\d(?=\d{4})/g, '*')}`,
+            data: { expiresAt, resendAfter }
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Send login OTP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send OTP'
+        });
+    }
+};
+
+/**
+ * @desc    Sign in (or sign up) with a phone OTP
+ * @route   POST /api/auth/phone/verify-otp
+ * @access  Public
+ */
+const verifyLoginOTP = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { user, isNewUser } = await phoneAuthService.verifyOtp(req.body.phone, req.body.otp, {
+            name: req.body.name
+        });
+        const tokens = await startSession(user, req);
+
+        res.status(isNewUser ? 201 : 200).json({
+            success: true,
+            message: isNewUser ? 'Account created successfully' : 'Login successful',
+            ...tokenResponse(tokens),
+            data: {
+                isNewUser,
+                user: {
+                    id: user._id,
+                    name: user.name,
+                    email: user.email,
+                    phone: user.phone,
+                    role: user.role,
+                    isVerified: user.isVerified,
+                    isPhoneVerified: user.isPhoneVerified,
+                    avatar: user.avatar
+                }
+            }
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Verify login OTP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+};
+
 /**
  * @desc    Logout user
  * @route   POST /api/auth/logout
@@ -253,9 +268,10 @@ const login = async (req, res) => {
  */
 const logout = async (req, res) => {
     try {
-        const userId = req.user._id; // Available from auth middleware
-
-        // await User.findByIdAndUpdate(userId, { refreshToken: null });
+        // Revoke the session of this device so its refresh token stops working
+        if (req.sessionId) {
+            await sessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+        }
 
         return res.status(200).json({
             success: true,
@@ -270,6 +286,134 @@ const logout = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Log out of every device
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeAll(req.user._id, { reason: 'logout_all' });
+
+        return res.status(200).json({
+            success: true,
+            message: 'Logged out of all devices',
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refreshToken = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const tokens = await sessionService.refresh(req.body.refreshToken, {
+            userAgent: req.get('User-Agent'),
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            ...tokenResponse(tokens)
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while refreshing token'
+        });
+    }
+};
+
+/**
+ * @desc    List the devices signed in to the account
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            data: sessions.map(session => ({
+                ...session,
+                isCurrent: session._id.toString() === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching sessions'
+        });
+    }
+};
+
+/**
+ * @desc    Sign out one device
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const revoked = await sessionService.revokeSession(req.user._id, req.params.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Device signed out'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking session'
+        });
+    }
+};
+
 
 
 
@@ -370,13 +514,7 @@ const verifyEmail = async (req, res) => {
         user.verificationToken = undefined;
         await user.save();
 
-        if (user.phone) {
-            try {
-                await sendSMS(user.phone, `Congratulations ${user.name}! Your email has been verified successfully. Welcome to Property Rental!`)
-            } catch (error) {
-                console.error('Verification SMS failed', error);
-            }
-        }
+        await notificationService.send('email-verified', { user, data: { name: user.name } });
 
         res.status(200).json({
             success: true,
@@ -418,48 +556,22 @@ const forgotPassword = async (req, res) => {
 
         await user.save();
 
-        // Send reset email
+        // Send the reset token by email and the OTP by SMS
         try {
-            const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
-            await sendEmail({
-                email: user.email,
-                subject: 'Password Reset - Property Rental',
-                message: `Please click the following link to reset your password: ${resetUrl}`,
-                html: `
-                    <div style="font-family: Arial, sans-serif; background-color: #f4f4f4; padding: 40px;">
-                        <div style="max-width: 600px; margin: auto; background-color: #ffffff; border-radius: 10px; padding: 30px; box-shadow: 0 0 10px rgba(0,0,0,0.05);">
-                        <h2 style="color: #333333;">🔐 Password Reset Token</h2>
-                        <p style="font-size: 16px; color: #555555;">
-                            We received a request to reset your password. Please use the token below to complete the password reset process.
-                        </p>
-
-                        <div style="margin: 30px 0; text-align: center;">
-                            <div style="display: inline-block; background-color: #f1f1f1; padding: 16px 32px; border-radius: 8px; font-size: 20px; color: #333333; font-weight: bold; letter-spacing: 1px;">
-                            ${resetUrl.split('/').pop()}
-                            </div>
-                        </div>
-
-                        <p style="font-size: 14px; color: #777777;">
-                            If you didn’t request this, please ignore this email. This token will expire in <strong>1 hour</strong>.
-                        </p>
-
-                        <p style="color: #cccccc; font-size: 12px; text-align: center; margin-top: 40px;">
-                            © ${new Date().getFullYear()} Property Rental. All rights reserved.
-                        </p>
-                        </div>
-                    </div>
-                `
+            const outcome = await notificationService.send('password-reset', {
+                user,
+                data: { name: user.name, resetToken, otp }
             });
 
-            if (user.phone) {
-                await sendSMS(user.phone, `Your password reset OTP is: ${otp}. This OTP will expire in 10 minutes. If you didn't request this, please ignore.`);
+            if (outcome.email !== 'sent') {
+                throw new Error('Password reset email could not be sent');
             }
 
             res.status(200).json({
                 success: true,
                 message: 'Password reset instructions sent to your email and SMS',
                 data: {
-                    otpSent: !!user.phone
+                    otpSent: outcome.sms === 'sent'
                 }
             });
         } catch (error) {
@@ -557,21 +669,16 @@ const resetPassword = async (req, res) => {
         user.otpVerified = undefined;
         await user.save();
 
-        if (user.phone) {
-            try {
-                await sendSMS(user.phone, `Hi ${user.name}, your password has been reset successfully. If this wasn't you, please contact support immediately.`);
-            } catch (error) {
-                console.error('Password reset confirmation SMS failed', error)
-            }
-        }
+        await notificationService.send('password-reset-confirmation', { user, data: { name: user.name } });
 
-        // Generate new token
-        const token = generateToken(user._id);
+        // Sign out every device that knew the old password
+        await sessionService.revokeAll(user._id, { reason: 'password_reset' });
+        const tokens = await startSession(user, req);
 
         res.status(200).json({
             success: true,
             message: 'Password reset successful',
-            token
+            ...tokenResponse(tokens)
         });
     } catch (error) {
         console.error('Reset password error:', error);
@@ -620,7 +727,14 @@ const sendPhoneOTP = async (req, res) => {
             await user.save();
         }
 
-        await sendSMS(phone, `Your phone verification OTP is: ${otp}. This OTP will expire in 10 minutes.`);
+        const outcome = await notificationService.send('phone-verification-otp', {
+            user,
+            to: { phone },
+            data: { otp, expiresInMinutes: 10 }
+        });
+        if (outcome.sms !== 'sent') {
+            throw new Error('Phone verification OTP could not be sent');
+        }
 
 
         res.status(200).json({
@@ -670,14 +784,14 @@ const verifyPhoneOTP = async (req, res) => {
         user.tempPhone = undefined;
         await user.save();
 
-        const token = generateToken(user._id);
+        const tokens = await startSession(user, req);
 
         res.status(200).json({
             success: true,
             message: 'Phone number verified successfully',
             data: {
                 user: {
-                    token,
+                    ...tokenResponse(tokens),
                     phone: user.phone,
                     isPhoneVerified: user.isPhoneVerified
                 }
@@ -695,12 +809,18 @@ const verifyPhoneOTP = async (req, res) => {
 module.exports = {
     register,
     login,
+    sendLoginOTP,
+    verifyLoginOTP,
     getMe,
     updateProfile,
     verifyEmail,
     forgotPassword,
     resetPassword,
     logout,
+    logoutAll,
+    refreshToken,
+    getSessions,
+    revokeSession,
     verifyResetOTP,
     sendPhoneOTP,
     verifyPhoneOTP,
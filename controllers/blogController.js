@@ -1,5 +1,91 @@
 const Blog = require('../models/Blog');
-const slugify = require('slugify');
+const BlogCategory = require('../models/BlogCategory');
+const BlogRevision = require('../models/BlogRevision');
+const { validationResult } = require('express-validator');
+const accessService = require('../services/accessService');
+const blogService = require('../services/blogService');
+const AppError = require('../utils/appError');
+
+const POPULATE_TERMS = [
+    { path: 'category', select: 'name slug' },
+    { path: 'tags', select: 'name slug' }
+];
+
+// Operational errors from the blog service carry their own status code
+const statusFor = (err, fallback) => {
+    if (err.statusCode) return err.statusCode;
+    if (err.name === 'ValidationError' || err.name === 'CastError') return 400;
+    return fallback;
+};
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+// Authors edit their own posts; content managers edit any post
+const canEdit = (user, blog) =>
+    !!user && (blog.userId.toString() === user._id.toString() || accessService.hasPermission(user, 'content:manage'));
+
+const canManageContent = (user) => !!user && accessService.hasPermission(user, 'content:manage');
+
+// Authors change their own drafts; once a post is scheduled or live only content managers change it
+const canChange = (user, blog) => canManageContent(user) ||
+    (canEdit(user, blog) && blog.status === 'draft');
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text search over a post's title, slug, SEO fields and category name
+const buildSearch = async (search) => {
+    const pattern = { $regex: escapeRegExp(search), $options: 'i' };
+    const categories = search ? await BlogCategory.find({ name: pattern }).select('_id') : [];
+
+    return [
+        { title: pattern },
+        { slug: pattern },
+        { status: pattern },
+        { 'seo.title': pattern },
+        { 'seo.meta': pattern },
+        ...(categories.length ? [{ category: { $in: categories.map(category => category._id) } }] : [])
+    ];
+};
+
+// Copy the editable fields present in the request body onto a post
+const applyFields = async (blog, body, user) => {
+    ['title', 'excerpt', 'content', 'coverImage', 'authorBio', 'seo'].forEach(key => {
+        if (body[key] !== undefined) {
+            blog[key] = body[key];
+        }
+    });
+    if (body.category !== undefined) {
+        blog.category = await blogService.resolveCategory(body.category);
+    }
+    if (body.tags !== undefined) {
+        blog.tags = await blogService.resolveTags(body.tags);
+    }
+
+    const { status, publishDate } = body;
+    if (['scheduled', 'published'].includes(status) && !canManageContent(user)) {
+        throw new AppError('Only content managers can publish or schedule posts', 403);
+    }
+    if (status === 'scheduled') {
+        blog.publishDate = publishDate;
+    } else if (status === 'published' && blog.status !== 'published') {
+        // Publishing now; a scheduled date that hasn't come yet is dropped
+        blog.publishDate = publishDate && new Date(publishDate) <= new Date() ? publishDate : new Date();
+    }
+    if (status) {
+        blog.status = status;
+    }
+};
 
 /**
  * @desc    Create a new blog
@@ -8,30 +94,21 @@ const slugify = require('slugify');
  */
 exports.createBlog = async (req, res) => {
     try {
-        const { title, category, status, seo } = req.body;
-
-        const slug = slugify(title, { lower: true, strict: true });
+        if (sendValidationErrors(req, res)) return;
 
-        const blog = new Blog({
-            userId: req.user._id,
-            title,
-            slug,
-            category,
-            status,
-            seo
-        });
+        const blog = new Blog({ userId: req.user._id });
+        await applyFields(blog, req.body, req.user);
 
-        if (status === 'published') blog.publishDate = new Date();
-
-        await blog.save();
+        await blogService.save(blog, req.user._id);
+        await blog.populate(POPULATE_TERMS);
         res.status(201).json(blog);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        res.status(statusFor(err, 400)).json({ error: err.message });
     }
 };
 
 /**
- * @desc    Get all blogs with pagination + search
+ * @desc    Get all blogs with pagination + search; content managers can see every status
  * @route   GET /api/blogs
  * @access  Public
  */
@@ -39,42 +116,114 @@ exports.getAllBlogs = async (req, res) => {
     try {
         const { page = 1, limit = 10, search = '' } = req.query;
 
-        const query = {
-            $or: [
-                { title: { $regex: search, $options: 'i' } },
-                { slug: { $regex: search, $options: 'i' } },
-                { category: { $regex: search, $options: 'i' } },
-                { status: { $regex: search, $options: 'i' } },
-                { 'seo.title': { $regex: search, $options: 'i' } },
-                { 'seo.meta': { $regex: search, $options: 'i' } }
-            ]
-        };
+        const query = { $or: await buildSearch(search) };
+        if (!canManageContent(req.user)) {
+            query.status = 'published';
+        } else if (req.query.status) {
+            query.status = req.query.status;
+        }
+        if (req.query.category) {
+            query.category = await blogService.resolveCategory(req.query.category);
+        }
+        if (req.query.tag) {
+            query.tags = (await blogService.resolveTags(req.query.tag))[0];
+        }
 
         const blogs = await Blog.find(query)
+            .select('-content')
+            .populate(POPULATE_TERMS)
+            .populate('userId', 'name avatar')
             .skip((page - 1) * limit)
             .limit(parseInt(limit))
-            .sort({ createdAt: -1 });
+            .sort(query.status === 'published' ? { publishDate: -1 } : { createdAt: -1 });
 
         const total = await Blog.countDocuments(query);
 
         res.json({ blogs, total });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(statusFor(err, 500)).json({ error: err.message });
     }
 };
 
 /**
- * @desc    Get blog by ID
+ * @desc    Get blog by ID; drafts and scheduled posts only for their author and content managers
  * @route   GET /api/blogs/:id
  * @access  Public
  */
 exports.getBlogById = async (req, res) => {
     try {
-        const blog = await Blog.findById(req.params.id);
-        if (!blog) return res.status(404).json({ error: 'Blog not found' });
+        const blog = await Blog.findById(req.params.id)
+            .populate(POPULATE_TERMS)
+            .populate('userId', 'name avatar bio');
+        if (!blog || (blog.status !== 'published' && !canEdit(req.user, blog))) {
+            return res.status(404).json({ error: 'Blog not found' });
+        }
         res.json(blog);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(statusFor(err, 500)).json({ error: err.message });
+    }
+};
+
+/**
+ * @desc    Get a blog by slug, counting the view; old slugs redirect to the current one
+ * @route   GET /api/blogs/slug/:slug
+ * @access  Public
+ */
+exports.getBlogBySlug = async (req, res) => {
+    try {
+        const slug = req.params.slug.toLowerCase();
+        const blog = await Blog.findOne({ slug })
+            .populate(POPULATE_TERMS)
+            .populate('userId', 'name avatar bio');
+
+        if (!blog) {
+            const renamed = await Blog.findOne({ previousSlugs: slug }).select('slug status userId');
+            if (renamed && (renamed.status === 'published' || canEdit(req.user, renamed))) {
+                return res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}`);
+            }
+            return res.status(404).json({ error: 'Blog not found' });
+        }
+
+        if (blog.status !== 'published' && !canEdit(req.user, blog)) {
+            return res.status(404).json({ error: 'Blog not found' });
+        }
+
+        // Authors and editors previewing their posts aren't readers
+        if (blog.status === 'published' && !canEdit(req.user, blog)) {
+            const counted = await blogService.recordView(blog, {
+                userId: req.user && req.user._id,
+                ip: req.ip,
+                userAgent: req.get('user-agent')
+            });
+            if (counted) {
+                blog.views += 1;
+            }
+        }
+
+        res.json(blog);
+    } catch (err) {
+        res.status(statusFor(err, 500)).json({ error: err.message });
+    }
+};
+
+/**
+ * @desc    Get published posts related to a blog by tags and category
+ * @route   GET /api/blogs/:id/related
+ * @access  Public
+ */
+exports.getRelatedBlogs = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const blog = await Blog.findById(req.params.id).select('category tags status');
+        if (!blog || blog.status !== 'published') {
+            return res.status(404).json({ error: 'Blog not found' });
+        }
+
+        const blogs = await blogService.getRelated(blog, parseInt(req.query.limit) || 4);
+        res.json({ blogs });
+    } catch (err) {
+        res.status(statusFor(err, 500)).json({ error: err.message });
     }
 };
 
@@ -90,17 +239,11 @@ exports.getBlogsByUserId = async (req, res) => {
 
         const query = {
             userId,
-            $or: [
-                { title: { $regex: search, $options: 'i' } },
-                { slug: { $regex: search, $options: 'i' } },
-                { category: { $regex: search, $options: 'i' } },
-                { status: { $regex: search, $options: 'i' } },
-                { 'seo.title': { $regex: search, $options: 'i' } },
-                { 'seo.meta': { $regex: search, $options: 'i' } }
-            ]
+            $or: await buildSearch(search)
         };
 
         const blogs = await Blog.find(query)
+            .populate(POPULATE_TERMS)
             .skip((page - 1) * limit)
             .limit(parseInt(limit))
             .sort({ createdAt: -1 });
@@ -109,7 +252,7 @@ exports.getBlogsByUserId = async (req, res) => {
 
         res.json({ blogs, total });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(statusFor(err, 500)).json({ error: err.message });
     }
 };
 
@@ -124,14 +267,12 @@ exports.currentUserBlogs = async (req, res) => {
 
         const query = {
             userId: req.user._id,
-            $or: [
-                { title: { $regex: search, $options: 'i' } },
-                { category: { $regex: search, $options: 'i' } }
-            ]
+            $or: await buildSearch(search)
         };
 
         const total = await Blog.countDocuments(query);
         const blogs = await Blog.find(query)
+            .populate(POPULATE_TERMS)
             .sort({ createdAt: -1 })
             .skip((page - 1) * limit)
             .limit(Number(limit));
@@ -143,38 +284,111 @@ exports.currentUserBlogs = async (req, res) => {
             blogs
         });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(statusFor(err, 500)).json({ error: err.message });
     }
 }
 
 /**
- * @desc    Update blog by ID
+ * @desc    Update blog by ID; content changes are kept as revisions and a renamed post keeps redirecting from its old slug
  * @route   PUT /api/blogs/:id
  * @access  Private
  */
 exports.updateBlog = async (req, res) => {
     try {
-        const { title, category, status, seo } = req.body;
+        if (sendValidationErrors(req, res)) return;
+
         const blog = await Blog.findById(req.params.id);
 
         if (!blog) return res.status(404).json({ error: 'Blog not found' });
 
-        if (blog.userId.toString() !== req.user._id.toString()) {
+        if (!canChange(req.user, blog)) {
             return res.status(403).json({ error: 'Unauthorized' });
         }
 
-        blog.title = title || blog.title;
-        blog.slug = title ? slugify(title, { lower: true, strict: true }) : blog.slug;
-        blog.category = category || blog.category;
-        blog.status = status || blog.status;
-        blog.seo = seo || blog.seo;
+        await applyFields(blog, req.body, req.user);
 
-        if (status === 'published') blog.publishDate = blog.publishDate || new Date();
+        await blogService.save(blog, req.user._id);
+        await blog.populate(POPULATE_TERMS);
+        res.json(blog);
+    } catch (err) {
+        res.status(statusFor(err, 500)).json({ error: err.message });
+    }
+};
 
-        await blog.save();
+/**
+ * @desc    Get the revision history of a blog, newest first
+ * @route   GET /api/blogs/:id/revisions
+ * @access  Private
+ */
+exports.getBlogRevisions = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const blog = await Blog.findById(req.params.id).select('userId revision');
+        if (!blog) return res.status(404).json({ error: 'Blog not found' });
+
+        if (!canEdit(req.user, blog)) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        const revisions = await BlogRevision.find({ blog: blog._id })
+            .select('-snapshot')
+            .populate('editedBy', 'name')
+            .sort({ revision: -1 });
+
+        res.json({ current: blog.revision, revisions });
+    } catch (err) {
+        res.status(statusFor(err, 500)).json({ error: err.message });
+    }
+};
+
+/**
+ * @desc    Get one revision of a blog with its content
+ * @route   GET /api/blogs/:id/revisions/:revision
+ * @access  Private
+ */
+exports.getBlogRevision = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const blog = await Blog.findById(req.params.id).select('userId');
+        if (!blog) return res.status(404).json({ error: 'Blog not found' });
+
+        if (!canEdit(req.user, blog)) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        const revision = await BlogRevision.findOne({ blog: blog._id, revision: req.params.revision })
+            .populate('editedBy', 'name');
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+        res.json(revision);
+    } catch (err) {
+        res.status(statusFor(err, 500)).json({ error: err.message });
+    }
+};
+
+/**
+ * @desc    Restore a blog's content from an older revision
+ * @route   POST /api/blogs/:id/revisions/:revision/restore
+ * @access  Private
+ */
+exports.restoreBlogRevision = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const blog = await Blog.findById(req.params.id);
+        if (!blog) return res.status(404).json({ error: 'Blog not found' });
+
+        if (!canChange(req.user, blog)) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        await blogService.restoreRevision(blog, Number(req.params.revision), req.user._id);
+        await blog.populate(POPULATE_TERMS);
         res.json(blog);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(statusFor(err, 500)).json({ error: err.message });
     }
 };
 
@@ -189,11 +403,12 @@ exports.deleteBlog = async (req, res) => {
 
         if (!blog) return res.status(404).json({ error: 'Blog not found' });
 
-        if (blog.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (!canEdit(req.user, blog)) {
             return res.status(403).json({ error: 'Unauthorized' });
         }
 
         await Blog.findByIdAndDelete(blog.id);
+        await BlogRevision.deleteMany({ blog: blog._id });
         res.json({ message: 'Blog deleted' });
     } catch (err) {
         res.status(500).json({ error: err.message });
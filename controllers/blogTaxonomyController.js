@@ -0,0 +1,290 @@
+const Blog = require('../models/Blog');
+const BlogCategory = require('../models/BlogCategory');
+const BlogTag = require('../models/BlogTag');
+const blogService = require('../services/blogService');
+const { validationResult } = require('express-validator');
+
+const sendTaxonomyError = (res, error, context, label) => {
+    if (error.code === 11000) {
+        return res.status(400).json({
+            success: false,
+            message: `A ${label} with this name already exists`
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`,
+        error: error.message
+    });
+};
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+// Published posts per category or tag
+const countPublished = async (field) => {
+    const counts = await Blog.aggregate([
+        { $match: { status: 'published' } },
+        { $unwind: `$${field}` },
+        { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(item => [item._id.toString(), item.count]));
+};
+
+/**
+ * @desc    Get blog categories with their number of published posts
+ * @route   GET /api/blogs/categories
+ * @access  Public
+ */
+const getBlogCategories = async (req, res) => {
+    try {
+        const [categories, counts] = await Promise.all([
+            BlogCategory.find().sort({ order: 1, name: 1 }).lean(),
+            countPublished('category')
+        ]);
+
+        res.json({
+            success: true,
+            data: categories.map(category => ({ ...category, postCount: counts.get(category._id.toString()) || 0 }))
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Fetching blog categories', 'category');
+    }
+};
+
+/**
+ * @desc    Create a blog category
+ * @route   POST /api/blogs/categories
+ * @access  Private (content:manage)
+ */
+const createBlogCategory = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { name, description, order } = req.body;
+        const category = await BlogCategory.create({
+            name,
+            slug: blogService.slugFor(name),
+            description,
+            order
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: category
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Creating blog category', 'category');
+    }
+};
+
+/**
+ * @desc    Rename or reorder a blog category; the slug follows the name
+ * @route   PUT /api/blogs/categories/:id
+ * @access  Private (content:manage)
+ */
+const updateBlogCategory = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const category = await BlogCategory.findById(req.params.id);
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        ['description', 'order'].forEach(key => {
+            if (req.body[key] !== undefined) {
+                category[key] = req.body[key];
+            }
+        });
+        if (req.body.name) {
+            category.name = req.body.name;
+            category.slug = blogService.slugFor(req.body.name);
+        }
+
+        await category.save();
+
+        res.json({
+            success: true,
+            message: 'Category updated successfully',
+            data: category
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Updating blog category', 'category');
+    }
+};
+
+/**
+ * @desc    Delete a blog category no post is filed under
+ * @route   DELETE /api/blogs/categories/:id
+ * @access  Private (content:manage)
+ */
+const deleteBlogCategory = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const category = await BlogCategory.findById(req.params.id);
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const postCount = await Blog.countDocuments({ category: category._id });
+        if (postCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Category has ${postCount} posts; move them to another category first`
+            });
+        }
+
+        await category.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Category deleted successfully'
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Deleting blog category', 'category');
+    }
+};
+
+/**
+ * @desc    Get blog tags with their number of published posts
+ * @route   GET /api/blogs/tags
+ * @access  Public
+ */
+const getBlogTags = async (req, res) => {
+    try {
+        const [tags, counts] = await Promise.all([
+            BlogTag.find().sort({ name: 1 }).lean(),
+            countPublished('tags')
+        ]);
+
+        res.json({
+            success: true,
+            data: tags.map(tag => ({ ...tag, postCount: counts.get(tag._id.toString()) || 0 }))
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Fetching blog tags', 'tag');
+    }
+};
+
+/**
+ * @desc    Create a blog tag
+ * @route   POST /api/blogs/tags
+ * @access  Private (content:manage)
+ */
+const createBlogTag = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const tag = await BlogTag.create({
+            name: req.body.name,
+            slug: blogService.slugFor(req.body.name)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Tag created successfully',
+            data: tag
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Creating blog tag', 'tag');
+    }
+};
+
+/**
+ * @desc    Rename a blog tag; the slug follows the name
+ * @route   PUT /api/blogs/tags/:id
+ * @access  Private (content:manage)
+ */
+const updateBlogTag = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const tag = await BlogTag.findById(req.params.id);
+        if (!tag) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tag not found'
+            });
+        }
+
+        tag.name = req.body.name;
+        tag.slug = blogService.slugFor(req.body.name);
+        await tag.save();
+
+        res.json({
+            success: true,
+            message: 'Tag updated successfully',
+            data: tag
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Updating blog tag', 'tag');
+    }
+};
+
+/**
+ * @desc    Delete a blog tag and remove it from every post
+ * @route   DELETE /api/blogs/tags/:id
+ * @access  Private (content:manage)
+ */
+const deleteBlogTag = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const tag = await BlogTag.findByIdAndDelete(req.params.id);
+        if (!tag) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tag not found'
+            });
+        }
+
+        const result = await Blog.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+
+        res.json({
+            success: true,
+            message: `Tag deleted and removed from ${result.modifiedCount} posts`
+        });
+    } catch (error) {
+        sendTaxonomyError(res, error, 'Deleting blog tag', 'tag');
+    }
+};
+
+module.exports = {
+    getBlogCategories,
+    createBlogCategory,
+    updateBlogCategory,
+    deleteBlogCategory,
+    getBlogTags,
+    createBlogTag,
+    updateBlogTag,
+    deleteBlogTag
+};
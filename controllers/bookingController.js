@@ -1,8 +1,22 @@
 const Booking = require('../models/Booking');
 const Property = require('../models/Property');
+const Room = require('../models/Room');
+const Invoice = require('../models/Invoice');
+const paymentService = require('../services/paymentService');
+const bookingService = require('../services/bookingService');
+const accessService = require('../services/accessService');
+const statusNotificationService = require('../services/statusNotificationService');
+const leadService = require('../services/leadService');
+const realtimeService = require('../services/realtimeService');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 
+// Answer with the status of a refused booking step
+const sendBookingError = (res, error) => res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+});
+
 // @desc    Create new booking
 // @route   POST /api/bookings
 // @access  Private
@@ -13,7 +27,6 @@ const createBooking = async (req, res) => {
             checkIn,
             checkOut,
             guests,
-            totalAmount,
             specialRequests,
             contactInfo,
             paymentMethod,
@@ -50,12 +63,12 @@ const createBooking = async (req, res) => {
             });
         }
 
-        // Check availability
-        const isAvailable = await Booking.checkAvailability(property, new Date(checkIn), new Date(checkOut));
-        if (!isAvailable) {
+        // Check bed availability for the requested sharing type
+        const availability = await Booking.checkAvailability(property, sharing, new Date(checkIn), new Date(checkOut));
+        if (!availability.available) {
             return res.status(400).json({
                 success: false,
-                message: 'Property is not available for the selected dates'
+                message: `No ${sharing} sharing beds available for the selected dates`
             });
         }
 
@@ -66,7 +79,6 @@ const createBooking = async (req, res) => {
             checkIn: new Date(checkIn),
             checkOut: new Date(checkOut),
             guests,
-            totalAmount,
             fullName,
             phoneNumber,
             email,
@@ -75,22 +87,49 @@ const createBooking = async (req, res) => {
             scheduleDate: new Date(scheduleDate),
             specialRequests,
             contactInfo,
-            paymentMethod: paymentMethod || 'credit_card'
+            paymentMethod: paymentMethod || 'online'
         });
 
+        // Open a gateway order for online payments; the client can retry via /api/payments/orders
+        let payment = null;
+        if (!['cash', 'bank_transfer'].includes(booking.paymentMethod)) {
+            try {
+                ({ checkout: payment } = await paymentService.createOrderForBooking(booking));
+            } catch (error) {
+                console.error('Create payment order error:', error);
+            }
+        }
+
         // Populate booking details
         await booking.populate([
             { path: 'property', select: 'title location price images' },
             { path: 'user', select: 'name email phone' }
         ]);
 
+        realtimeService.publish('booking.created', {
+            id: booking._id,
+            bookingReference: booking.bookingReference,
+            property: { id: booking.property._id, title: booking.property.title },
+            fullName: booking.fullName,
+            sharing: booking.sharing,
+            checkIn: booking.checkIn,
+            totalAmount: booking.totalAmount
+        }, { property: booking.property });
+
         res.status(201).json({
             success: true,
             message: 'Booking created successfully',
-            data: booking
+            data: booking,
+            payment
         });
 
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Create booking error:', error);
         res.status(500).json({
             success: false,
@@ -102,7 +141,7 @@ const createBooking = async (req, res) => {
 
 // @desc    Get all bookings (Admin only)
 // @route   GET /api/bookings/admin
-// @access  Private/Admin
+// @access  Private (bookings:read)
 const getAllBookings = async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
@@ -128,6 +167,12 @@ const getAllBookings = async (req, res) => {
                 { email: searchRegex }
             ];
         }
+        if (req.query.property) {
+            filter.property = req.query.property;
+        }
+
+        // Owners and managers only see their own properties' bookings
+        accessService.restrictToScope(filter, req.propertyScope);
 
         const bookings = await Booking.find(filter)
             .populate('property', 'title location price')
@@ -183,9 +228,19 @@ const getUserBookings = async (req, res) => {
 
         const total = await Booking.countDocuments(filter);
 
+        // List each booking's rent invoices next to it
+        const invoices = await Invoice.find({ booking: { $in: bookings.map(booking => booking._id) } })
+            .select('invoiceNumber booking billingPeriod.month totalAmount amountPaid dueDate status')
+            .sort({ 'billingPeriod.month': -1 });
+
+        const data = bookings.map(booking => ({
+            ...booking.toObject(),
+            invoices: invoices.filter(invoice => invoice.booking.toString() === booking._id.toString())
+        }));
+
         res.json({
             success: true,
-            data: bookings,
+            data,
             pagination: {
                 currentPage: page,
                 totalPages: Math.ceil(total / limit),
@@ -221,8 +276,9 @@ const getBooking = async (req, res) => {
             });
         }
 
-        // Check if user owns this booking or is admin
-        if (booking.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+        // Check if user owns this booking or has access to its property
+        if (booking.user._id.toString() !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'bookings:read', booking.property))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to access this booking'
@@ -258,52 +314,105 @@ const updateBooking = async (req, res) => {
             });
         }
 
-        // Check if user owns this booking or is admin
-        if (booking.user.toString() !== req.user.id && req.user.role !== 'admin') {
+        const canManage = await accessService.canAccessProperty(req.user, 'bookings:manage', booking.property);
+
+        // Check if user owns this booking or manages its property
+        if (booking.user.toString() !== req.user.id && !canManage) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this booking'
             });
         }
 
-        // Don't allow updates to confirmed or completed bookings unless admin
-        if (['confirmed', 'completed'].includes(booking.status) && req.user.role !== 'admin') {
+        // Don't allow updates to confirmed or completed bookings unless staff
+        if (['confirmed', 'completed'].includes(booking.status) && !canManage) {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot update confirmed or completed bookings'
             });
         }
 
-        // If updating dates, check availability
-        if (req.body.checkIn || req.body.checkOut) {
+        // Status changes go through the booking steps below; residents cancel through /cancel
+        const { status } = req.body;
+        if (status !== undefined && status !== booking.status) {
+            if (!canManage) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized to change the status of this booking'
+                });
+            }
+            await bookingService.assertTransition(booking, status);
+        }
+
+        // If updating dates or sharing type, check bed availability
+        if (req.body.checkIn || req.body.checkOut || req.body.sharing) {
             const checkIn = req.body.checkIn ? new Date(req.body.checkIn) : booking.checkIn;
             const checkOut = req.body.checkOut ? new Date(req.body.checkOut) : booking.checkOut;
+            const sharing = req.body.sharing || booking.sharing;
 
-            const isAvailable = await Booking.checkAvailability(
+            const availability = await Booking.checkAvailability(
                 booking.property,
+                sharing,
                 checkIn,
                 checkOut,
                 booking._id
             );
 
-            if (!isAvailable) {
+            if (!availability.available) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Property is not available for the selected dates'
+                    message: `No ${sharing} sharing beds available for the selected dates`
                 });
             }
         }
 
-        // Update booking
-        booking = await Booking.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        ).populate([
+        // Status, beds, prices, gateway references and cancellation terms are managed by the system, never set directly
+        delete req.body.user;
+        delete req.body.property;
+        delete req.body.status;
+        delete req.body.room;
+        delete req.body.bed;
+        delete req.body.monthlyRent;
+        delete req.body.totalAmount;
+        delete req.body.paymentOrderId;
+        delete req.body.paymentId;
+        delete req.body.cancellationPolicy;
+        delete req.body.cancellation;
+
+        // Payment state follows the gateway unless staff record it by hand
+        if (!(await accessService.canAccessProperty(req.user, 'payments:manage', booking.property))) {
+            delete req.body.paymentStatus;
+            delete req.body.refundAmount;
+        }
+
+        const previousStatus = booking.status;
+        const previousSharing = booking.sharing;
+
+        // Saved through the document so rent and total are recalculated for new dates or sharing
+        booking.set(req.body);
+
+        if (booking.sharing !== previousSharing) {
+            await bookingService.reassignBed(booking, previousSharing);
+        }
+        await booking.save();
+
+        if (status !== undefined && status !== previousStatus) {
+            await bookingService.transition(booking, status, {
+                cancelledBy: req.user.id,
+                reason: req.body.cancellationReason
+            });
+        }
+
+        await booking.populate([
             { path: 'property', select: 'title location price images' },
             { path: 'user', select: 'name email phone' }
         ]);
 
+        if (booking.status !== previousStatus) {
+            await statusNotificationService.bookingStatusChanged(booking, req.user.id);
+            await leadService.trackBooking(booking);
+        }
+
         res.json({
             success: true,
             message: 'Booking updated successfully',
@@ -311,6 +420,15 @@ const updateBooking = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.isOperational) {
+            return sendBookingError(res, error);
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Update booking error:', error);
         res.status(500).json({
             success: false,
@@ -335,45 +453,35 @@ const cancelBooking = async (req, res) => {
         }
 
         // Check if user owns this booking or is admin
-        if (booking.user.toString() !== req.user.id && req.user.role !== 'admin') {
+        if (booking.user.toString() !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'bookings:manage', booking.property))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to cancel this booking'
             });
         }
 
-        // Don't allow cancellation of already cancelled or completed bookings
-        if (['cancelled', 'completed'].includes(booking.status)) {
-            return res.status(400).json({
-                success: false,
-                message: `Cannot cancel ${booking.status} booking`
-            });
-        }
-
-        // Calculate refund amount
-        const refundAmount = booking.calculateRefund();
-
-        // Update booking
-        booking.status = 'cancelled';
-        booking.cancellationReason = req.body.cancellationReason || 'Cancelled by user';
-        booking.refundAmount = refundAmount;
-
-        if (refundAmount > 0) {
-            booking.paymentStatus = 'refunded';
-        }
+        await bookingService.cancel(booking, {
+            cancelledBy: req.user.id,
+            reason: req.body.cancellationReason
+        });
 
-        await booking.save();
+        await statusNotificationService.bookingStatusChanged(booking, req.user.id);
 
         res.json({
             success: true,
             message: 'Booking cancelled successfully',
             data: {
                 booking,
-                refundAmount
+                refundAmount: booking.refundAmount,
+                refund: booking.cancellation
             }
         });
 
     } catch (error) {
+        if (error.isOperational) {
+            return sendBookingError(res, error);
+        }
         console.error('Cancel booking error:', error);
         res.status(500).json({
             success: false,
@@ -383,10 +491,10 @@ const cancelBooking = async (req, res) => {
     }
 };
 
-// @desc    Confirm booking (Admin only)
-// @route   PUT /api/bookings/:id/confirm
-// @access  Private/Admin
-const confirmBooking = async (req, res) => {
+// @desc    Preview the refund for cancelling a booking now
+// @route   GET /api/bookings/:id/cancellation-preview
+// @access  Private
+const getCancellationPreview = async (req, res) => {
     try {
         const booking = await Booking.findById(req.params.id);
 
@@ -397,21 +505,69 @@ const confirmBooking = async (req, res) => {
             });
         }
 
-        if (booking.status !== 'pending') {
+        if (booking.user.toString() !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'bookings:read', booking.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
+        if (['cancelled', 'completed'].includes(booking.status)) {
             return res.status(400).json({
                 success: false,
-                message: 'Only pending bookings can be confirmed'
+                message: `Cannot cancel ${booking.status} booking`
             });
         }
 
-        booking.status = 'confirmed';
-        await booking.save();
+        const refund = booking.calculateRefund();
+        const paid = booking.paymentStatus === 'paid';
+
+        res.json({
+            success: true,
+            data: {
+                policy: booking.cancellationPolicy,
+                ...refund,
+                // Nothing is refunded for a booking that was never paid
+                refundAmount: paid ? refund.refundAmount : 0,
+                paymentStatus: booking.paymentStatus
+            }
+        });
+    } catch (error) {
+        console.error('Cancellation preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while previewing cancellation',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Confirm booking (Admin only)
+// @route   PUT /api/bookings/:id/confirm
+// @access  Private (bookings:manage)
+const confirmBooking = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        await bookingService.confirm(booking);
 
         await booking.populate([
             { path: 'property', select: 'title location price' },
-            { path: 'user', select: 'name email phone' }
+            { path: 'user', select: 'name email phone' },
+            { path: 'room', select: 'roomNumber floor sharingType' }
         ]);
 
+        await statusNotificationService.bookingStatusChanged(booking, req.user.id);
+        await leadService.trackBooking(booking);
+
         res.json({
             success: true,
             message: 'Booking confirmed successfully',
@@ -419,6 +575,9 @@ const confirmBooking = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.isOperational) {
+            return sendBookingError(res, error);
+        }
         console.error('Confirm booking error:', error);
         res.status(500).json({
             success: false,
@@ -433,7 +592,7 @@ const confirmBooking = async (req, res) => {
 // @access  Public
 const checkAvailability = async (req, res) => {
     try {
-        const { propertyId, checkIn, checkOut } = req.body;
+        const { propertyId, checkIn, checkOut, sharing } = req.body;
 
         if (!propertyId || !checkIn || !checkOut) {
             return res.status(400).json({
@@ -442,6 +601,13 @@ const checkAvailability = async (req, res) => {
             });
         }
 
+        if (sharing && !Room.SHARING_TYPES.includes(sharing)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select a valid sharing type'
+            });
+        }
+
         // Validate property exists
         const property = await Property.findById(propertyId);
         if (!property) {
@@ -451,21 +617,30 @@ const checkAvailability = async (req, res) => {
             });
         }
 
-        const isAvailable = await Booking.checkAvailability(
-            propertyId,
-            new Date(checkIn),
-            new Date(checkOut)
-        );
+        // Check the requested sharing type, or every sharing type the property offers
+        const sharingTypes = sharing
+            ? [sharing]
+            : [...new Set(property.sharingType.map(option => option.type))];
+
+        const bySharingType = {};
+        for (const type of sharingTypes) {
+            bySharingType[type] = await Booking.checkAvailability(
+                propertyId,
+                type,
+                new Date(checkIn),
+                new Date(checkOut)
+            );
+        }
 
         res.json({
             success: true,
             data: {
-                available: isAvailable,
+                available: Object.values(bySharingType).some(result => result.available),
+                bySharingType,
                 property: {
                     id: property._id,
                     title: property.title,
-                    price: property.price,
-                    maxGuests: property.maxGuests
+                    sharingType: property.sharingType
                 }
             }
         });
@@ -482,25 +657,28 @@ const checkAvailability = async (req, res) => {
 
 // @desc    Get booking statistics (Admin only)
 // @route   GET /api/bookings/admin/stats
-// @access  Private/Admin
+// @access  Private (bookings:read)
 const getBookingStats = async (req, res) => {
     try {
-        const totalBookings = await Booking.countDocuments();
-        const pendingBookings = await Booking.countDocuments({ status: 'pending' });
-        const confirmedBookings = await Booking.countDocuments({ status: 'confirmed' });
-        const cancelledBookings = await Booking.countDocuments({ status: 'cancelled' });
-        const completedBookings = await Booking.countDocuments({ status: 'completed' });
+        // Owners and managers only see their own properties' bookings
+        const scope = accessService.scopeMatch(req.propertyScope);
+
+        const totalBookings = await Booking.countDocuments(scope);
+        const pendingBookings = await Booking.countDocuments({ ...scope, status: 'pending' });
+        const confirmedBookings = await Booking.countDocuments({ ...scope, status: 'confirmed' });
+        const cancelledBookings = await Booking.countDocuments({ ...scope, status: 'cancelled' });
+        const completedBookings = await Booking.countDocuments({ ...scope, status: 'completed' });
 
         // Calculate total revenue
         const revenueResult = await Booking.aggregate([
-            { $match: { status: { $in: ['confirmed', 'completed'] } } },
+            { $match: { ...scope, status: { $in: ['confirmed', 'completed'] } } },
             { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
         ]);
 
         const totalRevenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
 
         // Recent bookings
-        const recentBookings = await Booking.find()
+        const recentBookings = await Booking.find(scope)
             .populate('property', 'title location')
             .populate('user', 'name email')
             .sort({ createdAt: -1 })
@@ -536,6 +714,7 @@ module.exports = {
     getBooking,
     updateBooking,
     cancelBooking,
+    getCancellationPreview,
     confirmBooking,
     checkAvailability,
     getBookingStats
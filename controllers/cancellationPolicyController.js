@@ -0,0 +1,325 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Property = require('../models/Property');
+const { validationResult } = require('express-validator');
+
+const POLICY_FIELDS = ['name', 'type', 'description', 'tiers', 'bookingFee', 'isDefault', 'isActive'];
+
+const pickPolicyFields = (body) => POLICY_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+        fields[key] = body[key];
+    }
+    return fields;
+}, {});
+
+/**
+ * @desc    Get all cancellation policies
+ * @route   GET /api/cancellation-policies
+ * @access  Private (cancellation-policies:manage)
+ */
+const getPolicies = async (req, res) => {
+    try {
+        const filter = {};
+
+        if (req.query.isActive !== undefined) {
+            filter.isActive = req.query.isActive === 'true';
+        }
+
+        const policies = await CancellationPolicy.find(filter).sort({ isDefault: -1, name: 1 });
+
+        res.json({
+            success: true,
+            data: policies,
+            presets: CancellationPolicy.PRESETS
+        });
+    } catch (error) {
+        console.error('Get cancellation policies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching cancellation policies',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get a cancellation policy
+ * @route   GET /api/cancellation-policies/:id
+ * @access  Private (cancellation-policies:manage)
+ */
+const getPolicy = async (req, res) => {
+    try {
+        const policy = await CancellationPolicy.findById(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cancellation policy not found'
+            });
+        }
+
+        const propertyCount = await Property.countDocuments({ cancellationPolicy: policy._id });
+
+        res.json({
+            success: true,
+            data: {
+                policy,
+                propertyCount
+            }
+        });
+    } catch (error) {
+        console.error('Get cancellation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching cancellation policy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get the cancellation policy new bookings at a property fall under
+ * @route   GET /api/cancellation-policies/property/:propertyId
+ * @access  Public
+ */
+const getPropertyPolicy = async (req, res) => {
+    try {
+        const property = await Property.findById(req.params.propertyId).select('_id');
+
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const policy = await CancellationPolicy.resolveForProperty(property._id);
+
+        res.json({
+            success: true,
+            data: policy || CancellationPolicy.PRESETS.moderate
+        });
+    } catch (error) {
+        console.error('Get property cancellation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching cancellation policy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Create a cancellation policy; flexible, moderate and strict default to their preset tiers
+ * @route   POST /api/cancellation-policies
+ * @access  Private (cancellation-policies:manage)
+ */
+const createPolicy = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const fields = pickPolicyFields(req.body);
+        const preset = CancellationPolicy.PRESETS[fields.type];
+
+        if (!fields.tiers && preset) {
+            fields.tiers = preset.tiers;
+        }
+
+        const policy = await CancellationPolicy.create({
+            ...fields,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Cancellation policy created successfully',
+            data: policy
+        });
+    } catch (error) {
+        console.error('Create cancellation policy error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A cancellation policy with this name already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating cancellation policy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update a cancellation policy; existing bookings keep the terms they were made under
+ * @route   PUT /api/cancellation-policies/:id
+ * @access  Private (cancellation-policies:manage)
+ */
+const updatePolicy = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const policy = await CancellationPolicy.findById(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cancellation policy not found'
+            });
+        }
+
+        policy.set(pickPolicyFields(req.body));
+        await policy.save();
+
+        res.json({
+            success: true,
+            message: 'Cancellation policy updated successfully',
+            data: policy
+        });
+    } catch (error) {
+        console.error('Update cancellation policy error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A cancellation policy with this name already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating cancellation policy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete a cancellation policy that no property uses
+ * @route   DELETE /api/cancellation-policies/:id
+ * @access  Private (cancellation-policies:manage)
+ */
+const deletePolicy = async (req, res) => {
+    try {
+        const policy = await CancellationPolicy.findById(req.params.id);
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cancellation policy not found'
+            });
+        }
+
+        const propertyCount = await Property.countDocuments({ cancellationPolicy: policy._id });
+        if (propertyCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Policy is attached to ${propertyCount} properties; detach it or deactivate it instead`
+            });
+        }
+
+        await policy.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Cancellation policy deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete cancellation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting cancellation policy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Attach a cancellation policy to a property (or detach it with a null policy)
+ * @route   PUT /api/cancellation-policies/property/:propertyId
+ * @access  Private (cancellation-policies:assign)
+ */
+const attachPolicyToProperty = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { policyId } = req.body;
+
+        if (policyId) {
+            const policy = await CancellationPolicy.findById(policyId);
+            if (!policy || !policy.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Active cancellation policy not found'
+                });
+            }
+        }
+
+        const property = await Property.findByIdAndUpdate(
+            req.params.propertyId,
+            { cancellationPolicy: policyId || null },
+            { new: true }
+        ).select('title cancellationPolicy').populate('cancellationPolicy');
+
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: policyId ? 'Cancellation policy attached successfully' : 'Cancellation policy detached successfully',
+            data: property
+        });
+    } catch (error) {
+        console.error('Attach cancellation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while attaching cancellation policy',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getPolicies,
+    getPolicy,
+    getPropertyPolicy,
+    createPolicy,
+    updatePolicy,
+    deletePolicy,
+    attachPolicyToProperty
+};
@@ -1,12 +1,59 @@
 const City = require('../models/City');
+const Locality = require('../models/Locality');
+const Landmark = require('../models/Landmark');
+const Property = require('../models/Property');
+const { validationResult } = require('express-validator');
+const accessService = require('../services/accessService');
+const cityService = require('../services/cityService');
+const propertySearchService = require('../services/propertySearchService');
+
+const CITY_FIELDS = ['name', 'slug', 'state', 'description', 'imageUrl', 'order', 'isVisible'];
+
+const LOCALITY_FIELDS = ['name', 'slug', 'description', 'imageUrl', 'order', 'isVisible'];
+
+const LANDMARK_FIELDS = ['name', 'slug', 'type', 'address', 'description', 'radius', 'imageUrl', 'order', 'isVisible'];
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+// Duplicate slugs and invalid fields are the caller's to fix
+const statusFor = (error) => (error.code === 11000 || error.name === 'ValidationError' ? 400 : 500);
+
+const canSeeHidden = (req) => req.query.includeHidden === 'true' && req.user &&
+    accessService.hasPermission(req.user, 'content:manage');
+
+// Copy the fields present in the request body, turning { lat, lng } into the stored point
+const applyFields = (doc, body, fields) => {
+    fields.forEach(key => {
+        if (body[key] !== undefined) {
+            doc[key] = body[key];
+        }
+    });
+    if (body.coordinates !== undefined) {
+        doc.location = cityService.toPoint(body.coordinates);
+    }
+};
 
 exports.createCity = async (req, res) => {
     try {
-        const city = new City(req.body);
+        if (sendValidationErrors(req, res)) return;
+
+        const city = new City();
+        applyFields(city, req.body, CITY_FIELDS);
         const result = await city.save();
         return res.status(201).json(result);
     } catch (error) {
-        return res.status(500).json({ message: 'Failed to create city', error });
+        return res.status(statusFor(error)).json({ message: 'Failed to create city', error });
     }
 };
 
@@ -54,6 +101,52 @@ exports.getAllCities = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Visible cities with live listing figures, for the home page
+ * @route   GET /api/cities/stats
+ * @access  Public
+ */
+exports.getCityStats = async (req, res) => {
+    try {
+        const cities = await City.find({ isVisible: true }).sort({ order: 1 }).lean();
+        const stats = await cityService.getStats(cities);
+
+        return res.status(200).json({
+            total: cities.length,
+            data: cities.map(city => ({ ...city, stats: stats.get(city._id.toString()) }))
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Failed to fetch city stats', error });
+    }
+};
+
+/**
+ * @desc    City landing page: the city, its localities and live listing figures
+ * @route   GET /api/cities/slug/:slug
+ * @access  Public
+ */
+exports.getCityBySlug = async (req, res) => {
+    try {
+        const city = await City.findOne({ slug: req.params.slug.toLowerCase(), isVisible: true }).lean();
+        if (!city) {
+            return res.status(404).json({ message: 'City not found' });
+        }
+
+        const [localities, stats] = await Promise.all([
+            Locality.find({ city: city._id, isVisible: true }).sort({ order: 1, name: 1 }).lean(),
+            cityService.getStats([city])
+        ]);
+
+        return res.status(200).json({
+            ...city,
+            localities,
+            stats: stats.get(city._id.toString())
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Failed to fetch city', error });
+    }
+};
+
 exports.getCityById = async (req, res) => {
     try {
         const result = await City.findById(req.params.id);
@@ -65,20 +158,272 @@ exports.getCityById = async (req, res) => {
 
 exports.updateCity = async (req, res) => {
     try {
-        const result = await City.findByIdAndUpdate(req.params.id, req.body, {
-            new: true,
-        });
+        if (sendValidationErrors(req, res)) return;
+
+        const city = await City.findById(req.params.id);
+        if (!city) {
+            return res.status(404).json({ message: 'City not found' });
+        }
+
+        const previousName = city.name;
+        applyFields(city, req.body, CITY_FIELDS);
+        const result = await city.save();
+
+        await cityService.renameCity(previousName, city.name);
+
         return res.status(200).json(result);
     } catch (error) {
-        return res.status(500).json({ message: 'Failed to update city', error });
+        return res.status(statusFor(error)).json({ message: 'Failed to update city', error });
     }
 };
 
 exports.deleteCity = async (req, res) => {
     try {
-        const result = await City.findByIdAndDelete(req.params.id);
+        const [localityCount, landmarkCount] = await Promise.all([
+            Locality.countDocuments({ city: req.params.id }),
+            Landmark.countDocuments({ city: req.params.id })
+        ]);
+        if (localityCount > 0 || landmarkCount > 0) {
+            return res.status(400).json({
+                message: `City has ${localityCount} localities and ${landmarkCount} landmarks; delete them first`
+            });
+        }
+
+        await City.findByIdAndDelete(req.params.id);
         return res.status(200).json({ message: 'City deleted successfully' });
     } catch (error) {
         return res.status(500).json({ message: 'Failed to delete city', error });
     }
 };
+
+/**
+ * @desc    Get the localities of a city; hidden ones only for content managers
+ * @route   GET /api/cities/:id/localities
+ * @access  Public
+ */
+exports.getLocalities = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const filter = { city: req.params.id };
+        if (!canSeeHidden(req)) {
+            filter.isVisible = true;
+        }
+
+        const localities = await Locality.find(filter).sort({ order: 1, name: 1 });
+        return res.status(200).json({
+            total: localities.length,
+            data: localities
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Failed to fetch localities', error });
+    }
+};
+
+/**
+ * @desc    Add a locality to a city
+ * @route   POST /api/cities/:id/localities
+ * @access  Private (content:manage)
+ */
+exports.createLocality = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        if (!(await City.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ message: 'City not found' });
+        }
+
+        const locality = new Locality({ city: req.params.id });
+        applyFields(locality, req.body, LOCALITY_FIELDS);
+        const result = await locality.save();
+        await cityService.queueLocalityBackfill(locality.city);
+        return res.status(201).json(result);
+    } catch (error) {
+        return res.status(statusFor(error)).json({ message: 'Failed to create locality', error });
+    }
+};
+
+/**
+ * @desc    Update a locality
+ * @route   PUT /api/cities/localities/:localityId
+ * @access  Private (content:manage)
+ */
+exports.updateLocality = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const locality = await Locality.findById(req.params.localityId);
+        if (!locality) {
+            return res.status(404).json({ message: 'Locality not found' });
+        }
+
+        applyFields(locality, req.body, LOCALITY_FIELDS);
+        const renamed = locality.isModified('name');
+        const result = await locality.save();
+        if (renamed) {
+            await cityService.queueLocalityBackfill(locality.city);
+        }
+        return res.status(200).json(result);
+    } catch (error) {
+        return res.status(statusFor(error)).json({ message: 'Failed to update locality', error });
+    }
+};
+
+/**
+ * @desc    Delete a locality no property is linked to
+ * @route   DELETE /api/cities/localities/:localityId
+ * @access  Private (content:manage)
+ */
+exports.deleteLocality = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const locality = await Locality.findById(req.params.localityId);
+        if (!locality) {
+            return res.status(404).json({ message: 'Locality not found' });
+        }
+
+        const propertyCount = await Property.countDocuments({ 'location.locality': locality._id });
+        if (propertyCount > 0) {
+            return res.status(400).json({
+                message: `Locality has ${propertyCount} properties; move them to another locality first`
+            });
+        }
+
+        await locality.deleteOne();
+        return res.status(200).json({ message: 'Locality deleted successfully' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Failed to delete locality', error });
+    }
+};
+
+/**
+ * @desc    Get the landmarks of a city; hidden ones only for content managers
+ * @route   GET /api/cities/:id/landmarks
+ * @access  Public
+ */
+exports.getLandmarks = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const filter = { city: req.params.id };
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
+        if (!canSeeHidden(req)) {
+            filter.isVisible = true;
+        }
+
+        const landmarks = await Landmark.find(filter).sort({ order: 1, name: 1 });
+        return res.status(200).json({
+            total: landmarks.length,
+            data: landmarks
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Failed to fetch landmarks', error });
+    }
+};
+
+/**
+ * @desc    Add a landmark, such as a college or tech park, to a city
+ * @route   POST /api/cities/:id/landmarks
+ * @access  Private (content:manage)
+ */
+exports.createLandmark = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        if (!(await City.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ message: 'City not found' });
+        }
+
+        const landmark = new Landmark({ city: req.params.id });
+        applyFields(landmark, req.body, LANDMARK_FIELDS);
+        const result = await landmark.save();
+        return res.status(201).json(result);
+    } catch (error) {
+        return res.status(statusFor(error)).json({ message: 'Failed to create landmark', error });
+    }
+};
+
+/**
+ * @desc    Update a landmark
+ * @route   PUT /api/cities/landmarks/:landmarkId
+ * @access  Private (content:manage)
+ */
+exports.updateLandmark = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const landmark = await Landmark.findById(req.params.landmarkId);
+        if (!landmark) {
+            return res.status(404).json({ message: 'Landmark not found' });
+        }
+
+        applyFields(landmark, req.body, LANDMARK_FIELDS);
+        const result = await landmark.save();
+        return res.status(200).json(result);
+    } catch (error) {
+        return res.status(statusFor(error)).json({ message: 'Failed to update landmark', error });
+    }
+};
+
+/**
+ * @desc    Delete a landmark
+ * @route   DELETE /api/cities/landmarks/:landmarkId
+ * @access  Private (content:manage)
+ */
+exports.deleteLandmark = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const landmark = await Landmark.findByIdAndDelete(req.params.landmarkId);
+        if (!landmark) {
+            return res.status(404).json({ message: 'Landmark not found' });
+        }
+        return res.status(200).json({ message: 'Landmark deleted successfully' });
+    } catch (error) {
+        return res.status(500).json({ message: 'Failed to delete landmark', error });
+    }
+};
+
+/**
+ * @desc    "PGs near X" page: a landmark and the available properties around it, nearest first
+ * @route   GET /api/cities/slug/:slug/landmarks/:landmarkSlug
+ * @access  Public
+ */
+exports.getLandmarkListing = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const city = await City.findOne({ slug: req.params.slug.toLowerCase(), isVisible: true })
+            .select('name slug state')
+            .lean();
+        const landmark = city && await Landmark.findOne({
+            city: city._id,
+            slug: req.params.landmarkSlug.toLowerCase(),
+            isVisible: true
+        }).lean();
+        if (!landmark) {
+            return res.status(404).json({ message: 'Landmark not found' });
+        }
+
+        const { properties, total, page, limit, radius } = await propertySearchService.searchNear(landmark.location, {
+            ...req.query,
+            radius: req.query.radius || landmark.radius
+        });
+
+        return res.status(200).json({
+            city,
+            landmark,
+            radius,
+            total,
+            page,
+            pageSize: properties.length,
+            totalPages: Math.ceil(total / limit),
+            data: properties
+        });
+    } catch (error) {
+        return res.status(500).json({ message: 'Failed to fetch landmark listings', error });
+    }
+};
@@ -1,5 +1,7 @@
 const { validationResult } = require('express-validator');
 const ContactMessage = require('../models/ContactForm');
+const leadService = require('../services/leadService');
+const realtimeService = require('../services/realtimeService');
 
 const submitContactForm = async (req, res) => {
     const errors = validationResult(req);
@@ -13,6 +15,13 @@ const submitContactForm = async (req, res) => {
 
     try {
         const contactMessage = await ContactMessage.create(req.body);
+        await leadService.capture('contact_form', leadService.fromContactMessage(contactMessage));
+
+        realtimeService.publish('contact.created', {
+            id: contactMessage._id,
+            fullName: contactMessage.fullName,
+            email: contactMessage.email
+        });
         return res.status(201).json({
             success: true,
             data: contactMessage,
@@ -0,0 +1,64 @@
+const Property = require('../models/Property');
+const ownerAnalyticsService = require('../services/ownerAnalyticsService');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Occupancy, revenue, conversion and stay analytics for an owner's properties
+ * @route   GET /api/dashboard/owner
+ * @access  Private (properties:analytics)
+ */
+const getOwnerDashboard = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Owners and managers see their own properties; admins see the platform or pick an owner
+        let propertyIds = req.propertyScope;
+        if (propertyIds === null && req.query.owner) {
+            propertyIds = (await Property.distinct('_id', { owner: req.query.owner })).map(id => id.toString());
+        }
+
+        if (req.query.property) {
+            if (propertyIds !== null && !propertyIds.includes(req.query.property)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not authorized for this property'
+                });
+            }
+            propertyIds = [req.query.property];
+        }
+
+        const dashboard = await ownerAnalyticsService.getDashboard(propertyIds, {
+            from: req.query.from ? new Date(req.query.from) : undefined,
+            to: req.query.to ? new Date(req.query.to) : undefined
+        });
+
+        res.json({
+            success: true,
+            data: dashboard
+        });
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Get owner dashboard error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching dashboard analytics',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getOwnerDashboard
+};
@@ -0,0 +1,327 @@
+const DepositLedger = require('../models/DepositLedger');
+const Booking = require('../models/Booking');
+const accessService = require('../services/accessService');
+const { deleteMultipleImages } = require('../config/cloudinary');
+const { validationResult } = require('express-validator');
+
+const MAX_EVIDENCE = 10;
+
+// Remove evidence photos uploaded with a deduction that wasn't recorded
+const discardUploads = async (req) => {
+    const publicIds = (req.files || []).map(file => file.filename);
+    if (!publicIds.length) {
+        return;
+    }
+
+    try {
+        await deleteMultipleImages(publicIds);
+    } catch (error) {
+        // Already logged; an orphaned photo shouldn't hide the original error
+    }
+};
+
+/**
+ * @desc    Get deposit ledgers, e.g. the settlement queue
+ * @route   GET /api/deposits
+ * @access  Private (deposits:read)
+ */
+const getDeposits = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.property) {
+            filter.property = req.query.property;
+        }
+
+        // Owners and managers only see their own properties' deposits
+        accessService.restrictToScope(filter, req.propertyScope);
+
+        const [ledgers, total] = await Promise.all([
+            DepositLedger.find(filter)
+                .populate('user', 'name email phone')
+                .populate('property', 'title location')
+                .populate('booking', 'fullName sharing checkIn checkOut status')
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            DepositLedger.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: ledgers,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalLedgers: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get deposits error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching deposits',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get the deposit ledger of a booking
+ * @route   GET /api/deposits/booking/:bookingId
+ * @access  Private
+ */
+const getBookingDeposit = async (req, res) => {
+    try {
+        const ledger = await DepositLedger.findOne({ booking: req.params.bookingId })
+            .populate('property', 'title location')
+            .populate('entries.recordedBy', 'name');
+
+        if (!ledger) {
+            return res.status(404).json({
+                success: false,
+                message: 'No deposit ledger for this booking'
+            });
+        }
+
+        if (ledger.user.toString() !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'deposits:read', ledger.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this deposit'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: ledger
+        });
+    } catch (error) {
+        console.error('Get booking deposit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching deposit',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Record deposit collected from the resident
+ * @route   POST /api/deposits/booking/:bookingId/collections
+ * @access  Private (deposits:manage)
+ */
+const recordCollection = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!['confirmed', 'in-progress'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot collect deposit for a ${booking.status} booking`
+            });
+        }
+
+        let ledger = await DepositLedger.openForBooking(booking);
+        const { amount, method, reference, description } = req.body;
+
+        try {
+            ledger = await ledger.addEntry({
+                type: 'collection',
+                amount,
+                method,
+                reference,
+                description,
+                recordedBy: req.user.id
+            });
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Deposit collection recorded successfully',
+            data: ledger
+        });
+    } catch (error) {
+        console.error('Record deposit collection error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording deposit collection',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Record a deduction (damage, dues...) against the deposit, with evidence photos uploaded or linked
+ * @route   POST /api/deposits/booking/:bookingId/deductions
+ * @access  Private (deposits:manage)
+ */
+const recordDeduction = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            await discardUploads(req);
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let ledger = await DepositLedger.findOne({ booking: req.params.bookingId });
+
+        if (!ledger) {
+            await discardUploads(req);
+            return res.status(404).json({
+                success: false,
+                message: 'No deposit ledger for this booking'
+            });
+        }
+
+        const { amount, category, description } = req.body;
+
+        // Photos uploaded with the request are stored by their Cloudinary URL, next to any URLs sent
+        const evidence = [...(req.body.evidence || []), ...(req.files || []).map(file => file.path)];
+        if (evidence.length > MAX_EVIDENCE) {
+            await discardUploads(req);
+            return res.status(400).json({
+                success: false,
+                message: `A deduction can have at most ${MAX_EVIDENCE} evidence photos`
+            });
+        }
+
+        try {
+            ledger = await ledger.addEntry({
+                type: 'deduction',
+                amount,
+                category,
+                description,
+                evidence,
+                recordedBy: req.user.id
+            });
+        } catch (error) {
+            await discardUploads(req);
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Deposit deduction recorded successfully',
+            data: ledger
+        });
+    } catch (error) {
+        console.error('Record deposit deduction error:', error);
+        await discardUploads(req);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording deposit deduction',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Settle the deposit at move-out, refunding the remaining balance
+ * @route   POST /api/deposits/booking/:bookingId/settle
+ * @access  Private (deposits:manage)
+ */
+const settleDeposit = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const ledger = await DepositLedger.findOne({ booking: req.params.bookingId });
+
+        if (!ledger) {
+            return res.status(404).json({
+                success: false,
+                message: 'No deposit ledger for this booking'
+            });
+        }
+
+        if (ledger.status !== 'settlement_pending') {
+            return res.status(400).json({
+                success: false,
+                message: ledger.status === 'settled'
+                    ? 'Deposit has already been settled'
+                    : 'Deposit can only be settled once the booking is completed'
+            });
+        }
+
+        const { method, reference, notes } = req.body;
+        const settlement = await ledger.settle({ method, reference, notes, settledBy: req.user.id });
+
+        // Another request settled the deposit or changed its balance first
+        if (!settlement) {
+            return res.status(409).json({
+                success: false,
+                message: 'Deposit was updated by another request; please review it and try again'
+            });
+        }
+
+        const { refundAmount } = settlement;
+
+        res.json({
+            success: true,
+            message: 'Deposit settled successfully',
+            data: {
+                ledger: settlement.ledger,
+                refundAmount
+            }
+        });
+    } catch (error) {
+        console.error('Settle deposit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while settling deposit',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getDeposits,
+    getBookingDeposit,
+    recordCollection,
+    recordDeduction,
+    settleDeposit
+};
@@ -0,0 +1,108 @@
+const realtimeService = require('../services/realtimeService');
+const sessionService = require('../services/sessionService');
+
+/**
+ * @desc    Get the real-time events the logged in user can subscribe to
+ * @route   GET /api/events
+ * @access  Private (staff)
+ */
+const getEventTypes = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: realtimeService.getAllowedEvents(req.user)
+        });
+    } catch (error) {
+        console.error('Get event types error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching event types',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get a single-use ticket for opening an event stream from a browser
+ * @route   POST /api/events/ticket
+ * @access  Private (staff)
+ */
+const createStreamTicket = async (req, res) => {
+    try {
+        if (!realtimeService.getAllowedEvents(req.user).length) {
+            return res.status(403).json({
+                success: false,
+                message: `Role '${req.user.role}' does not receive real-time events`
+            });
+        }
+
+        const { ticket, expiresAt } = await sessionService.issueStreamTicket(req.user, {
+            sessionId: req.sessionId,
+            expiresAt: req.tokenExpiresAt
+        });
+
+        res.status(201).json({
+            success: true,
+            data: { ticket, expiresAt }
+        });
+    } catch (error) {
+        console.error('Create stream ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating stream ticket',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Open a Server-Sent Events stream of dashboard events
+ * @route   GET /api/events/stream
+ * @access  Private (staff)
+ */
+const streamEvents = async (req, res) => {
+    try {
+        const allowed = realtimeService.getAllowedEvents(req.user);
+        if (!allowed.length) {
+            return res.status(403).json({
+                success: false,
+                message: `Role '${req.user.role}' does not receive real-time events`
+            });
+        }
+
+        const requested = req.query.events
+            ? String(req.query.events).split(',').map(event => event.trim()).filter(Boolean)
+            : undefined;
+
+        const unknown = (requested || []).filter(event => !allowed.includes(event));
+        if (unknown.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown or not permitted events: ${unknown.join(', ')}`
+            });
+        }
+
+        const opened = await realtimeService.subscribe(req, res, requested);
+        if (!opened) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many open event streams. Close another dashboard tab and try again.'
+            });
+        }
+    } catch (error) {
+        console.error('Event stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error while opening event stream',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = {
+    getEventTypes,
+    createStreamTicket,
+    streamEvents
+};
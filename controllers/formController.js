@@ -1,4 +1,5 @@
 const Form = require('../models/Form');
+const leadService = require('../services/leadService');
 
 /**
  * @desc    Create a new form submission
@@ -10,6 +11,7 @@ exports.createForm = async (req, res) => {
         const { name, phone, location, pgType } = req.body;
         const form = new Form({ name, phone, location, pgType });
         await form.save();
+        await leadService.capture('callback_form', leadService.fromForm(form));
         res.status(201).json(form);
     } catch (err) {
         res.status(400).json({ error: err.message });
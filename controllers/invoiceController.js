@@ -0,0 +1,430 @@
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const billingService = require('../services/billingService');
+const accessService = require('../services/accessService');
+const generateInvoicePdf = require('../utils/generateInvoicePdf');
+const { validationResult } = require('express-validator');
+
+// Only the billed resident or staff with access to the property may see an invoice
+const canAccessInvoice = async (invoice, user) => {
+    const ownerId = invoice.user._id ? invoice.user._id.toString() : invoice.user.toString();
+    return ownerId === user.id || accessService.canAccessProperty(user, 'invoices:read', invoice.property);
+};
+
+/**
+ * @desc    Get logged in resident's invoices
+ * @route   GET /api/invoices/my-invoices
+ * @access  Private
+ */
+const getMyInvoices = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user.id };
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.booking) {
+            filter.booking = req.query.booking;
+        }
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .populate('property', 'title location')
+                .sort({ 'billingPeriod.start': -1 })
+                .skip(skip)
+                .limit(limit),
+            Invoice.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: invoices,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalInvoices: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get my invoices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching your invoices',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get all invoices
+ * @route   GET /api/invoices
+ * @access  Private (invoices:read)
+ */
+const getAllInvoices = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.month) {
+            filter['billingPeriod.month'] = req.query.month;
+        }
+        if (req.query.property) {
+            filter.property = req.query.property;
+        }
+        if (req.query.user) {
+            filter.user = req.query.user;
+        }
+
+        // Owners and managers only see their own properties' invoices
+        accessService.restrictToScope(filter, req.propertyScope);
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .populate('user', 'name email phone')
+                .populate('property', 'title location')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Invoice.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: invoices,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalInvoices: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get all invoices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching invoices',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get single invoice
+ * @route   GET /api/invoices/:id
+ * @access  Private
+ */
+const getInvoice = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('user', 'name email phone')
+            .populate('property', 'title location')
+            .populate('booking', 'fullName sharing checkIn checkOut status');
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        if (!(await canAccessInvoice(invoice, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this invoice'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching invoice',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Download invoice as PDF
+ * @route   GET /api/invoices/:id/pdf
+ * @access  Private
+ */
+const downloadInvoicePdf = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id)
+            .populate('user', 'name email phone')
+            .populate('property', 'title location')
+            .populate('booking', 'fullName');
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        if (!(await canAccessInvoice(invoice, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this invoice'
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+
+        generateInvoicePdf(invoice, res);
+    } catch (error) {
+        console.error('Download invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while generating invoice PDF',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Generate monthly invoices for all active residents
+ * @route   POST /api/invoices/generate
+ * @access  Private (billing:run)
+ */
+const generateMonthlyInvoices = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const result = await billingService.generateMonthlyInvoices(req.body.month);
+
+        res.status(201).json({
+            success: true,
+            message: `${result.created} invoices generated for ${result.month}`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Generate monthly invoices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while generating invoices',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Generate the invoice of a single booking for a month
+ * @route   POST /api/invoices/booking/:bookingId
+ * @access  Private (invoices:manage)
+ */
+const generateBookingInvoice = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!['confirmed', 'in-progress'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot bill a ${booking.status} booking`
+            });
+        }
+
+        const month = req.body.month || billingService.getCurrentMonth();
+
+        let result;
+        try {
+            result = await billingService.generateInvoice(booking, month);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(result.created ? 201 : 200).json({
+            success: true,
+            message: result.created ? 'Invoice generated successfully' : 'Invoice already exists for this month',
+            data: result.invoice
+        });
+    } catch (error) {
+        console.error('Generate booking invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while generating invoice',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Record a full or partial payment against an invoice
+ * @route   POST /api/invoices/:id/payments
+ * @access  Private (invoices:manage)
+ */
+const recordPayment = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        if (['paid', 'cancelled'].includes(invoice.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot record payment on a ${invoice.status} invoice`
+            });
+        }
+
+        const { amount, method, reference } = req.body;
+
+        if (amount > invoice.balanceDue) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment exceeds the balance due of ${invoice.balanceDue}`
+            });
+        }
+
+        await invoice.recordPayment({ amount, method, reference, recordedBy: req.user.id });
+
+        res.json({
+            success: true,
+            message: 'Payment recorded successfully',
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Record payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while recording payment',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Apply late fees to overdue invoices
+ * @route   POST /api/invoices/apply-late-fees
+ * @access  Private (billing:run)
+ */
+const applyLateFees = async (req, res) => {
+    try {
+        const count = await billingService.applyLateFees();
+
+        res.json({
+            success: true,
+            message: `Late fee applied to ${count} invoices`,
+            data: { count }
+        });
+    } catch (error) {
+        console.error('Apply late fees error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while applying late fees',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Cancel an invoice
+ * @route   PUT /api/invoices/:id/cancel
+ * @access  Private (invoices:manage)
+ */
+const cancelInvoice = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        if (invoice.amountPaid > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot cancel an invoice with recorded payments'
+            });
+        }
+
+        invoice.status = 'cancelled';
+        invoice.notes = req.body.notes || invoice.notes;
+        await invoice.save();
+
+        res.json({
+            success: true,
+            message: 'Invoice cancelled successfully',
+            data: invoice
+        });
+    } catch (error) {
+        console.error('Cancel invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling invoice',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getMyInvoices,
+    getAllInvoices,
+    getInvoice,
+    downloadInvoicePdf,
+    generateMonthlyInvoices,
+    generateBookingInvoice,
+    recordPayment,
+    applyLateFees,
+    cancelInvoice
+};
@@ -0,0 +1,381 @@
+const Lead = require('../models/Lead');
+const leadService = require('../services/leadService');
+const { validationResult } = require('express-validator');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const EDITABLE_FIELDS = ['name', 'email', 'city', 'pgType', 'followUpAt'];
+
+// Operational errors from the lead service carry their own status code
+const sendLeadError = (res, error, context) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`,
+        error: error.message
+    });
+};
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+const findLead = async (req, res) => {
+    const lead = await Lead.findById(req.params.id);
+    if (!lead) {
+        res.status(404).json({
+            success: false,
+            message: 'Lead not found'
+        });
+        return null;
+    }
+    return lead;
+};
+
+const populateLead = (lead) => lead.populate([
+    { path: 'assignedTo', select: 'name email phone' },
+    { path: 'notes.author', select: 'name' },
+    { path: 'stageHistory.changedBy', select: 'name' },
+    { path: 'enquiries.property', select: 'title location.city' },
+    { path: 'user', select: 'name email phone' },
+    { path: 'booking', select: 'status checkIn checkOut property' }
+]);
+
+/**
+ * @desc    Get leads with filters
+ * @route   GET /api/leads
+ * @access  Private (leads:read)
+ */
+const getLeads = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        ['stage', 'source'].forEach(key => {
+            if (req.query[key]) {
+                filter[key] = req.query[key];
+            }
+        });
+        if (req.query.city) {
+            filter.city = new RegExp(`^${escapeRegExp(req.query.city)}$`, 'i');
+        }
+        if (req.query.assignedTo === 'me') {
+            filter.assignedTo = req.user._id;
+        } else if (req.query.assignedTo === 'unassigned') {
+            filter.assignedTo = null;
+        } else if (req.query.assignedTo) {
+            filter.assignedTo = req.query.assignedTo;
+        }
+        if (req.query.followUpDue === 'true') {
+            filter.followUpAt = { $ne: null, $lte: new Date() };
+            filter.stage = filter.stage || { $in: Lead.OPEN_STAGES };
+        }
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+        }
+        if (req.query.search) {
+            const search = new RegExp(escapeRegExp(req.query.search), 'i');
+            filter.$or = [{ name: search }, { phone: search }, { email: search }];
+        }
+
+        // Due follow-ups are worked oldest first; everything else newest enquiry first
+        const sort = req.query.followUpDue === 'true' ? { followUpAt: 1 } : { lastEnquiryAt: -1 };
+
+        const [leads, total] = await Promise.all([
+            Lead.find(filter)
+                .select('-notes -stageHistory')
+                .populate('assignedTo', 'name')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            Lead.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: leads,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalLeads: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Fetching leads');
+    }
+};
+
+/**
+ * @desc    Get a lead with its enquiries, notes and stage history
+ * @route   GET /api/leads/:id
+ * @access  Private (leads:read)
+ */
+const getLead = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const lead = await findLead(req, res);
+        if (!lead) return;
+
+        await populateLead(lead);
+
+        res.json({
+            success: true,
+            data: lead
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Fetching lead');
+    }
+};
+
+/**
+ * @desc    Add a lead taken by phone or walk-in; adds to the existing lead when the number is known
+ * @route   POST /api/leads
+ * @access  Private (leads:manage)
+ */
+const createLead = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const { name, phone, email, city, pgType, message } = req.body;
+        const existing = await Lead.exists({ phone: leadService.normalizePhone(phone) });
+
+        const lead = await leadService.ingest('manual', { name, phone, email, city, pgType, message });
+        if (!lead) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please enter a valid phone number'
+            });
+        }
+
+        if (req.body.followUpAt) {
+            lead.followUpAt = req.body.followUpAt;
+            await lead.save();
+        }
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? 'Enquiry added to the existing lead for this number' : 'Lead created successfully',
+            data: lead
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Creating lead');
+    }
+};
+
+/**
+ * @desc    Update a lead's details or follow-up date
+ * @route   PUT /api/leads/:id
+ * @access  Private (leads:manage)
+ */
+const updateLead = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const lead = await findLead(req, res);
+        if (!lead) return;
+
+        EDITABLE_FIELDS.forEach(key => {
+            if (req.body[key] !== undefined) {
+                lead[key] = req.body[key] === '' ? null : req.body[key];
+            }
+        });
+        if (req.body.city) {
+            lead.city = leadService.normalizeCity(req.body.city);
+        }
+
+        await lead.save();
+
+        res.json({
+            success: true,
+            message: 'Lead updated successfully',
+            data: lead
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Updating lead');
+    }
+};
+
+/**
+ * @desc    Move a lead to another stage
+ * @route   PUT /api/leads/:id/stage
+ * @access  Private (leads:manage)
+ */
+const updateLeadStage = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const lead = await findLead(req, res);
+        if (!lead) return;
+
+        const { stage, lostReason, note } = req.body;
+
+        if (stage === 'lost' && !lostReason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to mark a lead as lost'
+            });
+        }
+
+        lead.setStage(stage, req.user._id);
+        if (stage === 'lost') {
+            lead.lostReason = lostReason;
+            lead.followUpAt = null;
+        }
+        if (note) {
+            lead.notes.push({ body: note, author: req.user._id });
+        }
+
+        await lead.save();
+
+        res.json({
+            success: true,
+            message: `Lead moved to ${stage.replace('_', ' ')}`,
+            data: lead
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Updating lead stage');
+    }
+};
+
+/**
+ * @desc    Assign a lead to a member of the sales team; null unassigns it
+ * @route   PUT /api/leads/:id/assign
+ * @access  Private (leads:assign)
+ */
+const assignLead = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const lead = await findLead(req, res);
+        if (!lead) return;
+
+        await leadService.assign(lead, req.body.assignedTo);
+        await lead.populate('assignedTo', 'name email phone');
+
+        res.json({
+            success: true,
+            message: lead.assignedTo ? `Lead assigned to ${lead.assignedTo.name}` : 'Lead unassigned',
+            data: lead
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Assigning lead');
+    }
+};
+
+/**
+ * @desc    Add a note to a lead, optionally setting the next follow-up
+ * @route   POST /api/leads/:id/notes
+ * @access  Private (leads:manage)
+ */
+const addLeadNote = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const lead = await findLead(req, res);
+        if (!lead) return;
+
+        lead.notes.push({ body: req.body.body, author: req.user._id });
+        if (req.body.followUpAt !== undefined) {
+            lead.followUpAt = req.body.followUpAt || null;
+        }
+
+        await lead.save();
+        await lead.populate('notes.author', 'name');
+
+        res.status(201).json({
+            success: true,
+            message: 'Note added successfully',
+            data: lead.notes[lead.notes.length - 1],
+            followUpAt: lead.followUpAt
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Adding lead note');
+    }
+};
+
+/**
+ * @desc    Conversion by source and city for leads created in a period
+ * @route   GET /api/leads/report
+ * @access  Private (leads:read)
+ */
+const getLeadReport = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const report = await leadService.getConversionReport({
+            from: req.query.from ? new Date(req.query.from) : undefined,
+            to: req.query.to ? new Date(req.query.to) : undefined
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Building lead report');
+    }
+};
+
+/**
+ * @desc    Create leads from every callback form, contact message and visit received so far
+ * @route   POST /api/leads/import
+ * @access  Private (leads:import)
+ */
+const importLeads = async (req, res) => {
+    try {
+        const result = await leadService.importExisting();
+
+        res.json({
+            success: true,
+            message: `${result.leadsCreated} new leads created`,
+            data: result
+        });
+    } catch (error) {
+        sendLeadError(res, error, 'Importing leads');
+    }
+};
+
+module.exports = {
+    getLeads,
+    getLead,
+    createLead,
+    updateLead,
+    updateLeadStage,
+    assignLead,
+    addLeadNote,
+    getLeadReport,
+    importLeads
+};
@@ -0,0 +1,514 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const DeliveryLog = require('../models/DeliveryLog');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const notificationService = require('../services/notificationService');
+const { CHANNELS, NOTIFICATION_TYPES } = require('../config/notificationTemplates');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+
+// Operational errors from the notification service carry their own status code
+const sendNotificationError = (res, error, context) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`,
+        error: error.message
+    });
+};
+
+// Check the type and channel in the URL; sends a 404 and returns null when there's no such template
+const findDefinition = (req, res) => {
+    const { key, channel } = req.params;
+    const definition = NOTIFICATION_TYPES[key];
+
+    if (!definition || !definition.channels[channel]) {
+        res.status(404).json({
+            success: false,
+            message: `No ${channel} template for notification type ${key}`
+        });
+        return null;
+    }
+
+    return definition;
+};
+
+/**
+ * @desc    Get the logged in user's in-app notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+const getNotifications = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user.id };
+        if (req.query.type) {
+            filter.type = req.query.type;
+        }
+        if (req.query.unread === 'true') {
+            filter.readAt = null;
+        }
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ user: req.user.id, readAt: null })
+        ]);
+
+        res.json({
+            success: true,
+            data: notifications,
+            unreadCount,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalNotifications: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Fetching notifications');
+    }
+};
+
+/**
+ * @desc    Count the logged in user's unread notifications, in total and per type
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+const getUnreadCount = async (req, res) => {
+    try {
+        const byType = await Notification.aggregate([
+            { $match: { user: new mongoose.Types.ObjectId(req.user.id), readAt: null } },
+            { $group: { _id: '$type', count: { $sum: 1 } } }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                total: byType.reduce((sum, item) => sum + item.count, 0),
+                byType: byType.reduce((acc, item) => {
+                    acc[item._id] = item.count;
+                    return acc;
+                }, {})
+            }
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Counting unread notifications');
+    }
+};
+
+/**
+ * @desc    Mark one of the logged in user's notifications as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+const markNotificationRead = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: notification
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Updating notification');
+    }
+};
+
+/**
+ * @desc    Mark all of the logged in user's notifications as read, optionally of one type
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = { user: req.user.id, readAt: null };
+        if (req.body.type) {
+            filter.type = req.body.type;
+        }
+
+        const result = await Notification.updateMany(filter, { readAt: new Date() });
+
+        res.json({
+            success: true,
+            message: 'Notifications marked as read',
+            data: { updated: result.modifiedCount }
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Updating notifications');
+    }
+};
+
+/**
+ * @desc    Get notification types with the active template of each channel
+ * @route   GET /api/notifications/templates
+ * @access  Private (notifications:manage)
+ */
+const getTemplates = async (req, res) => {
+    try {
+        const active = await NotificationTemplate.find({ isActive: true })
+            .select('key channel version updatedAt')
+            .lean();
+
+        const data = Object.entries(NOTIFICATION_TYPES).map(([key, definition]) => ({
+            key,
+            description: definition.description,
+            placeholders: definition.placeholders,
+            transactional: !!definition.transactional,
+            channels: Object.keys(definition.channels).map(channel => {
+                const stored = active.find(template => template.key === key && template.channel === channel);
+                return {
+                    channel,
+                    activeVersion: stored ? stored.version : 0,
+                    updatedAt: stored ? stored.updatedAt : null
+                };
+            })
+        }));
+
+        res.json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Fetching notification templates');
+    }
+};
+
+/**
+ * @desc    Get every version of a notification template, including the built-in default
+ * @route   GET /api/notifications/templates/:key/:channel
+ * @access  Private (notifications:manage)
+ */
+const getTemplateVersions = async (req, res) => {
+    try {
+        const definition = findDefinition(req, res);
+        if (!definition) return;
+
+        const { key, channel } = req.params;
+        const versions = await NotificationTemplate.find({ key, channel })
+            .populate('createdBy', 'name')
+            .sort({ version: -1 });
+
+        res.json({
+            success: true,
+            placeholders: definition.placeholders,
+            data: {
+                default: { key, channel, version: 0, ...definition.channels[channel] },
+                activeVersion: (versions.find(template => template.isActive) || { version: 0 }).version,
+                versions
+            }
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Fetching notification template versions');
+    }
+};
+
+/**
+ * @desc    Save a new version of a notification template and make it active
+ * @route   POST /api/notifications/templates/:key/:channel
+ * @access  Private (notifications:manage)
+ */
+const createTemplateVersion = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!findDefinition(req, res)) return;
+
+        const { key, channel } = req.params;
+        const template = await NotificationTemplate.createVersion(key, channel, {
+            subject: req.body.subject,
+            body: req.body.body
+        }, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: `Version ${template.version} saved and activated`,
+            data: template
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Saving notification template');
+    }
+};
+
+/**
+ * @desc    Switch a notification template to another version; version 0 restores the built-in default
+ * @route   PUT /api/notifications/templates/:key/:channel/active
+ * @access  Private (notifications:manage)
+ */
+const activateTemplateVersion = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        if (!findDefinition(req, res)) return;
+
+        const { key, channel } = req.params;
+        const template = await NotificationTemplate.activateVersion(key, channel, req.body.version);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                message: `Version ${req.body.version} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Version ${template.version} is now active`,
+            data: template
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Activating notification template');
+    }
+};
+
+/**
+ * @desc    Get the notification preferences of the logged in user
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+const getPreferences = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('notificationPreferences');
+
+        res.json({
+            success: true,
+            data: user.notificationPreferences,
+            // Types the user can mute; account and security messages are always sent
+            mutableTypes: Object.keys(NOTIFICATION_TYPES).filter(key => !NOTIFICATION_TYPES[key].transactional)
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Fetching notification preferences');
+    }
+};
+
+/**
+ * @desc    Turn notification channels on or off and mute notification types
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+const updatePreferences = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const update = {};
+        CHANNELS.forEach(channel => {
+            if (req.body[channel] !== undefined) {
+                update[`notificationPreferences.${channel}`] = req.body[channel];
+            }
+        });
+
+        if (req.body.mutedTypes !== undefined) {
+            const invalid = req.body.mutedTypes.filter(type =>
+                !NOTIFICATION_TYPES[type] || NOTIFICATION_TYPES[type].transactional);
+
+            if (invalid.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: `These notification types cannot be muted: ${invalid.join(', ')}`
+                });
+            }
+            update['notificationPreferences.mutedTypes'] = [...new Set(req.body.mutedTypes)];
+        }
+
+        const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true })
+            .select('notificationPreferences');
+
+        res.json({
+            success: true,
+            message: 'Notification preferences updated successfully',
+            data: user.notificationPreferences
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Updating notification preferences');
+    }
+};
+
+/**
+ * @desc    Get the notification delivery log
+ * @route   GET /api/notifications/deliveries
+ * @access  Private (notifications:read)
+ */
+const getDeliveries = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        ['type', 'channel', 'status', 'user', 'recipient'].forEach(key => {
+            if (req.query[key]) {
+                filter[key] = req.query[key];
+            }
+        });
+        if (req.query.reference) {
+            filter['reference.id'] = req.query.reference;
+        }
+        if (req.query.templateVersion !== undefined) {
+            filter['template.version'] = parseInt(req.query.templateVersion);
+        }
+        if (req.query.from || req.query.to) {
+            filter.createdAt = {};
+            if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+            if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+        }
+
+        const [deliveries, total] = await Promise.all([
+            DeliveryLog.find(filter)
+                .populate('user', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            DeliveryLog.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: deliveries,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalDeliveries: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Fetching delivery log');
+    }
+};
+
+/**
+ * @desc    Resend a failed delivery
+ * @route   POST /api/notifications/deliveries/:id/retry
+ * @access  Private (notifications:manage)
+ */
+const retryDelivery = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const delivery = await notificationService.retry(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Delivery queued for another attempt',
+            data: delivery
+        });
+    } catch (error) {
+        sendNotificationError(res, error, 'Retrying delivery');
+    }
+};
+
+module.exports = {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getTemplates,
+    getTemplateVersions,
+    createTemplateVersion,
+    activateTemplateVersion,
+    getPreferences,
+    updatePreferences,
+    getDeliveries,
+    retryDelivery
+};
@@ -0,0 +1,221 @@
+const Onboarding = require('../models/Onboarding');
+const Booking = require('../models/Booking');
+const onboardingService = require('../services/onboardingService');
+const accessService = require('../services/accessService');
+const { validationResult } = require('express-validator');
+
+// Operational errors from the onboarding service carry their own status code
+const sendOnboardingError = (res, error, context) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`,
+        error: error.message
+    });
+};
+
+const ONBOARDING_POPULATE = [
+    { path: 'checklist.document', select: 'type subType documentUrl status rejectionReason reviewedAt createdAt' },
+    { path: 'property', select: 'title requiredDocuments' },
+    { path: 'booking', select: 'bookingReference checkIn status' }
+];
+
+/**
+ * @desc    Get the KYC checklist of a booking
+ * @route   GET /api/onboarding/booking/:bookingId
+ * @access  Private (resident or onboarding:read)
+ */
+const getBookingOnboarding = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.user.toString() !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'onboarding:read', booking.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this onboarding'
+            });
+        }
+
+        const onboarding = await onboardingService.getForBooking(booking);
+        await onboarding.populate(ONBOARDING_POPULATE);
+
+        res.json({
+            success: true,
+            data: onboarding
+        });
+    } catch (error) {
+        sendOnboardingError(res, error, 'Fetching onboarding');
+    }
+};
+
+/**
+ * @desc    Attach an uploaded document to the booking's checklist
+ * @route   POST /api/onboarding/booking/:bookingId/documents
+ * @access  Private (resident)
+ */
+const attachDocument = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this onboarding'
+            });
+        }
+
+        if (['cancelled', 'completed'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot submit documents for a ${booking.status} booking`
+            });
+        }
+
+        const onboarding = await onboardingService.getForBooking(booking);
+        await onboardingService.attachDocument(onboarding, req.body.documentId);
+        await onboarding.populate(ONBOARDING_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Document submitted for verification',
+            data: onboarding
+        });
+    } catch (error) {
+        sendOnboardingError(res, error, 'Attaching document');
+    }
+};
+
+/**
+ * @desc    KYC review queue
+ * @route   GET /api/onboarding
+ * @access  Private (onboarding:read)
+ */
+const getOnboardings = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        // Waiting on a reviewer by default
+        const status = req.query.status || 'under_review';
+        const filter = {};
+        if (status !== 'all') {
+            filter.status = status;
+        }
+        if (req.query.property) {
+            filter.property = req.query.property;
+        }
+
+        // Owners and managers only see their own properties' onboardings
+        accessService.restrictToScope(filter, req.propertyScope);
+
+        const [onboardings, total, byStatus] = await Promise.all([
+            Onboarding.find(filter)
+                .populate('user', 'name email phone')
+                .populate(ONBOARDING_POPULATE)
+                .sort({ updatedAt: 1 })
+                .skip(skip)
+                .limit(limit),
+            Onboarding.countDocuments(filter),
+            Onboarding.aggregate([
+                { $match: accessService.scopeMatch(req.propertyScope) },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        res.json({
+            success: true,
+            data: onboardings,
+            summary: byStatus.reduce((acc, item) => {
+                acc[item._id] = item.count;
+                return acc;
+            }, {}),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalOnboardings: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        sendOnboardingError(res, error, 'Fetching onboardings');
+    }
+};
+
+/**
+ * @desc    Approve or reject a KYC document
+ * @route   PATCH /api/onboarding/documents/:documentId/review
+ * @access  Private (onboarding:review)
+ */
+const reviewDocument = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { document, onboardings } = await onboardingService.reviewDocument(
+            req.params.documentId,
+            { status: req.body.status, reason: req.body.reason },
+            req.user.id
+        );
+
+        res.json({
+            success: true,
+            message: `Document ${document.status}`,
+            data: {
+                document,
+                onboardings: onboardings.map(onboarding => ({
+                    _id: onboarding._id,
+                    booking: onboarding.booking,
+                    status: onboarding.status
+                }))
+            }
+        });
+    } catch (error) {
+        sendOnboardingError(res, error, 'Reviewing document');
+    }
+};
+
+module.exports = {
+    getBookingOnboarding,
+    attachDocument,
+    getOnboardings,
+    reviewDocument
+};
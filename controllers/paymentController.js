@@ -0,0 +1,255 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const paymentService = require('../services/paymentService');
+const accessService = require('../services/accessService');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Create (or reuse) a payment order for a booking
+ * @route   POST /api/payments/orders
+ * @access  Private
+ */
+const createOrder = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.body.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.user.toString() !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'payments:manage', booking.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to pay for this booking'
+            });
+        }
+
+        if (['cancelled', 'completed'].includes(booking.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot pay for a ${booking.status} booking`
+            });
+        }
+
+        if (['paid', 'refunded'].includes(booking.paymentStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: `Booking payment is already ${booking.paymentStatus}`
+            });
+        }
+
+        const { checkout } = await paymentService.createOrderForBooking(booking);
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment order created successfully',
+            data: checkout
+        });
+    } catch (error) {
+        console.error('Create payment order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating payment order',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Verify the checkout callback and mark the booking paid
+ * @route   POST /api/payments/verify
+ * @access  Private
+ */
+const verifyPayment = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { orderId, paymentId, signature } = req.body;
+
+        const payment = await paymentService.verifyCheckout({ orderId, paymentId, signature });
+
+        if (!payment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment verification failed'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Payment verified successfully',
+            data: {
+                orderId: payment.orderId,
+                paymentId: payment.paymentId,
+                status: payment.status,
+                booking: payment.booking
+            }
+        });
+    } catch (error) {
+        console.error('Verify payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying payment',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Receive signed payment gateway webhooks
+ * @route   POST /api/payments/webhook
+ * @access  Public (signature verified)
+ */
+const handleWebhook = async (req, res) => {
+    try {
+        const result = await paymentService.handleWebhook(req.rawBody, req.headers, req.body);
+
+        if (!result.verified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        // Acknowledge every verified event so the gateway stops retrying
+        res.json({
+            success: true,
+            message: result.ignored ? 'Event ignored' : 'Event processed'
+        });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing webhook'
+        });
+    }
+};
+
+/**
+ * @desc    Get payments of a booking
+ * @route   GET /api/payments/booking/:bookingId
+ * @access  Private
+ */
+const getBookingPayments = async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (booking.user.toString() !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'bookings:read', booking.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this booking'
+            });
+        }
+
+        const payments = await Payment.find({ booking: booking._id })
+            .select('-events')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                paymentStatus: booking.paymentStatus,
+                payments
+            }
+        });
+    } catch (error) {
+        console.error('Get booking payments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching payments',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Refund a booking payment
+ * @route   POST /api/payments/booking/:bookingId/refund
+ * @access  Private (payments:manage)
+ */
+const refundBookingPayment = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.params.bookingId);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        const amount = req.body.amount || booking.totalAmount;
+        const refund = await paymentService.refundBooking(booking, amount, req.body.reason || 'Refund by admin');
+
+        if (!refund) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking has no captured payment to refund'
+            });
+        }
+
+        await booking.save();
+
+        res.json({
+            success: true,
+            message: 'Refund initiated successfully',
+            data: {
+                refund,
+                paymentStatus: booking.paymentStatus,
+                refundAmount: booking.refundAmount
+            }
+        });
+    } catch (error) {
+        console.error('Refund booking payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while refunding payment',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    createOrder,
+    verifyPayment,
+    handleWebhook,
+    getBookingPayments,
+    refundBookingPayment
+};
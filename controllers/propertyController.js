@@ -1,6 +1,29 @@
 const Property = require('../models/Property');
+const Landmark = require('../models/Landmark');
+const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const { deleteMultipleImages } = require('./imageController');
+const propertyAlertService = require('../services/propertyAlertService');
+const propertySearchService = require('../services/propertySearchService');
+const accessService = require('../services/accessService');
+const cityService = require('../services/cityService');
+
+// Fill the city and state in from the chosen locality; false once an error response is sent
+const linkLocality = async (req, res) => {
+    try {
+        await cityService.applyLocality(req.body.location);
+        return true;
+    } catch (error) {
+        if (!error.isOperational) {
+            throw error;
+        }
+        res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+        return false;
+    }
+};
 
 /**
  * @desc    Get all properties with filters and pagination
@@ -12,47 +35,12 @@ const getProperties = async (req, res) => {
         const {
             page = 1,
             limit = 10,
-            type,
-            minPrice,
-            maxPrice,
-            amenities,
-            search,
-            sharingType,
             sortBy = 'createdAt',
-            sortOrder = 'desc',
-            isAvailable,
-            isFeatured
+            sortOrder = 'desc'
         } = req.query;
 
         // Build query
-        const query = {};
-
-        // if (isAvailable !== undefined) query.isAvailable = isAvailable === 'true';
-        if (isAvailable) query.isAvailable = isAvailable;
-        if (isFeatured !== undefined) query.isFeatured = isFeatured === 'true';
-        if (type) query.type = type;
-        if (sharingType) {
-            query['sharingType.type'] = { $in: sharingType };
-        }
-
-
-        // Amenities filter
-        if (amenities) {
-            const amenitiesArray = amenities.split(',');
-            query.amenities = { $in: amenitiesArray };
-        }
-
-        // Text search on title and description
-        if (search) {
-            const regex = new RegExp(search, 'i');
-            query.$or = [
-                { title: regex },
-                { description: regex },
-                { 'location.city': regex },
-                { 'location.state': regex },
-                { 'location.address': regex }
-            ];
-        }
+        const query = Property.buildSearchQuery(req.query);
 
         // Pagination
         const pageNum = parseInt(page);
@@ -93,6 +81,35 @@ const getProperties = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Search properties with filter counts for every facet
+ * @route   GET /api/properties/search
+ * @access  Public
+ */
+const searchProperties = async (req, res) => {
+    try {
+        const { properties, facets, total, page, limit } = await propertySearchService.search(req.query);
+
+        res.status(200).json({
+            success: true,
+            count: properties.length,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: { properties, facets }
+        });
+    } catch (error) {
+        console.error('Property search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 /**
  * @desc    Get single property
  * @route   GET /api/properties/:id
@@ -136,9 +153,9 @@ const getProperty = async (req, res) => {
 };
 
 /**
- * @desc    Create new property (Admin only)
+ * @desc    Create new property
  * @route   POST /api/properties
- * @access  Private/Admin
+ * @access  Private (properties:create)
  */
 const createProperty = async (req, res) => {
     try {
@@ -151,14 +168,20 @@ const createProperty = async (req, res) => {
             });
         }
 
-        // Add owner to req.body
+        // Add owner to req.body; managers are assigned once the property exists
         req.body.owner = req.user.id;
+        delete req.body.managers;
+
+        if (!(await linkLocality(req, res))) return;
 
         const property = await Property.create(req.body);
 
         // Populate owner info
         await property.populate('owner', 'name email phone');
 
+        // Alert users whose saved searches or preferences match
+        await propertyAlertService.queue(property, 'new');
+
         res.status(201).json({
             success: true,
             message: 'Property created successfully',
@@ -176,7 +199,7 @@ const createProperty = async (req, res) => {
 /**
  * @desc    Update property
  * @route   PUT /api/properties/:id
- * @access  Private/Admin
+ * @access  Private (properties:update)
  */
 const updateProperty = async (req, res) => {
     try {
@@ -198,20 +221,32 @@ const updateProperty = async (req, res) => {
             });
         }
 
-        // Make sure user is property owner or admin
-        if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+        // Make sure user owns or manages the property
+        if (!(await accessService.canAccessProperty(req.user, 'properties:update', property._id))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to update this property'
             });
         }
 
+        // Ownership and staff are changed through their own endpoint
+        delete req.body.owner;
+        delete req.body.managers;
+
+        if (!(await linkLocality(req, res))) return;
+
+        const wasAvailable = property.isAvailable;
+
         property = await Property.findByIdAndUpdate(
             req.params.id,
             req.body,
             { new: true, runValidators: true }
         ).populate('owner', 'name email phone');
 
+        if (!wasAvailable && property.isAvailable) {
+            await propertyAlertService.queue(property, 'available');
+        }
+
         res.status(200).json({
             success: true,
             message: 'Property updated successfully',
@@ -235,7 +270,7 @@ const updateProperty = async (req, res) => {
 /**
  * @desc    Delete property
  * @route   DELETE /api/properties/:id
- * @access  Private/Admin
+ * @access  Private (properties:delete)
  */
 const deleteProperty = async (req, res) => {
     try {
@@ -248,8 +283,7 @@ const deleteProperty = async (req, res) => {
             });
         }
 
-        // Make sure user is property owner or admin
-        if (property.owner.toString() !== req.user.id && req.user.role !== 'admin') {
+        if (!(await accessService.canAccessProperty(req.user, 'properties:delete', property._id))) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to delete this property'
@@ -288,40 +322,69 @@ const deleteProperty = async (req, res) => {
 };
 
 /**
- * @desc    Search properties by location (with coordinates)
+ * @desc    Available properties near a point or landmark, nearest first, with their distance in km
  * @route   GET /api/properties/search/location
  * @access  Public
  */
 const searchByLocation = async (req, res) => {
     try {
-        const { lat, lng, radius = 10, limit = 20 } = req.query;
-
-        if (!lat || !lng) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Latitude and longitude are required'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        const properties = await Property.find({
-            isAvailable: true,
-            'location.coordinates': {
-                $near: {
-                    $geometry: {
-                        type: 'Point',
-                        coordinates: [parseFloat(lng), parseFloat(lat)]
-                    },
-                    $maxDistance: radius * 1000 // Convert km to meters
-                }
+        const { lat, lng, landmark: landmarkId } = req.query;
+        const params = { ...req.query };
+        let origin;
+        let landmark = null;
+
+        if (landmarkId) {
+            landmark = await Landmark.findOne({ _id: landmarkId, isVisible: true })
+                .select('name slug type city location radius')
+                .lean();
+            if (!landmark) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Landmark not found'
+                });
             }
-        })
-            .populate('owner', 'name email phone')
-            .limit(parseInt(limit));
+            origin = landmark.location;
+            params.radius = params.radius || landmark.radius;
+        } else {
+            origin = cityService.toPoint({ lat, lng });
+        }
+
+        if (!origin) {
+            return res.status(400).json({
+                success: false,
+                message: 'Latitude and longitude, or a landmark, are required'
+            });
+        }
+
+        const { properties, total, page, limit, radius } = await propertySearchService.searchNear(origin, params);
 
         res.status(200).json({
             success: true,
             count: properties.length,
-            data: { properties }
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            data: {
+                properties,
+                origin: {
+                    lat: origin.coordinates[1],
+                    lng: origin.coordinates[0],
+                    radius,
+                    landmark
+                }
+            }
         });
     } catch (error) {
         console.error('Location search error:', error);
@@ -366,7 +429,7 @@ const getFeaturedProperties = async (req, res) => {
 /**
  * @desc    Get property statistics (Admin only)
  * @route   GET /api/properties/stats
- * @access  Private/Admin
+ * @access  Private (properties:stats)
  */
 const getPropertyStats = async (req, res) => {
     try {
@@ -545,8 +608,8 @@ const getPaginatedPropertyTitles = async (req, res) => {
 
 /**
  * @desc    Delete multiple properties
- * @route   DELETE /api/properties
- * @access  Private/Admin
+ * @route   DELETE /api/properties/delete-multiple
+ * @access  Private (properties:delete)
  */
 const deleteMultipleProperties = async (req, res) => {
     try {
@@ -606,16 +669,74 @@ const deleteMultipleProperties = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Set the property managers who run a property
+ * @route   PUT /api/properties/:id/managers
+ * @access  Private (properties:staff)
+ */
+const updatePropertyManagers = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const property = await Property.findById(req.params.id);
+
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const managerIds = [...new Set(req.body.managers)];
+        const managers = await User.find({ _id: { $in: managerIds }, role: 'manager' }).select('name email phone');
+
+        if (managers.length !== managerIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Every user assigned must exist and have the manager role'
+            });
+        }
+
+        property.managers = managerIds;
+        await property.save();
+
+        res.json({
+            success: true,
+            message: 'Property managers updated successfully',
+            data: {
+                property: property._id,
+                managers
+            }
+        });
+    } catch (error) {
+        console.error('Update property managers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating property managers',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     getProperties,
     getProperty,
     createProperty,
     updateProperty,
     deleteProperty,
+    searchProperties,
     searchByLocation,
     getFeaturedProperties,
     getPropertyStats,
     getSimilarProperties,
     getPaginatedPropertyTitles,
-    deleteMultipleProperties
+    deleteMultipleProperties,
+    updatePropertyManagers
 };
\ No newline at end of file
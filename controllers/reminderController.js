@@ -0,0 +1,128 @@
+const User = require('../models/User');
+const Job = require('../models/Job');
+const { validationResult } = require('express-validator');
+
+const PREFERENCE_KEYS = ['visits', 'checkIn', 'rentDue', 'sms', 'email'];
+
+/**
+ * @desc    Get the reminder preferences of the logged in user
+ * @route   GET /api/reminders/preferences
+ * @access  Private
+ */
+const getReminderPreferences = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('reminderPreferences');
+
+        res.json({
+            success: true,
+            data: user.reminderPreferences
+        });
+    } catch (error) {
+        console.error('Get reminder preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reminder preferences',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Opt in or out of reminders
+ * @route   PUT /api/reminders/preferences
+ * @access  Private
+ */
+const updateReminderPreferences = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const update = {};
+        PREFERENCE_KEYS.forEach(key => {
+            if (req.body[key] !== undefined) {
+                update[`reminderPreferences.${key}`] = req.body[key];
+            }
+        });
+
+        const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true })
+            .select('reminderPreferences');
+
+        res.json({
+            success: true,
+            message: 'Reminder preferences updated successfully',
+            data: user.reminderPreferences
+        });
+    } catch (error) {
+        console.error('Update reminder preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating reminder preferences',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get scheduled jobs
+ * @route   GET /api/reminders/jobs
+ * @access  Private/Admin
+ */
+const getJobs = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status && Job.JOB_STATUSES.includes(req.query.status)) {
+            filter.status = req.query.status;
+        }
+        if (req.query.name) {
+            filter.name = req.query.name;
+        }
+
+        const [jobs, total, byStatus] = await Promise.all([
+            Job.find(filter)
+                .sort({ runAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Job.countDocuments(filter),
+            Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+        ]);
+
+        res.json({
+            success: true,
+            data: jobs,
+            summary: byStatus.reduce((acc, item) => {
+                acc[item._id] = item.count;
+                return acc;
+            }, {}),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalJobs: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching jobs',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getReminderPreferences,
+    updateReminderPreferences,
+    getJobs
+};
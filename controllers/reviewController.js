@@ -0,0 +1,537 @@
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const Property = require('../models/Property');
+const SpamReport = require('../models/SpamReport');
+const spamDetectionService = require('../services/spamDetectionService');
+const accessService = require('../services/accessService');
+const { spamActions, actionThresholds } = require('../utils/spamUtils');
+const { validationResult } = require('express-validator');
+
+// Run a review through spam detection: reject it outright, hold it for moderation or publish it
+const screenReview = async (review, userId) => {
+    const result = await spamDetectionService.detectSpam(
+        { _id: review._id, title: review.title, comments: review.comment },
+        'review',
+        userId
+    );
+    const score = result.overallScore || 0;
+
+    review.spamCheck = {
+        score,
+        riskLevel: result.riskLevel,
+        reasons: result.reasons || []
+    };
+
+    if (score >= actionThresholds[spamActions.AUTO_REJECT]) {
+        return 'reject';
+    }
+
+    if (result.isSpam || score >= actionThresholds[spamActions.MANUAL_REVIEW]) {
+        review.status = 'pending';
+        await SpamReport.create({
+            contentType: 'review',
+            contentId: review._id,
+            reportedUserId: userId,
+            reportType: 'automated',
+            detectionResult: result,
+            status: 'pending'
+        }).catch(error => console.error('Failed to create spam report:', error));
+        return 'hold';
+    }
+
+    review.status = 'published';
+    return 'publish';
+};
+
+const pickRatings = (ratings = {}) => Review.RATING_CRITERIA.reduce((picked, criterion) => {
+    if (ratings[criterion] !== undefined) {
+        picked[criterion] = ratings[criterion];
+    }
+    return picked;
+}, {});
+
+/**
+ * @desc    Get published reviews of a property with its rating summary
+ * @route   GET /api/reviews/property/:propertyId
+ * @access  Public
+ */
+const getPropertyReviews = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const property = await Property.findById(req.params.propertyId).select('title rating');
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const sortOptions = {
+            recent: { createdAt: -1 },
+            highest: { overall: -1, createdAt: -1 },
+            lowest: { overall: 1, createdAt: -1 }
+        };
+
+        const filter = { property: property._id, status: 'published' };
+
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .select('-spamCheck')
+                .populate('user', 'name avatar')
+                .populate('reply.repliedBy', 'name role')
+                .sort(sortOptions[req.query.sort] || sortOptions.recent)
+                .skip(skip)
+                .limit(limit),
+            Review.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                rating: property.rating,
+                reviews
+            },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalReviews: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get property reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reviews',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get reviews written by the logged in user
+ * @route   GET /api/reviews/my-reviews
+ * @access  Private
+ */
+const getMyReviews = async (req, res) => {
+    try {
+        const reviews = await Review.find({ user: req.user.id })
+            .populate('property', 'title location images')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: reviews
+        });
+    } catch (error) {
+        console.error('Get my reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reviews',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get reviews for moderation
+ * @route   GET /api/reviews
+ * @access  Private (reviews:moderate)
+ */
+const getReviews = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status && Review.REVIEW_STATUSES.includes(req.query.status)) {
+            filter.status = req.query.status;
+        }
+        if (req.query.property) {
+            filter.property = req.query.property;
+        }
+
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .populate('user', 'name email')
+                .populate('property', 'title')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Review.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: reviews,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalReviews: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching reviews',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Review a completed stay
+ * @route   POST /api/reviews
+ * @access  Private
+ */
+const createReview = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const booking = await Booking.findById(req.body.booking);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        // Verified stays only: the reviewer must have completed this booking
+        if (booking.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only review your own stays'
+            });
+        }
+
+        if (booking.status !== 'completed') {
+            return res.status(400).json({
+                success: false,
+                message: 'You can review a property once your stay is completed'
+            });
+        }
+
+        if (booking.reviewSubmitted || await Review.exists({ booking: booking._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reviewed this stay'
+            });
+        }
+
+        const review = new Review({
+            property: booking.property,
+            user: req.user.id,
+            booking: booking._id,
+            ratings: pickRatings(req.body.ratings),
+            title: req.body.title,
+            comment: req.body.comment
+        });
+
+        const outcome = await screenReview(review, req.user.id);
+        if (outcome === 'reject') {
+            return res.status(400).json({
+                success: false,
+                message: 'Review rejected due to spam detection'
+            });
+        }
+
+        await review.save();
+
+        booking.reviewSubmitted = true;
+        await booking.save();
+
+        await Review.recalculatePropertyRating(review.property);
+
+        res.status(201).json({
+            success: true,
+            message: outcome === 'hold'
+                ? 'Review submitted and will be published after moderation'
+                : 'Review published successfully',
+            data: review
+        });
+    } catch (error) {
+        console.error('Create review error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reviewed this stay'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating review',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Edit a review
+ * @route   PUT /api/reviews/:id
+ * @access  Private (author)
+ */
+const updateReview = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        if (review.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to edit this review'
+            });
+        }
+
+        if (review.status === 'rejected') {
+            return res.status(400).json({
+                success: false,
+                message: 'Rejected reviews cannot be edited'
+            });
+        }
+
+        if (req.body.ratings) {
+            review.ratings = { ...review.ratings.toObject(), ...pickRatings(req.body.ratings) };
+        }
+        if (req.body.title !== undefined) {
+            review.title = req.body.title;
+        }
+        if (req.body.comment !== undefined) {
+            review.comment = req.body.comment;
+        }
+
+        const outcome = await screenReview(review, req.user.id);
+        if (outcome === 'reject') {
+            return res.status(400).json({
+                success: false,
+                message: 'Review rejected due to spam detection'
+            });
+        }
+
+        await review.save();
+        await Review.recalculatePropertyRating(review.property);
+
+        res.json({
+            success: true,
+            message: outcome === 'hold'
+                ? 'Review updated and will be published after moderation'
+                : 'Review updated successfully',
+            data: review
+        });
+    } catch (error) {
+        console.error('Update review error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating review',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete a review; a moderator can pass allowResubmit=true to let the guest review the stay again
+ * @route   DELETE /api/reviews/:id
+ * @access  Private (author or reviews:moderate)
+ */
+const deleteReview = async (req, res) => {
+    try {
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        const canModerate = accessService.hasPermission(req.user, 'reviews:moderate');
+
+        if (review.user.toString() !== req.user.id && !canModerate) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this review'
+            });
+        }
+
+        await review.deleteOne();
+
+        // The stay stays reviewed, so deleting can't be used to post a fresh review past moderation;
+        // only a moderator can reopen it for the guest
+        if (canModerate && req.query.allowResubmit === 'true') {
+            await Booking.updateOne({ _id: review.booking }, { reviewSubmitted: false });
+        }
+        await Review.recalculatePropertyRating(review.property);
+
+        res.json({
+            success: true,
+            message: 'Review deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting review',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Reply to a review
+ * @route   POST /api/reviews/:id/reply
+ * @access  Private (reviews:reply for the review's property)
+ */
+const replyToReview = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        if (!(await accessService.canAccessProperty(req.user, 'reviews:reply', review.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the property\'s owner or managers can reply to this review'
+            });
+        }
+
+        review.reply = {
+            text: req.body.text,
+            repliedBy: req.user.id,
+            repliedAt: new Date()
+        };
+        await review.save();
+
+        res.json({
+            success: true,
+            message: 'Reply posted successfully',
+            data: review
+        });
+    } catch (error) {
+        console.error('Reply to review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while replying to review',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Publish or reject a review held for moderation
+ * @route   PATCH /api/reviews/:id/moderate
+ * @access  Private (reviews:moderate)
+ */
+const moderateReview = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const review = await Review.findById(req.params.id);
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: 'Review not found'
+            });
+        }
+
+        review.status = req.body.status;
+        await review.save();
+
+        await SpamReport.updateMany(
+            { contentType: 'review', contentId: review._id, status: { $in: ['pending', 'under_review'] } },
+            {
+                status: review.status === 'published' ? 'false_positive' : 'confirmed',
+                reviewedBy: req.user.id
+            }
+        );
+
+        await Review.recalculatePropertyRating(review.property);
+
+        res.json({
+            success: true,
+            message: `Review ${review.status} successfully`,
+            data: review
+        });
+    } catch (error) {
+        console.error('Moderate review error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while moderating review',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getPropertyReviews,
+    getMyReviews,
+    getReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    replyToReview,
+    moderateReview
+};
@@ -0,0 +1,388 @@
+const Room = require('../models/Room');
+const Property = require('../models/Property');
+const { validationResult } = require('express-validator');
+
+/**
+ * @desc    Create a room with its beds under a property
+ * @route   POST /api/rooms
+ * @access  Private (rooms:manage)
+ */
+const createRoom = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const property = await Property.findById(req.body.property);
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const { roomNumber, floor, sharingType, roomOption, beds } = req.body;
+
+        const room = await Room.create({
+            property: property._id,
+            roomNumber,
+            floor,
+            sharingType,
+            roomOption,
+            beds: Array.isArray(beds) ? beds.map(label => ({ label })) : []
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Room created successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Create room error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A room with this number already exists for the property'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating room',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get all rooms and beds of a property
+ * @route   GET /api/rooms/property/:propertyId
+ * @access  Private (rooms:manage)
+ */
+const getPropertyRooms = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = { property: req.params.propertyId };
+
+        if (req.query.sharingType) {
+            filter.sharingType = req.query.sharingType;
+        }
+        if (req.query.bedStatus) {
+            filter['beds.status'] = req.query.bedStatus;
+        }
+
+        const rooms = await Room.find(filter)
+            .populate('beds.occupant', 'name email phone')
+            .populate('roomOption', 'roomType monthlyRent securityDeposit acType mealsIncluded')
+            .sort({ floor: 1, roomNumber: 1 });
+
+        res.json({
+            success: true,
+            count: rooms.length,
+            data: rooms
+        });
+    } catch (error) {
+        console.error('Get property rooms error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching rooms',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get bed occupancy of a property by sharing type
+ * @route   GET /api/rooms/property/:propertyId/occupancy
+ * @access  Public
+ */
+const getPropertyOccupancy = async (req, res) => {
+    try {
+        const property = await Property.findById(req.params.propertyId).select('title');
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const bySharingType = await Room.getBedSummary(property._id);
+
+        const totals = Object.values(bySharingType).reduce((acc, counts) => {
+            Object.keys(acc).forEach(key => {
+                acc[key] += counts[key];
+            });
+            return acc;
+        }, { total: 0, vacant: 0, reserved: 0, occupied: 0, maintenance: 0 });
+
+        const lettable = totals.total - totals.maintenance;
+
+        res.json({
+            success: true,
+            data: {
+                property: {
+                    id: property._id,
+                    title: property.title
+                },
+                totals,
+                occupancyRate: lettable > 0
+                    ? Math.round(((totals.occupied + totals.reserved) / lettable) * 100)
+                    : 0,
+                bySharingType
+            }
+        });
+    } catch (error) {
+        console.error('Get property occupancy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching occupancy',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get single room
+ * @route   GET /api/rooms/:id
+ * @access  Private (rooms:manage)
+ */
+const getRoom = async (req, res) => {
+    try {
+        const room = await Room.findById(req.params.id)
+            .populate('property', 'title location')
+            .populate('beds.occupant', 'name email phone')
+            .populate('beds.booking', 'checkIn checkOut status fullName');
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: room
+        });
+    } catch (error) {
+        console.error('Get room error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching room',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update room details
+ * @route   PUT /api/rooms/:id
+ * @access  Private (rooms:manage)
+ */
+const updateRoom = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { roomNumber, floor, roomOption, isActive } = req.body;
+
+        const room = await Room.findByIdAndUpdate(
+            req.params.id,
+            { roomNumber, floor, roomOption, isActive },
+            { new: true, runValidators: true }
+        );
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Room updated successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Update room error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating room',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete room
+ * @route   DELETE /api/rooms/:id
+ * @access  Private (rooms:manage)
+ */
+const deleteRoom = async (req, res) => {
+    try {
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        if (room.beds.some(bed => bed.booking)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete a room with reserved or occupied beds'
+            });
+        }
+
+        await room.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Room deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete room error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting room',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Add a bed to a room
+ * @route   POST /api/rooms/:id/beds
+ * @access  Private (rooms:manage)
+ */
+const addBed = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        room.beds.push({ label: req.body.label, notes: req.body.notes });
+        await room.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Bed added successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Add bed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding bed',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Mark a bed vacant or under maintenance
+ * @route   PATCH /api/rooms/:id/beds/:bedId
+ * @access  Private (rooms:manage)
+ */
+const updateBedStatus = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const room = await Room.findById(req.params.id);
+
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        const bed = room.beds.id(req.params.bedId);
+        if (!bed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bed not found'
+            });
+        }
+
+        // Reserved and occupied beds follow their booking
+        if (bed.booking) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bed is held by a booking; update the booking instead'
+            });
+        }
+
+        bed.status = req.body.status;
+        if (req.body.notes !== undefined) {
+            bed.notes = req.body.notes;
+        }
+        await room.save();
+
+        res.json({
+            success: true,
+            message: 'Bed status updated successfully',
+            data: room
+        });
+    } catch (error) {
+        console.error('Update bed status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating bed status',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    createRoom,
+    getPropertyRooms,
+    getPropertyOccupancy,
+    getRoom,
+    updateRoom,
+    deleteRoom,
+    addBed,
+    updateBedStatus
+};
@@ -45,6 +45,9 @@ const updateRoomOption = async (req, res) => {
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
+        // Moving an option to another property would skip the permission check on the target
+        delete req.body.property;
+
         const roomOption = await RoomOption.findByIdAndUpdate(req.params.id, req.body, {
             new: true,
             runValidators: true,
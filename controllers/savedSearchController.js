@@ -0,0 +1,345 @@
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const Notification = require('../models/Notification');
+const { validationResult } = require('express-validator');
+
+const LIST_FILTERS = ['amenities', 'sharingType'];
+
+// Keep only known filters; list filters may come as arrays or "a,b" strings like the listing query
+const pickFilters = (filters = {}) => SavedSearch.FILTER_KEYS.reduce((picked, key) => {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') {
+        return picked;
+    }
+    picked[key] = LIST_FILTERS.includes(key)
+        ? [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean)
+        : value;
+    return picked;
+}, {});
+
+const pickAlerts = (alerts = {}) => ['enabled', 'email', 'inApp'].reduce((picked, key) => {
+    if (typeof alerts[key] === 'boolean') {
+        picked[key] = alerts[key];
+    }
+    return picked;
+}, {});
+
+const findOwnSearch = (req) => SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+
+/**
+ * @desc    Get the logged in user's saved searches
+ * @route   GET /api/saved-searches
+ * @access  Private
+ */
+const getSavedSearches = async (req, res) => {
+    try {
+        const searches = await SavedSearch.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: searches.length,
+            data: searches
+        });
+    } catch (error) {
+        console.error('Get saved searches error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching saved searches',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Save a property search
+ * @route   POST /api/saved-searches
+ * @access  Private
+ */
+const createSavedSearch = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const count = await SavedSearch.countDocuments({ user: req.user.id });
+        if (count >= SavedSearch.MAX_SAVED_SEARCHES) {
+            return res.status(400).json({
+                success: false,
+                message: `You can save up to ${SavedSearch.MAX_SAVED_SEARCHES} searches`
+            });
+        }
+
+        const search = await SavedSearch.create({
+            user: req.user.id,
+            name: req.body.name,
+            filters: pickFilters(req.body.filters),
+            alerts: pickAlerts(req.body.alerts)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Search saved successfully',
+            data: search
+        });
+    } catch (error) {
+        console.error('Create saved search error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a saved search with this name'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving search',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Rename a saved search, change its filters or alert settings
+ * @route   PUT /api/saved-searches/:id
+ * @access  Private
+ */
+const updateSavedSearch = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const search = await findOwnSearch(req);
+
+        if (!search) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved search not found'
+            });
+        }
+
+        if (req.body.name !== undefined) {
+            search.name = req.body.name;
+        }
+        if (req.body.filters) {
+            search.filters = pickFilters(req.body.filters);
+        }
+        if (req.body.alerts) {
+            search.alerts = { ...search.alerts.toObject(), ...pickAlerts(req.body.alerts) };
+        }
+
+        await search.save();
+
+        res.json({
+            success: true,
+            message: 'Saved search updated successfully',
+            data: search
+        });
+    } catch (error) {
+        console.error('Update saved search error:', error);
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already have a saved search with this name'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating saved search',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Delete a saved search
+ * @route   DELETE /api/saved-searches/:id
+ * @access  Private
+ */
+const deleteSavedSearch = async (req, res) => {
+    try {
+        const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+        if (!search) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved search not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Saved search deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete saved search error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting saved search',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Run a saved search
+ * @route   GET /api/saved-searches/:id/results
+ * @access  Private
+ */
+const getSavedSearchResults = async (req, res) => {
+    try {
+        const search = await findOwnSearch(req);
+
+        if (!search) {
+            return res.status(404).json({
+                success: false,
+                message: 'Saved search not found'
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+        const query = search.toQuery();
+
+        const [properties, total] = await Promise.all([
+            Property.find(query)
+                .populate('owner', 'name email phone')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Property.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                search,
+                properties
+            },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalProperties: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get saved search results error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while running saved search',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get in-app property alerts
+ * @route   GET /api/saved-searches/alerts
+ * @access  Private
+ */
+const getPropertyAlerts = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user.id, type: 'property-alert' };
+        if (req.query.unread === 'true') {
+            filter.readAt = null;
+        }
+
+        const [alerts, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .populate('property', 'title location images sharingType isAvailable')
+                .populate('savedSearch', 'name')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ user: req.user.id, type: 'property-alert', readAt: null })
+        ]);
+
+        res.json({
+            success: true,
+            data: alerts,
+            unreadCount,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalAlerts: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get property alerts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching alerts',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Mark property alerts as read; all of them when no ids are given
+ * @route   PATCH /api/saved-searches/alerts/read
+ * @access  Private
+ */
+const markPropertyAlertsRead = async (req, res) => {
+    try {
+        const filter = { user: req.user.id, type: 'property-alert', readAt: null };
+        if (Array.isArray(req.body.ids) && req.body.ids.length) {
+            filter._id = { $in: req.body.ids };
+        }
+
+        const result = await Notification.updateMany(filter, { readAt: new Date() });
+
+        res.json({
+            success: true,
+            message: 'Alerts marked as read',
+            data: { updated: result.modifiedCount }
+        });
+    } catch (error) {
+        console.error('Mark property alerts read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating alerts',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getSavedSearches,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    getSavedSearchResults,
+    getPropertyAlerts,
+    markPropertyAlertsRead
+};
@@ -0,0 +1,105 @@
+const Property = require('../models/Property');
+const { validationResult } = require('express-validator');
+const seoService = require('../services/seoService');
+
+// Crawlers fetch these often; let proxies and CDNs serve them for a while
+const CACHE_CONTROL = `public, max-age=${parseInt(process.env.SEO_CACHE_SECONDS, 10) || 3600}`;
+
+const sendSeoError = (res, error, context) => {
+    console.error(`${context} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`,
+        error: error.message
+    });
+};
+
+const feedUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+
+/**
+ * @desc    Sitemap of property, city and published blog pages
+ * @route   GET /api/seo/sitemap.xml
+ * @access  Public
+ */
+const getSitemap = async (req, res) => {
+    try {
+        const xml = await seoService.buildSitemap();
+
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.type('application/xml').send(xml);
+    } catch (error) {
+        sendSeoError(res, error, 'Building sitemap');
+    }
+};
+
+/**
+ * @desc    RSS feed of published blogs
+ * @route   GET /api/seo/blogs/rss.xml
+ * @access  Public
+ */
+const getBlogRssFeed = async (req, res) => {
+    try {
+        const xml = await seoService.buildRssFeed(feedUrl(req));
+
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.type('application/rss+xml').send(xml);
+    } catch (error) {
+        sendSeoError(res, error, 'Building RSS feed');
+    }
+};
+
+/**
+ * @desc    Atom feed of published blogs
+ * @route   GET /api/seo/blogs/atom.xml
+ * @access  Public
+ */
+const getBlogAtomFeed = async (req, res) => {
+    try {
+        const xml = await seoService.buildAtomFeed(feedUrl(req));
+
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.type('application/atom+xml').send(xml);
+    } catch (error) {
+        sendSeoError(res, error, 'Building Atom feed');
+    }
+};
+
+/**
+ * @desc    schema.org structured data for a property page
+ * @route   GET /api/seo/properties/:id/json-ld
+ * @access  Public
+ */
+const getPropertyJsonLd = async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const property = await Property.findById(req.params.id)
+            .select('title description images location sharingType amenities phone rating isAvailable')
+            .lean();
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        res.set('Cache-Control', CACHE_CONTROL);
+        res.type('application/ld+json').send(JSON.stringify(seoService.buildPropertyJsonLd(property)));
+    } catch (error) {
+        sendSeoError(res, error, 'Building property structured data');
+    }
+};
+
+module.exports = {
+    getSitemap,
+    getBlogRssFeed,
+    getBlogAtomFeed,
+    getPropertyJsonLd
+};
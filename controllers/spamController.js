@@ -1,6 +1,8 @@
 // controllers/spamController.js
 const SpamReport = require('../models/SpamReport');
 const spamDetectionService = require('../services/spamDetectionService');
+const statusNotificationService = require('../services/statusNotificationService');
+const realtimeService = require('../services/realtimeService');
 const User = require('../models/User');
 const Property = require('../models/Property');
 const Booking = require('../models/Booking');
@@ -147,6 +149,8 @@ class SpamController {
                 await this.takeAction(report, action);
             }
 
+            await statusNotificationService.spamReportReviewed(report);
+
             res.json({
                 success: true,
                 message: 'Report reviewed successfully',
@@ -179,6 +183,7 @@ class SpamController {
                     if (action !== 'none') {
                         await this.takeAction(report, action);
                     }
+                    await statusNotificationService.spamReportReviewed(report);
                     return report;
                 })
             );
@@ -274,6 +279,20 @@ class SpamController {
                 }
             });
 
+            await statusNotificationService.spamReportSubmitted(report);
+
+            const event = {
+                id: report._id,
+                contentType: report.contentType,
+                category: report.category,
+                severity: report.severity,
+                priority: report.priority
+            };
+            realtimeService.publish('spam.report.created', event);
+            if (report.isUrgent) {
+                realtimeService.publish('spam.report.urgent', event);
+            }
+
             res.status(201).json({
                 success: true,
                 message: 'Report submitted successfully',
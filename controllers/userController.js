@@ -350,6 +350,7 @@ const getUserStats = async (req, res) => {
         const verifiedUsers = await User.countDocuments({ isVerified: true });
         const adminUsers = await User.countDocuments({ role: 'admin' });
         const regularUsers = await User.countDocuments({ role: 'user' });
+        const byRole = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
 
         // Get user registration stats for the last 30 days
         const thirtyDaysAgo = new Date();
@@ -390,6 +391,10 @@ const getUserStats = async (req, res) => {
                 unverifiedUsers: totalUsers - verifiedUsers,
                 adminUsers,
                 regularUsers,
+                usersByRole: byRole.reduce((acc, item) => {
+                    acc[item._id] = item.count;
+                    return acc;
+                }, {}),
                 recentRegistrations,
                 monthlyStats
             }
@@ -1,4 +1,9 @@
 const UserDocument = require('../models/UserDocuments');
+const onboardingService = require('../services/onboardingService');
+const accessService = require('../services/accessService');
+
+// Residents manage their own documents; KYC reviewers can manage anyone's
+const canManage = (doc, user) => doc.user.toString() === user.id || accessService.hasPermission(user, 'onboarding:review');
 
 // Create a new document
 exports.createDocument = async (req, res) => {
@@ -22,9 +27,13 @@ exports.createDocument = async (req, res) => {
 // Get document by ID
 exports.getDocumentById = async (req, res) => {
     try {
-        const doc = await UserDocument.findById(req.params.id).populate('user');
+        const doc = await UserDocument.findById(req.params.id).populate('user', 'name email phone');
         if (!doc) return res.status(404).json({ success: false, message: 'Document not found' });
 
+        if (doc.user._id.toString() !== req.user.id && !accessService.hasPermission(req.user, 'documents:read')) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this document' });
+        }
+
         return res.json({ success: true, data: doc });
     } catch (error) {
         return res.status(400).json({ success: false, message: error.message });
@@ -73,19 +82,45 @@ exports.getUserDocuments = async (req, res) => {
 // Update document by ID
 exports.updateDocumentById = async (req, res) => {
     try {
-        const docId = req.params.id;
-        const updateData = req.body;
+        const doc = await UserDocument.findById(req.params.id);
+        if (!doc) return res.status(404).json({ success: false, message: 'Document not found' });
 
-        const doc = await UserDocument.findByIdAndUpdate(docId, updateData, {
-            new: true,
-            runValidators: true
-        });
+        if (!canManage(doc, req.user)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to update this document' });
+        }
 
-        if (!doc) return res.status(404).json({ success: false, message: 'Document not found' });
+        const { type, subType, documentUrl, status, rejectionReason } = req.body;
+        const replaced = [type, subType, documentUrl].some(value => value !== undefined);
+
+        if (type !== undefined) doc.type = type;
+        if (subType !== undefined) doc.subType = subType;
+        if (documentUrl !== undefined) doc.documentUrl = documentUrl;
+
+        // A changed document has to be verified again
+        if (replaced) {
+            doc.status = 'pending';
+            doc.rejectionReason = null;
+            doc.reviewedBy = null;
+            doc.reviewedAt = null;
+        }
+
+        await doc.save();
+
+        // Only reviewers set the status; the review updates the resident's onboarding checklists
+        if (accessService.hasPermission(req.user, 'onboarding:review') && status && status !== 'pending') {
+            const { document } = await onboardingService.reviewDocument(
+                doc._id,
+                { status, reason: rejectionReason },
+                req.user.id
+            );
+            return res.json({ success: true, data: document });
+        }
+
+        await onboardingService.syncDocument(doc);
 
         return res.json({ success: true, data: doc });
     } catch (error) {
-        return res.status(400).json({ success: false, message: error.message });
+        return res.status(error.statusCode || 400).json({ success: false, message: error.message });
     }
 };
 
@@ -94,9 +129,16 @@ exports.deleteDocumentById = async (req, res) => {
     try {
         const docId = req.params.id;
 
-        const doc = await UserDocument.findByIdAndDelete(docId);
+        const doc = await UserDocument.findById(docId);
         if (!doc) return res.status(404).json({ success: false, message: 'Document not found' });
 
+        if (!canManage(doc, req.user)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to delete this document' });
+        }
+
+        await doc.deleteOne();
+        await onboardingService.detachDocument(doc);
+
         return res.json({ success: true, message: 'Document deleted successfully' });
     } catch (error) {
         return res.status(500).json({ success: false, message: error.message });
@@ -0,0 +1,547 @@
+const Visit = require('../models/Visit');
+const Property = require('../models/Property');
+const visitSchedulingService = require('../services/visitSchedulingService');
+const accessService = require('../services/accessService');
+const statusNotificationService = require('../services/statusNotificationService');
+const leadService = require('../services/leadService');
+const realtimeService = require('../services/realtimeService');
+const { validationResult } = require('express-validator');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return true;
+    }
+    return false;
+};
+
+// Scheduler errors carry their own status code; anything else is a server error
+const sendSchedulingError = (res, error, context) => {
+    if (error.isOperational) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${context} error:`, error);
+    return res.status(500).json({
+        success: false,
+        message: `Server error while ${context.toLowerCase()}`,
+        error: error.message
+    });
+};
+
+/**
+ * @desc    Get open visiting slots of a property for a date
+ * @route   GET /api/visits/slots?property=:propertyId&date=YYYY-MM-DD
+ * @access  Public
+ */
+const getOpenSlots = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const property = await Property.findById(req.query.property).select('title visitSettings');
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const date = visitSchedulingService.parseDate(req.query.date);
+        const slots = await visitSchedulingService.getSlots(property, date);
+
+        res.json({
+            success: true,
+            data: {
+                property: property._id,
+                date: req.query.date,
+                modes: visitSchedulingService.getSettings(property).modes,
+                slots: req.query.includeFull === 'true' ? slots : slots.filter(slot => slot.available > 0)
+            }
+        });
+    } catch (error) {
+        sendSchedulingError(res, error, 'Fetching visit slots');
+    }
+};
+
+/**
+ * @desc    Book a visit into an open slot
+ * @route   POST /api/visits
+ * @access  Public (user attached when logged in)
+ */
+const createVisit = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        // Older clients send propertyId / fullName
+        const propertyId = req.body.property || req.body.propertyId;
+        const property = await Property.findById(propertyId).select('title visitSettings');
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const { date, timeSlot, mode, phone, email, gender, sharing, description } = req.body;
+
+        const visit = await visitSchedulingService.scheduleVisit(property, {
+            user: req.user ? req.user._id : null,
+            name: req.body.name || req.body.fullName,
+            phone,
+            email,
+            gender,
+            sharing,
+            mode,
+            description,
+            date,
+            timeSlot
+        });
+
+        await leadService.trackVisit(visit);
+
+        realtimeService.publish('visit.created', {
+            id: visit._id,
+            property: { id: property._id, title: property.title },
+            name: visit.name,
+            mode: visit.mode,
+            scheduledAt: visit.scheduledAt
+        }, { property: property._id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Visit scheduled successfully',
+            data: visit
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        sendSchedulingError(res, error, 'Scheduling visit');
+    }
+};
+
+/**
+ * @desc    Get all visits with filters
+ * @route   GET /api/visits
+ * @access  Private (visits:read)
+ */
+const getVisits = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const filter = {};
+
+        if (req.query.property) {
+            filter.property = req.query.property;
+        }
+        if (req.query.mode && ['physical', 'virtual'].includes(req.query.mode)) {
+            filter.mode = req.query.mode;
+        }
+        if (req.query.status && Visit.VISIT_STATUSES.includes(req.query.status)) {
+            filter.status = req.query.status;
+        }
+        if (req.query.date) {
+            const date = visitSchedulingService.parseDate(req.query.date);
+            if (date) {
+                filter.date = date;
+            }
+        }
+        if (req.query.search) {
+            const regex = new RegExp(escapeRegExp(req.query.search), 'i');
+            filter.$or = [
+                { name: regex },
+                { phone: regex },
+                { email: regex },
+                { description: regex }
+            ];
+        }
+
+        // Owners and managers only see their own properties' visits
+        accessService.restrictToScope(filter, req.propertyScope);
+
+        const sort = req.query.sort === 'upcoming' ? { scheduledAt: 1 } : { createdAt: -1 };
+
+        const [visits, total] = await Promise.all([
+            Visit.find(filter)
+                .populate('property', 'title location')
+                .populate('user', 'name email')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            Visit.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: visits,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalVisits: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Get visits error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching visits',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get visits of the logged in user
+ * @route   GET /api/visits/my-visits
+ * @access  Private
+ */
+const getMyVisits = async (req, res) => {
+    try {
+        const visits = await Visit.find({ user: req.user.id })
+            .populate('property', 'title location images')
+            .sort({ scheduledAt: -1 });
+
+        res.json({
+            success: true,
+            data: visits
+        });
+    } catch (error) {
+        console.error('Get my visits error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching visits',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get visit statistics
+ * @route   GET /api/visits/stats
+ * @access  Private (visits:read)
+ */
+const getVisitStats = async (req, res) => {
+    try {
+        const scope = accessService.scopeMatch(req.propertyScope);
+
+        const [byStatus, total, upcoming, latest] = await Promise.all([
+            Visit.aggregate([{ $match: scope }, { $group: { _id: '$status', count: { $sum: 1 } } }]),
+            Visit.countDocuments(scope),
+            Visit.countDocuments({ ...scope, status: { $in: Visit.ACTIVE_STATUSES }, scheduledAt: { $gte: new Date() } }),
+            Visit.findOne(scope).sort({ createdAt: -1 })
+        ]);
+
+        const counts = Visit.VISIT_STATUSES.reduce((acc, status) => {
+            const group = byStatus.find(item => item._id === status);
+            acc[status] = group ? group.count : 0;
+            return acc;
+        }, {});
+
+        res.json({
+            success: true,
+            data: {
+                total,
+                ...counts,
+                upcoming,
+                recent: latest
+            }
+        });
+    } catch (error) {
+        console.error('Get visit stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching visit statistics',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get a visit
+ * @route   GET /api/visits/:id
+ * @access  Private (visitor or visits:read)
+ */
+const getVisit = async (req, res) => {
+    try {
+        const visit = await Visit.findById(req.params.id)
+            .populate('property', 'title location')
+            .populate('user', 'name email');
+
+        if (!visit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Visit not found'
+            });
+        }
+
+        const ownerId = visit.user ? visit.user._id.toString() : null;
+        if (ownerId !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'visits:read', visit.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this visit'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: visit
+        });
+    } catch (error) {
+        console.error('Get visit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching visit',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update a visit: status, reschedule or details
+ * @route   PUT /api/visits/:id
+ * @access  Private (visits:manage)
+ */
+const updateVisit = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const visit = await Visit.findById(req.params.id);
+        if (!visit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Visit not found'
+            });
+        }
+
+        const property = await Property.findById(visit.property).select('visitSettings');
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        const { date, timeSlot, status, mode, description } = req.body;
+
+        if (date || timeSlot) {
+            await visitSchedulingService.rescheduleVisit(visit, property, date, timeSlot);
+        }
+        const statusChanged = status && status !== visit.status;
+        if (statusChanged) {
+            await visitSchedulingService.changeStatus(visit, property, status);
+        }
+        if (mode) {
+            visit.mode = mode;
+        }
+        if (description !== undefined) {
+            visit.description = description;
+        }
+
+        await visit.save();
+
+        if (statusChanged) {
+            await statusNotificationService.visitStatusChanged(visit, req.user.id);
+            await leadService.trackVisit(visit);
+        }
+
+        res.json({
+            success: true,
+            message: 'Visit updated successfully',
+            data: visit
+        });
+    } catch (error) {
+        sendSchedulingError(res, error, 'Updating visit');
+    }
+};
+
+/**
+ * @desc    Cancel a visit
+ * @route   PUT /api/visits/:id/cancel
+ * @access  Private (visitor or visits:manage)
+ */
+const cancelVisit = async (req, res) => {
+    try {
+        const visit = await Visit.findById(req.params.id);
+        if (!visit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Visit not found'
+            });
+        }
+
+        const ownerId = visit.user ? visit.user.toString() : null;
+        if (ownerId !== req.user.id &&
+            !(await accessService.canAccessProperty(req.user, 'visits:manage', visit.property))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to cancel this visit'
+            });
+        }
+
+        if (!visit.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a ${visit.status} visit`
+            });
+        }
+
+        await visitSchedulingService.changeStatus(visit, null, 'cancelled');
+        await visit.save();
+
+        await statusNotificationService.visitStatusChanged(visit, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Visit cancelled successfully',
+            data: visit
+        });
+    } catch (error) {
+        sendSchedulingError(res, error, 'Cancelling visit');
+    }
+};
+
+/**
+ * @desc    Delete a visit
+ * @route   DELETE /api/visits/:id
+ * @access  Private (visits:manage)
+ */
+const deleteVisit = async (req, res) => {
+    try {
+        const visit = await Visit.findById(req.params.id);
+        if (!visit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Visit not found'
+            });
+        }
+
+        await visitSchedulingService.releaseVisit(visit);
+        await visit.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Visit deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete visit error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting visit',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Get the visiting hours and slot settings of a property
+ * @route   GET /api/visits/settings/:propertyId
+ * @access  Public
+ */
+const getVisitSettings = async (req, res) => {
+    try {
+        const property = await Property.findById(req.params.propertyId).select('visitSettings');
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: visitSchedulingService.getSettings(property)
+        });
+    } catch (error) {
+        console.error('Get visit settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching visit settings',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Update the visiting hours and slot settings of a property
+ * @route   PUT /api/visits/settings/:propertyId
+ * @access  Private (visit-settings:manage)
+ */
+const updateVisitSettings = async (req, res) => {
+    try {
+        if (sendValidationErrors(req, res)) return;
+
+        const property = await Property.findById(req.params.propertyId);
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        if (!(await accessService.canAccessProperty(req.user, 'visit-settings:manage', property._id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this property'
+            });
+        }
+
+        ['isEnabled', 'hours', 'slotDuration', 'slotCapacity', 'modes', 'advanceBookingDays'].forEach(key => {
+            if (req.body[key] !== undefined) {
+                property.set(`visitSettings.${key}`, req.body[key]);
+            }
+        });
+
+        await property.save();
+
+        res.json({
+            success: true,
+            message: 'Visit settings updated successfully',
+            data: visitSchedulingService.getSettings(property)
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Update visit settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating visit settings',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getOpenSlots,
+    createVisit,
+    getVisits,
+    getMyVisits,
+    getVisitStats,
+    getVisit,
+    updateVisit,
+    cancelVisit,
+    deleteVisit,
+    getVisitSettings,
+    updateVisitSettings
+};
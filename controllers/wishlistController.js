@@ -0,0 +1,122 @@
+const User = require('../models/User');
+const Property = require('../models/Property');
+
+/**
+ * @desc    Get the logged in user's wishlist
+ * @route   GET /api/wishlist
+ * @access  Private
+ */
+const getWishlist = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .select('wishlist')
+            .populate('wishlist.property', 'title type location images sharingType isAvailable rating');
+
+        // Drop entries whose property has since been deleted
+        const wishlist = user.wishlist
+            .filter(item => item.property)
+            .sort((a, b) => b.addedAt - a.addedAt);
+
+        res.json({
+            success: true,
+            count: wishlist.length,
+            data: wishlist
+        });
+    } catch (error) {
+        console.error('Get wishlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching wishlist',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Save a property to the wishlist
+ * @route   POST /api/wishlist/:propertyId
+ * @access  Private
+ */
+const addToWishlist = async (req, res) => {
+    try {
+        const property = await Property.findById(req.params.propertyId).select('_id');
+
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+
+        // Only push when the property isn't saved yet
+        const result = await User.updateOne(
+            { _id: req.user.id, 'wishlist.property': { $ne: property._id } },
+            { $push: { wishlist: { property: property._id, addedAt: new Date() } } }
+        );
+
+        res.status(result.modifiedCount ? 201 : 200).json({
+            success: true,
+            message: result.modifiedCount
+                ? 'Property added to wishlist'
+                : 'Property is already in your wishlist'
+        });
+    } catch (error) {
+        console.error('Add to wishlist error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Property not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating wishlist',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc    Remove a property from the wishlist
+ * @route   DELETE /api/wishlist/:propertyId
+ * @access  Private
+ */
+const removeFromWishlist = async (req, res) => {
+    try {
+        const result = await User.updateOne(
+            { _id: req.user.id },
+            { $pull: { wishlist: { property: req.params.propertyId } } }
+        );
+
+        if (!result.modifiedCount) {
+            return res.status(404).json({
+                success: false,
+                message: 'Property is not in your wishlist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Property removed from wishlist'
+        });
+    } catch (error) {
+        console.error('Remove from wishlist error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Property is not in your wishlist'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating wishlist',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -14,6 +15,25 @@ const protect = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Refresh and one-off tokens are signed with the same secret but aren't access tokens,
+            // and every access token belongs to a session
+            if (decoded.type !== 'access' || !decoded.sid) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Not authorized, invalid token'
+                });
+            }
+
+            // Access tokens stop working as soon as their session is signed out
+            if (!(await sessionService.isActive(decoded.sid))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session has expired or was signed out'
+                });
+            }
+            req.sessionId = decoded.sid;
+            req.tokenExpiresAt = new Date(decoded.exp * 1000);
+
             // Get user from token
             req.user = await User.findById(decoded.id).select('-password');
 
@@ -50,7 +70,11 @@ const optionalAuth = async (req, res, next) => {
         try {
             token = req.headers.authorization.split(' ')[1];
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded.type !== 'access' || !decoded.sid || !(await sessionService.isActive(decoded.sid))) {
+                throw new Error('Invalid session');
+            }
             req.user = await User.findById(decoded.id).select('-password');
+            req.sessionId = decoded.sid;
         } catch (error) {
             // Silently fail for optional auth
             req.user = null;
@@ -60,6 +84,31 @@ const optionalAuth = async (req, res, next) => {
     next();
 };
 
+// Protect event streams - EventSource can't set headers, so a single-use ticket may come in the
+// query string instead; the access token itself never goes in a URL, where it would be logged
+const protectStream = async (req, res, next) => {
+    if (req.headers.authorization || !req.query.ticket) {
+        return protect(req, res, next);
+    }
+
+    try {
+        const { user, sessionId, expiresAt } = await sessionService.redeemStreamTicket(req.query.ticket);
+        req.user = user;
+        req.sessionId = sessionId;
+        req.tokenExpiresAt = expiresAt;
+    } catch (error) {
+        if (!error.isOperational) {
+            console.error('Stream ticket verification error:', error);
+        }
+        return res.status(401).json({
+            success: false,
+            message: error.isOperational ? error.message : 'Not authorized, ticket failed'
+        });
+    }
+
+    next();
+};
+
 // Grant access to specific roles
 const authorize = (...roles) => {
 
@@ -96,6 +145,7 @@ const requireVerification = (req, res, next) => {
 
 module.exports = {
     protect,
+    protectStream,
     optionalAuth,
     authorize,
     requireVerification
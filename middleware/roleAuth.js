@@ -1,80 +1,20 @@
-// Role-based authorization middleware
-
-const adminOnly = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication required'
-        });
-    }
-
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({
-            success: false,
-            message: 'Admin access required'
-        });
-    }
-
-    next();
-};
-
-const managerOrAdmin = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication required'
-        });
-    }
-
-    if (!['admin', 'manager'].includes(req.user.role)) {
-        return res.status(403).json({
-            success: false,
-            message: 'Admin or Manager access required'
-        });
-    }
-
-    next();
-};
-
-const ownerOrAdmin = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication required'
-        });
-    }
-
-    if (!['admin', 'owner'].includes(req.user.role)) {
-        return res.status(403).json({
-            success: false,
-            message: 'Property owner or Admin access required'
-        });
-    }
-
-    next();
-};
-
-const userOrAdmin = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({
-            success: false,
-            message: 'Authentication required'
-        });
-    }
-
-    if (!['admin', 'user', 'owner', 'manager'].includes(req.user.role)) {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied'
-        });
-    }
-
-    next();
-};
-
-// Check if user owns the resource or is admin
-const resourceOwnerOrAdmin = (resourceField = 'user') => {
-    return (req, res, next) => {
+// Permission-based authorization middleware
+const mongoose = require('mongoose');
+const accessService = require('../services/accessService');
+
+/**
+ * Require a permission from the matrix in config/permissions.js.
+ *
+ * Without a resolver the route is a listing: owners and managers get through
+ * and req.propertyScope holds the property IDs they may see (null for
+ * unrestricted roles) for the controller to filter on. With a resolver, the
+ * property it returns must be inside the user's scope.
+ *
+ * @param {string} permission - Permission key
+ * @param {Function} [resolveProperty] - async (req) => property ID, or undefined when not found
+ */
+const requirePermission = (permission, resolveProperty) => {
+    return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
                 success: false,
@@ -82,23 +22,68 @@ const resourceOwnerOrAdmin = (resourceField = 'user') => {
             });
         }
 
-        // Admin can access everything
-        if (req.user.role === 'admin') {
-            return next();
+        if (!accessService.hasPermission(req.user, permission)) {
+            return res.status(403).json({
+                success: false,
+                message: `Role '${req.user.role}' does not have the ${permission} permission`
+            });
         }
 
-        // For resource owner check, we'll need to implement this in the controller
-        // as we need to fetch the resource first
-        req.checkResourceOwner = true;
-        req.resourceField = resourceField;
-        next();
+        try {
+            req.propertyScope = await accessService.getPropertyScope(req.user, permission);
+
+            if (resolveProperty && req.propertyScope !== null) {
+                const propertyId = await resolveProperty(req);
+
+                // Let the controller answer 404 for records that don't exist
+                if (propertyId === undefined) {
+                    return next();
+                }
+
+                if (!propertyId || !req.propertyScope.includes(propertyId.toString())) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Not authorized for this property'
+                    });
+                }
+            }
+
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error while checking permissions',
+                error: error.message
+            });
+        }
     };
 };
 
+// Property ID taken straight from a route parameter or body field
+const propertyFromParam = (param = 'propertyId') => async (req) => req.params[param];
+
+const propertyFromBody = (field = 'property') => async (req) => req.body[field] || null;
+
+/**
+ * Property ID of the record a route parameter points at, e.g.
+ * propertyFrom('Booking') for /bookings/:id
+ * @param {string} modelName - Mongoose model with a property field
+ * @param {string} param - Route parameter holding the record ID
+ * @param {string} field - Property field on the model
+ */
+const propertyFrom = (modelName, param = 'id', field = 'property') => async (req) => {
+    if (!mongoose.isValidObjectId(req.params[param])) {
+        return undefined;
+    }
+
+    const record = await mongoose.model(modelName).findById(req.params[param]).select(field).lean();
+    return record ? record[field] : undefined;
+};
+
 module.exports = {
-    adminOnly,
-    managerOrAdmin,
-    ownerOrAdmin,
-    userOrAdmin,
-    resourceOwnerOrAdmin
-};
\ No newline at end of file
+    requirePermission,
+    propertyFromParam,
+    propertyFromBody,
+    propertyFrom
+};
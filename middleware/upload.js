@@ -127,6 +127,9 @@ module.exports = {
     // Raw multer instance (if needed)
     multer: upload,
 
+    // Error handling for another multer instance, e.g. the Cloudinary uploads in config/cloudinary
+    withErrorHandling: uploadWithErrorHandling,
+
     // Error handler
     handleMulterError
 };
@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES, SELF_SERVICE_ROLES } = require('../config/permissions');
 // const sanitizeHtml = require('sanitize-html');
 
 // Helper function to handle validation results
@@ -40,8 +41,8 @@ const validateRegister = [
 
     body('role')
         .optional()
-        .isIn(['user', 'owner', 'admin'])
-        .withMessage('Role must be either user, owner, or admin'),
+        .isIn(SELF_SERVICE_ROLES)
+        .withMessage(`Role must be one of: ${SELF_SERVICE_ROLES.join(', ')}`),
 
     handleValidationErrors
 ];
@@ -347,8 +348,8 @@ const validateUserUpdate = [
 
     body('role')
         .optional()
-        .isIn(['user', 'owner', 'admin'])
-        .withMessage('Role must be either user, owner, or admin'),
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
 
     body('isActive')
         .optional()
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const AGREEMENT_STATUSES = ['pending_acceptance', 'accepted', 'void'];
+
+const agreementSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required'],
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    template: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AgreementTemplate'
+        },
+        name: String,
+        version: Number
+    },
+    // Values the placeholders were filled with
+    terms: {
+        residentName: String,
+        residentPhone: String,
+        propertyTitle: String,
+        roomNumber: String,
+        bedLabel: String,
+        sharing: String,
+        checkIn: Date,
+        checkOut: Date,
+        monthlyRent: Number,
+        securityDeposit: Number,
+        lockInMonths: Number,
+        noticePeriodDays: Number,
+        houseRules: [String]
+    },
+    content: {
+        type: String,
+        required: [true, 'Agreement content is required']
+    },
+    // SHA-256 of the content the resident was shown
+    contentHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: AGREEMENT_STATUSES,
+            message: 'Please select a valid agreement status'
+        },
+        default: 'pending_acceptance'
+    },
+    otp: {
+        hash: { type: String, select: false },
+        expiresAt: { type: Date, select: false },
+        attempts: { type: Number, default: 0, select: false },
+        sentAt: { type: Date, select: false }
+    },
+    acceptance: {
+        acceptedAt: Date,
+        phone: String,
+        ip: String,
+        userAgent: String
+    },
+    signedCopy: {
+        pdf: {
+            type: Buffer,
+            select: false
+        },
+        pdfHash: String,
+        signature: String,
+        signedAt: Date
+    },
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+agreementSchema.index({ user: 1, createdAt: -1 });
+agreementSchema.index({ property: 1, status: 1 });
+
+// Virtual for agreement number
+agreementSchema.virtual('agreementNumber').get(function () {
+    return `AG${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+// Static method to hash agreement content or a signed PDF
+agreementSchema.statics.hash = function (data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+};
+
+// Static method to hash an acceptance OTP; keyed with a secret and the agreement ID,
+// since a six-digit code alone is trivial to recover from a plain hash
+agreementSchema.statics.hashOtp = function (agreementId, otp) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+    return crypto.createHmac('sha256', secret).update(`${agreementId}:${otp}`).digest('hex');
+};
+
+// Instance method to check an OTP against the stored hash
+agreementSchema.methods.matchesOtp = function (otp) {
+    if (!this.otp || !this.otp.hash) {
+        return false;
+    }
+    const expected = Buffer.from(this.otp.hash, 'hex');
+    const actual = Buffer.from(this.constructor.hashOtp(this._id, otp), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Instance method to check the content hasn't changed since it was generated
+agreementSchema.methods.isContentIntact = function () {
+    return this.constructor.hash(this.content) === this.contentHash;
+};
+
+agreementSchema.statics.AGREEMENT_STATUSES = AGREEMENT_STATUSES;
+
+module.exports = mongoose.model('Agreement', agreementSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Placeholders a template body can use, e.g. "{{residentName}}"
+const PLACEHOLDERS = [
+    'agreementNumber', 'agreementDate', 'bookingReference',
+    'residentName', 'residentEmail', 'residentPhone',
+    'propertyTitle', 'propertyAddress', 'roomNumber', 'bedLabel', 'sharing',
+    'checkIn', 'checkOut', 'monthlyRent', 'securityDeposit',
+    'lockInMonths', 'noticePeriodDays', 'houseRules'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const agreementTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        unique: true,
+        maxlength: [100, 'Template name cannot exceed 100 characters']
+    },
+    body: {
+        type: String,
+        required: [true, 'Template body is required'],
+        maxlength: [50000, 'Template body cannot exceed 50000 characters']
+    },
+    lockInMonths: {
+        type: Number,
+        default: 0,
+        min: [0, 'Lock-in period cannot be negative']
+    },
+    noticePeriodDays: {
+        type: Number,
+        default: 30,
+        min: [0, 'Notice period cannot be negative']
+    },
+    // Agreements record the version they were generated from
+    version: {
+        type: Number,
+        default: 1
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+agreementTemplateSchema.pre('validate', function (next) {
+    const unknown = [...(this.body || '').matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !PLACEHOLDERS.includes(name));
+
+    if (unknown.length) {
+        this.invalidate('body', `Unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+    }
+    next();
+});
+
+agreementTemplateSchema.pre('save', function (next) {
+    if (!this.isNew && this.isModified('body')) {
+        this.version += 1;
+    }
+    next();
+});
+
+// Only one default template
+agreementTemplateSchema.post('save', async function (doc) {
+    if (doc.isDefault) {
+        await doc.constructor.updateMany(
+            { _id: { $ne: doc._id }, isDefault: true },
+            { isDefault: false }
+        );
+    }
+});
+
+// Instance method to fill in the placeholders
+agreementTemplateSchema.methods.render = function (values) {
+    return this.body.replace(PLACEHOLDER_PATTERN, (match, name) => (
+        values[name] === undefined || values[name] === null ? '' : String(values[name])
+    ));
+};
+
+// Static method to pick the template to use: the one asked for, else the default
+agreementTemplateSchema.statics.resolve = function (templateId) {
+    if (templateId) {
+        return this.findOne({ _id: templateId, isActive: true });
+    }
+    return this.findOne({ isDefault: true, isActive: true });
+};
+
+agreementTemplateSchema.statics.PLACEHOLDERS = PLACEHOLDERS;
+
+module.exports = mongoose.model('AgreementTemplate', agreementTemplateSchema);
@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 
+const BLOG_STATUSES = ['draft', 'scheduled', 'published'];
+
+// markdown: content.markdown holds the body; blocks: content.blocks from the rich-text editor
+const CONTENT_FORMATS = ['markdown', 'blocks'];
+
+const BLOCK_TYPES = ['paragraph', 'heading', 'list', 'quote', 'image', 'code', 'embed'];
+
+// Fields saved in a revision each time a post is edited
+const REVISIONED_FIELDS = ['title', 'excerpt', 'content', 'coverImage', 'authorBio', 'category', 'tags', 'seo'];
+
+const WORDS_PER_MINUTE = 200;
+
+const EXCERPT_LENGTH = 200;
+
+const blockSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: {
+            values: BLOCK_TYPES,
+            message: 'Please select a valid block type'
+        },
+        required: true
+    },
+    // paragraph, heading, quote and code
+    text: {
+        type: String,
+        maxlength: [20000, 'Block text cannot exceed 20000 characters']
+    },
+    // heading
+    level: {
+        type: Number,
+        min: 2,
+        max: 4
+    },
+    // list
+    items: [String],
+    ordered: Boolean,
+    // image and embed
+    url: String,
+    alt: String,
+    caption: String,
+    // code
+    language: String
+}, { _id: false });
+
 const blogSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -17,26 +62,82 @@ const blogSchema = new mongoose.Schema({
         unique: true,
         lowercase: true
     },
-    category: {
+    // Slugs the post had before its title changed; reads by these redirect to the current slug
+    previousSlugs: [{
         type: String,
-        enum: ['technology', 'lifestyle'], // extendable
-        required: true
+        lowercase: true
+    }],
+    // Generated from the body when left empty
+    excerpt: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Excerpt cannot exceed 300 characters']
+    },
+    content: {
+        format: {
+            type: String,
+            enum: {
+                values: CONTENT_FORMATS,
+                message: 'Please select a valid content format'
+            },
+            default: 'markdown'
+        },
+        markdown: {
+            type: String,
+            maxlength: [100000, 'Content cannot exceed 100000 characters']
+        },
+        blocks: [blockSchema]
+    },
+    coverImage: {
+        url: String,
+        alt: {
+            type: String,
+            trim: true,
+            maxlength: [150, 'Alt text cannot exceed 150 characters']
+        }
+    },
+    // Shown with the post instead of the author's profile bio when set
+    authorBio: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Author bio cannot exceed 500 characters']
+    },
+    category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BlogCategory',
+        required: [true, 'Category is required']
+    },
+    tags: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BlogTag'
+    }],
+    // Minutes, worked out from the body on save
+    readingTime: {
+        type: Number,
+        default: 1
     },
     status: {
         type: String,
-        enum: ['published', 'draft'],
+        enum: BLOG_STATUSES,
         default: 'draft'
     },
+    // Unique visitors per day; see BlogView
     views: {
         type: Number,
         default: 0
     },
+    // Scheduled posts are published by a job at this time
     publishDate: {
         type: Date,
         required: function () {
-            return this.status === 'published';
+            return this.status === 'published' || this.status === 'scheduled';
         }
     },
+    // Latest BlogRevision number
+    revision: {
+        type: Number,
+        default: 0
+    },
     seo: {
         title: {
             type: String,
@@ -51,4 +152,75 @@ const blogSchema = new mongoose.Schema({
     timestamps: true
 });
 
-module.exports = mongoose.model('Blog', blogSchema);
\ No newline at end of file
+blogSchema.index({ status: 1, publishDate: -1 });
+blogSchema.index({ category: 1, status: 1 });
+blogSchema.index({ tags: 1 });
+blogSchema.index({ previousSlugs: 1 });
+
+// Instance method to get the body as plain text, for reading time and excerpts
+blogSchema.methods.getPlainText = function () {
+    const content = this.content || {};
+
+    if (content.format === 'blocks') {
+        return (content.blocks || [])
+            .map(block => [block.text, ...(block.items || []), block.caption].filter(Boolean).join(' '))
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    return (content.markdown || '')
+        .replace(/```[^\n]*\n?/g, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_~`]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+blogSchema.pre('validate', function (next) {
+    const blocks = (this.content && this.content.blocks) || [];
+    blocks.forEach((block, index) => {
+        const path = `content.blocks.${index}`;
+        if (['paragraph', 'heading', 'quote', 'code'].includes(block.type) && !block.text) {
+            this.invalidate(path, `A ${block.type} block needs text`);
+        }
+        if (block.type === 'list' && !(block.items && block.items.length)) {
+            this.invalidate(path, 'A list block needs at least one item');
+        }
+        if (['image', 'embed'].includes(block.type) && !block.url) {
+            this.invalidate(path, `An ${block.type} block needs a URL`);
+        }
+    });
+
+    if (this.status === 'scheduled' && (this.isModified('status') || this.isModified('publishDate')) &&
+        this.publishDate && this.publishDate <= new Date()) {
+        this.invalidate('publishDate', 'Scheduled posts need a publish date in the future');
+    }
+
+    next();
+});
+
+blogSchema.pre('save', function (next) {
+    if (this.isNew || this.isModified('content') || this.isModified('excerpt')) {
+        const text = this.getPlainText();
+        const words = text ? text.split(' ').length : 0;
+        this.readingTime = Math.max(1, Math.ceil(words / WORDS_PER_MINUTE));
+
+        if (!this.excerpt && text) {
+            this.excerpt = text.length > EXCERPT_LENGTH
+                ? `${text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`
+                : text;
+        }
+    }
+    next();
+});
+
+blogSchema.statics.BLOG_STATUSES = BLOG_STATUSES;
+blogSchema.statics.CONTENT_FORMATS = CONTENT_FORMATS;
+blogSchema.statics.BLOCK_TYPES = BLOCK_TYPES;
+blogSchema.statics.REVISIONED_FIELDS = REVISIONED_FIELDS;
+
+module.exports = mongoose.model('Blog', blogSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const blogCategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        trim: true,
+        maxlength: [50, 'Category name cannot exceed 50 characters']
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Description cannot exceed 300 characters']
+    },
+    // Position in the blog navigation, lowest first
+    order: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('BlogCategory', blogCategorySchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One saved version of a post's editable fields; see Blog.REVISIONED_FIELDS
+const blogRevisionSchema = new mongoose.Schema({
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true
+    },
+    revision: {
+        type: Number,
+        required: true
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set when this revision was made by restoring an older one
+    restoredFrom: Number
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('BlogRevision', blogRevisionSchema);
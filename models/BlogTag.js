@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const blogTagSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tag name is required'],
+        trim: true,
+        maxlength: [40, 'Tag name cannot exceed 40 characters']
+    },
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('BlogTag', blogTagSchema);
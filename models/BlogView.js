@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A visitor's first read of a post on a day; later reads that day aren't counted
+const blogViewSchema = new mongoose.Schema({
+    blog: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Blog',
+        required: true
+    },
+    // Hash of the user ID, or of the day, IP address and user agent for anonymous readers
+    visitor: {
+        type: String,
+        required: true
+    },
+    // UTC date, YYYY-MM-DD
+    day: {
+        type: String,
+        required: true
+    },
+    // Only needed until the day is over
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 60 * 60 * 48
+    }
+});
+
+blogViewSchema.index({ blog: 1, visitor: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('BlogView', blogViewSchema);
@@ -63,6 +63,10 @@ const bookingSchema = new mongoose.Schema({
         min: [1, 'At least 1 guest is required'],
         max: [20, 'Maximum 20 guests allowed']
     },
+    monthlyRent: {
+        type: Number,
+        min: [0, 'Monthly rent cannot be negative']
+    },
     totalAmount: {
         type: Number,
         required: [true, 'Total amount is required'],
@@ -86,8 +90,11 @@ const bookingSchema = new mongoose.Schema({
     },
     paymentMethod: {
         type: String,
-        enum: ['credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash'],
-        default: 'credit_card'
+        enum: ['online', 'upi', 'credit_card', 'debit_card', 'paypal', 'bank_transfer', 'cash'],
+        default: 'online'
+    },
+    paymentOrderId: {
+        type: String
     },
     paymentId: {
         type: String
@@ -105,6 +112,52 @@ const bookingSchema = new mongoose.Schema({
         default: 0,
         min: [0, 'Refund amount cannot be negative']
     },
+    // Refund terms of the cancellation policy in force when the booking was made
+    cancellationPolicy: {
+        policy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CancellationPolicy'
+        },
+        name: String,
+        type: {
+            type: String
+        },
+        revision: Number,
+        tiers: [{
+            _id: false,
+            minDaysBeforeCheckIn: Number,
+            refundPercentage: Number
+        }],
+        bookingFee: {
+            type: {
+                type: String
+            },
+            value: Number
+        }
+    },
+    // Audit record of how the refund was worked out on cancellation
+    cancellation: {
+        cancelledAt: Date,
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        policyName: String,
+        policyRevision: Number,
+        daysUntilCheckIn: Number,
+        refundPercentage: Number,
+        bookingFee: Number,
+        refundAmount: Number
+    },
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        default: null
+    },
+    bed: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
     reviewSubmitted: {
         type: Boolean,
         default: false
@@ -148,72 +201,88 @@ bookingSchema.virtual('bookingReference').get(function () {
     return `BK${this._id.toString().slice(-8).toUpperCase()}`;
 });
 
-// Pre-save middleware to calculate total amount
-bookingSchema.pre('save', async function (next) {
-    if (this.isNew || this.isModified('checkIn') || this.isModified('checkOut')) {
+// Pre-validate middleware to calculate rent and total amount for the stay.
+// The amount is only ever priced here; a booking without a rent to price it from is invalid.
+bookingSchema.pre('validate', async function () {
+    if (!(this.isNew || this.isModified('checkIn') || this.isModified('checkOut') || this.isModified('sharing'))) {
+        return;
+    }
+    if (!this.property || !this.sharing || !this.checkIn || !this.checkOut) {
+        return;
+    }
+
+    const RoomOption = mongoose.model('RoomOption');
+    const monthlyRent = await RoomOption.findMonthlyRent(this.property, this.sharing);
+
+    if (monthlyRent === null) {
+        this.invalidate('sharing', `No monthly rent is set for ${this.sharing} sharing at this property`);
+        return;
+    }
+
+    this.monthlyRent = monthlyRent;
+    this.totalAmount = Math.round((monthlyRent / 30) * this.duration);
+});
+
+// Pre-validate middleware to record the cancellation policy in force at booking time
+bookingSchema.pre('validate', async function (next) {
+    if (this.isNew && !this.cancellationPolicy?.tiers?.length) {
         try {
-            const Property = mongoose.model('Property');
-            const property = await Property.findById(this.property);
+            const CancellationPolicy = mongoose.model('CancellationPolicy');
+            const policy = await CancellationPolicy.resolveForProperty(this.property);
 
-            if (property) {
-                const days = this.duration;
-                this.totalAmount = property.price * days;
-            }
+            this.cancellationPolicy = policy ? policy.toSnapshot() : CancellationPolicy.PRESETS.moderate;
         } catch (error) {
-            console.error('Error calculating total amount:', error);
+            console.error('Error resolving cancellation policy:', error);
         }
     }
     next();
 });
 
-// Static method to check availability
-bookingSchema.statics.checkAvailability = async function (propertyId, checkIn, checkOut, excludeBookingId = null) {
+// Static method to check bed availability for a sharing type over a date range
+bookingSchema.statics.checkAvailability = async function (propertyId, sharing, checkIn, checkOut, excludeBookingId = null) {
+    const Room = mongoose.model('Room');
+
     const query = {
         property: propertyId,
+        sharing,
         status: { $in: ['confirmed', 'in-progress'] },
-        $or: [
-            {
-                checkIn: { $lte: checkIn },
-                checkOut: { $gt: checkIn }
-            },
-            {
-                checkIn: { $lt: checkOut },
-                checkOut: { $gte: checkOut }
-            },
-            {
-                checkIn: { $gte: checkIn },
-                checkOut: { $lte: checkOut }
-            }
-        ]
+        checkIn: { $lt: checkOut },
+        checkOut: { $gt: checkIn }
     };
 
     if (excludeBookingId) {
         query._id = { $ne: excludeBookingId };
     }
 
-    const conflictingBookings = await this.find(query);
-    return conflictingBookings.length === 0;
+    const [totalBeds, bookedBeds] = await Promise.all([
+        Room.countLettableBeds(propertyId, sharing),
+        this.countDocuments(query)
+    ]);
+
+    const availableBeds = Math.max(totalBeds - bookedBeds, 0);
+
+    return {
+        available: availableBeds > 0,
+        totalBeds,
+        bookedBeds,
+        availableBeds
+    };
 };
 
-// Instance method to calculate refund amount
-bookingSchema.methods.calculateRefund = function () {
-    const now = new Date();
-    const checkInDate = new Date(this.checkIn);
-    const daysUntilCheckIn = Math.ceil((checkInDate - now) / (1000 * 60 * 60 * 24));
-
-    let refundPercentage = 0;
-
-    if (daysUntilCheckIn > 7) {
-        refundPercentage = 0.9; // 90% refund
-    } else if (daysUntilCheckIn > 3) {
-        refundPercentage = 0.5; // 50% refund
-    } else if (daysUntilCheckIn > 1) {
-        refundPercentage = 0.25; // 25% refund
-    } else {
-        refundPercentage = 0; // No refund
-    }
+// Instance method to calculate the refund under the booking's cancellation policy
+bookingSchema.methods.calculateRefund = function (cancelledAt = new Date()) {
+    const CancellationPolicy = mongoose.model('CancellationPolicy');
 
-    return Math.round(this.totalAmount * refundPercentage);
+    // Bookings made before policies existed fall back to the original tiers
+    const terms = this.cancellationPolicy?.tiers?.length
+        ? this.cancellationPolicy
+        : CancellationPolicy.PRESETS.moderate;
+
+    return {
+        policyName: terms.name,
+        policyRevision: terms.revision,
+        ...CancellationPolicy.computeRefund(terms, this.totalAmount, this.checkIn, cancelledAt)
+    };
 };
 
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
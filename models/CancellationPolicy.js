@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+const POLICY_TYPES = ['flexible', 'moderate', 'strict', 'custom'];
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Built-in policies, used to seed presets and as the fallback when no policy is configured.
+// "moderate" reproduces the original 90/50/25/0 refund tiers.
+const PRESETS = {
+    flexible: {
+        name: 'Flexible',
+        type: 'flexible',
+        description: 'Full refund up to a day before check-in',
+        tiers: [
+            { minDaysBeforeCheckIn: 2, refundPercentage: 100 },
+            { minDaysBeforeCheckIn: 0, refundPercentage: 50 }
+        ],
+        bookingFee: { type: 'fixed', value: 0 }
+    },
+    moderate: {
+        name: 'Moderate',
+        type: 'moderate',
+        description: '90% refund more than a week before check-in, tapering to none a day before',
+        tiers: [
+            { minDaysBeforeCheckIn: 8, refundPercentage: 90 },
+            { minDaysBeforeCheckIn: 4, refundPercentage: 50 },
+            { minDaysBeforeCheckIn: 2, refundPercentage: 25 },
+            { minDaysBeforeCheckIn: 0, refundPercentage: 0 }
+        ],
+        bookingFee: { type: 'fixed', value: 0 }
+    },
+    strict: {
+        name: 'Strict',
+        type: 'strict',
+        description: '50% refund up to two weeks before check-in, none afterwards',
+        tiers: [
+            { minDaysBeforeCheckIn: 14, refundPercentage: 50 },
+            { minDaysBeforeCheckIn: 0, refundPercentage: 0 }
+        ],
+        bookingFee: { type: 'fixed', value: 0 }
+    }
+};
+
+const refundTierSchema = new mongoose.Schema({
+    minDaysBeforeCheckIn: {
+        type: Number,
+        required: [true, 'Days before check-in is required'],
+        min: [0, 'Days before check-in cannot be negative']
+    },
+    refundPercentage: {
+        type: Number,
+        required: [true, 'Refund percentage is required'],
+        min: [0, 'Refund percentage cannot be negative'],
+        max: [100, 'Refund percentage cannot exceed 100']
+    }
+}, { _id: false });
+
+const bookingFeeSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['fixed', 'percentage'],
+        default: 'fixed'
+    },
+    value: {
+        type: Number,
+        default: 0,
+        min: [0, 'Booking fee cannot be negative']
+    }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Policy name is required'],
+        trim: true,
+        unique: true,
+        maxlength: [100, 'Policy name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: POLICY_TYPES,
+            message: 'Please select a valid policy type'
+        },
+        default: 'custom'
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    tiers: {
+        type: [refundTierSchema],
+        validate: {
+            validator: function (tiers) {
+                const days = tiers.map(tier => tier.minDaysBeforeCheckIn);
+                return tiers.length > 0 && new Set(days).size === days.length;
+            },
+            message: 'At least one refund tier is required and tier days must be unique'
+        }
+    },
+    // Non-refundable part of the booking amount
+    bookingFee: {
+        type: bookingFeeSchema,
+        default: () => ({})
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Bumped whenever the refund terms change, so bookings record the exact terms they were made under
+    revision: {
+        type: Number,
+        default: 1
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Keep tiers ordered from the longest notice to the shortest
+cancellationPolicySchema.pre('save', function (next) {
+    if (this.isModified('tiers')) {
+        this.tiers.sort((a, b) => b.minDaysBeforeCheckIn - a.minDaysBeforeCheckIn);
+    }
+
+    if (!this.isNew && (this.isModified('tiers') || this.isModified('bookingFee'))) {
+        this.revision += 1;
+    }
+    next();
+});
+
+// Only one policy can be the default
+cancellationPolicySchema.post('save', async function () {
+    if (this.isDefault) {
+        await this.constructor.updateMany(
+            { _id: { $ne: this._id }, isDefault: true },
+            { isDefault: false }
+        );
+    }
+});
+
+// Static method to compute a refund from policy terms (a policy or a booking's snapshot of one)
+cancellationPolicySchema.statics.computeRefund = function (terms, amount, checkIn, cancelledAt = new Date()) {
+    const daysUntilCheckIn = Math.ceil((new Date(checkIn) - new Date(cancelledAt)) / DAY_MS);
+
+    const tiers = [...terms.tiers].sort((a, b) => b.minDaysBeforeCheckIn - a.minDaysBeforeCheckIn);
+    const tier = tiers.find(t => daysUntilCheckIn >= t.minDaysBeforeCheckIn);
+    const refundPercentage = tier ? tier.refundPercentage : 0;
+
+    const fee = terms.bookingFee || {};
+    const bookingFee = Math.min(
+        fee.type === 'percentage' ? Math.round(amount * (fee.value || 0) / 100) : (fee.value || 0),
+        amount
+    );
+
+    return {
+        daysUntilCheckIn,
+        refundPercentage,
+        bookingFee,
+        refundAmount: Math.round((amount - bookingFee) * refundPercentage / 100)
+    };
+};
+
+// Static method to find the policy a new booking at a property falls under
+cancellationPolicySchema.statics.resolveForProperty = async function (propertyId) {
+    const Property = mongoose.model('Property');
+    const property = await Property.findById(propertyId).select('cancellationPolicy');
+
+    if (property && property.cancellationPolicy) {
+        const policy = await this.findOne({ _id: property.cancellationPolicy, isActive: true });
+        if (policy) {
+            return policy;
+        }
+    }
+
+    return this.findOne({ isDefault: true, isActive: true });
+};
+
+// Instance method to capture the refund terms onto a booking
+cancellationPolicySchema.methods.toSnapshot = function () {
+    return {
+        policy: this._id,
+        name: this.name,
+        type: this.type,
+        revision: this.revision,
+        tiers: this.tiers.map(tier => ({
+            minDaysBeforeCheckIn: tier.minDaysBeforeCheckIn,
+            refundPercentage: tier.refundPercentage
+        })),
+        bookingFee: {
+            type: this.bookingFee.type,
+            value: this.bookingFee.value
+        }
+    };
+};
+
+cancellationPolicySchema.statics.POLICY_TYPES = POLICY_TYPES;
+cancellationPolicySchema.statics.PRESETS = PRESETS;
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
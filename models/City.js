@@ -1,10 +1,54 @@
 const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+// GeoJSON point, [longitude, latitude], for the city centre or a locality
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+    },
+    coordinates: {
+        type: [Number],
+        validate: {
+            validator: (value) => value.length === 2 &&
+                value[0] >= -180 && value[0] <= 180 && value[1] >= -90 && value[1] <= 90,
+            message: 'Coordinates must be [longitude, latitude]'
+        }
+    }
+}, { _id: false });
+
+// Point from { lat, lng }; undefined when either coordinate is missing
+const toPoint = (coordinates) => {
+    if (!coordinates || [coordinates.lat, coordinates.lng].some(value => value === undefined || value === null || value === '')) {
+        return undefined;
+    }
+    return { type: 'Point', coordinates: [Number(coordinates.lng), Number(coordinates.lat)] };
+};
 
 const citySchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
+        trim: true
+    },
+    // Landing page URL; follows the name unless set
+    slug: {
+        type: String,
+        unique: true,
+        sparse: true,
+        lowercase: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters']
     },
+    location: pointSchema,
     imageUrl: {
         type: String,
         required: true,
@@ -21,4 +65,16 @@ const citySchema = new mongoose.Schema({
     timestamps: true,
 });
 
-module.exports = mongoose.model('City', citySchema);
\ No newline at end of file
+citySchema.index({ location: '2dsphere' });
+
+citySchema.pre('validate', function (next) {
+    if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+        this.slug = slugify(this.name || '', { lower: true, strict: true });
+    }
+    next();
+});
+
+citySchema.statics.pointSchema = pointSchema;
+citySchema.statics.toPoint = toPoint;
+
+module.exports = mongoose.model('City', citySchema);
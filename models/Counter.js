@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Named sequence, incremented atomically so concurrent writers never share a number
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    versionKey: false
+});
+
+// Static method to create a sequence at a starting value; a no-op when it already exists
+counterSchema.statics.start = async function (key, seq = 0) {
+    try {
+        await this.create({ _id: key, seq });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+};
+
+// Static method to take the next number of a sequence
+counterSchema.statics.next = async function (key) {
+    const counter = await this.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_CHANNELS = ['sms', 'email', 'whatsapp', 'in_app'];
+
+// retrying: failed for now, another attempt is scheduled
+const DELIVERY_STATUSES = ['sent', 'failed', 'skipped', 'retrying'];
+
+const deliveryLogSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // What was sent, e.g. visit-reminder
+    type: {
+        type: String,
+        required: [true, 'Delivery type is required'],
+        trim: true
+    },
+    channel: {
+        type: String,
+        enum: DELIVERY_CHANNELS,
+        required: [true, 'Channel is required']
+    },
+    recipient: {
+        type: String,
+        trim: true
+    },
+    // Document the message is about
+    reference: {
+        kind: {
+            type: String,
+            enum: ['Visit', 'Booking', 'Invoice', 'Property', 'Agreement', 'UserDocument', 'SpamReport']
+        },
+        id: mongoose.Schema.Types.ObjectId
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        required: true
+    },
+    reason: {
+        type: String,
+        maxlength: 500
+    },
+    // Template version the message was rendered from (0 is the built-in default)
+    template: {
+        key: String,
+        version: Number
+    },
+    // Rendered message, kept so a retry sends exactly the same text; not stored for OTPs and reset links
+    content: {
+        type: {
+            subject: String,
+            body: String
+        },
+        select: false
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: Date,
+    providerMessageId: String,
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job'
+    }
+}, {
+    timestamps: true
+});
+
+deliveryLogSchema.index({ createdAt: -1 });
+deliveryLogSchema.index({ user: 1, createdAt: -1 });
+deliveryLogSchema.index({ 'reference.id': 1 });
+deliveryLogSchema.index({ type: 1, status: 1 });
+deliveryLogSchema.index({ recipient: 1, createdAt: -1 });
+
+deliveryLogSchema.statics.DELIVERY_CHANNELS = DELIVERY_CHANNELS;
+deliveryLogSchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('DeliveryLog', deliveryLogSchema);
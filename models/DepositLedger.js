@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+const LEDGER_STATUSES = ['pending_collection', 'held', 'settlement_pending', 'settled'];
+
+const DEDUCTION_CATEGORIES = ['damage', 'unpaid_dues', 'cleaning', 'lost_items', 'other'];
+
+const ledgerEntrySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['collection', 'deduction', 'refund'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [1, 'Amount must be positive']
+    },
+    category: {
+        type: String,
+        enum: DEDUCTION_CATEGORIES
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    evidence: [{
+        type: String
+    }],
+    method: {
+        type: String,
+        enum: ['upi', 'bank_transfer', 'cash', 'online', 'adjustment']
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const depositLedgerSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required'],
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    expectedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Expected deposit cannot be negative']
+    },
+    entries: [ledgerEntrySchema],
+    status: {
+        type: String,
+        enum: {
+            values: LEDGER_STATUSES,
+            message: 'Please select a valid ledger status'
+        },
+        default: 'pending_collection'
+    },
+    settledAt: Date,
+    settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    settlementNotes: {
+        type: String,
+        maxlength: [1000, 'Settlement notes cannot exceed 1000 characters']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+depositLedgerSchema.index({ status: 1, updatedAt: -1 });
+depositLedgerSchema.index({ user: 1 });
+
+const sumEntries = (entries, type) => entries
+    .filter(entry => entry.type === type)
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+// Same sum inside a query, so balance checks run atomically with the write
+const sumEntriesExpression = (type) => ({
+    $sum: {
+        $map: {
+            input: { $filter: { input: '$entries', cond: { $eq: ['$$this.type', type] } } },
+            in: '$$this.amount'
+        }
+    }
+});
+
+const BALANCE_EXPRESSION = {
+    $subtract: [
+        sumEntriesExpression('collection'),
+        { $add: [sumEntriesExpression('deduction'), sumEntriesExpression('refund')] }
+    ]
+};
+
+// Virtuals for running totals
+depositLedgerSchema.virtual('collectedAmount').get(function () {
+    return sumEntries(this.entries || [], 'collection');
+});
+
+depositLedgerSchema.virtual('deductedAmount').get(function () {
+    return sumEntries(this.entries || [], 'deduction');
+});
+
+depositLedgerSchema.virtual('refundedAmount').get(function () {
+    return sumEntries(this.entries || [], 'refund');
+});
+
+// Virtual for the deposit still held for the resident
+depositLedgerSchema.virtual('balance').get(function () {
+    return this.collectedAmount - this.deductedAmount - this.refundedAmount;
+});
+
+// Static method to open the ledger of a booking, pricing the deposit from its room option
+depositLedgerSchema.statics.openForBooking = async function (booking) {
+    const existing = await this.findOne({ booking: booking._id });
+    if (existing) {
+        return existing;
+    }
+
+    const RoomOption = mongoose.model('RoomOption');
+    const roomOption = await RoomOption.findOne({ property: booking.property, roomType: booking.sharing })
+        .sort({ monthlyRent: 1 });
+
+    return this.create({
+        booking: booking._id,
+        user: booking.user,
+        property: booking.property,
+        expectedAmount: roomOption ? roomOption.securityDeposit : 0
+    });
+};
+
+// Instance method to add an entry, keeping the balance from going negative. The balance is
+// checked by the update itself, so concurrent deductions can't overdraw the deposit.
+// Resolves to the updated ledger.
+depositLedgerSchema.methods.addEntry = async function (entry) {
+    if (this.status === 'settled') {
+        throw new Error('Deposit has already been settled');
+    }
+
+    if (entry.type !== 'collection' && entry.amount > this.balance) {
+        throw new Error(`Amount exceeds the deposit balance of ${this.balance}`);
+    }
+
+    const filter = { _id: this._id, status: { $ne: 'settled' } };
+    if (entry.type !== 'collection') {
+        filter.$expr = { $gte: [BALANCE_EXPRESSION, entry.amount] };
+    }
+
+    const ledger = await this.constructor.findOneAndUpdate(
+        filter,
+        { $push: { entries: entry } },
+        { new: true, runValidators: true }
+    );
+
+    if (!ledger) {
+        const latest = await this.constructor.findById(this._id);
+        if (latest.status === 'settled') {
+            throw new Error('Deposit has already been settled');
+        }
+        throw new Error(`Amount exceeds the deposit balance of ${latest.balance}`);
+    }
+
+    if (ledger.status === 'pending_collection' && ledger.collectedAmount > 0) {
+        await this.constructor.updateOne({ _id: ledger._id, status: 'pending_collection' }, { status: 'held' });
+        ledger.status = 'held';
+    }
+
+    return ledger;
+};
+
+// Instance method to settle the deposit, refunding whatever is left. Only one request can
+// settle it, and only at the balance it saw; resolves to null when the ledger changed meanwhile.
+depositLedgerSchema.methods.settle = async function ({ method, reference, notes, settledBy }) {
+    const refundAmount = this.balance;
+
+    const update = {
+        $set: {
+            status: 'settled',
+            settledAt: new Date(),
+            settledBy,
+            settlementNotes: notes
+        }
+    };
+    if (refundAmount > 0) {
+        update.$push = {
+            entries: {
+                type: 'refund',
+                amount: refundAmount,
+                method,
+                reference,
+                description: 'Move-out deposit refund',
+                recordedBy: settledBy
+            }
+        };
+    }
+
+    const ledger = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: 'settlement_pending', $expr: { $eq: [BALANCE_EXPRESSION, refundAmount] } },
+        update,
+        { new: true, runValidators: true }
+    );
+
+    return ledger ? { ledger, refundAmount } : null;
+};
+
+depositLedgerSchema.statics.LEDGER_STATUSES = LEDGER_STATUSES;
+depositLedgerSchema.statics.DEDUCTION_CATEGORIES = DEDUCTION_CATEGORIES;
+
+module.exports = mongoose.model('DepositLedger', depositLedgerSchema);
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const INVOICE_STATUSES = ['pending', 'partially_paid', 'paid', 'overdue', 'cancelled'];
+
+const lineItemSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['rent', 'late_fee', 'other'],
+        default: 'other'
+    },
+    description: {
+        type: String,
+        required: [true, 'Line item description is required'],
+        trim: true
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Line item amount is required'],
+        min: [0, 'Line item amount cannot be negative']
+    }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+    amount: {
+        type: Number,
+        required: [true, 'Payment amount is required'],
+        min: [1, 'Payment amount must be positive']
+    },
+    method: {
+        type: String,
+        enum: ['upi', 'credit_card', 'debit_card', 'bank_transfer', 'cash', 'online'],
+        default: 'cash'
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    billingPeriod: {
+        month: {
+            type: String,
+            required: [true, 'Billing month is required'],
+            match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Billing month must be in YYYY-MM format']
+        },
+        start: {
+            type: Date,
+            required: true
+        },
+        end: {
+            type: Date,
+            required: true
+        }
+    },
+    monthlyRent: {
+        type: Number,
+        required: true,
+        min: [0, 'Monthly rent cannot be negative']
+    },
+    lineItems: [lineItemSchema],
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: [0, 'Total amount cannot be negative']
+    },
+    amountPaid: {
+        type: Number,
+        default: 0,
+        min: [0, 'Amount paid cannot be negative']
+    },
+    dueDate: {
+        type: Date,
+        required: [true, 'Due date is required']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: INVOICE_STATUSES,
+            message: 'Please select a valid invoice status'
+        },
+        default: 'pending'
+    },
+    lateFeeApplied: {
+        type: Boolean,
+        default: false
+    },
+    payments: [paymentSchema],
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+invoiceSchema.index({ booking: 1, 'billingPeriod.month': 1 }, { unique: true });
+invoiceSchema.index({ user: 1, createdAt: -1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+// Virtual for the amount still owed
+invoiceSchema.virtual('balanceDue').get(function () {
+    return Math.max(this.totalAmount - this.amountPaid, 0);
+});
+
+// Recalculate totals and payment status whenever line items or payments change
+invoiceSchema.pre('validate', function (next) {
+    this.totalAmount = (this.lineItems || []).reduce((sum, item) => sum + item.amount, 0);
+    this.amountPaid = (this.payments || []).reduce((sum, payment) => sum + payment.amount, 0);
+
+    if (this.status !== 'cancelled') {
+        if (this.amountPaid >= this.totalAmount) {
+            this.status = 'paid';
+        } else if (this.dueDate < new Date()) {
+            this.status = 'overdue';
+        } else if (this.amountPaid > 0) {
+            this.status = 'partially_paid';
+        } else {
+            this.status = 'pending';
+        }
+    }
+    next();
+});
+
+// Instance method to record a full or partial payment
+invoiceSchema.methods.recordPayment = function ({ amount, method, reference, recordedBy }) {
+    this.payments.push({ amount, method, reference, recordedBy });
+    return this.save();
+};
+
+// Instance method to add the late fee once an invoice is past due
+invoiceSchema.methods.applyLateFee = function (amount) {
+    if (this.lateFeeApplied || amount <= 0) {
+        return this;
+    }
+
+    this.lineItems.push({
+        type: 'late_fee',
+        description: `Late payment fee (due ${this.dueDate.toDateString()})`,
+        amount
+    });
+    this.lateFeeApplied = true;
+    return this.save();
+};
+
+// Static method to build the next invoice number for a billing month
+invoiceSchema.statics.generateInvoiceNumber = async function (month) {
+    const key = `invoice:${month}`;
+
+    // Carry on from invoices numbered before the month had a counter
+    if (!(await Counter.exists({ _id: key }))) {
+        await Counter.start(key, await this.countDocuments({ 'billingPeriod.month': month }));
+    }
+
+    const sequence = String(await Counter.next(key)).padStart(5, '0');
+    return `INV-${month.replace('-', '')}-${sequence}`;
+};
+
+// Static method to mark unpaid invoices past their due date overdue
+invoiceSchema.statics.markOverdue = function (now = new Date()) {
+    return this.updateMany(
+        { status: { $in: ['pending', 'partially_paid'] }, dueDate: { $lt: now } },
+        { status: 'overdue' }
+    );
+};
+
+invoiceSchema.statics.INVOICE_STATUSES = INVOICE_STATUSES;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+const jobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Job name is required'],
+        trim: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    runAt: {
+        type: Date,
+        required: [true, 'Run time is required']
+    },
+    // Set for jobs that must only be scheduled once, e.g. "visit-reminder:<id>:24h"
+    uniqueKey: {
+        type: String,
+        trim: true
+    },
+    // Recurring jobs are rescheduled this many milliseconds after each run
+    repeatInterval: {
+        type: Number,
+        min: [1000, 'Repeat interval must be at least one second']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: JOB_STATUSES,
+            message: 'Please select a valid job status'
+        },
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3,
+        min: 1
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastRunAt: Date,
+    completedAt: Date,
+    lastError: String,
+    result: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ name: 1, createdAt: -1 });
+
+// Static method to schedule a job; jobs with a unique key are only created once
+jobSchema.statics.schedule = async function (name, runAt, data = {}, options = {}) {
+    const job = {
+        name,
+        runAt,
+        data,
+        maxAttempts: options.maxAttempts || 3,
+        repeatInterval: options.repeatInterval
+    };
+
+    if (!options.uniqueKey) {
+        return this.create(job);
+    }
+
+    return this.findOneAndUpdate(
+        { uniqueKey: options.uniqueKey },
+        { $setOnInsert: { ...job, uniqueKey: options.uniqueKey } },
+        { upsert: true, new: true }
+    );
+};
+
+// Static method to lock the next due job for a worker, taking over stale locks
+jobSchema.statics.claimNext = function (workerId, lockTimeoutMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            runAt: { $lte: now },
+            $or: [
+                { status: 'pending' },
+                { status: 'running', lockedAt: { $lt: new Date(now - lockTimeoutMs) } }
+            ]
+        },
+        {
+            $set: { status: 'running', lockedAt: now, lockedBy: workerId, lastRunAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+jobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('Job', jobSchema);
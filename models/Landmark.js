@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const City = require('./City');
+
+const LANDMARK_TYPES = ['college', 'tech_park', 'office', 'hospital', 'transit', 'other'];
+
+// A place residents commute to, such as a college or tech park; powers "PGs near X" listings
+const landmarkSchema = new mongoose.Schema({
+    city: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'City',
+        required: [true, 'City is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Landmark name is required'],
+        trim: true,
+        maxlength: [150, 'Name cannot exceed 150 characters']
+    },
+    // Unique within the city; follows the name unless set
+    slug: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    type: {
+        type: String,
+        enum: LANDMARK_TYPES,
+        default: 'other'
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    location: {
+        type: City.pointSchema,
+        required: [true, 'Coordinates are required']
+    },
+    // Default search radius in km for the landmark's listing
+    radius: {
+        type: Number,
+        default: 5,
+        min: [0.5, 'Radius must be at least 0.5 km'],
+        max: [50, 'Radius cannot exceed 50 km']
+    },
+    imageUrl: String,
+    order: {
+        type: Number,
+        default: 0
+    },
+    isVisible: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+landmarkSchema.index({ city: 1, slug: 1 }, { unique: true });
+landmarkSchema.index({ city: 1, type: 1, order: 1 });
+landmarkSchema.index({ location: '2dsphere' });
+
+landmarkSchema.pre('validate', function (next) {
+    if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+        this.slug = slugify(this.name || '', { lower: true, strict: true });
+    }
+    next();
+});
+
+landmarkSchema.statics.LANDMARK_TYPES = LANDMARK_TYPES;
+
+module.exports = mongoose.model('Landmark', landmarkSchema);
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+
+// Pipeline order; a lead only moves forward on its own, staff can move it anywhere
+const LEAD_STAGES = ['new', 'contacted', 'visit_scheduled', 'visited', 'booked', 'lost'];
+
+const OPEN_STAGES = ['new', 'contacted', 'visit_scheduled', 'visited'];
+
+// callback_form: Form, contact_form: ContactMessage, visit: Visit, manual: entered by staff
+const LEAD_SOURCES = ['callback_form', 'contact_form', 'visit', 'manual'];
+
+const enquirySchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: LEAD_SOURCES,
+        required: true
+    },
+    // Form, ContactMessage or Visit the enquiry came from
+    refId: mongoose.Schema.Types.ObjectId,
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property'
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const noteSchema = new mongoose.Schema({
+    body: {
+        type: String,
+        required: [true, 'Note is required'],
+        trim: true,
+        maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+const stageChangeSchema = new mongoose.Schema({
+    stage: {
+        type: String,
+        enum: LEAD_STAGES,
+        required: true
+    },
+    // Null when the change was automatic, e.g. a visit being booked
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const leadSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // E.164; a lead is one person, however many times they enquire
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        unique: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/\S+@\S+\.\S+/, 'Please enter a valid email address']
+    },
+    city: {
+        type: String,
+        trim: true
+    },
+    pgType: {
+        type: String,
+        enum: ['male', 'female', 'unisex', 'trans']
+    },
+    // Source of the first enquiry
+    source: {
+        type: String,
+        enum: {
+            values: LEAD_SOURCES,
+            message: 'Please select a valid lead source'
+        },
+        required: [true, 'Lead source is required']
+    },
+    enquiries: [enquirySchema],
+    lastEnquiryAt: Date,
+    stage: {
+        type: String,
+        enum: {
+            values: LEAD_STAGES,
+            message: 'Please select a valid lead stage'
+        },
+        default: 'new'
+    },
+    stageHistory: [stageChangeSchema],
+    lostReason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Lost reason cannot exceed 500 characters']
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    assignedAt: Date,
+    followUpAt: {
+        type: Date,
+        default: null
+    },
+    notes: [noteSchema],
+    // Account and booking once the lead signs up and books
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    bookedAt: Date
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+leadSchema.index({ stage: 1, createdAt: -1 });
+leadSchema.index({ assignedTo: 1, stage: 1 });
+leadSchema.index({ followUpAt: 1 });
+leadSchema.index({ source: 1, createdAt: -1 });
+leadSchema.index({ city: 1 });
+leadSchema.index({ 'enquiries.source': 1, 'enquiries.refId': 1 });
+
+leadSchema.virtual('isOpen').get(function () {
+    return OPEN_STAGES.includes(this.stage);
+});
+
+// Instance method to check whether an enquiry was already recorded
+leadSchema.methods.hasEnquiry = function (source, refId) {
+    return !!refId && this.enquiries.some(enquiry =>
+        enquiry.source === source && enquiry.refId && enquiry.refId.toString() === refId.toString());
+};
+
+// Instance method to move the lead to a stage and record who moved it
+leadSchema.methods.setStage = function (stage, changedBy = null) {
+    if (this.stage === stage) {
+        return false;
+    }
+
+    this.stage = stage;
+    this.stageHistory.push({ stage, changedBy, changedAt: new Date() });
+
+    if (stage === 'booked') {
+        this.bookedAt = new Date();
+    }
+    if (stage !== 'lost') {
+        this.lostReason = undefined;
+    }
+    return true;
+};
+
+// Instance method to move the lead forward only, e.g. when a visit is booked.
+// Booked leads stay booked; a lost lead that enquires again is reopened.
+leadSchema.methods.advanceTo = function (stage) {
+    if (this.stage === 'booked') {
+        return false;
+    }
+    if (this.stage !== 'lost' && LEAD_STAGES.indexOf(stage) <= LEAD_STAGES.indexOf(this.stage)) {
+        return false;
+    }
+    return this.setStage(stage);
+};
+
+leadSchema.statics.LEAD_STAGES = LEAD_STAGES;
+leadSchema.statics.OPEN_STAGES = OPEN_STAGES;
+leadSchema.statics.LEAD_SOURCES = LEAD_SOURCES;
+
+module.exports = mongoose.model('Lead', leadSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const City = require('./City');
+
+const localitySchema = new mongoose.Schema({
+    city: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'City',
+        required: [true, 'City is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Locality name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    // Unique within the city; follows the name unless set
+    slug: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+    location: City.pointSchema,
+    imageUrl: String,
+    order: {
+        type: Number,
+        default: 0
+    },
+    isVisible: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+localitySchema.index({ city: 1, slug: 1 }, { unique: true });
+localitySchema.index({ city: 1, order: 1 });
+localitySchema.index({ location: '2dsphere' });
+
+localitySchema.pre('validate', function (next) {
+    if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+        this.slug = slugify(this.name || '', { lower: true, strict: true });
+    }
+    next();
+});
+
+module.exports = mongoose.model('Locality', localitySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['property-alert', 'kyc-update', 'booking-update', 'visit-update', 'spam-report-update'];
+
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    type: {
+        type: String,
+        enum: {
+            values: NOTIFICATION_TYPES,
+            message: 'Please select a valid notification type'
+        },
+        required: [true, 'Notification type is required']
+    },
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    // Frontend path to open, e.g. /properties/<id>
+    link: String,
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property'
+    },
+    savedSearch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SavedSearch'
+    },
+    // Booking, visit or other document the notification is about
+    reference: {
+        kind: {
+            type: String,
+            enum: ['Booking', 'Visit', 'UserDocument', 'SpamReport']
+        },
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'reference.kind'
+        }
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, type: 1, property: 1, createdAt: -1 });
+
+notificationSchema.virtual('isRead').get(function () {
+    return !!this.readAt;
+});
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { CHANNELS, NOTIFICATION_TYPES } = require('../config/notificationTemplates');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Every edit of a notification template is saved as a new version; the
+// active version of a type and channel overrides the built-in default.
+const notificationTemplateSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Notification type is required'],
+        enum: {
+            values: Object.keys(NOTIFICATION_TYPES),
+            message: 'Please select a valid notification type'
+        }
+    },
+    channel: {
+        type: String,
+        required: [true, 'Channel is required'],
+        enum: {
+            values: CHANNELS,
+            message: 'Please select a valid channel'
+        }
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Email subject or in-app title
+    subject: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+    body: {
+        type: String,
+        required: [true, 'Template body is required'],
+        maxlength: [20000, 'Template body cannot exceed 20000 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+notificationTemplateSchema.index({ key: 1, channel: 1, version: -1 }, { unique: true });
+notificationTemplateSchema.index({ key: 1, channel: 1, isActive: 1 });
+
+notificationTemplateSchema.pre('validate', function (next) {
+    const definition = NOTIFICATION_TYPES[this.key];
+    if (!definition) {
+        return next();
+    }
+
+    if (!definition.channels[this.channel]) {
+        this.invalidate('channel', `${this.key} notifications are not sent by ${this.channel}`);
+    }
+
+    if ((this.channel === 'email' || this.channel === 'in_app') && !this.subject) {
+        this.invalidate('subject', 'Subject is required for email and in-app templates');
+    }
+
+    const unknown = [...`${this.subject || ''} ${this.body || ''}`.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !definition.placeholders.includes(name));
+
+    if (unknown.length) {
+        this.invalidate('body', `Unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+    }
+    next();
+});
+
+// Static method to fill in the placeholders of a template string
+notificationTemplateSchema.statics.render = function (text, values = {}, { html = false } = {}) {
+    return (text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = values[name] === undefined || values[name] === null ? '' : String(values[name]);
+        return html ? value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]) : value;
+    });
+};
+
+// Static method to find the template to send for a type and channel: the active
+// stored version, else the built-in default as version 0
+notificationTemplateSchema.statics.resolve = async function (key, channel) {
+    const stored = await this.findOne({ key, channel, isActive: true }).lean();
+    if (stored) {
+        return stored;
+    }
+
+    const definition = NOTIFICATION_TYPES[key];
+    const fallback = definition && definition.channels[channel];
+    return fallback ? { key, channel, version: 0, ...fallback } : null;
+};
+
+// Static method to save a new version and make it the active one
+notificationTemplateSchema.statics.createVersion = async function (key, channel, { subject, body }, userId) {
+    const latest = await this.findOne({ key, channel }).sort({ version: -1 }).select('version');
+
+    const template = await this.create({
+        key,
+        channel,
+        version: latest ? latest.version + 1 : 1,
+        subject,
+        body,
+        isActive: true,
+        createdBy: userId
+    });
+
+    await this.updateMany({ key, channel, _id: { $ne: template._id } }, { isActive: false });
+    return template;
+};
+
+// Static method to switch back to a stored version, or to the built-in default with version 0
+notificationTemplateSchema.statics.activateVersion = async function (key, channel, version) {
+    if (version === 0) {
+        await this.updateMany({ key, channel }, { isActive: false });
+        return this.resolve(key, channel);
+    }
+
+    const template = await this.findOneAndUpdate({ key, channel, version }, { isActive: true }, { new: true });
+    if (template) {
+        await this.updateMany({ key, channel, _id: { $ne: template._id } }, { isActive: false });
+    }
+    return template;
+};
+
+notificationTemplateSchema.statics.PLACEHOLDER_PATTERN = PLACEHOLDER_PATTERN;
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
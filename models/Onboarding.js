@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const ONBOARDING_STATUSES = ['pending_documents', 'under_review', 'action_required', 'approved'];
+
+const CHECKLIST_STATUSES = ['missing', 'pending', 'approved', 'rejected'];
+
+const checklistItemSchema = new mongoose.Schema({
+    documentType: {
+        type: String,
+        enum: ['id_proof', 'address_proof', 'income_proof'],
+        required: [true, 'Document type is required']
+    },
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserDocument',
+        default: null
+    },
+    // Mirrors the review status of the attached document
+    status: {
+        type: String,
+        enum: CHECKLIST_STATUSES,
+        default: 'missing'
+    },
+    rejectionReason: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+const onboardingSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required'],
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    checklist: [checklistItemSchema],
+    status: {
+        type: String,
+        enum: {
+            values: ONBOARDING_STATUSES,
+            message: 'Please select a valid onboarding status'
+        },
+        default: 'pending_documents'
+    },
+    approvedAt: Date
+}, {
+    timestamps: true
+});
+
+onboardingSchema.index({ status: 1, updatedAt: 1 });
+onboardingSchema.index({ user: 1 });
+onboardingSchema.index({ 'checklist.document': 1 });
+
+// Instance method to copy a document's review status onto the checklist items it is attached to
+onboardingSchema.methods.applyDocument = function (document) {
+    this.checklist
+        .filter(item => item.document && item.document.toString() === document._id.toString())
+        .forEach(item => {
+            item.status = document.status;
+            item.rejectionReason = document.status === 'rejected' ? document.rejectionReason : null;
+        });
+};
+
+// Instance method to work out the overall KYC status from the checklist
+onboardingSchema.methods.refreshStatus = function () {
+    const statuses = this.checklist.map(item => item.status);
+
+    if (statuses.every(status => status === 'approved')) {
+        this.status = 'approved';
+        this.approvedAt = this.approvedAt || new Date();
+        return this.status;
+    }
+
+    this.approvedAt = undefined;
+
+    if (statuses.includes('rejected')) {
+        this.status = 'action_required';
+    } else if (statuses.includes('missing')) {
+        this.status = 'pending_documents';
+    } else {
+        this.status = 'under_review';
+    }
+
+    return this.status;
+};
+
+// Static method to open the onboarding of a booking with the property's document checklist,
+// reusing documents the resident already has on file
+onboardingSchema.statics.openForBooking = async function (booking) {
+    const existing = await this.findOne({ booking: booking._id });
+    if (existing) {
+        return existing;
+    }
+
+    const Property = mongoose.model('Property');
+    const UserDocument = mongoose.model('UserDocument');
+
+    const property = await Property.findById(booking.property).select('requiredDocuments');
+    const requiredDocuments = property && property.requiredDocuments
+        ? property.requiredDocuments
+        : ['id_proof', 'address_proof'];
+
+    const checklist = [];
+    for (const documentType of [...new Set(requiredDocuments)]) {
+        const document = await UserDocument.findOne({
+            user: booking.user,
+            type: documentType,
+            status: { $in: ['approved', 'pending'] }
+        }).sort({ status: 1, createdAt: -1 });
+
+        checklist.push({
+            documentType,
+            document: document ? document._id : null,
+            status: document ? document.status : 'missing'
+        });
+    }
+
+    const onboarding = new this({
+        booking: booking._id,
+        user: booking.user,
+        property: booking.property,
+        checklist
+    });
+    onboarding.refreshStatus();
+
+    try {
+        return await onboarding.save();
+    } catch (error) {
+        // Opened concurrently by another request
+        if (error.code === 11000) {
+            return this.findOne({ booking: booking._id });
+        }
+        throw error;
+    }
+};
+
+onboardingSchema.statics.ONBOARDING_STATUSES = ONBOARDING_STATUSES;
+onboardingSchema.statics.CHECKLIST_STATUSES = CHECKLIST_STATUSES;
+
+module.exports = mongoose.model('Onboarding', onboardingSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = ['created', 'authorized', 'captured', 'failed', 'refunded', 'partially_refunded'];
+
+const refundSchema = new mongoose.Schema({
+    refundId: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Refund amount cannot be negative']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    reason: String
+}, {
+    timestamps: true
+});
+
+const paymentEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: String,
+    source: {
+        type: String,
+        enum: ['checkout', 'webhook', 'admin'],
+        default: 'webhook'
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    orderId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    paymentId: {
+        type: String,
+        default: null
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0, 'Amount cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    method: String,
+    status: {
+        type: String,
+        enum: {
+            values: PAYMENT_STATUSES,
+            message: 'Please select a valid payment status'
+        },
+        default: 'created'
+    },
+    failureReason: String,
+    refunds: [refundSchema],
+    events: [paymentEventSchema]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ booking: 1, createdAt: -1 });
+paymentSchema.index({ paymentId: 1 });
+
+// Virtual for the total amount refunded so far
+paymentSchema.virtual('refundedAmount').get(function () {
+    return (this.refunds || [])
+        .filter(refund => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+});
+
+// Instance method to check whether an event has already been applied
+paymentSchema.methods.hasProcessedEvent = function (eventId) {
+    return this.events.some(event => event.eventId === eventId);
+};
+
+paymentSchema.statics.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Sign-in OTP state for a phone number, kept whether or not an account exists yet
+const phoneOtpSchema = new mongoose.Schema({
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        unique: true
+    },
+    codeHash: {
+        type: String,
+        select: false
+    },
+    expiresAt: Date,
+    // Wrong codes entered for the current OTP
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastSentAt: Date,
+    // OTPs sent in the current window, to cap SMS volume per number
+    sendCount: {
+        type: Number,
+        default: 0
+    },
+    sendWindowStart: Date,
+    lockedUntil: Date
+}, {
+    timestamps: true
+});
+
+// Forget numbers that haven't asked for an OTP in a day
+phoneOtpSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for whether the number is locked out
+phoneOtpSchema.virtual('isLocked').get(function () {
+    return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+// Static method to hash an OTP; the phone is mixed in so equal codes hash differently
+phoneOtpSchema.statics.hashCode = function (phone, code) {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+    return crypto.createHmac('sha256', secret).update(`${phone}:${code}`).digest('hex');
+};
+
+// Instance method to check a code against the stored hash
+phoneOtpSchema.methods.matchCode = function (code) {
+    if (!this.codeHash) {
+        return false;
+    }
+    const expected = Buffer.from(this.codeHash, 'hex');
+    const actual = Buffer.from(this.constructor.hashCode(this.phone, code), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
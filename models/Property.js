@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const City = require('./City');
 
 const propertySchema = new mongoose.Schema({
     title: {
@@ -64,6 +65,18 @@ const propertySchema = new mongoose.Schema({
             }
         }
     ],
+    // Cheapest monthly rent as bookings and invoices charge it: a sharing type's room option rent where
+    // one is set, otherwise its listed price. Kept in step by the hooks below and on RoomOption
+    startingPrice: {
+        type: Number,
+        default: null
+    },
+    // AC types and meal options offered across the room options, so search can filter and count
+    // them without joining RoomOption. Kept in step the same way as startingPrice
+    roomFeatures: {
+        acTypes: [String],
+        meals: [Boolean]
+    },
     youtubeLink: {
         type: String,
         required: [false, 'Youtube link is required']
@@ -73,10 +86,16 @@ const propertySchema = new mongoose.Schema({
             type: String,
             required: [true, 'Address is required']
         },
+        // Kept in step with the locality's city when a locality is set
         city: {
             type: String,
             required: [true, 'City is required']
         },
+        locality: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Locality',
+            default: null
+        },
         state: {
             type: String,
             required: [true, 'State is required']
@@ -88,6 +107,11 @@ const propertySchema = new mongoose.Schema({
         coordinates: {
             lat: { type: Number },
             lng: { type: Number }
+        },
+        // GeoJSON copy of coordinates for distance search; kept in step by the hooks below
+        point: {
+            type: City.pointSchema,
+            default: undefined
         }
     },
     amenities: [{
@@ -120,6 +144,11 @@ const propertySchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Property managers who run this property day to day
+    managers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     views: {
         type: Number,
         default: 0
@@ -134,6 +163,13 @@ const propertySchema = new mongoose.Schema({
         count: {
             type: Number,
             default: 0
+        },
+        // Per-criterion averages of published reviews
+        criteria: {
+            food: { type: Number, default: 0 },
+            cleanliness: { type: Number, default: 0 },
+            safety: { type: Number, default: 0 },
+            staff: { type: Number, default: 0 }
         }
     },
     rules: [{
@@ -147,14 +183,56 @@ const propertySchema = new mongoose.Schema({
             enum: ['hospital', 'school', 'mall', 'restaurant', 'transport', 'other']
         }
     }],
-    visitBookings: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'VisitBooking'
-    }],
-    scheduleVisits: [{
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'ScheduleVisit'
-    }],
+    visitSettings: {
+        isEnabled: {
+            type: Boolean,
+            default: true
+        },
+        // Weekly visiting hours in property-local "HH:mm"; day 0 is Sunday.
+        // Left empty, the default hours of the visit scheduler apply.
+        hours: [{
+            _id: false,
+            day: {
+                type: Number,
+                min: 0,
+                max: 6,
+                required: true
+            },
+            open: {
+                type: String,
+                match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be in HH:mm format'],
+                required: true
+            },
+            close: {
+                type: String,
+                match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be in HH:mm format'],
+                required: true
+            }
+        }],
+        slotDuration: {
+            type: Number,
+            default: 30,
+            min: [15, 'Slot duration must be at least 15 minutes'],
+            max: [240, 'Slot duration cannot exceed 240 minutes']
+        },
+        slotCapacity: {
+            type: Number,
+            default: 1,
+            min: [1, 'Slot capacity must be at least 1']
+        },
+        modes: {
+            type: [{
+                type: String,
+                enum: ['physical', 'virtual']
+            }],
+            default: ['physical', 'virtual']
+        },
+        advanceBookingDays: {
+            type: Number,
+            default: 30,
+            min: [1, 'Advance booking window must be at least 1 day']
+        }
+    },
     // listedVia: [{
     //     type: String,
     //     required: false,
@@ -166,6 +244,19 @@ const propertySchema = new mongoose.Schema({
     microSiteLink: {
         type: String,
         required: false,
+    },
+    cancellationPolicy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CancellationPolicy',
+        default: null
+    },
+    // KYC documents a resident needs approved before moving in
+    requiredDocuments: {
+        type: [{
+            type: String,
+            enum: ['id_proof', 'address_proof', 'income_proof']
+        }],
+        default: ['id_proof', 'address_proof']
     }
 
 }, {
@@ -176,8 +267,12 @@ const propertySchema = new mongoose.Schema({
 
 // Indexes for better search performance
 propertySchema.index({ 'location.city': 1 });
+propertySchema.index({ 'location.locality': 1 });
+propertySchema.index({ owner: 1 });
+propertySchema.index({ managers: 1 });
 propertySchema.index({ 'location.state': 1 });
 propertySchema.index({ type: 1 });
+propertySchema.index({ startingPrice: 1 });
 
 
 // Virtual populate for roomOptions
@@ -188,7 +283,7 @@ propertySchema.virtual('roomOptions', {
 });
 
 // Indexes for better search performance
-propertySchema.index({ 'location.coordinates': '2dsphere' });
+propertySchema.index({ 'location.point': '2dsphere' });
 
 // Text search index
 propertySchema.index({
@@ -201,7 +296,157 @@ propertySchema.index({
 
 // Virtual for average rating
 propertySchema.virtual('averageRating').get(function () {
-    return this.rating.count > 0 ? (this.rating.average / this.rating.count).toFixed(1) : 0;
+    // rating.average is already the mean of the review ratings
+    return this.rating.count > 0 ? Number(this.rating.average.toFixed(1)) : 0;
+});
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept an array or a comma separated string, e.g. "wifi,parking"
+const toList = (value) => [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const oneOf = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+// Static method to build a property query from listing filters; shared by the listing, search and saved searches
+propertySchema.statics.buildSearchQuery = function (filters = {}) {
+    const {
+        type,
+        gender,
+        city,
+        minPrice,
+        maxPrice,
+        amenities,
+        search,
+        sharingType,
+        isAvailable,
+        isFeatured
+    } = filters;
+
+    const query = {};
+
+    if (isAvailable !== undefined && isAvailable !== '') query.isAvailable = isAvailable;
+    if (isFeatured !== undefined) query.isFeatured = isFeatured === true || isFeatured === 'true';
+    if (type && toList(type).length) query.type = oneOf(toList(type));
+    if (gender && toList(gender).length) query.gender = oneOf(toList(gender).map(value => value.toLowerCase()));
+    if (city && toList(city).length) {
+        query['location.city'] = oneOf(toList(city).map(value => new RegExp(`^${escapeRegExp(value)}$`, 'i')));
+    }
+
+    // Sharing type and price have to match the same sharing option
+    const sharing = {};
+    if (sharingType && toList(sharingType).length) {
+        sharing.type = { $in: toList(sharingType) };
+    }
+    if (minPrice !== undefined && minPrice !== '' && !isNaN(minPrice)) {
+        sharing.price = { ...sharing.price, $gte: Number(minPrice) };
+    }
+    if (maxPrice !== undefined && maxPrice !== '' && !isNaN(maxPrice)) {
+        sharing.price = { ...sharing.price, $lte: Number(maxPrice) };
+    }
+    if (Object.keys(sharing).length) {
+        query.sharingType = { $elemMatch: sharing };
+    }
+
+    if (amenities && toList(amenities).length) {
+        query.amenities = { $in: toList(amenities) };
+    }
+
+    // Search uses the text index on title, description and location; a PIN code matches exactly
+    if (search && String(search).trim()) {
+        const term = String(search).trim();
+        if (/^\d{6}$/.test(term)) {
+            query['location.zipCode'] = term;
+        } else {
+            query.$text = { $search: term };
+        }
+    }
+
+    return query;
+};
+
+// Keep the GeoJSON point in step with the { lat, lng } coordinates
+propertySchema.pre('save', function (next) {
+    if (this.isModified('location.coordinates')) {
+        this.set('location.point', City.toPoint(this.location.coordinates));
+    }
+    next();
+});
+
+// Same for updates that replace the location or its coordinates
+propertySchema.pre('findOneAndUpdate', function (next) {
+    const update = this.getUpdate() || {};
+    const fields = update.$set || update;
+
+    if (fields.location && typeof fields.location === 'object' && 'coordinates' in fields.location) {
+        const point = City.toPoint(fields.location.coordinates);
+        if (point) fields.location.point = point;
+    } else if ('location.coordinates' in fields) {
+        const point = City.toPoint(fields['location.coordinates']);
+        if (point) {
+            fields['location.point'] = point;
+        } else {
+            update.$unset = { ...update.$unset, 'location.point': 1 };
+        }
+    }
+    next();
+});
+
+// Instance method to summarise the room options: the starting price, worked out with the
+// listed sharing prices, and the room features search filters on
+propertySchema.methods.summariseRoomOptions = async function () {
+    const roomOptions = await mongoose.model('RoomOption')
+        .find({ property: this._id })
+        .select('roomType monthlyRent acType mealsIncluded')
+        .lean();
+
+    const cheapest = (prices, type, price) => {
+        prices[type] = prices[type] === undefined ? price : Math.min(prices[type], price);
+        return prices;
+    };
+    const listed = (this.sharingType || []).reduce((prices, option) => cheapest(prices, option.type, option.price), {});
+    const rented = roomOptions.reduce((prices, option) => cheapest(prices, option.roomType, option.monthlyRent), {});
+    const prices = Object.values({ ...listed, ...rented });
+
+    return {
+        startingPrice: prices.length ? Math.min(...prices) : null,
+        roomFeatures: {
+            acTypes: [...new Set(roomOptions.map(option => option.acType))],
+            meals: [...new Set(roomOptions.map(option => option.mealsIncluded))]
+        }
+    };
+};
+
+// Static method to recalculate and store the room option summary of a property
+propertySchema.statics.refreshRoomSummary = async function (propertyId) {
+    const property = await this.findById(propertyId).select('sharingType');
+    if (!property) {
+        return null;
+    }
+
+    const summary = await property.summariseRoomOptions();
+    await this.updateOne({ _id: property._id }, summary);
+    return summary;
+};
+
+// Keep the starting price in step with the listed sharing prices
+propertySchema.pre('save', async function () {
+    if (this.isNew || this.isModified('sharingType')) {
+        this.set(await this.summariseRoomOptions());
+    }
+});
+
+// Same for updates that replace the sharing types
+propertySchema.post('findOneAndUpdate', async function (doc) {
+    const update = this.getUpdate() || {};
+    const fields = update.$set || update;
+
+    if (doc && 'sharingType' in fields) {
+        const summary = await doc.constructor.refreshRoomSummary(doc._id);
+        if (summary) doc.set(summary);
+    }
 });
 
 // Middleware to increment views
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const RATING_CRITERIA = ['food', 'cleanliness', 'safety', 'staff'];
+
+const REVIEW_STATUSES = ['published', 'pending', 'rejected'];
+
+const criterionRating = (label) => ({
+    type: Number,
+    required: [true, `${label} rating is required`],
+    min: [1, `${label} rating must be between 1 and 5`],
+    max: [5, `${label} rating must be between 1 and 5`]
+});
+
+const reviewSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    // The completed stay being reviewed; one review per booking
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: [true, 'Booking is required'],
+        unique: true
+    },
+    ratings: {
+        food: criterionRating('Food'),
+        cleanliness: criterionRating('Cleanliness'),
+        safety: criterionRating('Safety'),
+        staff: criterionRating('Staff')
+    },
+    overall: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    // Reviews flagged by spam detection wait for moderation before they count
+    status: {
+        type: String,
+        enum: {
+            values: REVIEW_STATUSES,
+            message: 'Please select a valid review status'
+        },
+        default: 'published'
+    },
+    spamCheck: {
+        score: Number,
+        riskLevel: String,
+        reasons: [String]
+    },
+    reply: {
+        text: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Reply cannot exceed 1000 characters']
+        },
+        repliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        repliedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+reviewSchema.index({ property: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ user: 1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+// Overall rating is the mean of the criteria ratings
+reviewSchema.pre('validate', function (next) {
+    const values = RATING_CRITERIA.map(criterion => this.ratings && this.ratings[criterion]);
+
+    if (values.every(value => typeof value === 'number')) {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        this.overall = Math.round(mean * 10) / 10;
+    }
+    next();
+});
+
+// Static method to recompute a property's rating from its published reviews
+reviewSchema.statics.recalculatePropertyRating = async function (propertyId) {
+    const criteriaAverages = RATING_CRITERIA.reduce((group, criterion) => {
+        group[criterion] = { $avg: `$ratings.${criterion}` };
+        return group;
+    }, {});
+
+    const [stats] = await this.aggregate([
+        { $match: { property: new mongoose.Types.ObjectId(propertyId), status: 'published' } },
+        { $group: { _id: null, average: { $avg: '$overall' }, count: { $sum: 1 }, ...criteriaAverages } }
+    ]);
+
+    const round = (value) => Math.round((value || 0) * 10) / 10;
+
+    const rating = {
+        average: stats ? round(stats.average) : 0,
+        count: stats ? stats.count : 0,
+        criteria: RATING_CRITERIA.reduce((criteria, criterion) => {
+            criteria[criterion] = stats ? round(stats[criterion]) : 0;
+            return criteria;
+        }, {})
+    };
+
+    const Property = mongoose.model('Property');
+    await Property.updateOne({ _id: propertyId }, { rating });
+
+    return rating;
+};
+
+reviewSchema.statics.RATING_CRITERIA = RATING_CRITERIA;
+reviewSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('Review', reviewSchema);
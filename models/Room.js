@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+
+const SHARING_TYPES = ['single', 'double', 'triple', 'quadruple'];
+
+const BED_STATUSES = ['vacant', 'reserved', 'occupied', 'maintenance'];
+
+// Number of beds a room of each sharing type holds
+const BEDS_PER_SHARING = {
+    single: 1,
+    double: 2,
+    triple: 3,
+    quadruple: 4
+};
+
+const bedSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        required: [true, 'Bed label is required'],
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: BED_STATUSES,
+            message: 'Please select a valid bed status'
+        },
+        default: 'vacant'
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null
+    },
+    occupant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    notes: {
+        type: String,
+        maxlength: [200, 'Notes cannot exceed 200 characters']
+    }
+});
+
+const roomSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    roomNumber: {
+        type: String,
+        required: [true, 'Room number is required'],
+        trim: true
+    },
+    floor: {
+        type: Number,
+        default: 0
+    },
+    sharingType: {
+        type: String,
+        enum: {
+            values: SHARING_TYPES,
+            message: 'Please select a valid sharing type'
+        },
+        required: [true, 'Sharing type is required']
+    },
+    roomOption: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomOption',
+        default: null
+    },
+    beds: [bedSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+roomSchema.index({ property: 1, roomNumber: 1 }, { unique: true });
+roomSchema.index({ property: 1, sharingType: 1 });
+roomSchema.index({ 'beds.booking': 1 });
+
+// Virtual for the number of vacant beds in the room
+roomSchema.virtual('vacantBeds').get(function () {
+    return (this.beds || []).filter(bed => bed.status === 'vacant').length;
+});
+
+// Create one bed per occupant slot when a room is added without explicit beds
+roomSchema.pre('validate', function (next) {
+    if (this.isNew && (!this.beds || this.beds.length === 0)) {
+        const count = BEDS_PER_SHARING[this.sharingType] || 1;
+        this.beds = Array.from({ length: count }, (_, index) => ({
+            label: `${this.roomNumber}-${String.fromCharCode(65 + index)}`
+        }));
+    }
+    next();
+});
+
+// Static method to summarise bed counts per sharing type and status for a property
+roomSchema.statics.getBedSummary = async function (propertyId) {
+    const rows = await this.aggregate([
+        {
+            $match: {
+                property: new mongoose.Types.ObjectId(propertyId),
+                isActive: true
+            }
+        },
+        { $unwind: '$beds' },
+        {
+            $group: {
+                _id: { sharingType: '$sharingType', status: '$beds.status' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const summary = {};
+    rows.forEach(({ _id, count }) => {
+        if (!summary[_id.sharingType]) {
+            summary[_id.sharingType] = { total: 0, vacant: 0, reserved: 0, occupied: 0, maintenance: 0 };
+        }
+        summary[_id.sharingType][_id.status] = count;
+        summary[_id.sharingType].total += count;
+    });
+
+    return summary;
+};
+
+// Static method to count beds of a sharing type that can be let out (not under maintenance)
+roomSchema.statics.countLettableBeds = async function (propertyId, sharingType) {
+    const rows = await this.aggregate([
+        {
+            $match: {
+                property: new mongoose.Types.ObjectId(propertyId),
+                sharingType,
+                isActive: true
+            }
+        },
+        { $unwind: '$beds' },
+        { $match: { 'beds.status': { $ne: 'maintenance' } } },
+        { $count: 'count' }
+    ]);
+
+    return rows.length > 0 ? rows[0].count : 0;
+};
+
+// Static method to reserve a vacant bed for a booking
+roomSchema.statics.reserveBed = async function (booking) {
+    const room = await this.findOneAndUpdate(
+        {
+            property: booking.property,
+            sharingType: booking.sharing,
+            isActive: true,
+            beds: { $elemMatch: { status: 'vacant' } }
+        },
+        {
+            $set: {
+                'beds.$.status': 'reserved',
+                'beds.$.booking': booking._id,
+                'beds.$.occupant': booking.user
+            }
+        },
+        { new: true, sort: { floor: 1, roomNumber: 1 } }
+    );
+
+    if (!room) {
+        return null;
+    }
+
+    const bed = room.beds.find(b => b.booking && b.booking.toString() === booking._id.toString());
+    return { room, bed };
+};
+
+// Static method to move the bed held by a booking to a new status
+roomSchema.statics.setBookingBedStatus = function (bookingId, status) {
+    const update = { 'beds.$.status': status };
+
+    if (status === 'vacant') {
+        update['beds.$.booking'] = null;
+        update['beds.$.occupant'] = null;
+    }
+
+    return this.findOneAndUpdate(
+        { 'beds.booking': bookingId },
+        { $set: update },
+        { new: true }
+    );
+};
+
+roomSchema.statics.SHARING_TYPES = SHARING_TYPES;
+roomSchema.statics.BED_STATUSES = BED_STATUSES;
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -36,4 +36,32 @@ const RoomOptionSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Monthly rent for a sharing type at a property, falling back to the property's listed sharing price
+RoomOptionSchema.statics.findMonthlyRent = async function (propertyId, sharing) {
+  const roomOption = await this.findOne({ property: propertyId, roomType: sharing })
+    .sort({ monthlyRent: 1 });
+
+  if (roomOption) {
+    return roomOption.monthlyRent;
+  }
+
+  const Property = mongoose.model('Property');
+  const property = await Property.findById(propertyId).select('sharingType');
+  const listed = property && property.sharingType.find(option => option.type === sharing);
+
+  return listed ? listed.price : null;
+};
+
+// Keep the property's starting price and room features in step with its room options
+const refreshRoomSummary = async (roomOption) => {
+  if (roomOption) {
+    await mongoose.model('Property').refreshRoomSummary(roomOption.property);
+  }
+};
+
+RoomOptionSchema.post('save', refreshRoomSummary);
+RoomOptionSchema.post('findOneAndUpdate', refreshRoomSummary);
+RoomOptionSchema.post('findOneAndDelete', refreshRoomSummary);
+RoomOptionSchema.post('deleteOne', { document: true, query: false }, refreshRoomSummary);
+
 module.exports = mongoose.model('RoomOption', RoomOptionSchema);
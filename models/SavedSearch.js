@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Filters accepted by GET /api/properties
+const FILTER_KEYS = ['type', 'gender', 'city', 'minPrice', 'maxPrice', 'amenities', 'sharingType', 'search'];
+
+const savedSearchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Search name is required'],
+        trim: true,
+        maxlength: [100, 'Search name cannot exceed 100 characters']
+    },
+    filters: {
+        type: {
+            type: String,
+            enum: {
+                values: ['apartment', 'house', 'room', 'studio', 'villa', 'penthouse', 'pg', 'hostel'],
+                message: 'Please select a valid property type'
+            }
+        },
+        gender: {
+            type: String,
+            enum: {
+                values: ['male', 'female', 'unisex', 'transgender', 'other'],
+                message: 'Please select a valid gender'
+            }
+        },
+        city: {
+            type: String,
+            trim: true
+        },
+        minPrice: {
+            type: Number,
+            min: [0, 'Minimum price cannot be negative']
+        },
+        maxPrice: {
+            type: Number,
+            min: [0, 'Maximum price cannot be negative']
+        },
+        amenities: [String],
+        sharingType: [{
+            type: String,
+            enum: ['single', 'double', 'triple', 'quadruple']
+        }],
+        search: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Search text cannot exceed 100 characters']
+        }
+    },
+    // Alert when a new or newly available property matches
+    alerts: {
+        enabled: { type: Boolean, default: true },
+        email: { type: Boolean, default: true },
+        inApp: { type: Boolean, default: true }
+    },
+    lastAlertAt: Date,
+    alertCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ 'alerts.enabled': 1 });
+
+savedSearchSchema.pre('validate', function (next) {
+    const { minPrice, maxPrice } = this.filters || {};
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        this.invalidate('filters.maxPrice', 'Maximum price must be greater than minimum price');
+    }
+    next();
+});
+
+// Instance method to build the property query for this search; only available properties match
+savedSearchSchema.methods.toQuery = function () {
+    const Property = mongoose.model('Property');
+    const filters = this.filters ? this.filters.toObject() : {};
+    return { ...Property.buildSearchQuery(filters), isAvailable: true };
+};
+
+savedSearchSchema.statics.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
+savedSearchSchema.statics.FILTER_KEYS = FILTER_KEYS;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
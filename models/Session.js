@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REVOKE_REASONS = ['logout', 'logout_all', 'revoked', 'password_reset', 'reuse_detected'];
+
+// One session per signed-in device. Its refresh tokens form a family: each
+// refresh rotates the token, and only the latest one may be used.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    // Hash of the ID of the refresh token currently valid for this session
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    rotations: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: REVOKE_REASONS
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be refreshed
+sessionSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to hash a refresh token ID
+sessionSchema.statics.hashToken = function (tokenId) {
+    return crypto.createHash('sha256').update(tokenId).digest('hex');
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Short-lived, single-use ticket that opens an event stream in place of the access token,
+// since EventSource can only authenticate through the URL
+const streamTicketSchema = new mongoose.Schema({
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    // Expiry of the access token the ticket was issued for; the stream closes then
+    accessExpiresAt: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Unused tickets are removed by MongoDB
+streamTicketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a ticket
+streamTicketSchema.statics.hashToken = function (ticket) {
+    return crypto.createHash('sha256').update(ticket).digest('hex');
+};
+
+module.exports = mongoose.model('StreamTicket', streamTicketSchema);
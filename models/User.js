@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
 const bcrypt = require('bcryptjs');
 
 const userSchema = new mongoose.Schema({
@@ -32,7 +33,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['user', 'admin'],
+        enum: ROLES,
         default: 'user'
     },
     avatar: {
@@ -88,7 +89,37 @@ const userSchema = new mongoose.Schema({
             min: { type: Number, default: 0 },
             max: { type: Number, default: 100000 }
         },
-        propertyType: [String]
+        propertyType: [String],
+        // Alert when a new or newly available property matches these preferences
+        alerts: { type: Boolean, default: true }
+    },
+    // Saved properties
+    wishlist: [{
+        property: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Property',
+            required: true
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Automated reminders the user has not opted out of
+    reminderPreferences: {
+        visits: { type: Boolean, default: true },
+        checkIn: { type: Boolean, default: true },
+        rentDue: { type: Boolean, default: true },
+        sms: { type: Boolean, default: true },
+        email: { type: Boolean, default: true }
+    },
+    // Channels the user gets notifications on, and types they muted
+    notificationPreferences: {
+        email: { type: Boolean, default: true },
+        sms: { type: Boolean, default: true },
+        whatsapp: { type: Boolean, default: false },
+        in_app: { type: Boolean, default: true },
+        mutedTypes: [String]
     },
     isPhoneVerified: {
         type: Boolean,
@@ -130,8 +161,9 @@ userSchema.index({ role: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
-    if (!this.isModified('password')) {
-        next();
+    // Phone-only accounts have no password, and an unchanged hash must not be hashed again
+    if (!this.isModified('password') || !this.password) {
+        return next();
     }
 
     const salt = await bcrypt.genSalt(10);
@@ -46,6 +46,15 @@ const UserDocumentSchema = new Schema(
         rejectionReason: {
             type: String,
             default: null
+        },
+        reviewedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        reviewedAt: {
+            type: Date,
+            default: null
         }
     },
     {
@@ -53,4 +62,11 @@ const UserDocumentSchema = new Schema(
     }
 );
 
+UserDocumentSchema.index({ user: 1, type: 1, createdAt: -1 });
+UserDocumentSchema.index({ status: 1, createdAt: 1 });
+
+UserDocumentSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+UserDocumentSchema.statics.DOCUMENT_SUBTYPES = DOCUMENT_SUBTYPES;
+UserDocumentSchema.statics.STATUS_TYPES = STATUS_TYPES;
+
 module.exports = mongoose.model('UserDocument', UserDocumentSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const VISIT_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+// Statuses that hold a place in a visiting slot
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+const visitSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: [true, 'Property is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true,
+        match: [/^\+\d{1,4}[6-9]\d{9}$/, 'Please enter a valid phone number with country code (e.g., +919876543210)']
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+    },
+    gender: {
+        type: String,
+        enum: ['male', 'female', 'unisex', 'transgender', 'other']
+    },
+    sharing: {
+        type: String,
+        enum: ['single', 'double', 'triple', 'quadruple']
+    },
+    mode: {
+        type: String,
+        enum: {
+            values: ['physical', 'virtual'],
+            message: 'Visit mode must be physical or virtual'
+        },
+        required: [true, 'Visit mode is required']
+    },
+    // Calendar day of the visit (UTC midnight)
+    date: {
+        type: Date,
+        required: [true, 'Visit date is required']
+    },
+    // Start of the visiting slot in 24h "HH:mm" property-local time
+    timeSlot: {
+        type: String,
+        required: [true, 'Time slot is required'],
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time slot must be in HH:mm format']
+    },
+    // Exact start of the visit, used for ordering and reminders
+    scheduledAt: {
+        type: Date,
+        required: true
+    },
+    description: {
+        type: String,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: VISIT_STATUSES,
+            message: 'Please select a valid visit status'
+        },
+        default: 'pending'
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+visitSchema.index({ property: 1, date: 1, timeSlot: 1 });
+// One active visit per visitor per property and day, enforced here so concurrent requests can't both book
+visitSchema.index(
+    { property: 1, phone: 1, date: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+visitSchema.index({ scheduledAt: 1, status: 1 });
+visitSchema.index({ user: 1 });
+visitSchema.index({ phone: 1 });
+visitSchema.index({ createdAt: -1 });
+
+// Virtual for whether the visit still holds its slot
+visitSchema.virtual('isActive').get(function () {
+    return ACTIVE_STATUSES.includes(this.status);
+});
+
+visitSchema.statics.VISIT_STATUSES = VISIT_STATUSES;
+visitSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('Visit', visitSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Per-slot booking counter; the unique index makes reservations atomic
+const visitSlotSchema = new mongoose.Schema({
+    property: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Property',
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    timeSlot: {
+        type: String,
+        required: true
+    },
+    booked: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+visitSlotSchema.index({ property: 1, date: 1, timeSlot: 1 }, { unique: true });
+
+// Static method to take a place in a slot; resolves false when the slot is full
+visitSlotSchema.statics.reserve = async function (propertyId, date, timeSlot, capacity) {
+    try {
+        // A full slot fails the filter, so the upsert collides with the unique index
+        await this.findOneAndUpdate(
+            { property: propertyId, date, timeSlot, booked: { $lt: capacity } },
+            { $inc: { booked: 1 } },
+            { upsert: true, new: true }
+        );
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Static method to give back a place in a slot
+visitSlotSchema.statics.release = function (propertyId, date, timeSlot) {
+    return this.updateOne(
+        { property: propertyId, date, timeSlot, booked: { $gt: 0 } },
+        { $inc: { booked: -1 } }
+    );
+};
+
+// Static method to get booked counts for a property's slots on a day, keyed by time slot
+visitSlotSchema.statics.getBookedCounts = async function (propertyId, date) {
+    const slots = await this.find({ property: propertyId, date }).select('timeSlot booked');
+
+    return slots.reduce((counts, slot) => {
+        counts[slot.timeSlot] = slot.booked;
+        return counts;
+    }, {});
+};
+
+module.exports = mongoose.model('VisitSlot', visitSlotSchema);
@@ -0,0 +1,375 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getTemplates,
+    createTemplate,
+    updateTemplate,
+    generateAgreement,
+    getBookingAgreement,
+    downloadAgreement,
+    sendAcceptanceOtp,
+    acceptAgreement,
+    verifyAgreement
+} = require('../controllers/agreementController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFrom } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Agreements
+ *   description: Rental agreements accepted online with an OTP
+ *
+ * components:
+ *   schemas:
+ *     AgreementTemplate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         body:
+ *           type: string
+ *           description: Agreement text with {{placeholder}} tokens, e.g. {{residentName}}, {{monthlyRent}}, {{houseRules}}
+ *         lockInMonths:
+ *           type: number
+ *         noticePeriodDays:
+ *           type: number
+ *         version:
+ *           type: number
+ *           description: Bumped whenever the body changes
+ *         isDefault:
+ *           type: boolean
+ *         isActive:
+ *           type: boolean
+ *     Agreement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         agreementNumber:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         template:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             version:
+ *               type: number
+ *         terms:
+ *           type: object
+ *           description: Values the placeholders were filled with
+ *         content:
+ *           type: string
+ *         contentHash:
+ *           type: string
+ *           description: SHA-256 of the content
+ *         status:
+ *           type: string
+ *           enum: [pending_acceptance, accepted, void]
+ *         acceptance:
+ *           type: object
+ *           properties:
+ *             acceptedAt:
+ *               type: string
+ *               format: date-time
+ *             phone:
+ *               type: string
+ *             ip:
+ *               type: string
+ *         signedCopy:
+ *           type: object
+ *           properties:
+ *             pdfHash:
+ *               type: string
+ *             signature:
+ *               type: string
+ *               description: HMAC-SHA256 over the agreement, acceptance and PDF hash
+ *             signedAt:
+ *               type: string
+ *               format: date-time
+ */
+
+const templateValidation = (optional = false) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 3, max: 100 })
+        .withMessage('Name must be between 3 and 100 characters'),
+    (optional ? body('body').optional() : body('body'))
+        .isString()
+        .isLength({ min: 20, max: 50000 })
+        .withMessage('Body must be between 20 and 50000 characters'),
+    body('lockInMonths')
+        .optional()
+        .isInt({ min: 0, max: 36 })
+        .withMessage('Lock-in period must be between 0 and 36 months'),
+    body('noticePeriodDays')
+        .optional()
+        .isInt({ min: 0, max: 180 })
+        .withMessage('Notice period must be between 0 and 180 days'),
+    body('isDefault')
+        .optional()
+        .isBoolean()
+        .withMessage('isDefault must be a boolean'),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean')
+];
+
+/**
+ * @swagger
+ * /api/agreements/templates:
+ *   get:
+ *     summary: Get agreement templates (agreement-templates:manage)
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Templates and the placeholders they can use
+ *   post:
+ *     summary: Create an agreement template (agreement-templates:manage)
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgreementTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Validation error or unknown placeholder
+ */
+router.get('/templates', protect, requirePermission('agreement-templates:manage'), getTemplates);
+router.post('/templates', protect, requirePermission('agreement-templates:manage'), templateValidation(), createTemplate);
+
+/**
+ * @swagger
+ * /api/agreements/templates/{id}:
+ *   put:
+ *     summary: Update an agreement template (agreement-templates:manage)
+ *     description: Agreements already generated keep the template version they were rendered from.
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgreementTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       404:
+ *         description: Template not found
+ */
+router.put('/templates/:id', protect, requirePermission('agreement-templates:manage'), templateValidation(true), updateTemplate);
+
+/**
+ * @swagger
+ * /api/agreements/booking/{bookingId}/generate:
+ *   post:
+ *     summary: Generate or regenerate a booking's agreement (agreements:manage for the booking's property)
+ *     description: Replaces an agreement that hasn't been accepted yet. Uses the default template unless one is given.
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               templateId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Agreement generated
+ *       400:
+ *         description: Booking not confirmed or agreement already accepted
+ *       404:
+ *         description: Booking or template not found
+ */
+router.post(
+    '/booking/:bookingId/generate',
+    protect,
+    requirePermission('agreements:manage', propertyFrom('Booking', 'bookingId')),
+    [
+        body('templateId')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid template ID is required')
+    ],
+    generateAgreement
+);
+
+/**
+ * @swagger
+ * /api/agreements/booking/{bookingId}:
+ *   get:
+ *     summary: Get a booking's agreement
+ *     description: Generated from the default template on first access.
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Agreement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Agreement'
+ *       404:
+ *         description: Booking not found or no default template
+ */
+router.get('/booking/:bookingId', protect, getBookingAgreement);
+
+/**
+ * @swagger
+ * /api/agreements/booking/{bookingId}/pdf:
+ *   get:
+ *     summary: Download the agreement PDF
+ *     description: Returns the stored signed copy once accepted, otherwise a preview.
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/booking/:bookingId/pdf', protect, downloadAgreement);
+
+/**
+ * @swagger
+ * /api/agreements/booking/{bookingId}/send-otp:
+ *   post:
+ *     summary: Text the resident an OTP to accept the agreement
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OTP sent to the booking's phone number
+ *       429:
+ *         description: An OTP was sent less than a minute ago
+ */
+router.post('/booking/:bookingId/send-otp', protect, sendAcceptanceOtp);
+
+/**
+ * @swagger
+ * /api/agreements/booking/{bookingId}/accept:
+ *   post:
+ *     summary: Accept the agreement with the OTP
+ *     description: Stores a signed PDF with its SHA-256 hash and an HMAC signature.
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [otp]
+ *             properties:
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Agreement accepted
+ *       400:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many incorrect attempts
+ */
+router.post(
+    '/booking/:bookingId/accept',
+    protect,
+    [
+        body('otp')
+            .matches(/^\d{6}$/)
+            .withMessage('OTP must be 6 digits')
+    ],
+    acceptAgreement
+);
+
+/**
+ * @swagger
+ * /api/agreements/booking/{bookingId}/verify:
+ *   get:
+ *     summary: Check the signed copy hasn't been tampered with
+ *     tags: [Agreements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hash and signature checks
+ */
+router.get('/booking/:bookingId/verify', protect, verifyAgreement);
+
+module.exports = router;
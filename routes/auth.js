@@ -1,17 +1,23 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const router = express.Router();
 
 // Import controllers
 const {
     register,
     login,
+    sendLoginOTP,
+    verifyLoginOTP,
     getMe,
     updateProfile,
     verifyEmail,
     forgotPassword,
     resetPassword,
     logout,
+    logoutAll,
+    refreshToken,
+    getSessions,
+    revokeSession,
     verifyResetOTP,
     sendPhoneOTP,
     verifyPhoneOTP,
@@ -19,6 +25,7 @@ const {
 
 // Import middleware
 const { protect } = require('../middleware/auth');
+const { SELF_SERVICE_ROLES } = require('../config/permissions');
 
 /**
  * @swagger
@@ -42,7 +49,7 @@ const { protect } = require('../middleware/auth');
  *           description: User's phone number
  *         role:
  *           type: string
- *           enum: [user, admin, owner]
+ *           enum: [user, admin, owner, manager, support, editor]
  *           description: User's role
  *         isVerified:
  *           type: boolean
@@ -67,6 +74,17 @@ const { protect } = require('../middleware/auth');
  *           type: string
  *         token:
  *           type: string
+ *           description: Access token, valid for 15 minutes
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use token for POST /api/auth/refresh, valid for 30 days
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         expiresIn:
+ *           type: integer
+ *           description: Access token lifetime in seconds
+ *           example: 900
  *         data:
  *           type: object
  *           properties:
@@ -129,8 +147,9 @@ const { protect } = require('../middleware/auth');
  *                 example: "+1234567890"
  *               role:
  *                 type: string
- *                 enum: [user, owner]
+ *                 enum: [user]
  *                 default: user
+ *                 description: Owner and staff roles are assigned by an admin
  *                 example: "user"
  *     responses:
  *       201:
@@ -169,8 +188,8 @@ router.post('/register', [
         .withMessage('Please provide a valid phone number'),
     body('role')
         .optional()
-        .isIn(['user', 'admin'])
-        .withMessage('Role must be either user or admin')
+        .isIn(SELF_SERVICE_ROLES)
+        .withMessage(`Role must be one of: ${SELF_SERVICE_ROLES.join(', ')}`)
 ], register);
 
 /**
@@ -196,6 +215,10 @@ router.post('/register', [
  *               password:
  *                 type: string
  *                 example: "password123"
+ *               deviceName:
+ *                 type: string
+ *                 example: "Pixel 8"
+ *                 description: Label shown in the list of signed-in devices
  *     responses:
  *       200:
  *         description: Login successful
@@ -229,15 +252,116 @@ router.post('/login', [
         .withMessage('Please provide a valid email'),
     body('password')
         .notEmpty()
-        .withMessage('Password is required')
+        .withMessage('Password is required'),
+    body('deviceName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Device name cannot exceed 100 characters')
 ], login);
 
+/**
+ * @swagger
+ * /api/auth/phone/send-otp:
+ *   post:
+ *     summary: Send a sign-in OTP to a phone number
+ *     description: |
+ *       Works for new and existing numbers. Another OTP can be requested after 60 seconds.
+ *       Numbers that ask for too many OTPs or enter too many wrong codes are locked for 15 minutes.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+919876543210"
+ *     responses:
+ *       200:
+ *         description: OTP sent
+ *       400:
+ *         description: Invalid phone number
+ *       429:
+ *         description: Resend cooldown or lockout
+ */
+router.post('/phone/send-otp', [
+    body('phone')
+        .trim()
+        .notEmpty()
+        .withMessage('Phone number is required')
+], sendLoginOTP);
+
+/**
+ * @swagger
+ * /api/auth/phone/verify-otp:
+ *   post:
+ *     summary: Sign in or sign up with a phone OTP
+ *     description: Creates an account for numbers that don't have one yet (201) and starts a session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone, otp]
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+919876543210"
+ *               otp:
+ *                 type: string
+ *                 example: "123456"
+ *               name:
+ *                 type: string
+ *                 description: Used when a new account is created
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       201:
+ *         description: Account created and signed in
+ *       400:
+ *         description: Wrong or expired OTP
+ *       429:
+ *         description: Too many wrong codes; the number is locked
+ */
+router.post('/phone/verify-otp', [
+    body('phone')
+        .trim()
+        .notEmpty()
+        .withMessage('Phone number is required'),
+    body('otp')
+        .isLength({ min: 6, max: 6 })
+        .isNumeric()
+        .withMessage('OTP must be 6 digits'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 50 })
+        .withMessage('Name must be between 2 and 50 characters'),
+    body('deviceName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Device name cannot exceed 100 characters')
+], verifyLoginOTP);
+
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
- *     description: Logs out the currently authenticated user. Since JWT is stateless, this simply informs the client to delete the token.
+ *     description: Signs out the current device. Its refresh token stops working and its access token is rejected.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -258,6 +382,94 @@ router.post('/login', [
  */
 router.post('/logout', protect, logout);
 
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked, including the current one
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Get a new token pair
+ *     description: |
+ *       Refresh tokens rotate: each one can be used once and the response carries its replacement.
+ *       Presenting a refresh token that was already used signs out the device it belongs to.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+], refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List signed-in devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first; isCurrent marks this device
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device signed out
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, [
+    param('id').isMongoId().withMessage('Invalid session ID')
+], revokeSession);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -15,7 +15,7 @@ const {
 } = require('../controllers/bannerController');
 
 const { protect } = require('../middleware/auth');
-const { adminOnly, managerOrAdmin } = require('../middleware/roleAuth');
+const { requirePermission } = require('../middleware/roleAuth');
 // const { upload } = require('../middleware/upload');
 const { validateBanner } = require('../middleware/validation');
 const multer = require('multer');
@@ -375,7 +375,7 @@ router.post('/:id/click', recordClick);
  * @swagger
  * /api/banners/reorder:
  *   put:
- *     summary: Reorder banners (Admin only)
+ *     summary: Reorder banners (banners:manage)
  *     tags: [Banners]
  *     security:
  *       - bearerAuth: []
@@ -409,11 +409,11 @@ router.post('/:id/click', recordClick);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Server error
  */
-router.put('/reorder', protect, adminOnly, reorderBanners);
+router.put('/reorder', protect, requirePermission('banners:manage'), reorderBanners);
 
 // /**
 //  * @swagger
@@ -484,7 +484,7 @@ router.put('/reorder', protect, adminOnly, reorderBanners);
 //  *       401:
 //  *         description: Unauthorized
 //  *       403:
-//  *         description: Forbidden - Admin access required
+//  *         description: Forbidden - Missing permission
 //  */
 // router.post('/', protect, adminOnly, createBanner);
 
@@ -492,7 +492,7 @@ router.put('/reorder', protect, adminOnly, reorderBanners);
  * @swagger
  * /api/banners:
  *   post:
- *     summary: Create new banner (Admin only)
+ *     summary: Create new banner (banners:manage)
  *     tags: [Banners]
  *     security:
  *       - bearerAuth: []
@@ -557,16 +557,16 @@ router.put('/reorder', protect, adminOnly, reorderBanners);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  */
-router.post('/', protect, adminOnly, createBanner);
+router.post('/', protect, requirePermission('banners:manage'), createBanner);
 
 
 /**
  * @swagger
  * /api/banners/{id}:
  *   put:
- *     summary: Update banner (Admin only)
+ *     summary: Update banner (banners:manage)
  *     tags: [Banners]
  *     security:
  *       - bearerAuth: []
@@ -635,17 +635,17 @@ router.post('/', protect, adminOnly, createBanner);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Banner not found
  */
-router.put('/:id', protect, adminOnly, updateBanner);
+router.put('/:id', protect, requirePermission('banners:manage'), updateBanner);
 
 /**
  * @swagger
  * /api/banners/{id}:
  *   delete:
- *     summary: Delete banner (Admin only)
+ *     summary: Delete banner (banners:manage)
  *     tags: [Banners]
  *     security:
  *       - bearerAuth: []
@@ -666,19 +666,19 @@ router.put('/:id', protect, adminOnly, updateBanner);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Banner not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', protect, adminOnly, deleteBanner);
+router.delete('/:id', protect, requirePermission('banners:manage'), deleteBanner);
 
 /**
  * @swagger
  * /api/banners/{id}/toggle:
  *   patch:
- *     summary: Toggle banner status (Admin only)
+ *     summary: Toggle banner status (banners:manage)
  *     tags: [Banners]
  *     security:
  *       - bearerAuth: []
@@ -706,13 +706,13 @@ router.delete('/:id', protect, adminOnly, deleteBanner);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Banner not found
  *       500:
  *         description: Server error
  */
-router.patch('/:id/toggle', protect, adminOnly, toggleBannerStatus);
+router.patch('/:id/toggle', protect, requirePermission('banners:manage'), toggleBannerStatus);
 
 /**
  * @swagger
@@ -750,6 +750,6 @@ router.patch('/:id/toggle', protect, adminOnly, toggleBannerStatus);
  *       500:
  *         description: Server error
  */
-router.get('/:id/analytics', protect, managerOrAdmin, getBannerAnalytics);
+router.get('/:id/analytics', protect, requirePermission('banners:analytics'), getBannerAnalytics);
 
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,203 @@
 // blogRoutes.js
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 const blogController = require('../controllers/blogController');
-const { protect } = require('../middleware/auth');
+const {
+    getBlogCategories,
+    createBlogCategory,
+    updateBlogCategory,
+    deleteBlogCategory,
+    getBlogTags,
+    createBlogTag,
+    updateBlogTag,
+    deleteBlogTag
+} = require('../controllers/blogTaxonomyController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+
+const BLOG_STATUSES = ['draft', 'scheduled', 'published'];
+const CONTENT_FORMATS = ['markdown', 'blocks'];
+const BLOCK_TYPES = ['paragraph', 'heading', 'list', 'quote', 'image', 'code', 'embed'];
+
+const idValidation = param('id').isMongoId().withMessage('Invalid ID');
+
+const revisionValidation = param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive number');
+
+// Shared by create and update; create additionally requires title, category and seo
+const blogValidation = (isCreate) => [
+    body('title')
+        .if(() => isCreate).exists({ checkFalsy: true }).withMessage('Title is required'),
+    body('title')
+        .optional()
+        .isString().trim()
+        .isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+    body('category')
+        .if(() => isCreate).exists({ checkFalsy: true }).withMessage('Category is required'),
+    body('seo.title')
+        .if(() => isCreate).exists({ checkFalsy: true }).withMessage('SEO title is required'),
+    body('seo.meta')
+        .if(() => isCreate).exists({ checkFalsy: true }).withMessage('SEO meta description is required'),
+    body('status')
+        .optional()
+        .isIn(BLOG_STATUSES).withMessage(`Status must be one of: ${BLOG_STATUSES.join(', ')}`),
+    body('publishDate')
+        .if(body('status').equals('scheduled'))
+        .exists({ checkFalsy: true }).withMessage('Scheduled posts need a publish date')
+        .bail()
+        .isISO8601().withMessage('Publish date must be a date'),
+    body('excerpt')
+        .optional()
+        .isString()
+        .isLength({ max: 300 }).withMessage('Excerpt cannot exceed 300 characters'),
+    body('content.format')
+        .optional()
+        .isIn(CONTENT_FORMATS).withMessage(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`),
+    body('content.markdown')
+        .optional()
+        .isString().withMessage('Markdown content must be text'),
+    body('content.blocks')
+        .optional()
+        .isArray({ max: 500 }).withMessage('Content blocks must be a list of at most 500 blocks'),
+    body('content.blocks.*.type')
+        .isIn(BLOCK_TYPES).withMessage(`Block type must be one of: ${BLOCK_TYPES.join(', ')}`),
+    body('coverImage.url')
+        .optional({ checkFalsy: true })
+        .isURL().withMessage('Cover image must be a URL'),
+    body('tags')
+        .optional()
+        .isArray({ max: 20 }).withMessage('Tags must be a list of at most 20 tags')
+];
+
+const categoryValidation = [
+    body('name')
+        .optional()
+        .isString().trim()
+        .isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+    body('order')
+        .optional()
+        .isInt().withMessage('Order must be a number')
+];
+
+const tagNameValidation = body('name')
+    .isString().trim()
+    .isLength({ min: 2, max: 40 }).withMessage('Name must be between 2 and 40 characters');
 
 /**
  * @swagger
  * tags:
  *   name: Blogs
  *   description: Blog management APIs
+ *
+ * components:
+ *   schemas:
+ *     BlogContent:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *           enum: [markdown, blocks]
+ *           default: markdown
+ *         markdown:
+ *           type: string
+ *           description: Body when format is markdown
+ *         blocks:
+ *           type: array
+ *           description: Body when format is blocks, in order
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [paragraph, heading, list, quote, image, code, embed]
+ *               text:
+ *                 type: string
+ *                 description: paragraph, heading, quote and code
+ *               level:
+ *                 type: integer
+ *                 minimum: 2
+ *                 maximum: 4
+ *                 description: heading
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: list
+ *               ordered:
+ *                 type: boolean
+ *               url:
+ *                 type: string
+ *                 description: image and embed
+ *               alt:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 description: code
+ *     BlogInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *         excerpt:
+ *           type: string
+ *           description: Generated from the body when left empty
+ *         content:
+ *           $ref: '#/components/schemas/BlogContent'
+ *         coverImage:
+ *           type: object
+ *           properties:
+ *             url:
+ *               type: string
+ *             alt:
+ *               type: string
+ *         authorBio:
+ *           type: string
+ *           description: Shown instead of the author's profile bio
+ *         category:
+ *           type: string
+ *           description: Category ID or slug
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Tag IDs or slugs; tags are created by content managers
+ *         status:
+ *           type: string
+ *           enum: [draft, scheduled, published]
+ *           description: Only content managers can schedule or publish; other authors write drafts
+ *         publishDate:
+ *           type: string
+ *           format: date-time
+ *           description: Required when scheduled; the post is published automatically at this time
+ *         seo:
+ *           type: object
+ *           properties:
+ *             title:
+ *               type: string
+ *             meta:
+ *               type: string
+ *     BlogTerm:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         description:
+ *           type: string
+ *         order:
+ *           type: integer
+ *         postCount:
+ *           type: integer
+ *           description: Published posts
  */
 
 /**
@@ -16,6 +205,51 @@ const { protect } = require('../middleware/auth');
  * /api/blogs:
  *   post:
  *     summary: Create a new blog
+ *     description: The slug comes from the title and gets a -2, -3... suffix when another post has or had it.
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BlogInput'
+ *               - type: object
+ *                 required: [title, category, seo]
+ *     responses:
+ *       201:
+ *         description: Blog created
+ *       400:
+ *         description: Invalid input, unknown category or tag, or a scheduled date in the past
+ *       403:
+ *         description: Scheduling or publishing without content:manage
+ */
+router.post('/', protect, blogValidation(true), blogController.createBlog);
+
+/**
+ * @swagger
+ * /api/blogs/categories:
+ *   get:
+ *     summary: Get blog categories with their number of published posts
+ *     tags: [Blogs]
+ *     responses:
+ *       200:
+ *         description: Categories in navigation order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlogTerm'
+ *   post:
+ *     summary: Create a blog category
  *     tags: [Blogs]
  *     security:
  *       - bearerAuth: []
@@ -25,31 +259,35 @@ const { protect } = require('../middleware/auth');
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [name]
  *             properties:
- *               title:
- *                 type: string
- *               category:
+ *               name:
  *                 type: string
- *               status:
+ *               description:
  *                 type: string
- *               seo:
- *                 type: object
- *                 properties:
- *                   title:
- *                     type: string
- *                   meta:
- *                     type: string
+ *               order:
+ *                 type: integer
  *     responses:
  *       201:
- *         description: Blog created
+ *         description: Category created
+ *       400:
+ *         description: Invalid input or a category with this name exists
  */
-router.post('/', protect, blogController.createBlog);
+router.get('/categories', getBlogCategories);
+router.post(
+    '/categories',
+    protect,
+    requirePermission('content:manage'),
+    body('name').exists({ checkFalsy: true }).withMessage('Name is required'),
+    categoryValidation,
+    createBlogCategory
+);
 
 /**
  * @swagger
- * /api/blogs/{id}:
+ * /api/blogs/categories/{id}:
  *   put:
- *     summary: Update a blog by ID
+ *     summary: Update a blog category; the slug follows the name
  *     tags: [Blogs]
  *     security:
  *       - bearerAuth: []
@@ -66,29 +304,164 @@ router.post('/', protect, blogController.createBlog);
  *           schema:
  *             type: object
  *             properties:
- *               title:
+ *               name:
  *                 type: string
- *               category:
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       404:
+ *         description: Category not found
+ *   delete:
+ *     summary: Delete a blog category no post is filed under
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       400:
+ *         description: Posts are still filed under the category
+ *       404:
+ *         description: Category not found
+ */
+router.put('/categories/:id', protect, requirePermission('content:manage'), idValidation, categoryValidation, updateBlogCategory);
+router.delete('/categories/:id', protect, requirePermission('content:manage'), idValidation, deleteBlogCategory);
+
+/**
+ * @swagger
+ * /api/blogs/tags:
+ *   get:
+ *     summary: Get blog tags with their number of published posts
+ *     tags: [Blogs]
+ *     responses:
+ *       200:
+ *         description: Tags by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlogTerm'
+ *   post:
+ *     summary: Create a blog tag
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
  *                 type: string
- *               status:
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *       400:
+ *         description: Invalid input or a tag with this name exists
+ */
+router.get('/tags', getBlogTags);
+router.post('/tags', protect, requirePermission('content:manage'), tagNameValidation, createBlogTag);
+
+/**
+ * @swagger
+ * /api/blogs/tags/{id}:
+ *   put:
+ *     summary: Rename a blog tag; the slug follows the name
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
  *                 type: string
- *                 enum: [draft, published]
- *               seo:
- *                 type: object
- *                 properties:
- *                   title:
- *                     type: string
- *                   meta:
- *                     type: string
+ *     responses:
+ *       200:
+ *         description: Tag updated
+ *       404:
+ *         description: Tag not found
+ *   delete:
+ *     summary: Delete a blog tag and remove it from every post
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *       404:
+ *         description: Tag not found
+ */
+router.put('/tags/:id', protect, requirePermission('content:manage'), idValidation, tagNameValidation, updateBlogTag);
+router.delete('/tags/:id', protect, requirePermission('content:manage'), idValidation, deleteBlogTag);
+
+/**
+ * @swagger
+ * /api/blogs/{id}:
+ *   put:
+ *     summary: Update a blog by ID
+ *     description: Authors can update their own drafts, content managers any post. Every change to the content is saved as a revision.
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BlogInput'
  *     responses:
  *       200:
  *         description: Blog updated
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Not the author of this draft, or scheduling or publishing without content:manage
  *       404:
  *         description: Blog not found
  */
-router.put('/:id', protect, blogController.updateBlog);
+router.put('/:id', protect, blogValidation(false), blogController.updateBlog);
 
 /**
  * @swagger
@@ -120,13 +493,147 @@ router.put('/:id', protect, blogController.updateBlog);
  */
 router.get('/me', protect, blogController.currentUserBlogs);
 
+/**
+ * @swagger
+ * /api/blogs/{id}/related:
+ *   get:
+ *     summary: Get published posts sharing tags or the category with a blog
+ *     tags: [Blogs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 4
+ *           maximum: 12
+ *     responses:
+ *       200:
+ *         description: Related posts, most shared tags first
+ *       404:
+ *         description: Blog not found
+ */
+router.get(
+    '/:id/related',
+    idValidation,
+    query('limit').optional().isInt({ min: 1, max: 12 }).withMessage('Limit must be between 1 and 12'),
+    blogController.getRelatedBlogs
+);
 
+/**
+ * @swagger
+ * /api/blogs/{id}/revisions:
+ *   get:
+ *     summary: Get the revision history of a blog
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions newest first, without their content
+ *       403:
+ *         description: Not the author or a content manager
+ *       404:
+ *         description: Blog not found
+ */
+router.get('/:id/revisions', protect, idValidation, blogController.getBlogRevisions);
+
+/**
+ * @swagger
+ * /api/blogs/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get one revision of a blog with its content
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision with a snapshot of the post's content
+ *       404:
+ *         description: Blog or revision not found
+ */
+router.get('/:id/revisions/:revision', protect, idValidation, revisionValidation, blogController.getBlogRevision);
+
+/**
+ * @swagger
+ * /api/blogs/{id}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore a blog's content from an older revision
+ *     description: The restored content is saved as a new revision; status and publish date are left as they are.
+ *     tags: [Blogs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Blog restored
+ *       404:
+ *         description: Blog or revision not found
+ */
+router.post('/:id/revisions/:revision/restore', protect, idValidation, revisionValidation, blogController.restoreBlogRevision);
+
+/**
+ * @swagger
+ * /api/blogs/slug/{slug}:
+ *   get:
+ *     summary: Get a blog by slug
+ *     description: |
+ *       Counts one view per visitor per day; crawlers and the post's editors aren't counted.
+ *       A slug the post had before its title changed answers with a 301 to the current slug.
+ *     tags: [Blogs]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Single blog with its category, tags and author
+ *       301:
+ *         description: The post moved to a new slug; see the Location header
+ *       404:
+ *         description: Blog not found
+ */
+router.get('/slug/:slug', optionalAuth, blogController.getBlogBySlug);
 
 /**
  * @swagger
  * /api/blogs/{id}:
  *   get:
  *     summary: Get blog by ID
+ *     description: Drafts and scheduled posts are only returned to their author and content managers.
  *     tags: [Blogs]
  *     parameters:
  *       - in: path
@@ -136,15 +643,18 @@ router.get('/me', protect, blogController.currentUserBlogs);
  *           type: string
  *     responses:
  *       200:
- *         description: Single blog
+ *         description: Single blog with its category, tags and author
+ *       404:
+ *         description: Blog not found
  */
-router.get('/:id', blogController.getBlogById);
+router.get('/:id', optionalAuth, blogController.getBlogById);
 
 /**
  * @swagger
  * /api/blogs:
  *   get:
  *     summary: Get all blogs with pagination and search
+ *     description: Only published posts, unless the caller is a content manager.
  *     tags: [Blogs]
  *     parameters:
  *       - in: query
@@ -159,11 +669,27 @@ router.get('/:id', blogController.getBlogById);
  *         name: search
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Tag ID or slug
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published]
+ *         description: Content managers only
  *     responses:
  *       200:
  *         description: List of blogs
  */
-router.get('/', blogController.getAllBlogs);
+router.get('/', optionalAuth, blogController.getAllBlogs);
 
 /**
  * @swagger
@@ -7,13 +7,14 @@ const {
     getBooking,
     updateBooking,
     cancelBooking,
+    getCancellationPreview,
     confirmBooking,
     checkAvailability,
     getBookingStats
 } = require('../controllers/bookingController');
 
 const { protect } = require('../middleware/auth');
-const { adminOnly } = require('../middleware/roleAuth');
+const { requirePermission, propertyFrom } = require('../middleware/roleAuth');
 
 /**
  * @swagger
@@ -58,10 +59,13 @@ const { adminOnly } = require('../middleware/roleAuth');
  *           minimum: 1
  *           maximum: 20
  *           description: Number of guests
+ *         monthlyRent:
+ *           type: number
+ *           description: Monthly rent of the booked sharing type
  *         totalAmount:
  *           type: float
  *           minimum: 0
- *           description: Total booking amount
+ *           description: Rent for the whole stay, prorated from the monthly rent
  *         status:
  *           type: string
  *           enum: [pending, confirmed, cancelled, completed, in-progress]
@@ -74,12 +78,15 @@ const { adminOnly } = require('../middleware/roleAuth');
  *           description: Payment status
  *         paymentMethod:
  *           type: string
- *           enum: [credit_card, debit_card, paypal, bank_transfer, cash]
- *           default: credit_card
+ *           enum: [online, upi, credit_card, debit_card, paypal, bank_transfer, cash]
+ *           default: online
  *           description: Payment method
+ *         paymentOrderId:
+ *           type: string
+ *           description: Payment gateway order ID
  *         paymentId:
  *           type: string
- *           description: Payment transaction ID
+ *           description: Payment transaction ID, set once the gateway captures the payment
  *         specialRequests:
  *           type: string
  *           maxLength: 500
@@ -93,6 +100,43 @@ const { adminOnly } = require('../middleware/roleAuth');
  *           minimum: 0
  *           default: 0
  *           description: Refund amount
+ *         cancellationPolicy:
+ *           type: object
+ *           description: Refund terms of the cancellation policy in force when the booking was made
+ *           properties:
+ *             policy:
+ *               type: string
+ *             name:
+ *               type: string
+ *             type:
+ *               type: string
+ *             revision:
+ *               type: integer
+ *             tiers:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   minDaysBeforeCheckIn:
+ *                     type: integer
+ *                   refundPercentage:
+ *                     type: number
+ *             bookingFee:
+ *               type: object
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [fixed, percentage]
+ *                 value:
+ *                   type: number
+ *         cancellation:
+ *           $ref: '#/components/schemas/CancellationRefund'
+ *         room:
+ *           type: string
+ *           description: Room holding the booked bed
+ *         bed:
+ *           type: string
+ *           description: Bed reserved for the booking
  *         reviewSubmitted:
  *           type: boolean
  *           default: false
@@ -170,7 +214,7 @@ const { adminOnly } = require('../middleware/roleAuth');
  *         totalAmount: 500
  *         status: "pending"
  *         paymentStatus: "pending"
- *         paymentMethod: "credit_card"
+ *         paymentMethod: "online"
  *         specialRequests: "Late check-in preferred"
  *         contactInfo:
  *           phone: "+911234567890"
@@ -219,18 +263,14 @@ const { adminOnly } = require('../middleware/roleAuth');
  *           minimum: 1
  *           maximum: 20
  *           description: Number of guests
- *         totalAmount:
- *           type: float
- *           minimum: 0
- *           description: Total amount
  *         specialRequests:
  *           type: string
  *           maxLength: 500
  *           description: Special requests
  *         paymentMethod:
  *           type: string
- *           enum: [credit_card, debit_card, paypal, bank_transfer, cash]
- *           default: credit_card
+ *           enum: [online, upi, credit_card, debit_card, paypal, bank_transfer, cash]
+ *           default: online
  *           description: Payment method
  *         contactInfo:
  *           type: object
@@ -288,7 +328,7 @@ const { adminOnly } = require('../middleware/roleAuth');
  *         guests: 2
  *         totalAmount: 500.00
  *         specialRequests: "Late check-in preferred"
- *         paymentMethod: "credit_card"
+ *         paymentMethod: "online"
  *         contactInfo:
  *           phone: "+911234567890"
  *           email: "john@example.com"
@@ -321,10 +361,15 @@ const { adminOnly } = require('../middleware/roleAuth');
  *           type: string
  *           format: date
  *           description: Check-out date
+ *         sharing:
+ *           type: string
+ *           enum: [single, double, triple, quadruple]
+ *           description: Sharing type to check; every sharing type of the property when omitted
  *       example:
  *         propertyId: "64f8b2c1d4e5f6a7b8c9d0e2"
  *         checkIn: "2024-01-15"
  *         checkOut: "2024-01-20"
+ *         sharing: "double"
  *
  *   responses:
  *     BookingResponse:
@@ -370,6 +415,20 @@ const { adminOnly } = require('../middleware/roleAuth');
  *           properties:
  *             available:
  *               type: boolean
+ *               description: Whether any checked sharing type has a free bed
+ *             bySharingType:
+ *               type: object
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   available:
+ *                     type: boolean
+ *                   totalBeds:
+ *                     type: integer
+ *                   bookedBeds:
+ *                     type: integer
+ *                   availableBeds:
+ *                     type: integer
  *             property:
  *               type: object
  *               properties:
@@ -377,10 +436,10 @@ const { adminOnly } = require('../middleware/roleAuth');
  *                   type: string
  *                 title:
  *                   type: string
- *                 price:
- *                   type: number
- *                 maxGuests:
- *                   type: integer
+ *                 sharingType:
+ *                   type: array
+ *                   items:
+ *                     type: object
  *
  *     BookingStatsResponse:
  *       type: object
@@ -412,8 +471,8 @@ const { adminOnly } = require('../middleware/roleAuth');
  * @swagger
  * /api/bookings/check-availability:
  *   post:
- *     summary: Check property availability
- *     description: Check if a property is available for booking on specified dates
+ *     summary: Check bed availability
+ *     description: Check free beds per sharing type of a property for the specified dates
  *     tags: [Bookings]
  *     requestBody:
  *       required: true
@@ -441,7 +500,7 @@ router.post('/check-availability', checkAvailability);
  * @swagger
  * /api/bookings/admin/stats:
  *   get:
- *     summary: Get booking statistics (Admin only)
+ *     summary: Get booking statistics (bookings:read, limited to the user's properties for owners and managers)
  *     description: Get comprehensive booking statistics including counts, revenue, and recent bookings
  *     tags: [Bookings]
  *     security:
@@ -456,17 +515,17 @@ router.post('/check-availability', checkAvailability);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Server error
  */
-router.get('/admin/stats', protect, adminOnly, getBookingStats);
+router.get('/admin/stats', protect, requirePermission('bookings:read'), getBookingStats);
 
 /**
  * @swagger
  * /api/bookings/admin:
  *   get:
- *     summary: Get all bookings (Admin only)
+ *     summary: Get all bookings (bookings:read, limited to the user's properties for owners and managers)
  *     description: Get all bookings in the system with pagination and filtering
  *     tags: [Bookings]
  *     security:
@@ -500,6 +559,11 @@ router.get('/admin/stats', protect, adminOnly, getBookingStats);
  *         name: search
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *         description: Filter by property
  *     responses:
  *       200:
  *         description: All bookings retrieved successfully
@@ -510,18 +574,18 @@ router.get('/admin/stats', protect, adminOnly, getBookingStats);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Server error
  */
-router.get('/admin', protect, adminOnly, getAllBookings);
+router.get('/admin', protect, requirePermission('bookings:read'), getAllBookings);
 
 /**
  * @swagger
  * /api/bookings:
  *   post:
  *     summary: Create a new booking
- *     description: Create a new booking for a property
+ *     description: Create a new booking for a property. Online bookings also get a payment gateway order, returned as `payment` (see PaymentCheckout)
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -554,7 +618,7 @@ router.post('/', protect, createBooking);
  * /api/bookings/my-bookings:
  *   get:
  *     summary: Get user's bookings
- *     description: Get all bookings for the authenticated user
+ *     description: Get all bookings for the authenticated user, each with its rent invoices
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -664,8 +728,17 @@ router.get('/my-bookings', protect, getUserBookings);
  *                 description: Updated contact information
  *               paymentMethod:
  *                 type: string
- *                 enum: [credit_card, debit_card, paypal, bank_transfer, cash]
+ *                 enum: [online, upi, credit_card, debit_card, paypal, bank_transfer, cash]
  *                 description: Updated payment method
+ *               sharing:
+ *                 type: string
+ *                 description: New sharing type; a bed the booking holds is moved to one of this type
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, in-progress, completed, cancelled]
+ *                 description: |
+ *                   Staff with bookings:manage only. Moves go pending -> confirmed -> in-progress -> completed,
+ *                   or to cancelled, with the same bed, deposit and refund steps as the confirm and cancel endpoints.
  *     responses:
  *       200:
  *         description: Booking updated successfully
@@ -674,11 +747,11 @@ router.get('/my-bookings', protect, getUserBookings);
  *             schema:
  *               $ref: '#/components/responses/BookingResponse'
  *       400:
- *         description: Invalid request data or booking cannot be updated
+ *         description: Invalid request data, booking cannot be updated, status move not allowed, no bed free, or resident KYC not approved for a move to in-progress
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Not authorized to update this booking
+ *         description: Forbidden - Not authorized to update this booking or change its status
  *       404:
  *         description: Booking not found
  *       500:
@@ -692,7 +765,7 @@ router.put('/:id', protect, updateBooking);
  * /api/bookings/{id}/cancel:
  *   put:
  *     summary: Cancel booking
- *     description: Cancel an existing booking
+ *     description: Cancel an existing booking; paid bookings are refunded through the payment gateway under the booking's cancellation policy
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -732,8 +805,12 @@ router.put('/:id', protect, updateBooking);
  *                       $ref: '#/components/schemas/Booking'
  *                     refundAmount:
  *                       type: number
+ *                     refund:
+ *                       $ref: '#/components/schemas/CancellationRefund'
  *       400:
  *         description: Booking cannot be cancelled
+ *       502:
+ *         description: Refund could not be processed by the payment gateway
  *       401:
  *         description: Unauthorized
  *       403:
@@ -745,12 +822,69 @@ router.put('/:id', protect, updateBooking);
  */
 router.put('/:id/cancel', protect, cancelBooking);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CancellationRefund:
+ *       type: object
+ *       description: How the refund for a cancellation is worked out
+ *       properties:
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledBy:
+ *           type: string
+ *         policyName:
+ *           type: string
+ *         policyRevision:
+ *           type: integer
+ *         daysUntilCheckIn:
+ *           type: integer
+ *         refundPercentage:
+ *           type: number
+ *         bookingFee:
+ *           type: number
+ *           description: Non-refundable booking fee withheld from the refund
+ *         refundAmount:
+ *           type: number
+ *
+ * /api/bookings/{id}/cancellation-preview:
+ *   get:
+ *     summary: Preview the refund for cancelling a booking now
+ *     description: Applies the cancellation policy the booking was made under, without cancelling it
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Refund preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CancellationRefund'
+ *       400:
+ *         description: Booking cannot be cancelled
+ *       403:
+ *         description: Forbidden - Not authorized to access this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/cancellation-preview', protect, getCancellationPreview);
+
 /**
  * @swagger
  * /api/bookings/{id}/confirm:
  *   put:
- *     summary: Confirm booking (Admin only)
- *     description: Confirm a pending booking
+ *     summary: Confirm booking (bookings:manage for the booking's property)
+ *     description: Confirm a pending booking and reserve a vacant bed of the booked sharing type
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -769,16 +903,16 @@ router.put('/:id/cancel', protect, cancelBooking);
  *             schema:
  *               $ref: '#/components/responses/BookingResponse'
  *       400:
- *         description: Only pending bookings can be confirmed
+ *         description: Only pending bookings can be confirmed, or no vacant bed is left
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Booking not found
  *       500:
  *         description: Server error
  */
-router.put('/:id/confirm', protect, adminOnly, confirmBooking);
+router.put('/:id/confirm', protect, requirePermission('bookings:manage', propertyFrom('Booking')), confirmBooking);
 
 module.exports = router;
\ No newline at end of file
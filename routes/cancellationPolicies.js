@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+    getPolicies,
+    getPolicy,
+    getPropertyPolicy,
+    createPolicy,
+    updatePolicy,
+    deletePolicy,
+    attachPolicyToProperty
+} = require('../controllers/cancellationPolicyController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFromParam } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const policyValidation = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+
+    return [
+        field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Policy name must be between 1 and 100 characters'),
+        body('type').optional().isIn(['flexible', 'moderate', 'strict', 'custom']).withMessage('Invalid policy type'),
+        body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+        body('tiers').optional().isArray({ min: 1 }).withMessage('Tiers must be a non-empty array'),
+        body('tiers.*.minDaysBeforeCheckIn').optional().isInt({ min: 0 }).withMessage('Days before check-in must be a non-negative integer').toInt(),
+        body('tiers.*.refundPercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('Refund percentage must be between 0 and 100').toFloat(),
+        body('bookingFee.type').optional().isIn(['fixed', 'percentage']).withMessage('Booking fee type must be fixed or percentage'),
+        body('bookingFee.value').optional().isFloat({ min: 0 }).withMessage('Booking fee must be a non-negative number').toFloat(),
+        body('isDefault').optional().isBoolean().toBoolean(),
+        body('isActive').optional().isBoolean().toBoolean()
+    ];
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: CancellationPolicies
+ *   description: Cancellation and refund policies attached to properties
+ *
+ * components:
+ *   schemas:
+ *     CancellationPolicy:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Moderate
+ *         type:
+ *           type: string
+ *           enum: [flexible, moderate, strict, custom]
+ *         description:
+ *           type: string
+ *         tiers:
+ *           type: array
+ *           description: Refund tiers; the first tier whose notice period is met applies
+ *           items:
+ *             type: object
+ *             properties:
+ *               minDaysBeforeCheckIn:
+ *                 type: integer
+ *                 example: 8
+ *               refundPercentage:
+ *                 type: number
+ *                 example: 90
+ *         bookingFee:
+ *           type: object
+ *           description: Non-refundable part of the booking amount
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [fixed, percentage]
+ *             value:
+ *               type: number
+ *         isDefault:
+ *           type: boolean
+ *           description: Applies to properties without a policy of their own
+ *         isActive:
+ *           type: boolean
+ *         revision:
+ *           type: integer
+ *           description: Incremented whenever tiers or booking fee change
+ */
+
+/**
+ * @swagger
+ * /api/cancellation-policies:
+ *   get:
+ *     summary: Get all cancellation policies (cancellation-policies:manage)
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Policies and built-in presets
+ *   post:
+ *     summary: Create a cancellation policy (cancellation-policies:manage)
+ *     description: Flexible, moderate and strict policies default to their preset tiers when none are given
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationPolicy'
+ *     responses:
+ *       201:
+ *         description: Policy created
+ *       400:
+ *         description: Validation failed or name already in use
+ */
+router.get('/', protect, requirePermission('cancellation-policies:manage'), getPolicies);
+router.post('/', protect, requirePermission('cancellation-policies:manage'), policyValidation(false), createPolicy);
+
+/**
+ * @swagger
+ * /api/cancellation-policies/property/{propertyId}:
+ *   get:
+ *     summary: Get the cancellation policy new bookings at a property fall under
+ *     tags: [CancellationPolicies]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy in force
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CancellationPolicy'
+ *       404:
+ *         description: Property not found
+ *   put:
+ *     summary: Attach a cancellation policy to a property (cancellation-policies:assign for this property)
+ *     description: Pass a null policyId to fall back to the default policy. Existing bookings keep their terms.
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               policyId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Policy attached or detached
+ *       404:
+ *         description: Property or active policy not found
+ */
+router.get('/property/:propertyId', getPropertyPolicy);
+router.put(
+    '/property/:propertyId',
+    protect,
+    requirePermission('cancellation-policies:assign', propertyFromParam()),
+    [
+        param('propertyId').isMongoId().withMessage('Invalid property ID'),
+        body('policyId').optional({ nullable: true }).isMongoId().withMessage('Invalid policy ID')
+    ],
+    attachPolicyToProperty
+);
+
+/**
+ * @swagger
+ * /api/cancellation-policies/{id}:
+ *   get:
+ *     summary: Get a cancellation policy (cancellation-policies:manage)
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy with the number of properties using it
+ *       404:
+ *         description: Policy not found
+ *   put:
+ *     summary: Update a cancellation policy (cancellation-policies:manage)
+ *     description: Changing tiers or booking fee bumps the revision; existing bookings keep the terms they were made under
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       404:
+ *         description: Policy not found
+ *   delete:
+ *     summary: Delete a cancellation policy (cancellation-policies:manage)
+ *     tags: [CancellationPolicies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ *       400:
+ *         description: Policy is still attached to properties
+ *       404:
+ *         description: Policy not found
+ */
+router.get('/:id', protect, requirePermission('cancellation-policies:manage'), getPolicy);
+router.put('/:id', protect, requirePermission('cancellation-policies:manage'), policyValidation(true), updatePolicy);
+router.delete('/:id', protect, requirePermission('cancellation-policies:manage'), deletePolicy);
+
+module.exports = router;
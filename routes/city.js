@@ -1,6 +1,58 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const cityController = require('../controllers/cityController');
+const Landmark = require('../models/Landmark');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+
+const idValidation = param('id').isMongoId().withMessage('Invalid city ID');
+
+const localityIdValidation = param('localityId').isMongoId().withMessage('Invalid locality ID');
+
+const landmarkIdValidation = param('landmarkId').isMongoId().withMessage('Invalid landmark ID');
+
+// City and locality fields; name is required when creating
+const placeValidation = (isCreate) => [
+    body('name')
+        .if(() => isCreate).exists({ checkFalsy: true }).withMessage('Name is required'),
+    body('name')
+        .optional()
+        .isString().trim()
+        .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('slug')
+        .optional()
+        .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and hyphens'),
+    body('description')
+        .optional()
+        .isString()
+        .isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+    body('coordinates.lat')
+        .optional({ values: 'falsy' })
+        .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('coordinates.lng')
+        .optional({ values: 'falsy' })
+        .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+];
+
+// Landmarks also need a type and, when created, their coordinates
+const landmarkValidation = (isCreate) => [
+    ...placeValidation(isCreate),
+    body('coordinates')
+        .if(() => isCreate).exists().withMessage('Coordinates are required'),
+    body('type')
+        .optional()
+        .isIn(Landmark.LANDMARK_TYPES).withMessage(`Type must be one of: ${Landmark.LANDMARK_TYPES.join(', ')}`),
+    body('radius')
+        .optional()
+        .isFloat({ min: 0.5, max: 50 }).withMessage('Radius must be between 0.5 and 50 km')
+];
+
+const nearbyValidation = [
+    query('radius').optional().isFloat({ gt: 0 }).withMessage('Radius must be a positive number of km'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
 
 /**
  * @swagger
@@ -16,6 +68,23 @@ const cityController = require('../controllers/cityController');
  *         name:
  *           type: string
  *           example: "New York"
+ *         slug:
+ *           type: string
+ *           description: Landing page slug; follows the name unless set
+ *           example: "new-york"
+ *         state:
+ *           type: string
+ *           example: "NY"
+ *         description:
+ *           type: string
+ *         coordinates:
+ *           type: object
+ *           description: City centre; stored as a GeoJSON point in location
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
  *         imageUrl:
  *           type: string
  *           example: "https://example.com/images/nyc.jpg"
@@ -25,6 +94,97 @@ const cityController = require('../controllers/cityController');
  *         isVisible:
  *           type: boolean
  *           example: true
+ *     Locality:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Koramangala"
+ *         slug:
+ *           type: string
+ *           description: Unique within the city; follows the name unless set
+ *         description:
+ *           type: string
+ *         coordinates:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         imageUrl:
+ *           type: string
+ *         order:
+ *           type: integer
+ *         isVisible:
+ *           type: boolean
+ *     Landmark:
+ *       type: object
+ *       required:
+ *         - name
+ *         - coordinates
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Manyata Tech Park"
+ *         slug:
+ *           type: string
+ *           description: Unique within the city; follows the name unless set
+ *         type:
+ *           type: string
+ *           enum: [college, tech_park, office, hospital, transit, other]
+ *         address:
+ *           type: string
+ *         description:
+ *           type: string
+ *         coordinates:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         radius:
+ *           type: number
+ *           description: Default search radius in km for the landmark's listing
+ *           default: 5
+ *         imageUrl:
+ *           type: string
+ *         order:
+ *           type: integer
+ *         isVisible:
+ *           type: boolean
+ *     CityStats:
+ *       type: object
+ *       properties:
+ *         propertyCount:
+ *           type: integer
+ *         availableCount:
+ *           type: integer
+ *         startingPrice:
+ *           type: number
+ *           nullable: true
+ *           description: Cheapest monthly price among available properties
+ *         genderSplit:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           example: { "male": 12, "female": 9, "unisex": 4 }
+ *         popularLocalities:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               propertyCount:
+ *                 type: integer
+ *               startingPrice:
+ *                 type: number
  */
 
 /**
@@ -40,6 +200,8 @@ const cityController = require('../controllers/cityController');
  *   post:
  *     summary: Create a new city
  *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -49,10 +211,12 @@ const cityController = require('../controllers/cityController');
  *     responses:
  *       201:
  *         description: City created successfully
+ *       400:
+ *         description: Invalid input or the slug is taken
  *       500:
  *         description: Server error
  */
-router.post('/', cityController.createCity);
+router.post('/', protect, requirePermission('content:manage'), placeValidation(true), cityController.createCity);
 
 /**
  * @swagger
@@ -77,6 +241,327 @@ router.post('/', cityController.createCity);
  */
 router.get('/', cityController.getAllCities);
 
+/**
+ * @swagger
+ * /api/cities/stats:
+ *   get:
+ *     summary: Visible cities with live listing figures, for the home page
+ *     tags: [Cities]
+ *     responses:
+ *       200:
+ *         description: Cities in display order, each with a stats object
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/City'
+ *                       - type: object
+ *                         properties:
+ *                           stats:
+ *                             $ref: '#/components/schemas/CityStats'
+ */
+router.get('/stats', cityController.getCityStats);
+
+/**
+ * @swagger
+ * /api/cities/slug/{slug}:
+ *   get:
+ *     summary: City landing page with its localities and live listing figures
+ *     tags: [Cities]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: bangalore
+ *     responses:
+ *       200:
+ *         description: City with localities and stats
+ *       404:
+ *         description: City not found
+ */
+router.get('/slug/:slug', cityController.getCityBySlug);
+
+/**
+ * @swagger
+ * /api/cities/slug/{slug}/landmarks/{landmarkSlug}:
+ *   get:
+ *     summary: '"PGs near X" listing: a landmark and the available properties around it'
+ *     description: Properties are sorted nearest first and carry distanceKm.
+ *     tags: [Cities]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: bangalore
+ *       - in: path
+ *         name: landmarkSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: manyata-tech-park
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *         description: Maximum distance in km; defaults to the landmark's radius
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: City, landmark and a page of nearby properties
+ *       404:
+ *         description: Landmark not found
+ */
+router.get('/slug/:slug/landmarks/:landmarkSlug', nearbyValidation, cityController.getLandmarkListing);
+
+/**
+ * @swagger
+ * /api/cities/landmarks/{landmarkId}:
+ *   put:
+ *     summary: Update a landmark
+ *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: landmarkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Landmark'
+ *     responses:
+ *       200:
+ *         description: Landmark updated
+ *       400:
+ *         description: Invalid input or the slug is taken in this city
+ *       404:
+ *         description: Landmark not found
+ *   delete:
+ *     summary: Delete a landmark
+ *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: landmarkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Landmark deleted
+ *       404:
+ *         description: Landmark not found
+ */
+router.put(
+    '/landmarks/:landmarkId',
+    protect,
+    requirePermission('content:manage'),
+    landmarkIdValidation,
+    landmarkValidation(false),
+    cityController.updateLandmark
+);
+router.delete('/landmarks/:landmarkId', protect, requirePermission('content:manage'), landmarkIdValidation, cityController.deleteLandmark);
+
+/**
+ * @swagger
+ * /api/cities/localities/{localityId}:
+ *   put:
+ *     summary: Update a locality
+ *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: localityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Locality'
+ *     responses:
+ *       200:
+ *         description: Locality updated
+ *       400:
+ *         description: Invalid input or the slug is taken in this city
+ *       404:
+ *         description: Locality not found
+ *   delete:
+ *     summary: Delete a locality no property is linked to
+ *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: localityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Locality deleted
+ *       400:
+ *         description: Properties are still linked to the locality
+ *       404:
+ *         description: Locality not found
+ */
+router.put(
+    '/localities/:localityId',
+    protect,
+    requirePermission('content:manage'),
+    localityIdValidation,
+    placeValidation(false),
+    cityController.updateLocality
+);
+router.delete('/localities/:localityId', protect, requirePermission('content:manage'), localityIdValidation, cityController.deleteLocality);
+
+/**
+ * @swagger
+ * /api/cities/{id}/localities:
+ *   get:
+ *     summary: Get the localities of a city
+ *     tags: [Cities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeHidden
+ *         schema:
+ *           type: boolean
+ *         description: Content managers only
+ *     responses:
+ *       200:
+ *         description: Localities in display order
+ *   post:
+ *     summary: Add a locality to a city
+ *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Locality'
+ *     responses:
+ *       201:
+ *         description: Locality created
+ *       400:
+ *         description: Invalid input or the slug is taken in this city
+ *       404:
+ *         description: City not found
+ */
+router.get('/:id/localities', optionalAuth, idValidation, cityController.getLocalities);
+router.post(
+    '/:id/localities',
+    protect,
+    requirePermission('content:manage'),
+    idValidation,
+    placeValidation(true),
+    cityController.createLocality
+);
+
+/**
+ * @swagger
+ * /api/cities/{id}/landmarks:
+ *   get:
+ *     summary: Get the landmarks of a city, such as colleges and tech parks
+ *     tags: [Cities]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [college, tech_park, office, hospital, transit, other]
+ *       - in: query
+ *         name: includeHidden
+ *         schema:
+ *           type: boolean
+ *         description: Content managers only
+ *     responses:
+ *       200:
+ *         description: Landmarks in display order
+ *   post:
+ *     summary: Add a landmark to a city
+ *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Landmark'
+ *     responses:
+ *       201:
+ *         description: Landmark created
+ *       400:
+ *         description: Invalid input or the slug is taken in this city
+ *       404:
+ *         description: City not found
+ */
+router.get(
+    '/:id/landmarks',
+    optionalAuth,
+    idValidation,
+    query('type').optional().isIn(Landmark.LANDMARK_TYPES).withMessage('Invalid landmark type'),
+    cityController.getLandmarks
+);
+router.post(
+    '/:id/landmarks',
+    protect,
+    requirePermission('content:manage'),
+    idValidation,
+    landmarkValidation(true),
+    cityController.createLandmark
+);
+
 /**
  * @swagger
  * /api/cities/{id}:
@@ -103,7 +588,10 @@ router.get('/:id', cityController.getCityById);
  * /api/cities/{id}:
  *   put:
  *     summary: Update a city
+ *     description: Renaming a city renames it on its properties too.
  *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -122,14 +610,16 @@ router.get('/:id', cityController.getCityById);
  *       500:
  *         description: Server error
  */
-router.put('/:id', cityController.updateCity);
+router.put('/:id', protect, requirePermission('content:manage'), idValidation, placeValidation(false), cityController.updateCity);
 
 /**
  * @swagger
  * /api/cities/{id}:
  *   delete:
- *     summary: Delete a city
+ *     summary: Delete a city that has no localities or landmarks
  *     tags: [Cities]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -139,9 +629,11 @@ router.put('/:id', cityController.updateCity);
  *     responses:
  *       200:
  *         description: City deleted
+ *       400:
+ *         description: The city still has localities or landmarks
  *       500:
  *         description: Server error
  */
-router.delete('/:id', cityController.deleteCity);
+router.delete('/:id', protect, requirePermission('content:manage'), cityController.deleteCity);
 
 module.exports = router;
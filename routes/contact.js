@@ -1,4 +1,6 @@
 const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const { body, param, query } = require('express-validator');
 const {
     submitContactForm,
@@ -62,6 +64,8 @@ router.post(
  *   get:
  *     summary: Get all contact messages with pagination and search
  *     tags: [Contact]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -82,7 +86,7 @@ router.post(
  *       200:
  *         description: A list of contact messages
  */
-router.get('/messages', getAllContactMessages);
+router.get('/messages', protect, requirePermission('leads:read'), getAllContactMessages);
 
 /**
  * @swagger
@@ -90,6 +94,8 @@ router.get('/messages', getAllContactMessages);
  *   get:
  *     summary: Get a contact message by ID
  *     tags: [Contact]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -103,7 +109,7 @@ router.get('/messages', getAllContactMessages);
  *       404:
  *         description: Not found
  */
-router.get('/message/:id', getContactMessageById);
+router.get('/message/:id', protect, requirePermission('leads:read'), getContactMessageById);
 
 /**
  * @swagger
@@ -111,6 +117,8 @@ router.get('/message/:id', getContactMessageById);
  *   delete:
  *     summary: Delete a contact message by ID
  *     tags: [Contact]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -123,6 +131,6 @@ router.get('/message/:id', getContactMessageById);
  *       404:
  *         description: Not found
  */
-router.delete('/message/:id', deleteContactMessageById);
+router.delete('/message/:id', protect, requirePermission('leads:manage'), deleteContactMessageById);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const contactNumberController = require('../controllers/contactNumberController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 
 const router = express.Router();
 
@@ -91,15 +92,15 @@ const router = express.Router();
  */
 router.get('/active', contactNumberController.getActiveContactNumbers);
 
-// Protected routes (require authentication and admin role)
+// Protected routes (require the content:manage permission)
 router.use(protect);
-router.use(authorize('admin'));
+router.use(requirePermission('content:manage'));
 
 /**
  * @swagger
  * /api/contact-numbers:
  *   get:
- *     summary: Get all contact numbers (Admin only)
+ *     summary: Get all contact numbers (content:manage)
  *     tags: [Contact Numbers]
  *     security:
  *       - bearerAuth: []
@@ -125,7 +126,7 @@ router.use(authorize('admin'));
  *                       items:
  *                         $ref: '#/components/schemas/ContactNumber'
  *   post:
- *     summary: Create a new contact number (Admin only)
+ *     summary: Create a new contact number (content:manage)
  *     tags: [Contact Numbers]
  *     security:
  *       - bearerAuth: []
@@ -179,7 +180,7 @@ router
  * @swagger
  * /api/contact-numbers/{id}:
  *   get:
- *     summary: Get contact number by ID (Admin only)
+ *     summary: Get contact number by ID (content:manage)
  *     tags: [Contact Numbers]
  *     security:
  *       - bearerAuth: []
@@ -213,7 +214,7 @@ router
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *   patch:
- *     summary: Update a contact number (Admin only)
+ *     summary: Update a contact number (content:manage)
  *     tags: [Contact Numbers]
  *     security:
  *       - bearerAuth: []
@@ -260,7 +261,7 @@ router
  *                     contactNumber:
  *                       $ref: '#/components/schemas/ContactNumber'
  *   delete:
- *     summary: Delete a contact number (Admin only)
+ *     summary: Delete a contact number (content:manage)
  *     tags: [Contact Numbers]
  *     security:
  *       - bearerAuth: []
@@ -0,0 +1,73 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getOwnerDashboard } = require('../controllers/dashboardController');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Dashboard
+ *   description: Analytics for property owners and managers
+ */
+
+/**
+ * @swagger
+ * /api/dashboard/owner:
+ *   get:
+ *     summary: Owner dashboard analytics (properties:analytics)
+ *     description: |
+ *       Monthly occupancy and revenue, visit-to-booking conversion, average length of stay
+ *       and the most viewed listings across the properties the user owns or manages.
+ *       Admins get the whole platform unless they pick an owner or a property.
+ *       Defaults to the last 12 months.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-01-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-12-31"
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *         description: Limit the dashboard to one property
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Admins only - limit the dashboard to one owner's properties
+ *     responses:
+ *       200:
+ *         description: Dashboard with occupancy, revenue, conversion, lengthOfStay and topViewed sections
+ *       400:
+ *         description: Invalid date range
+ *       403:
+ *         description: Property outside the user's scope
+ */
+router.get(
+    '/owner',
+    protect,
+    requirePermission('properties:analytics'),
+    [
+        query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From must be in YYYY-MM-DD format'),
+        query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('To must be in YYYY-MM-DD format'),
+        query('property').optional().isMongoId().withMessage('Invalid property ID'),
+        query('owner').optional().isMongoId().withMessage('Invalid owner ID')
+    ],
+    getOwnerDashboard
+);
+
+module.exports = router;
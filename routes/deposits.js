@@ -0,0 +1,336 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+    getDeposits,
+    getBookingDeposit,
+    recordCollection,
+    recordDeduction,
+    settleDeposit
+} = require('../controllers/depositController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFrom } = require('../middleware/roleAuth');
+const { withErrorHandling } = require('../middleware/upload');
+const { depositEvidenceUpload } = require('../config/cloudinary');
+
+const router = express.Router();
+
+const DEDUCTION_CATEGORIES = ['damage', 'unpaid_dues', 'cleaning', 'lost_items', 'other'];
+const DEPOSIT_METHODS = ['upi', 'bank_transfer', 'cash', 'online', 'adjustment'];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Deposits
+ *   description: Security deposit ledger and move-out settlement
+ *
+ * components:
+ *   schemas:
+ *     DepositLedger:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         user:
+ *           type: string
+ *         property:
+ *           type: string
+ *         expectedAmount:
+ *           type: number
+ *           description: Security deposit of the booked room option
+ *         entries:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [collection, deduction, refund]
+ *               amount:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *                 enum: [damage, unpaid_dues, cleaning, lost_items, other]
+ *               description:
+ *                 type: string
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Photo URLs supporting a deduction
+ *               method:
+ *                 type: string
+ *                 enum: [upi, bank_transfer, cash, online, adjustment]
+ *               reference:
+ *                 type: string
+ *         collectedAmount:
+ *           type: number
+ *         deductedAmount:
+ *           type: number
+ *         refundedAmount:
+ *           type: number
+ *         balance:
+ *           type: number
+ *           description: Deposit still held for the resident
+ *         status:
+ *           type: string
+ *           enum: [pending_collection, held, settlement_pending, settled]
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ *         settlementNotes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/deposits:
+ *   get:
+ *     summary: Get deposit ledgers (deposits:read)
+ *     description: Filter by status=settlement_pending for the move-out settlement queue
+ *     tags: [Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_collection, held, settlement_pending, settled]
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Deposit ledgers retrieved successfully
+ */
+router.get('/', protect, requirePermission('deposits:read'), getDeposits);
+
+/**
+ * @swagger
+ * /api/deposits/booking/{bookingId}:
+ *   get:
+ *     summary: Get the deposit ledger of a booking
+ *     tags: [Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deposit ledger retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DepositLedger'
+ *       403:
+ *         description: Not authorized to access this deposit
+ *       404:
+ *         description: No deposit ledger for this booking
+ */
+router.get('/booking/:bookingId', protect, getBookingDeposit);
+
+/**
+ * @swagger
+ * /api/deposits/booking/{bookingId}/collections:
+ *   post:
+ *     summary: Record deposit collected from the resident (deposits:manage for the booking's property)
+ *     tags: [Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [upi, bank_transfer, cash, online, adjustment]
+ *               reference:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Collection recorded
+ *       400:
+ *         description: Booking is not active or deposit is settled
+ *       404:
+ *         description: Booking not found
+ */
+router.post(
+    '/booking/:bookingId/collections',
+    protect,
+    requirePermission('deposits:manage', propertyFrom('Booking', 'bookingId')),
+    [
+        param('bookingId').isMongoId().withMessage('Invalid booking ID'),
+        body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+        body('method').optional().isIn(DEPOSIT_METHODS).withMessage('Invalid payment method'),
+        body('reference').optional().isString().trim(),
+        body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+    ],
+    recordCollection
+);
+
+/**
+ * @swagger
+ * /api/deposits/booking/{bookingId}/deductions:
+ *   post:
+ *     summary: Record a deduction against the deposit (deposits:manage for the booking's property)
+ *     tags: [Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [amount, category, description]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *                 enum: [damage, unpaid_dues, cleaning, lost_items, other]
+ *               description:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Evidence photos, uploaded to Cloudinary (up to 10, 5MB each)
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: URLs of photos already uploaded
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, category, description]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *                 enum: [damage, unpaid_dues, cleaning, lost_items, other]
+ *               description:
+ *                 type: string
+ *               evidence:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Photo URLs
+ *     responses:
+ *       201:
+ *         description: Deduction recorded
+ *       400:
+ *         description: Deduction exceeds the deposit balance or deposit is settled
+ *       404:
+ *         description: No deposit ledger for this booking
+ */
+router.post(
+    '/booking/:bookingId/deductions',
+    protect,
+    requirePermission('deposits:manage', propertyFrom('Booking', 'bookingId')),
+    withErrorHandling(depositEvidenceUpload.array('photos', 10)),
+    [
+        param('bookingId').isMongoId().withMessage('Invalid booking ID'),
+        body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+        body('category').isIn(DEDUCTION_CATEGORIES).withMessage('Invalid deduction category'),
+        body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
+        // A form field sent once arrives as a string
+        body('evidence').optional().customSanitizer(value => [].concat(value))
+            .isArray({ max: 10 }).withMessage('Evidence must be an array of up to 10 photo URLs'),
+        body('evidence.*').optional().isURL().withMessage('Each evidence item must be a valid URL')
+    ],
+    recordDeduction
+);
+
+/**
+ * @swagger
+ * /api/deposits/booking/{bookingId}/settle:
+ *   post:
+ *     summary: Settle the deposit at move-out (deposits:manage for the booking's property)
+ *     description: Refunds the remaining balance and closes the ledger. Available once the booking is completed.
+ *     tags: [Deposits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [upi, bank_transfer, cash, online, adjustment]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deposit settled
+ *       400:
+ *         description: Booking not completed or deposit already settled
+ *       404:
+ *         description: No deposit ledger for this booking
+ *       409:
+ *         description: Deposit was settled or its balance changed by another request
+ */
+router.post(
+    '/booking/:bookingId/settle',
+    protect,
+    requirePermission('deposits:manage', propertyFrom('Booking', 'bookingId')),
+    [
+        param('bookingId').isMongoId().withMessage('Invalid booking ID'),
+        body('method').optional().isIn(DEPOSIT_METHODS).withMessage('Invalid refund method'),
+        body('reference').optional().isString().trim(),
+        body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+    ],
+    settleDeposit
+);
+
+module.exports = router;
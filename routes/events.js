@@ -0,0 +1,85 @@
+const express = require('express');
+const { getEventTypes, createStreamTicket, streamEvents } = require('../controllers/eventController');
+const { protect, protectStream } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Real-time dashboard updates over Server-Sent Events
+ */
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: List the real-time events the logged in user can subscribe to
+ *     description: |
+ *       booking.created and visit.created (bookings:read / visits:read; owners and managers only get their properties),
+ *       lead.created and contact.created (leads:read), spam.report.created and spam.report.urgent (spam:moderate).
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event names
+ */
+router.get('/', protect, getEventTypes);
+
+/**
+ * @swagger
+ * /api/events/ticket:
+ *   post:
+ *     summary: Get a single-use ticket for opening an event stream
+ *     description: |
+ *       Browsers' EventSource can't set headers, so pass the ticket as `ticket` to /api/events/stream.
+ *       It opens one stream and expires after 30 seconds if unused.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Ticket and its expiry
+ *       403:
+ *         description: The role receives no events
+ */
+router.post('/ticket', protect, createStreamTicket);
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     summary: Open a Server-Sent Events stream of dashboard events
+ *     description: |
+ *       Sends a `ready` event listing the subscribed events, then one SSE message per event with
+ *       the event name as its type and a JSON payload. A comment is sent every 25 seconds to keep
+ *       the connection open. `session.ended` is sent before closing when the session is signed out, and
+ *       `token.expired` when the access token the stream was opened with expires.
+ *       Browsers' EventSource can't set headers, so a ticket from POST /api/events/ticket may be passed as `ticket`.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Single-use stream ticket, when the Authorization header can't be set
+ *       - in: query
+ *         name: events
+ *         schema:
+ *           type: string
+ *         description: Comma-separated events to receive; all permitted events by default
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *       403:
+ *         description: The role receives no events
+ *       429:
+ *         description: Too many open streams for this user
+ */
+router.get('/stream', protectStream, streamEvents);
+
+module.exports = router;
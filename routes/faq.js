@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const FAQController = require('../controllers/faqController');
 const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 
 
 /**
@@ -34,6 +35,8 @@ const { protect } = require('../middleware/auth');
  *   post:
  *     summary: Create a new FAQ
  *     tags: [FAQs]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -44,7 +47,7 @@ const { protect } = require('../middleware/auth');
  *       201:
  *         description: FAQ created successfully
  */
-router.post('/', FAQController.createFAQ);
+router.post('/', protect, requirePermission('content:manage'), FAQController.createFAQ);
 
 /**
  * @swagger
@@ -52,6 +55,8 @@ router.post('/', FAQController.createFAQ);
  *   put:
  *     summary: Update an existing FAQ
  *     tags: [FAQs]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -68,7 +73,7 @@ router.post('/', FAQController.createFAQ);
  *       200:
  *         description: FAQ updated successfully
  */
-router.put('/:id', FAQController.updateFAQ);
+router.put('/:id', protect, requirePermission('content:manage'), FAQController.updateFAQ);
 
 /**
  * @swagger
@@ -142,6 +147,8 @@ router.get('/:id', FAQController.getFAQById);
  *   delete:
  *     summary: Delete FAQ by ID
  *     tags: [FAQs]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -152,7 +159,7 @@ router.get('/:id', FAQController.getFAQById);
  *       200:
  *         description: FAQ deleted successfully
  */
-router.delete('/:id', FAQController.deleteFAQ);
+router.delete('/:id', protect, requirePermission('content:manage'), FAQController.deleteFAQ);
 
 
 module.exports = router;
\ No newline at end of file
@@ -1,4 +1,6 @@
 const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const router = express.Router();
 const formController = require('../controllers/formController');
 
@@ -66,6 +68,8 @@ router.post('/', formController.createForm);
  *   get:
  *     summary: Retrieve all form submissions
  *     tags: [Forms]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: A list of form submissions
@@ -76,7 +80,7 @@ router.post('/', formController.createForm);
  *               items:
  *                 $ref: '#/components/schemas/Form'
  */
-router.get('/', formController.getAllForms);
+router.get('/', protect, requirePermission('leads:read'), formController.getAllForms);
 
 /**
  * @swagger
@@ -84,6 +88,8 @@ router.get('/', formController.getAllForms);
  *   get:
  *     summary: Get a form submission by ID
  *     tags: [Forms]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -101,7 +107,7 @@ router.get('/', formController.getAllForms);
  *       404:
  *         description: Form not found
  */
-router.get('/:id', formController.getFormById);
+router.get('/:id', protect, requirePermission('leads:read'), formController.getFormById);
 
 /**
  * @swagger
@@ -109,6 +115,8 @@ router.get('/:id', formController.getFormById);
  *   put:
  *     summary: Update a form submission by ID
  *     tags: [Forms]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -134,7 +142,7 @@ router.get('/:id', formController.getFormById);
  *       404:
  *         description: Form not found
  */
-router.put('/:id', formController.updateForm);
+router.put('/:id', protect, requirePermission('leads:manage'), formController.updateForm);
 
 /**
  * @swagger
@@ -142,6 +150,8 @@ router.put('/:id', formController.updateForm);
  *   delete:
  *     summary: Delete a form submission by ID
  *     tags: [Forms]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -155,6 +165,6 @@ router.put('/:id', formController.updateForm);
  *       404:
  *         description: Form not found
  */
-router.delete('/:id', formController.deleteForm);
+router.delete('/:id', protect, requirePermission('leads:manage'), formController.deleteForm);
 
 module.exports = router;
\ No newline at end of file
@@ -1,4 +1,6 @@
 const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const router = express.Router();
 const {
     // deleteImage,
@@ -19,6 +21,8 @@ const {
  *   delete:
  *     summary: Delete a single image from Cloudinary by URL
  *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -47,7 +51,7 @@ const {
  *       500:
  *         description: Error deleting image
  */
-router.delete('/', deleteImageFromUrl);
+router.delete('/', protect, requirePermission('content:manage'), deleteImageFromUrl);
 
 /**
  * @swagger
@@ -55,6 +59,8 @@ router.delete('/', deleteImageFromUrl);
  *   delete:
  *     summary: Delete multiple images from Cloudinary by URLs
  *     tags: [Images]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -79,6 +85,6 @@ router.delete('/', deleteImageFromUrl);
  *       500:
  *         description: Failed to delete images
  */
-router.delete('/delete-multiple', deleteMultipleImages);
+router.delete('/delete-multiple', protect, requirePermission('content:manage'), deleteMultipleImages);
 
 module.exports = router;
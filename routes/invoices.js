@@ -0,0 +1,407 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+    getMyInvoices,
+    getAllInvoices,
+    getInvoice,
+    downloadInvoicePdf,
+    generateMonthlyInvoices,
+    generateBookingInvoice,
+    recordPayment,
+    applyLateFees,
+    cancelInvoice
+} = require('../controllers/invoiceController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFrom } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const BILLING_MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invoices
+ *   description: Monthly rent billing for residents
+ *
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         invoiceNumber:
+ *           type: string
+ *           example: "INV-202401-00001"
+ *         booking:
+ *           type: string
+ *         user:
+ *           type: string
+ *         property:
+ *           type: string
+ *         billingPeriod:
+ *           type: object
+ *           properties:
+ *             month:
+ *               type: string
+ *               example: "2024-01"
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             end:
+ *               type: string
+ *               format: date-time
+ *         monthlyRent:
+ *           type: number
+ *         lineItems:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [rent, late_fee, other]
+ *               description:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         totalAmount:
+ *           type: number
+ *         amountPaid:
+ *           type: number
+ *         balanceDue:
+ *           type: number
+ *           description: Amount still owed (virtual field)
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [pending, partially_paid, paid, overdue, cancelled]
+ *         lateFeeApplied:
+ *           type: boolean
+ *         payments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [upi, credit_card, debit_card, bank_transfer, cash, online]
+ *               reference:
+ *                 type: string
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/invoices/my-invoices:
+ *   get:
+ *     summary: Get the logged in resident's invoices
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, partially_paid, paid, overdue, cancelled]
+ *       - in: query
+ *         name: booking
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ */
+router.get('/my-invoices', protect, getMyInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/generate:
+ *   post:
+ *     summary: Generate monthly invoices for all active residents (billing:run)
+ *     description: Bills every in-progress booking staying in the month; existing invoices are left untouched
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: "2024-01"
+ *                 description: Billing month, defaults to the current month
+ *     responses:
+ *       201:
+ *         description: Invoices generated
+ */
+router.post(
+    '/generate',
+    protect,
+    requirePermission('billing:run'),
+    [body('month').optional().matches(BILLING_MONTH).withMessage('Month must be in YYYY-MM format')],
+    generateMonthlyInvoices
+);
+
+/**
+ * @swagger
+ * /api/invoices/apply-late-fees:
+ *   post:
+ *     summary: Apply late fees to overdue invoices (billing:run)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Late fees applied
+ */
+router.post('/apply-late-fees', protect, requirePermission('billing:run'), applyLateFees);
+
+/**
+ * @swagger
+ * /api/invoices/booking/{bookingId}:
+ *   post:
+ *     summary: Generate the invoice of one booking for a month (invoices:manage for the booking's property)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               month:
+ *                 type: string
+ *                 example: "2024-01"
+ *     responses:
+ *       201:
+ *         description: Invoice generated
+ *       200:
+ *         description: Invoice already exists for this month
+ *       400:
+ *         description: Booking cannot be billed for the month
+ *       404:
+ *         description: Booking not found
+ */
+router.post(
+    '/booking/:bookingId',
+    protect,
+    requirePermission('invoices:manage', propertyFrom('Booking', 'bookingId')),
+    [
+        param('bookingId').isMongoId().withMessage('Invalid booking ID'),
+        body('month').optional().matches(BILLING_MONTH).withMessage('Month must be in YYYY-MM format')
+    ],
+    generateBookingInvoice
+);
+
+/**
+ * @swagger
+ * /api/invoices:
+ *   get:
+ *     summary: Get all invoices (invoices:read)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, partially_paid, paid, overdue, cancelled]
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2024-01"
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ */
+router.get('/', protect, requirePermission('invoices:read'), getAllInvoices);
+
+/**
+ * @swagger
+ * /api/invoices/{id}:
+ *   get:
+ *     summary: Get an invoice
+ *     description: Available to the billed resident and admins
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Invoice'
+ *       403:
+ *         description: Not authorized to access this invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id', protect, getInvoice);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/pdf:
+ *   get:
+ *     summary: Download an invoice as PDF
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not authorized to access this invoice
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/:id/pdf', protect, downloadInvoicePdf);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/payments:
+ *   post:
+ *     summary: Record a full or partial payment (invoices:manage for the invoice's property)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               method:
+ *                 type: string
+ *                 enum: [upi, credit_card, debit_card, bank_transfer, cash, online]
+ *               reference:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment recorded successfully
+ *       400:
+ *         description: Invoice is settled or payment exceeds balance due
+ *       404:
+ *         description: Invoice not found
+ */
+router.post(
+    '/:id/payments',
+    protect,
+    requirePermission('invoices:manage', propertyFrom('Invoice')),
+    [
+        param('id').isMongoId().withMessage('Invalid invoice ID'),
+        body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+        body('method').optional().isIn(['upi', 'credit_card', 'debit_card', 'bank_transfer', 'cash', 'online']).withMessage('Invalid payment method'),
+        body('reference').optional().isString().trim()
+    ],
+    recordPayment
+);
+
+/**
+ * @swagger
+ * /api/invoices/{id}/cancel:
+ *   put:
+ *     summary: Cancel an invoice (invoices:manage for the invoice's property)
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Invoice cancelled successfully
+ *       400:
+ *         description: Invoice has recorded payments
+ *       404:
+ *         description: Invoice not found
+ */
+router.put('/:id/cancel', protect, requirePermission('invoices:manage', propertyFrom('Invoice')), cancelInvoice);
+
+module.exports = router;
@@ -0,0 +1,486 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+    getLeads,
+    getLead,
+    createLead,
+    updateLead,
+    updateLeadStage,
+    assignLead,
+    addLeadNote,
+    getLeadReport,
+    importLeads
+} = require('../controllers/leadController');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const LEAD_STAGES = ['new', 'contacted', 'visit_scheduled', 'visited', 'booked', 'lost'];
+const LEAD_SOURCES = ['callback_form', 'contact_form', 'visit', 'manual'];
+const PG_TYPES = ['male', 'female', 'unisex', 'trans'];
+
+const idValidation = param('id').isMongoId().withMessage('Invalid lead ID');
+
+const followUpValidation = body('followUpAt')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Follow-up must be a date');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leads
+ *   description: Sales pipeline built from callback forms, contact messages and visits
+ *
+ * components:
+ *   schemas:
+ *     Lead:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         phone:
+ *           type: string
+ *           description: E.164; one lead per phone number
+ *         email:
+ *           type: string
+ *         city:
+ *           type: string
+ *         pgType:
+ *           type: string
+ *           enum: [male, female, unisex, trans]
+ *         source:
+ *           type: string
+ *           enum: [callback_form, contact_form, visit, manual]
+ *           description: Source of the first enquiry
+ *         enquiries:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: string
+ *               refId:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *               property:
+ *                 type: string
+ *               receivedAt:
+ *                 type: string
+ *                 format: date-time
+ *         stage:
+ *           type: string
+ *           enum: [new, contacted, visit_scheduled, visited, booked, lost]
+ *         lostReason:
+ *           type: string
+ *         assignedTo:
+ *           type: string
+ *         followUpAt:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *               author:
+ *                 type: string
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *         isOpen:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/leads:
+ *   get:
+ *     summary: Get leads (leads:read)
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           enum: [new, contacted, visit_scheduled, visited, booked, lost]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [callback_form, contact_form, visit, manual]
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: User ID, "me" or "unassigned"
+ *       - in: query
+ *         name: followUpDue
+ *         schema:
+ *           type: boolean
+ *         description: Open leads whose follow-up date has passed, oldest first
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name, phone or email
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leads
+ *   post:
+ *     summary: Add a lead taken by phone or walk-in (leads:manage)
+ *     description: When the phone number already has a lead, the enquiry is added to it.
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, phone]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               pgType:
+ *                 type: string
+ *                 enum: [male, female, unisex, trans]
+ *               message:
+ *                 type: string
+ *               followUpAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Lead created
+ *       200:
+ *         description: Enquiry added to the existing lead
+ */
+router.get(
+    '/',
+    protect,
+    requirePermission('leads:read'),
+    [
+        query('stage').optional().isIn(LEAD_STAGES).withMessage('Invalid lead stage'),
+        query('source').optional().isIn(LEAD_SOURCES).withMessage('Invalid lead source'),
+        query('assignedTo').optional()
+            .custom(value => ['me', 'unassigned'].includes(value) || /^[0-9a-fA-F]{24}$/.test(value))
+            .withMessage('assignedTo must be a user ID, "me" or "unassigned"'),
+        query('from').optional().isISO8601().withMessage('from must be a date'),
+        query('to').optional().isISO8601().withMessage('to must be a date')
+    ],
+    getLeads
+);
+router.post(
+    '/',
+    protect,
+    requirePermission('leads:manage'),
+    [
+        body('name').trim().notEmpty().withMessage('Name is required')
+            .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+        body('phone').trim().notEmpty().withMessage('Phone number is required'),
+        body('email').optional({ checkFalsy: true }).isEmail().withMessage('Please enter a valid email address'),
+        body('pgType').optional().isIn(PG_TYPES).withMessage(`PG type must be one of: ${PG_TYPES.join(', ')}`),
+        body('message').optional().isLength({ max: 1000 }).withMessage('Message cannot exceed 1000 characters'),
+        followUpValidation
+    ],
+    createLead
+);
+
+/**
+ * @swagger
+ * /api/leads/report:
+ *   get:
+ *     summary: Lead conversion by source and city (leads:read)
+ *     description: Leads created in the period with how many visited, booked and were lost, and the booking conversion rate (%).
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Totals, bySource and byCity
+ */
+router.get(
+    '/report',
+    protect,
+    requirePermission('leads:read'),
+    [
+        query('from').optional().isISO8601().withMessage('from must be a date'),
+        query('to').optional().isISO8601().withMessage('to must be a date')
+    ],
+    getLeadReport
+);
+
+/**
+ * @swagger
+ * /api/leads/import:
+ *   post:
+ *     summary: Create leads from every callback form, contact message and visit received so far (leads:import)
+ *     description: Safe to run again; enquiries already on a lead are skipped.
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Records read per source and leads created
+ */
+router.post('/import', protect, requirePermission('leads:import'), importLeads);
+
+/**
+ * @swagger
+ * /api/leads/{id}:
+ *   get:
+ *     summary: Get a lead with its enquiries, notes and stage history (leads:read)
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lead
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Lead'
+ *       404:
+ *         description: Lead not found
+ *   put:
+ *     summary: Update a lead's details or follow-up date (leads:manage)
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               pgType:
+ *                 type: string
+ *                 enum: [male, female, unisex, trans]
+ *               followUpAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Lead updated
+ */
+router.get('/:id', protect, requirePermission('leads:read'), idValidation, getLead);
+router.put(
+    '/:id',
+    protect,
+    requirePermission('leads:manage'),
+    [
+        idValidation,
+        body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+            .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+        body('email').optional({ checkFalsy: true }).isEmail().withMessage('Please enter a valid email address'),
+        body('pgType').optional().isIn(PG_TYPES).withMessage(`PG type must be one of: ${PG_TYPES.join(', ')}`),
+        followUpValidation
+    ],
+    updateLead
+);
+
+/**
+ * @swagger
+ * /api/leads/{id}/stage:
+ *   put:
+ *     summary: Move a lead to another stage (leads:manage)
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stage]
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [new, contacted, visit_scheduled, visited, booked, lost]
+ *               lostReason:
+ *                 type: string
+ *                 description: Required when the stage is lost
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stage updated
+ */
+router.put(
+    '/:id/stage',
+    protect,
+    requirePermission('leads:manage'),
+    [
+        idValidation,
+        body('stage').isIn(LEAD_STAGES).withMessage(`Stage must be one of: ${LEAD_STAGES.join(', ')}`),
+        body('lostReason').optional().trim().isLength({ max: 500 }).withMessage('Lost reason cannot exceed 500 characters'),
+        body('note').optional().trim().isLength({ max: 2000 }).withMessage('Note cannot exceed 2000 characters')
+    ],
+    updateLeadStage
+);
+
+/**
+ * @swagger
+ * /api/leads/{id}/assign:
+ *   put:
+ *     summary: Assign a lead to a member of the sales team (leads:assign)
+ *     description: New leads are assigned automatically to the sales user with the fewest open leads unless LEAD_AUTO_ASSIGN is false.
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assignedTo:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User ID; null unassigns the lead
+ *     responses:
+ *       200:
+ *         description: Lead assigned
+ *       400:
+ *         description: The user isn't sales staff
+ */
+router.put(
+    '/:id/assign',
+    protect,
+    requirePermission('leads:assign'),
+    [
+        idValidation,
+        body('assignedTo').optional({ nullable: true }).isMongoId().withMessage('Invalid user ID')
+    ],
+    assignLead
+);
+
+/**
+ * @swagger
+ * /api/leads/{id}/notes:
+ *   post:
+ *     summary: Add a note to a lead, optionally setting the next follow-up (leads:manage)
+ *     tags: [Leads]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *               followUpAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Note added
+ */
+router.post(
+    '/:id/notes',
+    protect,
+    requirePermission('leads:manage'),
+    [
+        idValidation,
+        body('body').trim().notEmpty().withMessage('Note is required')
+            .isLength({ max: 2000 }).withMessage('Note cannot exceed 2000 characters'),
+        followUpValidation
+    ],
+    addLeadNote
+);
+
+module.exports = router;
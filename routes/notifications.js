@@ -0,0 +1,511 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getTemplates,
+    getTemplateVersions,
+    createTemplateVersion,
+    activateTemplateVersion,
+    getPreferences,
+    updatePreferences,
+    getDeliveries,
+    retryDelivery
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+const Notification = require('../models/Notification');
+const { CHANNELS } = require('../config/notificationTemplates');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notification inbox, templates, preferences and delivery log
+ *
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [property-alert, kyc-update, booking-update, visit-update, spam-report-update]
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         link:
+ *           type: string
+ *           description: Frontend path to open
+ *         reference:
+ *           type: object
+ *           properties:
+ *             kind:
+ *               type: string
+ *               enum: [Booking, Visit, UserDocument, SpamReport]
+ *             id:
+ *               type: string
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isRead:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationTemplate:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Notification type, e.g. visit-reminder
+ *         channel:
+ *           type: string
+ *           enum: [email, sms, whatsapp, in_app]
+ *         version:
+ *           type: number
+ *           description: 0 is the built-in default
+ *         subject:
+ *           type: string
+ *           description: Email subject or in-app title
+ *         body:
+ *           type: string
+ *           description: Text with {{placeholder}} tokens; HTML for email
+ *         isActive:
+ *           type: boolean
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: boolean
+ *         sms:
+ *           type: boolean
+ *         whatsapp:
+ *           type: boolean
+ *           description: Off unless the user opts in
+ *         in_app:
+ *           type: boolean
+ *         mutedTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Notification types the user doesn't want; account and security messages can't be muted
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the logged in user's in-app notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [property-alert, kyc-update, booking-update, visit-update, spam-report-update]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notifications with the unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unreadCount:
+ *                   type: integer
+ */
+router.get(
+    '/',
+    protect,
+    [
+        query('unread').optional().isBoolean().withMessage('unread must be true or false'),
+        query('type').optional().isIn(Notification.NOTIFICATION_TYPES).withMessage('Invalid notification type')
+    ],
+    getNotifications
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Count the logged in user's unread notifications, in total and per type
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread counts
+ */
+router.get('/unread-count', protect, getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the logged in user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 description: Only notifications of this type
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ */
+router.patch(
+    '/read-all',
+    protect,
+    body('type').optional().isIn(Notification.NOTIFICATION_TYPES).withMessage('Invalid notification type'),
+    markAllNotificationsRead
+);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Notification not found
+ */
+router.patch(
+    '/:id/read',
+    protect,
+    param('id').isMongoId().withMessage('Invalid notification ID'),
+    markNotificationRead
+);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the notification preferences of the logged in user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences and the types that can be muted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *   put:
+ *     summary: Turn notification channels on or off and mute notification types
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Validation failed or a type can't be muted
+ */
+router.get('/preferences', protect, getPreferences);
+router.put(
+    '/preferences',
+    protect,
+    [
+        ...CHANNELS.map(channel =>
+            body(channel).optional().isBoolean().withMessage(`${channel} must be true or false`).toBoolean()
+        ),
+        body('mutedTypes').optional().isArray().withMessage('mutedTypes must be an array of notification types')
+    ],
+    updatePreferences
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates:
+ *   get:
+ *     summary: List notification types with the active template version of each channel (notifications:manage)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification types with their placeholders and channels
+ */
+router.get('/templates', protect, requirePermission('notifications:manage'), getTemplates);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{key}/{channel}:
+ *   get:
+ *     summary: Get every version of a notification template (notifications:manage)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, in_app]
+ *     responses:
+ *       200:
+ *         description: Built-in default, active version and stored versions
+ *       404:
+ *         description: The type isn't sent on this channel
+ *   post:
+ *     summary: Save a new template version and make it active (notifications:manage)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, in_app]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 description: Required for email and in-app templates
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Version saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationTemplate'
+ *       400:
+ *         description: Validation failed or unknown placeholders
+ */
+router.get('/templates/:key/:channel', protect, requirePermission('notifications:manage'), getTemplateVersions);
+router.post(
+    '/templates/:key/:channel',
+    protect,
+    requirePermission('notifications:manage'),
+    [
+        body('subject').optional().isString().trim().isLength({ max: 200 }).withMessage('Subject cannot exceed 200 characters'),
+        body('body').isString().notEmpty().withMessage('Template body is required')
+    ],
+    createTemplateVersion
+);
+
+/**
+ * @swagger
+ * /api/notifications/templates/{key}/{channel}/active:
+ *   put:
+ *     summary: Switch a template to another version; 0 restores the built-in default (notifications:manage)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, in_app]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Version activated
+ *       404:
+ *         description: Version not found
+ */
+router.put(
+    '/templates/:key/:channel/active',
+    protect,
+    requirePermission('notifications:manage'),
+    body('version').isInt({ min: 0 }).withMessage('Version must be 0 or a stored version number').toInt(),
+    activateTemplateVersion
+);
+
+/**
+ * @swagger
+ * /api/notifications/deliveries:
+ *   get:
+ *     summary: Get the notification delivery log (notifications:read)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, whatsapp, in_app]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed, skipped, retrying]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: Email address or phone number
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: ID of the visit, booking, invoice or other document the notification was about
+ *       - in: query
+ *         name: templateVersion
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery log entries
+ */
+router.get(
+    '/deliveries',
+    protect,
+    requirePermission('notifications:read'),
+    [
+        query('from').optional().isISO8601().withMessage('from must be a date'),
+        query('to').optional().isISO8601().withMessage('to must be a date'),
+        query('templateVersion').optional().isInt({ min: 0 }).withMessage('templateVersion must be a number')
+    ],
+    getDeliveries
+);
+
+/**
+ * @swagger
+ * /api/notifications/deliveries/{id}/retry:
+ *   post:
+ *     summary: Resend a failed delivery (notifications:manage)
+ *     description: Deliveries carrying a secret (OTPs, reset links) and in-app notifications can't be resent.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery queued
+ *       400:
+ *         description: The delivery isn't failed or can't be resent
+ *       404:
+ *         description: Delivery not found
+ */
+router.post(
+    '/deliveries/:id/retry',
+    protect,
+    requirePermission('notifications:manage'),
+    param('id').isMongoId().withMessage('Invalid delivery ID'),
+    retryDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getBookingOnboarding,
+    attachDocument,
+    getOnboardings,
+    reviewDocument
+} = require('../controllers/onboardingController');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Onboarding
+ *   description: Resident KYC verification per booking
+ *
+ * components:
+ *   schemas:
+ *     Onboarding:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         user:
+ *           type: string
+ *         property:
+ *           type: string
+ *         checklist:
+ *           type: array
+ *           description: One item per document the property requires
+ *           items:
+ *             type: object
+ *             properties:
+ *               documentType:
+ *                 type: string
+ *                 enum: [id_proof, address_proof, income_proof]
+ *               document:
+ *                 type: string
+ *                 description: Attached user document
+ *               status:
+ *                 type: string
+ *                 enum: [missing, pending, approved, rejected]
+ *               rejectionReason:
+ *                 type: string
+ *         status:
+ *           type: string
+ *           enum: [pending_documents, under_review, action_required, approved]
+ *           description: The booking can move to in-progress only once approved
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/onboarding:
+ *   get:
+ *     summary: KYC review queue (onboarding:read)
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, pending_documents, under_review, action_required, approved]
+ *           default: under_review
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Onboardings, oldest first, with a count per status
+ */
+router.get('/', protect, requirePermission('onboarding:read'), getOnboardings);
+
+/**
+ * @swagger
+ * /api/onboarding/documents/{documentId}/review:
+ *   patch:
+ *     summary: Approve or reject a KYC document (onboarding:review)
+ *     description: Updates every booking checklist the document is attached to. The resident is notified when a document is rejected.
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Document reviewed
+ *       400:
+ *         description: Missing rejection reason
+ *       404:
+ *         description: Document not found
+ */
+router.patch(
+    '/documents/:documentId/review',
+    protect,
+    requirePermission('onboarding:review'),
+    [
+        body('status')
+            .isIn(['approved', 'rejected'])
+            .withMessage('Status must be approved or rejected'),
+        body('reason')
+            .if(body('status').equals('rejected'))
+            .trim()
+            .isLength({ min: 3, max: 500 })
+            .withMessage('A rejection reason of 3 to 500 characters is required')
+    ],
+    reviewDocument
+);
+
+/**
+ * @swagger
+ * /api/onboarding/booking/{bookingId}:
+ *   get:
+ *     summary: Get the KYC checklist of a booking
+ *     description: Opened on first access with the property's required documents, reusing documents already on file.
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Onboarding checklist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Onboarding'
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/booking/:bookingId', protect, getBookingOnboarding);
+
+/**
+ * @swagger
+ * /api/onboarding/booking/{bookingId}/documents:
+ *   post:
+ *     summary: Submit an uploaded document for the booking's checklist
+ *     tags: [Onboarding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [documentId]
+ *             properties:
+ *               documentId:
+ *                 type: string
+ *                 description: Document uploaded through /api/user-documents/document
+ *     responses:
+ *       200:
+ *         description: Document attached
+ *       400:
+ *         description: Document type not required or document already rejected
+ */
+router.post(
+    '/booking/:bookingId/documents',
+    protect,
+    [
+        body('documentId')
+            .isMongoId()
+            .withMessage('Valid document ID is required')
+    ],
+    attachDocument
+);
+
+module.exports = router;
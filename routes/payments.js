@@ -0,0 +1,215 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+    createOrder,
+    verifyPayment,
+    handleWebhook,
+    getBookingPayments,
+    refundBookingPayment
+} = require('../controllers/paymentController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFrom } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payment gateway orders, verification, webhooks and refunds for bookings
+ *
+ * components:
+ *   schemas:
+ *     PaymentCheckout:
+ *       type: object
+ *       description: Details the client passes to the gateway checkout
+ *       properties:
+ *         provider:
+ *           type: string
+ *           enum: [razorpay, mock]
+ *         keyId:
+ *           type: string
+ *           description: Public gateway key (razorpay only)
+ *         orderId:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *           example: INR
+ */
+
+/**
+ * @swagger
+ * /api/payments/orders:
+ *   post:
+ *     summary: Create a payment order for a booking
+ *     description: Reuses the open order when the booking amount has not changed
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [bookingId]
+ *             properties:
+ *               bookingId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment order created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentCheckout'
+ *       400:
+ *         description: Booking cannot be paid for
+ *       403:
+ *         description: Not authorized to pay for this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.post(
+    '/orders',
+    protect,
+    [body('bookingId').isMongoId().withMessage('Valid booking ID is required')],
+    createOrder
+);
+
+/**
+ * @swagger
+ * /api/payments/verify:
+ *   post:
+ *     summary: Verify a checkout callback
+ *     description: Checks the gateway signature of the checkout response and marks the booking paid
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId, paymentId, signature]
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               paymentId:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment verified
+ *       400:
+ *         description: Payment verification failed
+ */
+router.post(
+    '/verify',
+    protect,
+    [
+        body('orderId').notEmpty().withMessage('Order ID is required'),
+        body('paymentId').notEmpty().withMessage('Payment ID is required'),
+        body('signature').notEmpty().withMessage('Signature is required')
+    ],
+    verifyPayment
+);
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: |
+ *       Signed callbacks from the active payment provider (X-Razorpay-Signature for razorpay,
+ *       X-Mock-Signature for mock). Events are applied once; repeated deliveries are acknowledged.
+ *     tags: [Payments]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Event processed or ignored
+ *       400:
+ *         description: Invalid webhook signature
+ */
+router.post('/webhook', handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/booking/{bookingId}:
+ *   get:
+ *     summary: Get payments of a booking
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       403:
+ *         description: Not authorized to access this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/booking/:bookingId', protect, getBookingPayments);
+
+/**
+ * @swagger
+ * /api/payments/booking/{bookingId}/refund:
+ *   post:
+ *     summary: Refund a booking payment (payments:manage for the booking's property)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund, defaults to the full booking amount
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund initiated
+ *       400:
+ *         description: No captured payment to refund
+ *       404:
+ *         description: Booking not found
+ */
+router.post(
+    '/booking/:bookingId/refund',
+    protect,
+    requirePermission('payments:manage', propertyFrom('Booking', 'bookingId')),
+    [
+        param('bookingId').isMongoId().withMessage('Invalid booking ID'),
+        body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+        body('reason').optional().isString().trim()
+    ],
+    refundBookingPayment
+);
+
+module.exports = router;
@@ -6,14 +6,17 @@ const {
     createProperty,
     updateProperty,
     deleteProperty,
+    searchProperties,
     searchByLocation,
     getFeaturedProperties,
     getPropertyStats,
     getSimilarProperties,
     getPaginatedPropertyTitles,
     deleteMultipleProperties,
+    updatePropertyManagers,
 } = require('../controllers/propertyController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFromParam } = require('../middleware/roleAuth');
 const upload = require('../middleware/upload');
 
 const router = express.Router();
@@ -62,6 +65,10 @@ const router = express.Router();
  *             address:
  *               type: string
  *               example: "123 Main Street"
+ *             locality:
+ *               type: string
+ *               nullable: true
+ *               description: Locality ID; when set, city and state are filled in from it and may be omitted
  *             city:
  *               type: string
  *               example: "New York"
@@ -109,6 +116,11 @@ const router = express.Router();
  *           type: string
  *           description: Owner's user ID
  *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         managers:
+ *           type: array
+ *           description: Property managers who run this property
+ *           items:
+ *             type: string
  *         views:
  *           type: number
  *           default: 0
@@ -126,6 +138,18 @@ const router = express.Router();
  *               type: number
  *               default: 0
  *               example: 10
+ *             criteria:
+ *               type: object
+ *               description: Average rating per review criterion
+ *               properties:
+ *                 food:
+ *                   type: number
+ *                 cleanliness:
+ *                   type: number
+ *                 safety:
+ *                   type: number
+ *                 staff:
+ *                   type: number
  *         rules:
  *           type: array
  *           items:
@@ -171,6 +195,13 @@ const router = express.Router();
  *           type: string
  *           description: Link to microSite
  *           example: "https://example.com/microsite"
+ *         requiredDocuments:
+ *           type: array
+ *           description: KYC documents a resident needs approved before moving in
+ *           items:
+ *             type: string
+ *             enum: [id_proof, address_proof, income_proof]
+ *           default: [id_proof, address_proof]
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -336,11 +367,18 @@ const createPropertyValidation = [
         .trim()
         .notEmpty()
         .withMessage('Address is required'),
+    body('location.locality')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid locality ID'),
+    // City and state come from the locality when one is given
     body('location.city')
+        .if(body('location.locality').not().exists({ checkNull: true }))
         .trim()
         .notEmpty()
         .withMessage('City is required'),
     body('location.state')
+        .if(body('location.locality').not().exists({ checkNull: true }))
         .trim()
         .notEmpty()
         .withMessage('State is required'),
@@ -438,7 +476,43 @@ const createPropertyValidation = [
     body('youtubeLink')
         .optional({ nullable: true, checkFalsy: true })
         .isURL()
-        .withMessage('YouTube link must be a valid URL or null')
+        .withMessage('YouTube link must be a valid URL or null'),
+
+    body('requiredDocuments')
+        .optional()
+        .isArray()
+        .withMessage('Required documents must be an array'),
+
+    body('requiredDocuments.*')
+        .isIn(['id_proof', 'address_proof', 'income_proof'])
+        .withMessage('Invalid required document type')
+];
+
+const locationSearchValidation = [
+    query('lat')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+    query('lng')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+    query('landmark')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid landmark ID'),
+    query('radius')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('Radius must be a positive number of km'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
 ];
 
 const updatePropertyValidation = [
@@ -461,6 +535,10 @@ const updatePropertyValidation = [
         .trim()
         .notEmpty()
         .withMessage('Address cannot be empty'),
+    body('location.locality')
+        .optional({ values: 'null' })
+        .isMongoId()
+        .withMessage('Invalid locality ID'),
     body('location.city')
         .optional()
         .trim()
@@ -508,7 +586,16 @@ const updatePropertyValidation = [
     body('youtubeLink')
         .optional({ nullable: true, checkFalsy: true })
         .isURL()
-        .withMessage('YouTube link must be a valid URL or null')
+        .withMessage('YouTube link must be a valid URL or null'),
+
+    body('requiredDocuments')
+        .optional()
+        .isArray()
+        .withMessage('Required documents must be an array'),
+
+    body('requiredDocuments.*')
+        .isIn(['id_proof', 'address_proof', 'income_proof'])
+        .withMessage('Invalid required document type')
 ];
 
 /**
@@ -546,6 +633,27 @@ const updatePropertyValidation = [
  *           enum: [single, double, triple, quadruple]
  *         description: Filter by sharing type
  *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum monthly price of a sharing option
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum monthly price of a sharing option
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Filter by city
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *           enum: [male, female, unisex, transgender, other]
+ *         description: Filter by gender
+ *       - in: query
  *         name: amenities
  *         schema:
  *           type: string
@@ -656,7 +764,7 @@ router.get('/featured', getFeaturedProperties);
  * @swagger
  * /api/properties/stats:
  *   get:
- *     summary: Get property statistics (Admin only)
+ *     summary: Get property statistics (properties:stats)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -674,7 +782,7 @@ router.get('/featured', getFeaturedProperties);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *         content:
  *           application/json:
  *             schema:
@@ -686,52 +794,85 @@ router.get('/featured', getFeaturedProperties);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/stats', protect, authorize('admin'), getPropertyStats);
+router.get('/stats', protect, requirePermission('properties:stats'), getPropertyStats);
 
 /**
  * @swagger
  * /api/properties/search/location:
  *   get:
- *     summary: Search properties by location coordinates
+ *     summary: Search available properties near a point or landmark
+ *     description: |
+ *       Measures from lat/lng, or from a landmark such as a college or tech park (see /api/cities/{id}/landmarks).
+ *       Results are sorted nearest first and each carries distanceKm. The listing filters apply; free-text search does not.
  *     tags: [Properties]
  *     parameters:
  *       - in: query
  *         name: lat
- *         required: true
  *         schema:
  *           type: number
  *           minimum: -90
  *           maximum: 90
- *         description: Latitude coordinate
- *         example: 40.7128
+ *         description: Latitude of the destination; required unless landmark is given
+ *         example: 12.9352
  *       - in: query
  *         name: lng
- *         required: true
  *         schema:
  *           type: number
  *           minimum: -180
  *           maximum: 180
- *         description: Longitude coordinate
- *         example: -74.0060
+ *         description: Longitude of the destination; required unless landmark is given
+ *         example: 77.6245
+ *       - in: query
+ *         name: landmark
+ *         schema:
+ *           type: string
+ *         description: Landmark ID to measure from instead of lat/lng
  *       - in: query
  *         name: radius
  *         schema:
  *           type: number
+ *         description: Maximum distance in km; defaults to the landmark's radius, or 10, and is capped at 50
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sharingType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: amenities
+ *         schema:
+ *           type: string
+ *         description: Comma separated
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
  *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Search radius in kilometers
+ *           default: 1
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 50
+ *           maximum: 100
  *           default: 20
- *         description: Maximum number of properties to return
  *     responses:
  *       200:
- *         description: Properties found within the specified location
+ *         description: Properties within the radius, nearest first
  *         content:
  *           application/json:
  *             schema:
@@ -743,23 +884,55 @@ router.get('/stats', protect, authorize('admin'), getPropertyStats);
  *                 count:
  *                   type: number
  *                   example: 15
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
  *                 data:
  *                   type: object
  *                   properties:
  *                     properties:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Property'
- *                     phone:
- *                       type: string
- *                       description: Owner or property contact phone number
- *                       example: "+911234567890"
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Property'
+ *                           - type: object
+ *                             properties:
+ *                               distanceKm:
+ *                                 type: number
+ *                                 example: 1.84
+ *                     origin:
+ *                       type: object
+ *                       properties:
+ *                         lat:
+ *                           type: number
+ *                         lng:
+ *                           type: number
+ *                         radius:
+ *                           type: number
+ *                           description: Radius searched, in km
+ *                         landmark:
+ *                           type: object
+ *                           nullable: true
  *       400:
  *         description: Missing or invalid coordinates
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Landmark not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -767,7 +940,136 @@ router.get('/stats', protect, authorize('admin'), getPropertyStats);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/search/location', searchByLocation);
+router.get('/search/location', locationSearchValidation, searchByLocation);
+
+/**
+ * @swagger
+ * /api/properties/search:
+ *   get:
+ *     summary: Search available properties with filter counts
+ *     description: |
+ *       Returns a page of results plus facet counts for rendering filter chips.
+ *       Each facet counts properties matching every other selected filter, so the options of a facet
+ *       stay visible after one of them is selected; amenities narrow each other (a property needs all of them).
+ *       List filters accept comma-separated values.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full-text search on title, description and location, or a 6-digit PIN code
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         example: "Pune,Mumbai"
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         example: "pg,hostel"
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *         example: "female,unisex"
+ *       - in: query
+ *         name: sharingType
+ *         schema:
+ *           type: string
+ *         example: "single,double"
+ *       - in: query
+ *         name: amenities
+ *         schema:
+ *           type: string
+ *         example: "wifi,laundry"
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum starting monthly price (the cheapest room option)
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum starting monthly price (the cheapest room option)
+ *       - in: query
+ *         name: acType
+ *         schema:
+ *           type: string
+ *         example: "AC"
+ *         description: AC and/or Non-AC room options
+ *       - in: query
+ *         name: meals
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *         description: Room options with or without meals
+ *       - in: query
+ *         name: isFeatured
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: bulkAccommodation
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: bulkAccommodationType
+ *         schema:
+ *           type: string
+ *         example: "interns,students"
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [relevance, createdAt, price, rating, views]
+ *         description: Defaults to relevance when searching, otherwise newest first
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Properties and facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     properties:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Property'
+ *                     facets:
+ *                       type: object
+ *                       description: "city, type, gender, sharingType, amenities, acType and meals as [{ value, count }]; price as [{ min, max, count }] on the starting price"
+ *       500:
+ *         description: Server error
+ */
+router.get('/search', searchProperties);
 
 /**
  * @swagger
@@ -930,7 +1232,7 @@ router.get('/:id/similar', param('id').isMongoId().withMessage('Invalid property
  * @swagger
  * /api/properties:
  *   post:
- *     summary: Create a new property (Admin only)
+ *     summary: Create a new property (properties:create)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -1133,7 +1435,7 @@ router.get('/:id/similar', param('id').isMongoId().withMessage('Invalid property
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *         content:
  *           application/json:
  *             schema:
@@ -1145,13 +1447,13 @@ router.get('/:id/similar', param('id').isMongoId().withMessage('Invalid property
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', protect, authorize('admin'), createPropertyValidation, createProperty);
+router.post('/', protect, requirePermission('properties:create'), createPropertyValidation, createProperty);
 
 /**
  * @swagger
  * /api/properties/{id}:
  *   put:
- *     summary: Update a property (Admin or Property Owner only)
+ *     summary: Update a property (properties:update for this property)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -1367,13 +1669,13 @@ router.post('/', protect, authorize('admin'), createPropertyValidation, createPr
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', protect, authorize('admin'), param('id').isMongoId().withMessage('Invalid property ID'), updatePropertyValidation, updateProperty);
+router.put('/:id', protect, requirePermission('properties:update', propertyFromParam('id')), param('id').isMongoId().withMessage('Invalid property ID'), updatePropertyValidation, updateProperty);
 
 /**
  * @swagger
  * /api/properties/delete-multiple:
  *   delete:
- *     summary: Delete multiple properties by IDs
+ *     summary: Delete multiple properties by IDs (properties:delete)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -1414,13 +1716,13 @@ router.put('/:id', protect, authorize('admin'), param('id').isMongoId().withMess
  *       500:
  *         description: Server error
  */
-router.delete('/delete-multiple', protect, deleteMultipleProperties);
+router.delete('/delete-multiple', protect, requirePermission('properties:delete'), deleteMultipleProperties);
 
 /**
  * @swagger
  * /api/properties/{id}:
  *   delete:
- *     summary: Delete a property (Admin or Property Owner only)
+ *     summary: Delete a property (properties:delete)
  *     tags: [Properties]
  *     security:
  *       - bearerAuth: []
@@ -1471,7 +1773,58 @@ router.delete('/delete-multiple', protect, deleteMultipleProperties);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', protect, authorize('admin'), param('id').isMongoId().withMessage('Invalid property ID'), deleteProperty);
+router.delete('/:id', protect, requirePermission('properties:delete'), param('id').isMongoId().withMessage('Invalid property ID'), deleteProperty);
+
+/**
+ * @swagger
+ * /api/properties/{id}/managers:
+ *   put:
+ *     summary: Set the managers who run a property (properties:staff for this property)
+ *     description: Managers can confirm bookings, run visits and handle billing only for the properties they are assigned to.
+ *     tags: [Properties]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Property ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [managers]
+ *             properties:
+ *               managers:
+ *                 type: array
+ *                 description: User IDs with the manager role; replaces the current list
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Managers updated
+ *       400:
+ *         description: A user doesn't exist or isn't a manager
+ *       403:
+ *         description: Forbidden - Missing permission
+ *       404:
+ *         description: Property not found
+ */
+router.put(
+    '/:id/managers',
+    protect,
+    requirePermission('properties:staff', propertyFromParam('id')),
+    [
+        param('id').isMongoId().withMessage('Invalid property ID'),
+        body('managers').isArray().withMessage('Managers must be an array of user IDs'),
+        body('managers.*').isMongoId().withMessage('Invalid user ID')
+    ],
+    updatePropertyManagers
+);
 
 
 
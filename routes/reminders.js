@@ -0,0 +1,160 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getReminderPreferences,
+    updateReminderPreferences,
+    getJobs
+} = require('../controllers/reminderController');
+const { getDeliveries } = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reminders
+ *   description: Automated visit, check-in and rent due reminders
+ *
+ * components:
+ *   schemas:
+ *     ReminderPreferences:
+ *       type: object
+ *       properties:
+ *         visits:
+ *           type: boolean
+ *           description: Reminders 24h and 1h before a scheduled visit
+ *         checkIn:
+ *           type: boolean
+ *           description: Reminder before booking check-in
+ *         rentDue:
+ *           type: boolean
+ *           description: Reminders before rent invoices fall due
+ *         sms:
+ *           type: boolean
+ *         email:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/reminders/preferences:
+ *   get:
+ *     summary: Get the reminder preferences of the logged in user
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reminder preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReminderPreferences'
+ *   put:
+ *     summary: Opt in or out of reminders
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReminderPreferences'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ */
+router.get('/preferences', protect, getReminderPreferences);
+router.put(
+    '/preferences',
+    protect,
+    ['visits', 'checkIn', 'rentDue', 'sms', 'email'].map(key =>
+        body(key).optional().isBoolean().withMessage(`${key} must be true or false`).toBoolean()
+    ),
+    updateReminderPreferences
+);
+
+/**
+ * @swagger
+ * /api/reminders/deliveries:
+ *   get:
+ *     summary: Get the reminder delivery log (notifications:read)
+ *     description: Same as /api/notifications/deliveries, which also has recipient, template version and date filters.
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [visit-reminder, check-in-reminder, rent-due-reminder]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [sms, email, whatsapp]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed, skipped, retrying]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: Visit, booking or invoice ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery log entries
+ */
+router.get('/deliveries', protect, requirePermission('notifications:read'), getDeliveries);
+
+/**
+ * @swagger
+ * /api/reminders/jobs:
+ *   get:
+ *     summary: Get scheduled jobs (notifications:read)
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Jobs with a count per status
+ */
+router.get('/jobs', protect, requirePermission('notifications:read'), getJobs);
+
+module.exports = router;
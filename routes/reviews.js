@@ -0,0 +1,364 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getPropertyReviews,
+    getMyReviews,
+    getReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    replyToReview,
+    moderateReview
+} = require('../controllers/reviewController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFrom } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const ratingValidation = (required) => ['food', 'cleanliness', 'safety', 'staff'].map(criterion => {
+    const field = body(`ratings.${criterion}`);
+    return (required ? field : field.optional())
+        .isInt({ min: 1, max: 5 })
+        .withMessage(`${criterion} rating must be a whole number between 1 and 5`)
+        .toInt();
+});
+
+const textValidation = [
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Title cannot exceed 100 characters'),
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Comment cannot exceed 2000 characters')
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Verified-stay property reviews
+ *
+ * components:
+ *   schemas:
+ *     ReviewRatings:
+ *       type: object
+ *       required: [food, cleanliness, safety, staff]
+ *       properties:
+ *         food:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         cleanliness:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         safety:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         staff:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         property:
+ *           type: string
+ *         user:
+ *           type: string
+ *         booking:
+ *           type: string
+ *           description: Completed booking the review is for
+ *         ratings:
+ *           $ref: '#/components/schemas/ReviewRatings'
+ *         overall:
+ *           type: number
+ *           description: Mean of the criteria ratings
+ *         title:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [published, pending, rejected]
+ *         reply:
+ *           type: object
+ *           properties:
+ *             text:
+ *               type: string
+ *             repliedBy:
+ *               type: string
+ *             repliedAt:
+ *               type: string
+ *               format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/reviews/property/{propertyId}:
+ *   get:
+ *     summary: Get published reviews of a property with its rating summary
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, highest, lowest]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Property rating and reviews
+ *       404:
+ *         description: Property not found
+ */
+router.get('/property/:propertyId', getPropertyReviews);
+
+/**
+ * @swagger
+ * /api/reviews/my-reviews:
+ *   get:
+ *     summary: Get reviews written by the logged in user
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User reviews
+ */
+router.get('/my-reviews', protect, getMyReviews);
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   get:
+ *     summary: Get reviews for moderation (reviews:moderate)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [published, pending, rejected]
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reviews
+ *   post:
+ *     summary: Review a completed stay
+ *     description: Only the guest of a completed booking can review it, once. Reviews flagged by spam detection are held for moderation.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [booking, ratings]
+ *             properties:
+ *               booking:
+ *                 type: string
+ *               ratings:
+ *                 $ref: '#/components/schemas/ReviewRatings'
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review created
+ *       400:
+ *         description: Stay not completed, already reviewed or rejected as spam
+ *       403:
+ *         description: Booking belongs to another user
+ */
+router.get('/', protect, requirePermission('reviews:moderate'), getReviews);
+router.post(
+    '/',
+    protect,
+    [
+        body('booking')
+            .isMongoId()
+            .withMessage('Valid booking ID is required'),
+        ...ratingValidation(true),
+        ...textValidation
+    ],
+    createReview
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}:
+ *   put:
+ *     summary: Edit a review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ratings:
+ *                 $ref: '#/components/schemas/ReviewRatings'
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *       403:
+ *         description: Not the author
+ *   delete:
+ *     summary: Delete a review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: allowResubmit
+ *         schema:
+ *           type: boolean
+ *         description: Let the guest review the stay again (reviews:moderate only)
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ */
+router.put('/:id', protect, [...ratingValidation(false), ...textValidation], updateReview);
+router.delete('/:id', protect, deleteReview);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/reply:
+ *   post:
+ *     summary: Reply to a review (reviews:reply for the review's property)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reply posted
+ *       403:
+ *         description: Not an owner or manager of the property
+ */
+router.post(
+    '/:id/reply',
+    protect,
+    requirePermission('reviews:reply', propertyFrom('Review')),
+    [
+        body('text')
+            .trim()
+            .isLength({ min: 1, max: 1000 })
+            .withMessage('Reply must be between 1 and 1000 characters')
+    ],
+    replyToReview
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/moderate:
+ *   patch:
+ *     summary: Publish or reject a review (reviews:moderate)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [published, rejected]
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ */
+router.patch(
+    '/:id/moderate',
+    protect,
+    requirePermission('reviews:moderate'),
+    [
+        body('status')
+            .isIn(['published', 'rejected'])
+            .withMessage('Status must be published or rejected')
+    ],
+    moderateReview
+);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const {
     getRoomOptionById,
     deleteRoomOption,
 }  = require('../controllers/roomOptionsController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFrom, propertyFromBody } = require('../middleware/roleAuth');
 
 const router = express.Router();
 
@@ -21,8 +23,10 @@ const router = express.Router();
  * @swagger
  * /api/room-options:
  *   post:
- *     summary: Create a new room option
+ *     summary: Create a new room option (rooms:manage)
  *     tags: [RoomOptions]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -52,6 +56,8 @@ const router = express.Router();
  */
 router.post(
     '/',
+    protect,
+    requirePermission('rooms:manage', propertyFromBody()),
     [
         body('roomType').isIn(['single', 'double', 'triple']),
         body('monthlyRent').isFloat({ gt: 0 }),
@@ -98,8 +104,10 @@ router.get('/:id', [param('id').isMongoId()], getRoomOptionById);
  * @swagger
  * /api/room-options/{id}:
  *   put:
- *     summary: Update a room option
+ *     summary: Update a room option (rooms:manage)
  *     tags: [RoomOptions]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -133,6 +141,8 @@ router.get('/:id', [param('id').isMongoId()], getRoomOptionById);
  */
 router.put(
     '/:id',
+    protect,
+    requirePermission('rooms:manage', propertyFrom('RoomOption')),
     [
         param('id').isMongoId(),
         body('roomType').optional().isIn(['single', 'double', 'triple']),
@@ -149,8 +159,10 @@ router.put(
  * @swagger
  * /api/room-options/{id}:
  *   delete:
- *     summary: Delete a room option
+ *     summary: Delete a room option (rooms:manage)
  *     tags: [RoomOptions]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -161,6 +173,6 @@ router.put(
  *       200:
  *         description: Room option deleted
  */
-router.delete('/:id', [param('id').isMongoId()], deleteRoomOption);
+router.delete('/:id', protect, requirePermission('rooms:manage', propertyFrom('RoomOption')), [param('id').isMongoId()], deleteRoomOption);
 
 module.exports = router;
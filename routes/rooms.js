@@ -0,0 +1,378 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+    createRoom,
+    getPropertyRooms,
+    getPropertyOccupancy,
+    getRoom,
+    updateRoom,
+    deleteRoom,
+    addBed,
+    updateBedStatus
+} = require('../controllers/roomController');
+const { protect } = require('../middleware/auth');
+const { requirePermission, propertyFrom, propertyFromBody, propertyFromParam } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const SHARING_TYPES = ['single', 'double', 'triple', 'quadruple'];
+const BED_STATUSES = ['vacant', 'reserved', 'occupied', 'maintenance'];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rooms
+ *   description: Room and bed inventory of properties
+ *
+ * components:
+ *   schemas:
+ *     Bed:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         label:
+ *           type: string
+ *           example: "101-A"
+ *         status:
+ *           type: string
+ *           enum: [vacant, reserved, occupied, maintenance]
+ *         booking:
+ *           type: string
+ *           description: Booking holding the bed
+ *         occupant:
+ *           type: string
+ *           description: Resident holding the bed
+ *         notes:
+ *           type: string
+ *     Room:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         property:
+ *           type: string
+ *         roomNumber:
+ *           type: string
+ *           example: "101"
+ *         floor:
+ *           type: integer
+ *         sharingType:
+ *           type: string
+ *           enum: [single, double, triple, quadruple]
+ *         roomOption:
+ *           type: string
+ *         beds:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Bed'
+ *         vacantBeds:
+ *           type: integer
+ *           description: Number of vacant beds (virtual field)
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/rooms:
+ *   post:
+ *     summary: Create a room under a property (rooms:manage)
+ *     description: Beds are created from the sharing type when no bed labels are given
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [property, roomNumber, sharingType]
+ *             properties:
+ *               property:
+ *                 type: string
+ *               roomNumber:
+ *                 type: string
+ *               floor:
+ *                 type: integer
+ *               sharingType:
+ *                 type: string
+ *                 enum: [single, double, triple, quadruple]
+ *               roomOption:
+ *                 type: string
+ *               beds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Bed labels
+ *     responses:
+ *       201:
+ *         description: Room created successfully
+ *       400:
+ *         description: Validation failed or duplicate room number
+ *       404:
+ *         description: Property not found
+ */
+router.post(
+    '/',
+    protect,
+    requirePermission('rooms:manage', propertyFromBody()),
+    [
+        body('property').isMongoId().withMessage('Valid property ID is required'),
+        body('roomNumber').trim().notEmpty().withMessage('Room number is required'),
+        body('floor').optional().isInt().withMessage('Floor must be an integer'),
+        body('sharingType').isIn(SHARING_TYPES).withMessage('Please select a valid sharing type'),
+        body('roomOption').optional().isMongoId().withMessage('Invalid room option ID'),
+        body('beds').optional().isArray().withMessage('Beds must be an array of labels'),
+        body('beds.*').optional().isString().trim().notEmpty().withMessage('Bed label is required')
+    ],
+    createRoom
+);
+
+/**
+ * @swagger
+ * /api/rooms/property/{propertyId}:
+ *   get:
+ *     summary: Get rooms and beds of a property (rooms:manage)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sharingType
+ *         schema:
+ *           type: string
+ *           enum: [single, double, triple, quadruple]
+ *       - in: query
+ *         name: bedStatus
+ *         schema:
+ *           type: string
+ *           enum: [vacant, reserved, occupied, maintenance]
+ *         description: Only rooms having at least one bed in this status
+ *     responses:
+ *       200:
+ *         description: Rooms retrieved successfully
+ */
+router.get(
+    '/property/:propertyId',
+    protect,
+    requirePermission('rooms:manage', propertyFromParam()),
+    [
+        param('propertyId').isMongoId().withMessage('Invalid property ID'),
+        query('sharingType').optional().isIn(SHARING_TYPES),
+        query('bedStatus').optional().isIn(BED_STATUSES)
+    ],
+    getPropertyRooms
+);
+
+/**
+ * @swagger
+ * /api/rooms/property/{propertyId}/occupancy:
+ *   get:
+ *     summary: Get bed occupancy of a property
+ *     description: Bed counts per sharing type and status, with the overall occupancy rate
+ *     tags: [Rooms]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Occupancy retrieved successfully
+ *       404:
+ *         description: Property not found
+ */
+router.get('/property/:propertyId/occupancy', getPropertyOccupancy);
+
+/**
+ * @swagger
+ * /api/rooms/{id}:
+ *   get:
+ *     summary: Get a room (rooms:manage)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room retrieved successfully
+ *       404:
+ *         description: Room not found
+ *   put:
+ *     summary: Update a room (rooms:manage)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roomNumber:
+ *                 type: string
+ *               floor:
+ *                 type: integer
+ *               roomOption:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Room updated successfully
+ *       404:
+ *         description: Room not found
+ *   delete:
+ *     summary: Delete a room (rooms:manage)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room deleted successfully
+ *       400:
+ *         description: Room has reserved or occupied beds
+ *       404:
+ *         description: Room not found
+ */
+router.get('/:id', protect, requirePermission('rooms:manage', propertyFrom('Room')), getRoom);
+router.put(
+    '/:id',
+    protect,
+    requirePermission('rooms:manage', propertyFrom('Room')),
+    [
+        param('id').isMongoId().withMessage('Invalid room ID'),
+        body('roomNumber').optional().trim().notEmpty().withMessage('Room number cannot be empty'),
+        body('floor').optional().isInt().withMessage('Floor must be an integer'),
+        body('roomOption').optional().isMongoId().withMessage('Invalid room option ID'),
+        body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+    ],
+    updateRoom
+);
+router.delete('/:id', protect, requirePermission('rooms:manage', propertyFrom('Room')), deleteRoom);
+
+/**
+ * @swagger
+ * /api/rooms/{id}/beds:
+ *   post:
+ *     summary: Add a bed to a room (rooms:manage)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [label]
+ *             properties:
+ *               label:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Bed added successfully
+ *       404:
+ *         description: Room not found
+ */
+router.post(
+    '/:id/beds',
+    protect,
+    requirePermission('rooms:manage', propertyFrom('Room')),
+    [
+        param('id').isMongoId().withMessage('Invalid room ID'),
+        body('label').trim().notEmpty().withMessage('Bed label is required'),
+        body('notes').optional().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters')
+    ],
+    addBed
+);
+
+/**
+ * @swagger
+ * /api/rooms/{id}/beds/{bedId}:
+ *   patch:
+ *     summary: Mark a bed vacant or under maintenance (rooms:manage)
+ *     description: Reserved and occupied beds follow their booking and cannot be changed here
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bedId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [vacant, maintenance]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Bed status updated successfully
+ *       400:
+ *         description: Bed is held by a booking
+ *       404:
+ *         description: Room or bed not found
+ */
+router.patch(
+    '/:id/beds/:bedId',
+    protect,
+    requirePermission('rooms:manage', propertyFrom('Room')),
+    [
+        param('id').isMongoId().withMessage('Invalid room ID'),
+        param('bedId').isMongoId().withMessage('Invalid bed ID'),
+        body('status').isIn(['vacant', 'maintenance']).withMessage('Status must be vacant or maintenance'),
+        body('notes').optional().isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters')
+    ],
+    updateBedStatus
+);
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+    getSavedSearches,
+    createSavedSearch,
+    updateSavedSearch,
+    deleteSavedSearch,
+    getSavedSearchResults,
+    getPropertyAlerts,
+    markPropertyAlertsRead
+} = require('../controllers/savedSearchController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+const savedSearchValidation = (nameRequired) => [
+    (nameRequired ? body('name') : body('name').optional())
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Search name must be between 1 and 100 characters'),
+    body('filters')
+        .optional()
+        .isObject()
+        .withMessage('Filters must be an object'),
+    body('filters.type')
+        .optional()
+        .isIn(['apartment', 'house', 'room', 'studio', 'villa', 'penthouse', 'pg', 'hostel'])
+        .withMessage('Invalid property type'),
+    body('filters.gender')
+        .optional()
+        .isIn(['male', 'female', 'unisex', 'transgender', 'other'])
+        .withMessage('Invalid gender'),
+    body(['filters.minPrice', 'filters.maxPrice'])
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Price must be a positive number')
+        .toFloat(),
+    body(['alerts.enabled', 'alerts.email', 'alerts.inApp'])
+        .optional()
+        .isBoolean()
+        .withMessage('Alert settings must be true or false')
+        .toBoolean()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Saved Searches
+ *   description: Saved property searches and new-match alerts
+ *
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Double sharing PG in Pune"
+ *         filters:
+ *           type: object
+ *           description: Same filters as GET /api/properties
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [apartment, house, room, studio, villa, penthouse, pg, hostel]
+ *             gender:
+ *               type: string
+ *               enum: [male, female, unisex, transgender, other]
+ *             city:
+ *               type: string
+ *             minPrice:
+ *               type: number
+ *             maxPrice:
+ *               type: number
+ *             amenities:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             sharingType:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [single, double, triple, quadruple]
+ *             search:
+ *               type: string
+ *         alerts:
+ *           type: object
+ *           description: Alert when a new or newly available property matches
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             email:
+ *               type: boolean
+ *             inApp:
+ *               type: boolean
+ *         lastAlertAt:
+ *           type: string
+ *           format: date-time
+ *         alertCount:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/saved-searches/alerts:
+ *   get:
+ *     summary: Get in-app alerts for properties matching saved searches or preferences
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alerts with the unread count
+ */
+router.get('/alerts', protect, getPropertyAlerts);
+
+/**
+ * @swagger
+ * /api/saved-searches/alerts/read:
+ *   patch:
+ *     summary: Mark alerts as read
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Alerts to mark; all unread alerts when omitted
+ *     responses:
+ *       200:
+ *         description: Alerts marked as read
+ */
+router.patch(
+    '/alerts/read',
+    protect,
+    [
+        body('ids').optional().isArray().withMessage('ids must be an array'),
+        body('ids.*').isMongoId().withMessage('Invalid alert ID')
+    ],
+    markPropertyAlertsRead
+);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: Get the logged in user's saved searches
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches
+ *   post:
+ *     summary: Save a property search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearch'
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *       400:
+ *         description: Validation failed, duplicate name or too many saved searches
+ */
+router.get('/', protect, getSavedSearches);
+router.post('/', protect, savedSearchValidation(true), createSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   put:
+ *     summary: Update a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearch'
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *       404:
+ *         description: Saved search not found
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ */
+router.put('/:id', protect, savedSearchValidation(false), updateSavedSearch);
+router.delete('/:id', protect, deleteSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/results:
+ *   get:
+ *     summary: Run a saved search against available properties
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching properties
+ */
+router.get('/:id/results', protect, getSavedSearchResults);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { param } = require('express-validator');
+const {
+    getSitemap,
+    getBlogRssFeed,
+    getBlogAtomFeed,
+    getPropertyJsonLd
+} = require('../controllers/seoController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: SEO
+ *   description: |
+ *     Sitemap, blog feeds and structured data for crawlers. Links point at the public site
+ *     (FRONTEND_URL), which should serve the sitemap and feeds from its own domain.
+ */
+
+/**
+ * @swagger
+ * /api/seo/sitemap.xml:
+ *   get:
+ *     summary: Sitemap of property, city landing and published blog pages
+ *     description: lastmod comes from each page's updatedAt; a city page changes when any of its properties does.
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: Sitemap
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/sitemap.xml', getSitemap);
+
+/**
+ * @swagger
+ * /api/seo/blogs/rss.xml:
+ *   get:
+ *     summary: RSS 2.0 feed of the latest published blogs
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: RSS feed
+ *         content:
+ *           application/rss+xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/blogs/rss.xml', getBlogRssFeed);
+
+/**
+ * @swagger
+ * /api/seo/blogs/atom.xml:
+ *   get:
+ *     summary: Atom feed of the latest published blogs
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: Atom feed
+ *         content:
+ *           application/atom+xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/blogs/atom.xml', getBlogAtomFeed);
+
+/**
+ * @swagger
+ * /api/seo/properties/{id}/json-ld:
+ *   get:
+ *     summary: schema.org LodgingBusiness structured data for a property page
+ *     description: One Offer per sharing type with its monthly price, the address, and the rating once the property has reviews.
+ *     tags: [SEO]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: JSON-LD to embed in a script tag of type application/ld+json
+ *         content:
+ *           application/ld+json:
+ *             schema:
+ *               type: object
+ *       404:
+ *         description: Property not found
+ */
+router.get(
+    '/properties/:id/json-ld',
+    param('id').isMongoId().withMessage('Invalid property ID'),
+    getPropertyJsonLd
+);
+
+module.exports = router;
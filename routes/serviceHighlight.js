@@ -1,4 +1,6 @@
 const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const router = express.Router();
 const controller = require('../controllers/serviceHighlightController');
 
@@ -15,6 +17,8 @@ const controller = require('../controllers/serviceHighlightController');
  *   post:
  *     summary: Create a new service highlight
  *     tags: [ServiceHighlights]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -33,7 +37,7 @@ const controller = require('../controllers/serviceHighlightController');
  *       201:
  *         description: Service highlight created
  */
-router.post('/', controller.createServiceHighlight);
+router.post('/', protect, requirePermission('content:manage'), controller.createServiceHighlight);
 
 /**
  * @swagger
@@ -71,6 +75,8 @@ router.get('/:id', controller.getServiceHighlightById);
  *   put:
  *     summary: Update a service highlight
  *     tags: [ServiceHighlights]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -92,7 +98,7 @@ router.get('/:id', controller.getServiceHighlightById);
  *       200:
  *         description: Updated service highlight
  */
-router.put('/:id', controller.updateServiceHighlight);
+router.put('/:id', protect, requirePermission('content:manage'), controller.updateServiceHighlight);
 
 /**
  * @swagger
@@ -100,6 +106,8 @@ router.put('/:id', controller.updateServiceHighlight);
  *   delete:
  *     summary: Delete a service highlight
  *     tags: [ServiceHighlights]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -110,6 +118,6 @@ router.put('/:id', controller.updateServiceHighlight);
  *       200:
  *         description: Service highlight deleted
  */
-router.delete('/:id', controller.deleteServiceHighlight);
+router.delete('/:id', protect, requirePermission('content:manage'), controller.deleteServiceHighlight);
 
 module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const router = express.Router();
 const controller = require('../controllers/siteSettingController');
 
@@ -33,6 +35,8 @@ const controller = require('../controllers/siteSettingController');
  *   post:
  *     summary: Create system settings
  *     tags: [SystemSettings]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -43,7 +47,7 @@ const controller = require('../controllers/siteSettingController');
  *       201:
  *         description: Created
  */
-router.post('/', controller.createSettings);
+router.post('/', protect, requirePermission('content:manage'), controller.createSettings);
 
 /**
  * @swagger
@@ -91,6 +95,8 @@ router.get('/', controller.getAllSettings);
  *   put:
  *     summary: Update system settings by ID
  *     tags: [SystemSettings]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -107,7 +113,7 @@ router.get('/', controller.getAllSettings);
  *       200:
  *         description: Updated
  */
-router.put('/:id', controller.updateSettingsById);
+router.put('/:id', protect, requirePermission('content:manage'), controller.updateSettingsById);
 
 /**
  * @swagger
@@ -115,6 +121,8 @@ router.put('/:id', controller.updateSettingsById);
  *   delete:
  *     summary: Delete system settings by ID
  *     tags: [SystemSettings]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -125,6 +133,6 @@ router.put('/:id', controller.updateSettingsById);
  *       200:
  *         description: Deleted successfully
  */
-router.delete('/:id', controller.deleteSettingsById);
+router.delete('/:id', protect, requirePermission('content:manage'), controller.deleteSettingsById);
 
 module.exports = router;
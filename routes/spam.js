@@ -2,7 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const spamController = require('../controllers/spamController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validation'); // Changed this line
 
@@ -340,7 +341,7 @@ const checkContentValidation = [
  * /api/spam/reports:
  *   get:
  *     summary: Get all spam reports with pagination and filtering
- *     description: Retrieve spam reports with optional filtering and pagination. Admin access required.
+ *     description: Retrieve spam reports with optional filtering and pagination. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -429,13 +430,13 @@ const checkContentValidation = [
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
 router.get('/reports',
     protect,
-    authorize('admin'),
+    requirePermission('spam:moderate'),
     [
         query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
         query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
@@ -455,7 +456,7 @@ router.get('/reports',
  * /api/spam/reports/urgent:
  *   get:
  *     summary: Get urgent spam reports
- *     description: Retrieve spam reports that need immediate attention. Admin access required.
+ *     description: Retrieve spam reports that need immediate attention. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -476,13 +477,13 @@ router.get('/reports',
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
 router.get('/reports/urgent',
     protect,
-    authorize,
+    requirePermission('spam:moderate'),
     spamController.getUrgentReports
 );
 
@@ -491,7 +492,7 @@ router.get('/reports/urgent',
  * /api/spam/reports/user/{userId}:
  *   get:
  *     summary: Get spam reports for a specific user
- *     description: Retrieve all pending spam reports for a specific user. Admin access required.
+ *     description: Retrieve all pending spam reports for a specific user. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -519,13 +520,13 @@ router.get('/reports/urgent',
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
 router.get('/reports/user/:userId',
     protect,
-    authorize,
+    requirePermission('spam:moderate'),
     [
         param('userId').isMongoId().withMessage('Invalid user ID')
     ],
@@ -538,7 +539,7 @@ router.get('/reports/user/:userId',
  * /api/spam/reports/{reportId}/review:
  *   put:
  *     summary: Review a spam report
- *     description: Review and resolve a spam report with optional action. Admin access required.
+ *     description: Review and resolve a spam report with optional action. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -574,7 +575,7 @@ router.get('/reports/user/:userId',
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Report not found
  *       500:
@@ -582,7 +583,7 @@ router.get('/reports/user/:userId',
  */
 router.put('/reports/:reportId/review',
     protect,
-    authorize,
+    requirePermission('spam:moderate'),
     reviewValidation,
     handleValidationErrors, // Changed this line
     spamController.reviewReport
@@ -593,7 +594,7 @@ router.put('/reports/:reportId/review',
  * /api/spam/reports/bulk-review:
  *   put:
  *     summary: Bulk review multiple spam reports
- *     description: Review and resolve multiple spam reports at once. Admin access required.
+ *     description: Review and resolve multiple spam reports at once. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -629,13 +630,13 @@ router.put('/reports/:reportId/review',
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
 router.put('/reports/bulk-review',
     protect,
-    authorize,
+    requirePermission('spam:moderate'),
     bulkReviewValidation,
     handleValidationErrors, // Changed this line
     spamController.bulkReviewReports
@@ -646,7 +647,7 @@ router.put('/reports/bulk-review',
  * /api/spam/statistics:
  *   get:
  *     summary: Get spam detection statistics
- *     description: Retrieve comprehensive spam detection statistics for a specified period. Admin access required.
+ *     description: Retrieve comprehensive spam detection statistics for a specified period. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -673,13 +674,13 @@ router.put('/reports/bulk-review',
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Internal server error
  */
 router.get('/statistics',
     protect,
-    authorize,
+    requirePermission('spam:moderate'),
     [
         query('period').optional().isIn(['1d', '7d', '30d', '90d']).withMessage('Invalid period')
     ],
@@ -692,7 +693,7 @@ router.get('/statistics',
  * /api/spam/check-content:
  *   post:
  *     summary: Manual spam check for content
- *     description: Manually trigger spam detection on specific content. Admin access required.
+ *     description: Manually trigger spam detection on specific content. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -729,7 +730,7 @@ router.get('/statistics',
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Content not found
  *       500:
@@ -737,7 +738,7 @@ router.get('/statistics',
  */
 router.post('/check-content',
     protect,
-    authorize,
+    requirePermission('spam:moderate'),
     checkContentValidation,
     handleValidationErrors, // Changed this line
     spamController.checkContent
@@ -847,7 +848,7 @@ router.post('/reports/:reportId/appeal',
  * /api/spam/reports/{reportId}/appeal/review:
  *   put:
  *     summary: Review an appeal
- *     description: Review and decide on an appeal for a spam report. Admin access required.
+ *     description: Review and decide on an appeal for a spam report. Requires the spam:moderate permission.
  *     tags: [Spam Management]
  *     security:
  *       - bearerAuth: []
@@ -894,7 +895,7 @@ router.post('/reports/:reportId/appeal',
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: Appeal not found
  *       500:
@@ -902,7 +903,7 @@ router.post('/reports/:reportId/appeal',
  */
 router.put('/reports/:reportId/appeal/review',
     protect,
-    authorize,
+    requirePermission('spam:moderate'),
     [
         param('reportId').isMongoId().withMessage('Invalid report ID'),
         body('status').isIn(['approved', 'rejected']).withMessage('Invalid appeal status'),
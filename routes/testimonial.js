@@ -1,4 +1,6 @@
 const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const router = express.Router();
 const controller = require('../controllers/testimonialController');
 
@@ -15,6 +17,8 @@ const controller = require('../controllers/testimonialController');
  *   post:
  *     summary: Create a new testimonial
  *     tags: [Testimonials]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -34,7 +38,7 @@ const controller = require('../controllers/testimonialController');
  *       201:
  *         description: Testimonial created successfully
  */
-router.post('/', controller.createTestimonial);
+router.post('/', protect, requirePermission('content:manage'), controller.createTestimonial);
 
 /**
  * @swagger
@@ -71,6 +75,8 @@ router.get('/:id', controller.getTestimonialById);
  *   put:
  *     summary: Update a testimonial
  *     tags: [Testimonials]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -94,7 +100,7 @@ router.get('/:id', controller.getTestimonialById);
  *       200:
  *         description: Testimonial updated
  */
-router.put('/:id', controller.updateTestimonial);
+router.put('/:id', protect, requirePermission('content:manage'), controller.updateTestimonial);
 
 /**
  * @swagger
@@ -102,6 +108,8 @@ router.put('/:id', controller.updateTestimonial);
  *   delete:
  *     summary: Delete a testimonial
  *     tags: [Testimonials]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -111,6 +119,6 @@ router.put('/:id', controller.updateTestimonial);
  *       200:
  *         description: Deleted successfully
  */
-router.delete('/:id', controller.deleteTestimonial);
+router.delete('/:id', protect, requirePermission('content:manage'), controller.deleteTestimonial);
 
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const controller = require('../controllers/userDocumentController');
 const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 
 const router = express.Router();
 
@@ -90,7 +91,7 @@ router.post(
  *       200:
  *         description: List of documents
  */
-router.get('/', protect, controller.getAllDocumentsAdmin);
+router.get('/', protect, requirePermission('documents:read'), controller.getAllDocumentsAdmin);
 
 /**
  * @swagger
@@ -112,6 +113,8 @@ router.get('/user', protect, controller.getUserDocuments);
  *   get:
  *     summary: Get a document by ID
  *     tags: [UserDocuments]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -123,13 +126,14 @@ router.get('/user', protect, controller.getUserDocuments);
  *       200:
  *         description: Document found
  */
-router.get('/:id', controller.getDocumentById);
+router.get('/:id', protect, controller.getDocumentById);
 
 /**
  * @swagger
  * /api/user-documents/{id}:
  *   patch:
  *     summary: Update a document by ID
+ *     description: Replacing the file, type or subtype sends the document back for review. Only admins can set status and rejectionReason.
  *     tags: [UserDocuments]
  *     security:
  *       - bearerAuth: []
@@ -11,15 +11,12 @@ const {
     getUserStats,
     editUserProfile
 } = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/auth'); // Changed 'admin' to 'authorize'
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleAuth');
 const { validateUserUpdate, validatePasswordChange } = require('../middleware/validation');
 
 const router = express.Router();
 
-// Create admin middleware using authorize
-const admin = authorize('admin');
-const user = authorize('user');
-
 /**
  * @swagger
  * components:
@@ -49,7 +46,7 @@ const user = authorize('user');
  *           description: User's 10-digit phone number
  *         role:
  *           type: string
- *           enum: [user, admin]
+ *           enum: [user, admin, owner, manager, support, editor]
  *           default: user
  *           description: User's role
  *         avatar:
@@ -144,7 +141,7 @@ const user = authorize('user');
  *           pattern: '^[0-9]{10}$'
  *         role:
  *           type: string
- *           enum: [user, admin]
+ *           enum: [user, admin, owner, manager, support, editor]
  *         isVerified:
  *           type: boolean
  *         avatar:
@@ -179,6 +176,10 @@ const user = authorize('user');
  *           type: number
  *         regularUsers:
  *           type: number
+ *         usersByRole:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
  *         recentRegistrations:
  *           type: number
  *         monthlyStats:
@@ -208,7 +209,7 @@ const user = authorize('user');
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -229,7 +230,7 @@ const user = authorize('user');
  *         name: role
  *         schema:
  *           type: string
- *           enum: [user, admin]
+ *           enum: [user, admin, owner, manager, support, editor]
  *         description: Filter by user role
  *       - in: query
  *         name: isVerified
@@ -271,11 +272,11 @@ const user = authorize('user');
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Server error
  */
-router.get('/', protect, admin, getAllUsers);
+router.get('/', protect, requirePermission('users:read'), getAllUsers);
 
 /**
  * @swagger
@@ -310,7 +311,7 @@ router.get('/profile', protect, getUserProfile);
  * @swagger
  * /api/users/stats:
  *   get:
- *     summary: Get user statistics (Admin only)
+ *     summary: Get user statistics (users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -329,17 +330,17 @@ router.get('/profile', protect, getUserProfile);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       500:
  *         description: Server error
  */
-router.get('/stats', protect, admin, getUserStats);
+router.get('/stats', protect, requirePermission('users:read'), getUserStats);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
- *     summary: Get user by ID (Admin only)
+ *     summary: Get user by ID (users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -365,13 +366,13 @@ router.get('/stats', protect, admin, getUserStats);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', protect, admin, getUserById);
+router.get('/:id', protect, requirePermission('users:read'), getUserById);
 
 /**
  * @swagger
@@ -519,7 +520,7 @@ router.put('/change-password', protect, validatePasswordChange, changePassword);
  * @swagger
  * /api/users/{id}:
  *   put:
- *     summary: Update user by ID (Admin only)
+ *     summary: Update user by ID, including their role (users:manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -555,13 +556,13 @@ router.put('/change-password', protect, validatePasswordChange, changePassword);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.put('/:id', protect, admin, updateUserById);
+router.put('/:id', protect, requirePermission('users:manage'), updateUserById);
 
 
 /**
@@ -597,7 +598,7 @@ router.delete('/profile', protect, deleteUserAccount);
  * @swagger
  * /api/users/{id}:
  *   delete:
- *     summary: Delete user by ID (Admin only)
+ *     summary: Delete user by ID (users:manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -625,12 +626,12 @@ router.delete('/profile', protect, deleteUserAccount);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - Missing permission
  *       404:
  *         description: User not found
  *       500:
  *         description: Server error
  */
-router.delete('/:id', protect, admin, deleteUserById);
+router.delete('/:id', protect, requirePermission('users:manage'), deleteUserById);
 
 module.exports = router;
\ No newline at end of file
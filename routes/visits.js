@@ -0,0 +1,519 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const {
+    getOpenSlots,
+    createVisit,
+    getVisits,
+    getMyVisits,
+    getVisitStats,
+    getVisit,
+    updateVisit,
+    cancelVisit,
+    deleteVisit,
+    getVisitSettings,
+    updateVisitSettings
+} = require('../controllers/visitController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { requirePermission, propertyFrom, propertyFromParam } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const TIME_SLOT_PATTERN = /^(\d{1,2}:\d{2}(\s*(AM|PM))?)$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Visits
+ *   description: |
+ *     Property visit scheduling with visiting hours and per-slot capacity.
+ *     Also served under the older /api/visit-bookings, /api/schedule-visits and /api/schedule paths.
+ *
+ * components:
+ *   schemas:
+ *     Visit:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         property:
+ *           type: string
+ *         user:
+ *           type: string
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: John Doe
+ *         phone:
+ *           type: string
+ *           example: '+919876543210'
+ *         email:
+ *           type: string
+ *         gender:
+ *           type: string
+ *           enum: [male, female, unisex, transgender, other]
+ *         sharing:
+ *           type: string
+ *           enum: [single, double, triple, quadruple]
+ *         mode:
+ *           type: string
+ *           enum: [physical, virtual]
+ *         date:
+ *           type: string
+ *           format: date
+ *         timeSlot:
+ *           type: string
+ *           description: Slot start in 24h property-local time
+ *           example: '11:00'
+ *         scheduledAt:
+ *           type: string
+ *           format: date-time
+ *         description:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed]
+ *     VisitSlot:
+ *       type: object
+ *       properties:
+ *         timeSlot:
+ *           type: string
+ *           example: '11:00'
+ *         label:
+ *           type: string
+ *           example: '11:00 AM'
+ *         capacity:
+ *           type: integer
+ *         booked:
+ *           type: integer
+ *         available:
+ *           type: integer
+ *     VisitSettings:
+ *       type: object
+ *       properties:
+ *         isEnabled:
+ *           type: boolean
+ *         hours:
+ *           type: array
+ *           description: Weekly visiting hours; day 0 is Sunday
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *               open:
+ *                 type: string
+ *                 example: '09:00'
+ *               close:
+ *                 type: string
+ *                 example: '18:00'
+ *         slotDuration:
+ *           type: integer
+ *           description: Minutes per slot
+ *           default: 30
+ *         slotCapacity:
+ *           type: integer
+ *           description: Visits allowed per slot
+ *           default: 1
+ *         modes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [physical, virtual]
+ *         advanceBookingDays:
+ *           type: integer
+ *           default: 30
+ */
+
+/**
+ * @swagger
+ * /api/visits/slots:
+ *   get:
+ *     summary: Get open visiting slots of a property for a date
+ *     tags: [Visits]
+ *     parameters:
+ *       - in: query
+ *         name: property
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: includeFull
+ *         schema:
+ *           type: boolean
+ *         description: Also return slots with no places left
+ *     responses:
+ *       200:
+ *         description: Open slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     slots:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/VisitSlot'
+ *       404:
+ *         description: Property not found
+ */
+router.get(
+    '/slots',
+    [
+        query('property').isMongoId().withMessage('Valid property ID is required'),
+        query('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be in YYYY-MM-DD format')
+    ],
+    getOpenSlots
+);
+
+/**
+ * @swagger
+ * /api/visits/stats:
+ *   get:
+ *     summary: Get visit statistics (visits:read)
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts by status and upcoming visits
+ */
+router.get('/stats', protect, requirePermission('visits:read'), getVisitStats);
+
+/**
+ * @swagger
+ * /api/visits/my-visits:
+ *   get:
+ *     summary: Get visits booked by the logged in user
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Visits retrieved successfully
+ */
+router.get('/my-visits', protect, getMyVisits);
+
+/**
+ * @swagger
+ * /api/visits/settings/{propertyId}:
+ *   get:
+ *     summary: Get visiting hours and slot settings of a property
+ *     tags: [Visits]
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visit settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VisitSettings'
+ *       404:
+ *         description: Property not found
+ *   put:
+ *     summary: Update visiting hours and slot settings of a property (visit-settings:manage for this property)
+ *     description: Existing visits are kept when settings change
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitSettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       403:
+ *         description: Not authorized to update this property
+ *       404:
+ *         description: Property not found
+ */
+router.get('/settings/:propertyId', getVisitSettings);
+router.put(
+    '/settings/:propertyId',
+    protect,
+    requirePermission('visit-settings:manage', propertyFromParam()),
+    [
+        param('propertyId').isMongoId().withMessage('Invalid property ID'),
+        body('isEnabled').optional().isBoolean().toBoolean(),
+        body('hours').optional().isArray().withMessage('Hours must be an array'),
+        body('hours.*.day').optional().isInt({ min: 0, max: 6 }).withMessage('Day must be between 0 (Sunday) and 6').toInt(),
+        body('hours.*.open').optional().matches(TIME_PATTERN).withMessage('Opening time must be in HH:mm format'),
+        body('hours.*.close')
+            .optional()
+            .matches(TIME_PATTERN).withMessage('Closing time must be in HH:mm format')
+            .custom((close, { req, path }) => {
+                const index = Number(path.match(/\[(\d+)\]/)[1]);
+                if (close <= req.body.hours[index].open) {
+                    throw new Error('Closing time must be after opening time');
+                }
+                return true;
+            }),
+        body('slotDuration').optional().isInt({ min: 15, max: 240 }).withMessage('Slot duration must be between 15 and 240 minutes').toInt(),
+        body('slotCapacity').optional().isInt({ min: 1 }).withMessage('Slot capacity must be at least 1').toInt(),
+        body('modes').optional().isArray({ min: 1 }).withMessage('At least one visit mode is required'),
+        body('modes.*').optional().isIn(['physical', 'virtual']).withMessage('Visit mode must be physical or virtual'),
+        body('advanceBookingDays').optional().isInt({ min: 1 }).withMessage('Advance booking window must be at least 1 day').toInt()
+    ],
+    updateVisitSettings
+);
+
+/**
+ * @swagger
+ * /api/visits:
+ *   post:
+ *     summary: Book a visit
+ *     description: |
+ *       Books a place in an open slot. Rejects slots outside visiting hours, full slots,
+ *       and a second visit by the same phone number to the same property on the same day.
+ *       propertyId and fullName are accepted for older clients.
+ *     tags: [Visits]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [property, name, phone, mode, date, timeSlot]
+ *             properties:
+ *               property:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *                 example: '+919876543210'
+ *               email:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *               sharing:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [physical, virtual]
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               timeSlot:
+ *                 type: string
+ *                 example: '11:00 AM'
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Visit scheduled
+ *       400:
+ *         description: Invalid date, slot outside visiting hours or validation failed
+ *       404:
+ *         description: Property not found
+ *       409:
+ *         description: Slot fully booked or visitor already has a visit that day
+ *   get:
+ *     summary: Get all visits (visits:read)
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: property
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, cancelled, completed]
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [physical, virtual]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, phone, email or description
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, upcoming]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Visits retrieved successfully
+ */
+router.post(
+    '/',
+    optionalAuth,
+    [
+        body('property').if(body('propertyId').not().exists()).isMongoId().withMessage('Valid property ID is required'),
+        body('propertyId').optional().isMongoId().withMessage('Valid property ID is required'),
+        body('name').if(body('fullName').not().exists()).trim().isLength({ min: 1, max: 100 }).withMessage('Name is required'),
+        body('fullName').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot exceed 100 characters'),
+        body('phone').trim().notEmpty().withMessage('Phone number is required'),
+        body('email').optional().isEmail().withMessage('Please provide a valid email'),
+        body('mode').isIn(['physical', 'virtual']).withMessage('Visit mode must be physical or virtual'),
+        body('date').isDate({ format: 'YYYY-MM-DD', strictMode: false }).withMessage('Date must be in YYYY-MM-DD format'),
+        body('timeSlot').matches(TIME_SLOT_PATTERN).withMessage('Time slot must look like 11:00 or 11:00 AM'),
+        body('description').optional().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters')
+    ],
+    createVisit
+);
+router.get('/', protect, requirePermission('visits:read'), getVisits);
+
+/**
+ * @swagger
+ * /api/visits/{id}:
+ *   get:
+ *     summary: Get a visit (visitor, or visits:read for the visit's property)
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visit found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Visit'
+ *       404:
+ *         description: Visit not found
+ *   put:
+ *     summary: Update, reschedule or change the status of a visit (visits:manage for the visit's property)
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               timeSlot:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, confirmed, cancelled, completed]
+ *               mode:
+ *                 type: string
+ *                 enum: [physical, virtual]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Visit updated
+ *       400:
+ *         description: New slot outside visiting hours or visit not active
+ *       409:
+ *         description: New slot fully booked
+ *   delete:
+ *     summary: Delete a visit (visits:manage for the visit's property)
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visit deleted and its slot freed
+ */
+router.get('/:id', protect, getVisit);
+router.put(
+    '/:id',
+    protect,
+    requirePermission('visits:manage', propertyFrom('Visit')),
+    [
+        body('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: false }).withMessage('Date must be in YYYY-MM-DD format'),
+        body('timeSlot').optional().matches(TIME_SLOT_PATTERN).withMessage('Time slot must look like 11:00 or 11:00 AM'),
+        body('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'completed']).withMessage('Invalid visit status'),
+        body('mode').optional().isIn(['physical', 'virtual']).withMessage('Visit mode must be physical or virtual'),
+        body('description').optional().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters')
+    ],
+    updateVisit
+);
+router.delete('/:id', protect, requirePermission('visits:manage', propertyFrom('Visit')), deleteVisit);
+
+/**
+ * @swagger
+ * /api/visits/{id}/cancel:
+ *   put:
+ *     summary: Cancel a visit (visitor, or visits:manage for the visit's property)
+ *     tags: [Visits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visit cancelled and its slot freed
+ *       400:
+ *         description: Visit is not active
+ *       403:
+ *         description: Not authorized to cancel this visit
+ */
+router.put('/:id/cancel', protect, cancelVisit);
+
+module.exports = router;
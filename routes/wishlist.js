@@ -0,0 +1,73 @@
+const express = require('express');
+const {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist
+} = require('../controllers/wishlistController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wishlist
+ *   description: Saved properties
+ */
+
+/**
+ * @swagger
+ * /api/wishlist:
+ *   get:
+ *     summary: Get the logged in user's saved properties
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved properties, most recent first
+ */
+router.get('/', protect, getWishlist);
+
+/**
+ * @swagger
+ * /api/wishlist/{propertyId}:
+ *   post:
+ *     summary: Save a property to the wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Property added
+ *       200:
+ *         description: Property was already saved
+ *       404:
+ *         description: Property not found
+ *   delete:
+ *     summary: Remove a property from the wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: propertyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Property removed
+ *       404:
+ *         description: Property is not in the wishlist
+ */
+router.post('/:propertyId', protect, addToWishlist);
+router.delete('/:propertyId', protect, removeFromWishlist);
+
+module.exports = router;
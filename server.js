@@ -6,6 +6,15 @@ const rateLimit = require("express-rate-limit");
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpec = require("./config/swagger");
 const connectDB = require("./config/database");
+const jobScheduler = require("./services/jobScheduler");
+const reminderService = require("./services/reminderService");
+const propertyAlertService = require("./services/propertyAlertService");
+const notificationService = require("./services/notificationService");
+const blogService = require("./services/blogService");
+const cityService = require("./services/cityService");
+const propertySearchService = require("./services/propertySearchService");
+const billingService = require("./services/billingService");
+const visitSchedulingService = require("./services/visitSchedulingService");
 
 
 // Import routes
@@ -19,8 +28,7 @@ const homeRoutes = require("./routes/home");
 const contactRoutes = require("./routes/contact");
 const faqRoutes = require("./routes/faq");
 const testimonialRoutes = require("./routes/testimonial");
-const visitBookingRoutes = require("./routes/visitBooking");
-const scheduleVisitRoutes = require("./routes/scheduleVisit");
+const visitRoutes = require("./routes/visits");
 const cityRoutes = require("./routes/city");
 const roomOptionRoutes = require("./routes/roomOptions");
 const serviceHighlightRoutes = require("./routes/serviceHighlight");
@@ -30,6 +38,22 @@ const siteSettingsRoutes = require("./routes/siteSetting");
 const imageRoutes = require("./routes/image");
 const contactNumberRoutes = require("./routes/contactNumbers");
 const formRoutes = require("./routes/form");
+const roomRoutes = require("./routes/rooms");
+const invoiceRoutes = require("./routes/invoices");
+const paymentRoutes = require("./routes/payments");
+const depositRoutes = require("./routes/deposits");
+const cancellationPolicyRoutes = require("./routes/cancellationPolicies");
+const reminderRoutes = require("./routes/reminders");
+const reviewRoutes = require("./routes/reviews");
+const wishlistRoutes = require("./routes/wishlist");
+const savedSearchRoutes = require("./routes/savedSearches");
+const onboardingRoutes = require("./routes/onboarding");
+const agreementRoutes = require("./routes/agreements");
+const dashboardRoutes = require("./routes/dashboard");
+const notificationRoutes = require("./routes/notifications");
+const leadRoutes = require("./routes/leads");
+const eventRoutes = require("./routes/events");
+const seoRoutes = require("./routes/seo");
 
 const app = express();
 
@@ -39,8 +63,21 @@ app.set("trust proxy", function (ip) {
   return false;
 });
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start the background job scheduler
+connectDB().then(() => {
+  if (process.env.JOBS_ENABLED === "false") return;
+  reminderService.registerJobs();
+  propertyAlertService.registerJobs();
+  notificationService.registerJobs();
+  blogService.registerJobs();
+  cityService.registerJobs();
+  propertySearchService.registerJobs();
+  billingService.registerJobs();
+  visitSchedulingService.registerJobs();
+  jobScheduler.start().catch((error) => {
+    console.error("Job scheduler failed to start:", error);
+  });
+});
 
 // Security middleware
 app.use(helmet());
@@ -86,7 +123,15 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: "100mb" }));
+app.use(
+  express.json({
+    limit: "100mb",
+    // Keep the raw body for payment webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "100mb" }));
 
 // Swagger documentation
@@ -101,11 +146,12 @@ app.use("/api/users", userRoutes);
 app.use("/api/spam/", spamRoutes);
 app.use("/api/home", homeRoutes);
 app.use("/api/contact", contactRoutes);
-app.use("/api/schedule", scheduleVisitRoutes);
+app.use("/api/schedule", visitRoutes);
 app.use("/api/faqs", faqRoutes);
 app.use("/api/testimonials", testimonialRoutes);
-app.use("/api/visit-bookings", visitBookingRoutes);
-app.use("/api/schedule-visits", scheduleVisitRoutes);
+app.use("/api/visits", visitRoutes);
+app.use("/api/visit-bookings", visitRoutes);
+app.use("/api/schedule-visits", visitRoutes);
 app.use("/api/cities", cityRoutes);
 app.use("/api/room-options", roomOptionRoutes);
 app.use("/api/service-highlights", serviceHighlightRoutes);
@@ -115,6 +161,22 @@ app.use("/api/settings", siteSettingsRoutes);
 app.use("/api/images", imageRoutes);
 app.use("/api/contact-numbers", contactNumberRoutes);
 app.use("/api/forms", formRoutes);
+app.use("/api/rooms", roomRoutes);
+app.use("/api/invoices", invoiceRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/deposits", depositRoutes);
+app.use("/api/cancellation-policies", cancellationPolicyRoutes);
+app.use("/api/reminders", reminderRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/wishlist", wishlistRoutes);
+app.use("/api/saved-searches", savedSearchRoutes);
+app.use("/api/onboarding", onboardingRoutes);
+app.use("/api/agreements", agreementRoutes);
+app.use("/api/dashboard", dashboardRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/leads", leadRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/seo", seoRoutes);
 
 
 // Health check endpoint
@@ -0,0 +1,108 @@
+// services/accessService.js
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { PROPERTY_SCOPED_ROLES, roleHasPermission } = require('../config/permissions');
+
+class AccessService {
+    /**
+     * Check whether the user's role holds a permission
+     * @param {Object} user - Authenticated user
+     * @param {string} permission - Permission key
+     * @returns {boolean}
+     */
+    hasPermission(user, permission) {
+        return !!user && roleHasPermission(user.role, permission);
+    }
+
+    /**
+     * Whether the user's permissions are limited to the properties they own or run
+     */
+    isPropertyScoped(user) {
+        return PROPERTY_SCOPED_ROLES.includes(user.role);
+    }
+
+    /**
+     * Get the properties a user owns or manages
+     * @param {Object} user - Authenticated user
+     * @returns {Promise<Array<string>>} Property IDs
+     */
+    async getPropertyIds(user) {
+        if (!user._propertyIds) {
+            const ids = await Property.distinct('_id', {
+                $or: [{ owner: user._id }, { managers: user._id }]
+            });
+            user._propertyIds = ids.map(id => id.toString());
+        }
+        return user._propertyIds;
+    }
+
+    /**
+     * Get the properties a permission applies to for this user
+     * @param {Object} user - Authenticated user
+     * @param {string} permission - Permission key
+     * @returns {Promise<Array<string>|null>} null when unrestricted, [] when not permitted at all
+     */
+    async getPropertyScope(user, permission) {
+        if (!this.hasPermission(user, permission)) {
+            return [];
+        }
+        if (!this.isPropertyScoped(user)) {
+            return null;
+        }
+        return this.getPropertyIds(user);
+    }
+
+    /**
+     * Check whether the user may use a permission on a property
+     * @param {Object} user - Authenticated user
+     * @param {string} permission - Permission key
+     * @param {string|Object} propertyId - Property ID (or populated property)
+     * @returns {Promise<boolean>}
+     */
+    async canAccessProperty(user, permission, propertyId) {
+        const scope = await this.getPropertyScope(user, permission);
+        if (scope === null) {
+            return true;
+        }
+
+        const id = propertyId && (propertyId._id || propertyId).toString();
+        return !!id && scope.includes(id);
+    }
+
+    /**
+     * Limit a query filter to the given property scope, keeping any property
+     * the caller already filtered on if it is inside the scope
+     * @param {Object} filter - Mongo filter to update
+     * @param {Array<string>|null} scope - Result of getPropertyScope
+     * @param {string} field - Property field on the filtered model
+     * @returns {Object} The same filter
+     */
+    restrictToScope(filter, scope, field = 'property') {
+        if (scope === null || scope === undefined) {
+            return filter;
+        }
+
+        const current = filter[field];
+        if (current && current.constructor !== Object) {
+            filter[field] = scope.includes(current.toString()) ? current : { $in: [] };
+        } else {
+            filter[field] = { $in: scope };
+        }
+        return filter;
+    }
+
+    /**
+     * Aggregation $match condition for a property scope (aggregate doesn't cast IDs)
+     * @param {Array<string>|null} scope - Result of getPropertyScope
+     * @param {string} field - Property field on the aggregated model
+     * @returns {Object} Condition to spread into a $match stage
+     */
+    scopeMatch(scope, field = 'property') {
+        if (scope === null || scope === undefined) {
+            return {};
+        }
+        return { [field]: { $in: scope.map(id => new mongoose.Types.ObjectId(id)) } };
+    }
+}
+
+module.exports = new AccessService();
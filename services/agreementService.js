@@ -0,0 +1,329 @@
+// services/agreementService.js
+const crypto = require('crypto');
+const Agreement = require('../models/Agreement');
+const AgreementTemplate = require('../models/AgreementTemplate');
+const Property = require('../models/Property');
+const Room = require('../models/Room');
+const RoomOption = require('../models/RoomOptions');
+const DepositLedger = require('../models/DepositLedger');
+const AppError = require('../utils/appError');
+const notificationService = require('./notificationService');
+const generateAgreementPdf = require('../utils/generateAgreementPdf');
+
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+}) : '');
+
+class AgreementService {
+    constructor() {
+        this.otpExpiryMinutes = parseInt(process.env.AGREEMENT_OTP_EXPIRY_MINUTES, 10) || 10;
+        this.otpMaxAttempts = parseInt(process.env.AGREEMENT_OTP_MAX_ATTEMPTS, 10) || 5;
+        this.otpResendSeconds = 60;
+        this.signingSecret = process.env.AGREEMENT_SIGNING_SECRET || process.env.JWT_SECRET;
+    }
+
+    /**
+     * Get the agreement of a booking, generating it from the default template on first access
+     * @param {Object} booking - Booking document
+     * @returns {Promise<Object>} Agreement document
+     */
+    async getForBooking(booking) {
+        const existing = await Agreement.findOne({ booking: booking._id });
+        if (existing) {
+            return existing;
+        }
+
+        return this.generate(booking);
+    }
+
+    /**
+     * Render a template with the booking's terms. Regenerating replaces an
+     * agreement that hasn't been accepted yet.
+     * @param {Object} booking - Booking document
+     * @param {Object} options - templateId and the admin generating it
+     * @returns {Promise<Object>} Agreement document
+     * @throws {AppError} When the booking isn't confirmed, has an accepted agreement or no template exists
+     */
+    async generate(booking, { templateId, generatedBy } = {}) {
+        if (!['confirmed', 'in-progress'].includes(booking.status)) {
+            throw new AppError('An agreement can only be generated for a confirmed booking', 400);
+        }
+
+        const existing = await Agreement.findOne({ booking: booking._id });
+        if (existing && existing.status === 'accepted') {
+            throw new AppError('The agreement for this booking has already been accepted', 400);
+        }
+
+        const template = await AgreementTemplate.resolve(templateId);
+        if (!template) {
+            throw new AppError(templateId ? 'Agreement template not found' : 'No default agreement template is set up', 404);
+        }
+
+        const terms = await this.buildTerms(booking, template);
+        const agreement = existing || new Agreement({
+            booking: booking._id,
+            user: booking.user,
+            property: booking.property
+        });
+
+        const content = template.render({
+            ...terms,
+            agreementNumber: agreement.agreementNumber,
+            agreementDate: formatDate(new Date()),
+            bookingReference: booking.bookingReference,
+            residentEmail: booking.email,
+            propertyAddress: terms.propertyAddress,
+            checkIn: formatDate(terms.checkIn),
+            checkOut: formatDate(terms.checkOut),
+            monthlyRent: formatAmount(terms.monthlyRent),
+            securityDeposit: formatAmount(terms.securityDeposit),
+            houseRules: terms.houseRules.length
+                ? terms.houseRules.map((rule, index) => `${index + 1}. ${rule}`).join('\n')
+                : 'None'
+        });
+
+        agreement.set({
+            template: { id: template._id, name: template.name, version: template.version },
+            terms,
+            content,
+            contentHash: Agreement.hash(content),
+            status: 'pending_acceptance',
+            otp: { hash: null, expiresAt: null, attempts: 0, sentAt: null },
+            generatedBy
+        });
+
+        return agreement.save();
+    }
+
+    /**
+     * Collect the values a template's placeholders are filled with
+     */
+    async buildTerms(booking, template) {
+        const property = await Property.findById(booking.property).select('title location rules');
+        if (!property) {
+            throw new AppError('Property not found', 404);
+        }
+
+        let roomNumber = '';
+        let bedLabel = '';
+        if (booking.room) {
+            const room = await Room.findById(booking.room).select('roomNumber beds');
+            if (room) {
+                roomNumber = room.roomNumber;
+                const bed = booking.bed && room.beds.id(booking.bed);
+                bedLabel = bed ? bed.label : '';
+            }
+        }
+
+        const monthlyRent = booking.monthlyRent || await RoomOption.findMonthlyRent(booking.property, booking.sharing);
+        const ledger = await DepositLedger.findOne({ booking: booking._id }).select('expectedAmount');
+        let securityDeposit = ledger ? ledger.expectedAmount : null;
+        if (securityDeposit === null) {
+            const roomOption = await RoomOption.findOne({ property: booking.property, roomType: booking.sharing })
+                .sort({ monthlyRent: 1 });
+            securityDeposit = roomOption ? roomOption.securityDeposit : 0;
+        }
+
+        const location = property.location || {};
+
+        return {
+            residentName: booking.fullName,
+            residentPhone: booking.phoneNumber,
+            propertyTitle: property.title,
+            propertyAddress: [location.address, location.city, location.state, location.zipCode].filter(Boolean).join(', '),
+            roomNumber,
+            bedLabel,
+            sharing: booking.sharing,
+            checkIn: booking.checkIn,
+            checkOut: booking.checkOut,
+            monthlyRent: monthlyRent || 0,
+            securityDeposit,
+            lockInMonths: template.lockInMonths,
+            noticePeriodDays: template.noticePeriodDays,
+            houseRules: (property.rules || []).filter(Boolean)
+        };
+    }
+
+    /**
+     * Text the resident a one-time password to accept the agreement
+     * @param {Object} agreement - Agreement document
+     * @returns {Promise<Object>} phone the OTP was sent to and when it expires
+     * @throws {AppError} When the agreement can't be accepted, an OTP was just sent or the SMS fails
+     */
+    async sendOtp(agreement) {
+        if (agreement.status !== 'pending_acceptance') {
+            throw new AppError(`This agreement is ${agreement.status.replace('_', ' ')}`, 400);
+        }
+
+        const withOtp = await Agreement.findById(agreement._id).select('+otp.sentAt');
+        const sentAt = withOtp.otp && withOtp.otp.sentAt;
+        if (sentAt && Date.now() - sentAt.getTime() < this.otpResendSeconds * 1000) {
+            throw new AppError(`Please wait ${this.otpResendSeconds} seconds before requesting another OTP`, 429);
+        }
+
+        const phone = agreement.terms.residentPhone;
+        const otp = crypto.randomInt(100000, 1000000).toString();
+        const expiresAt = new Date(Date.now() + this.otpExpiryMinutes * 60 * 1000);
+
+        const outcome = await notificationService.send('agreement-otp', {
+            to: { phone },
+            channels: ['sms'],
+            data: { otp, agreementNumber: agreement.agreementNumber, expiresInMinutes: this.otpExpiryMinutes },
+            reference: { kind: 'Agreement', id: agreement._id }
+        });
+
+        if (outcome.sms !== 'sent') {
+            throw new AppError('Could not send the OTP. Please try again', 502);
+        }
+
+        await Agreement.updateOne(
+            { _id: agreement._id },
+            { otp: { hash: Agreement.hashOtp(agreement._id, otp), expiresAt, attempts: 0, sentAt: new Date() } }
+        );
+
+        return { phone, expiresAt };
+    }
+
+    /**
+     * Accept the agreement with the OTP and store the signed copy
+     * @param {Object} agreement - Agreement document
+     * @param {string} otp - One-time password from the SMS
+     * @param {Object} context - ip and userAgent of the request
+     * @returns {Promise<Object>} Accepted agreement
+     * @throws {AppError} When the OTP is wrong, expired or out of attempts
+     */
+    async accept(agreement, otp, { ip, userAgent } = {}) {
+        const current = await Agreement.findById(agreement._id);
+
+        if (current.status !== 'pending_acceptance') {
+            throw new AppError(`This agreement is ${current.status.replace('_', ' ')}`, 400);
+        }
+
+        if (!current.isContentIntact()) {
+            throw new AppError('Agreement content has changed since it was generated; please regenerate it', 409);
+        }
+
+        // Use up an attempt before comparing, so concurrent guesses can't exceed the limit
+        const now = new Date();
+        const claimed = await Agreement.findOneAndUpdate(
+            {
+                _id: current._id,
+                status: 'pending_acceptance',
+                'otp.hash': { $ne: null },
+                'otp.expiresAt': { $gt: now },
+                'otp.attempts': { $lt: this.otpMaxAttempts }
+            },
+            { $inc: { 'otp.attempts': 1 } },
+            { new: true }
+        ).select('+otp.hash +otp.expiresAt +otp.attempts');
+
+        if (!claimed) {
+            const latest = await Agreement.findById(current._id).select('+otp.hash +otp.expiresAt +otp.attempts');
+            if (latest.status !== 'pending_acceptance') {
+                throw new AppError(`This agreement is ${latest.status.replace('_', ' ')}`, 400);
+            }
+            if (!latest.otp.hash || latest.otp.expiresAt <= now) {
+                throw new AppError('OTP has expired; please request a new one', 400);
+            }
+            throw new AppError('Too many incorrect attempts; please request a new OTP', 429);
+        }
+
+        if (!claimed.matchesOtp(String(otp))) {
+            throw new AppError('Invalid OTP', 400);
+        }
+
+        const acceptance = {
+            acceptedAt: new Date(),
+            phone: claimed.terms.residentPhone,
+            ip,
+            userAgent
+        };
+        claimed.acceptance = acceptance;
+
+        const pdf = await generateAgreementPdf(claimed);
+        const pdfHash = Agreement.hash(pdf);
+
+        // Only the request holding the current OTP can move the agreement out of pending
+        const accepted = await Agreement.findOneAndUpdate(
+            { _id: claimed._id, status: 'pending_acceptance', 'otp.hash': claimed.otp.hash },
+            {
+                $set: {
+                    status: 'accepted',
+                    acceptance,
+                    otp: { hash: null, expiresAt: null, attempts: 0, sentAt: null },
+                    signedCopy: {
+                        pdf,
+                        pdfHash,
+                        signature: this.sign(claimed, pdfHash),
+                        signedAt: acceptance.acceptedAt
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!accepted) {
+            throw new AppError('This agreement was accepted or its OTP replaced by another request', 409);
+        }
+
+        return accepted;
+    }
+
+    /**
+     * Check the stored signed copy against its hash and signature
+     * @param {Object} agreement - Agreement document
+     * @returns {Promise<Object>} contentIntact, pdfIntact and signatureValid flags
+     */
+    async verify(agreement) {
+        const stored = await Agreement.findById(agreement._id).select('+signedCopy.pdf');
+        const { pdf, pdfHash, signature } = stored.signedCopy || {};
+
+        const contentIntact = stored.isContentIntact();
+        if (!pdf || !signature) {
+            return { signed: false, contentIntact, pdfIntact: false, signatureValid: false };
+        }
+
+        const pdfIntact = Agreement.hash(pdf) === pdfHash;
+        const expected = Buffer.from(this.sign(stored, pdfHash), 'hex');
+        const given = Buffer.from(signature, 'hex');
+        const signatureValid = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+
+        return { signed: true, contentIntact, pdfIntact, signatureValid };
+    }
+
+    /**
+     * HMAC over the agreement's identity, acceptance and signed PDF
+     */
+    sign(agreement, pdfHash) {
+        const payload = [
+            agreement._id.toString(),
+            agreement.booking.toString(),
+            agreement.contentHash,
+            pdfHash,
+            agreement.acceptance.phone,
+            new Date(agreement.acceptance.acceptedAt).toISOString()
+        ].join('|');
+
+        return crypto.createHmac('sha256', this.signingSecret).update(payload).digest('hex');
+    }
+
+    /**
+     * Get the signed PDF, or a preview while the agreement is pending
+     * @param {Object} agreement - Agreement document
+     * @returns {Promise<Buffer>} PDF bytes
+     */
+    async getPdf(agreement) {
+        if (agreement.status === 'accepted') {
+            const stored = await Agreement.findById(agreement._id).select('+signedCopy.pdf');
+            return stored.signedCopy.pdf;
+        }
+
+        return generateAgreementPdf(agreement);
+    }
+}
+
+module.exports = new AgreementService();
@@ -0,0 +1,171 @@
+// services/billingService.js
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const RoomOption = require('../models/RoomOptions');
+const jobScheduler = require('./jobScheduler');
+
+const HOUR_IN_MS = 1000 * 60 * 60;
+const DAY_IN_MS = HOUR_IN_MS * 24;
+
+class BillingService {
+    constructor() {
+        this.dueInDays = parseInt(process.env.INVOICE_DUE_DAYS, 10) || 5; // Days after period start rent is due
+        this.lateFeeAmount = parseFloat(process.env.INVOICE_LATE_FEE) || 500; // Flat fee once an invoice is overdue
+        this.lateFeeGraceDays = parseInt(process.env.INVOICE_LATE_FEE_GRACE_DAYS, 10) || 0;
+        this.runInterval = parseInt(process.env.BILLING_RUN_INTERVAL_MS, 10) || 6 * HOUR_IN_MS;
+    }
+
+    /**
+     * Register the billing jobs with the scheduler
+     * Invoice generation skips invoices that already exist, so each run also bills residents who moved in since the last
+     */
+    registerJobs() {
+        jobScheduler.every('billing:generate-invoices', this.runInterval, () => this.generateMonthlyInvoices());
+        jobScheduler.every('billing:late-fees', this.runInterval, () => this.applyLateFees());
+    }
+
+    /**
+     * Current billing month in YYYY-MM format
+     */
+    getCurrentMonth(date = new Date()) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * First and last instant of a YYYY-MM billing month
+     */
+    getBillingPeriod(month) {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const start = new Date(year, monthIndex - 1, 1);
+        const end = new Date(year, monthIndex, 0, 23, 59, 59, 999);
+        return { start, end };
+    }
+
+    /**
+     * Rent owed for the part of the billing month the resident stays
+     * @param {number} monthlyRent - Full monthly rent
+     * @param {Object} booking - Booking with checkIn and checkOut
+     * @param {Object} period - Billing period start and end
+     * @returns {Object} Prorated amount and billed days
+     */
+    calculateProratedRent(monthlyRent, booking, period) {
+        const from = booking.checkIn > period.start ? booking.checkIn : period.start;
+        const to = booking.checkOut < period.end ? booking.checkOut : period.end;
+
+        const daysInMonth = Math.round((period.end - period.start) / DAY_IN_MS);
+        const billedDays = Math.min(Math.ceil((to - from) / DAY_IN_MS), daysInMonth);
+
+        if (billedDays >= daysInMonth) {
+            return { amount: monthlyRent, billedDays: daysInMonth, daysInMonth };
+        }
+
+        return {
+            amount: Math.round((monthlyRent / daysInMonth) * billedDays),
+            billedDays,
+            daysInMonth
+        };
+    }
+
+    /**
+     * Generate the rent invoice of a booking for a billing month
+     * Returns the existing invoice when one was already generated
+     * @param {Object} booking - Booking document
+     * @param {string} month - Billing month (YYYY-MM)
+     * @returns {Object} Invoice and whether it was created
+     */
+    async generateInvoice(booking, month) {
+        const existing = await Invoice.findOne({ booking: booking._id, 'billingPeriod.month': month });
+        if (existing) {
+            return { invoice: existing, created: false };
+        }
+
+        const period = this.getBillingPeriod(month);
+
+        if (booking.checkIn > period.end || booking.checkOut < period.start) {
+            throw new Error(`Booking ${booking._id} has no stay in ${month}`);
+        }
+
+        const monthlyRent = booking.monthlyRent
+            || await RoomOption.findMonthlyRent(booking.property, booking.sharing);
+
+        if (!monthlyRent) {
+            throw new Error(`No monthly rent found for ${booking.sharing} sharing at property ${booking.property}`);
+        }
+
+        const { amount, billedDays, daysInMonth } = this.calculateProratedRent(monthlyRent, booking, period);
+
+        const billingStart = booking.checkIn > period.start ? booking.checkIn : period.start;
+        const dueDate = new Date(billingStart.getTime() + this.dueInDays * DAY_IN_MS);
+
+        const description = billedDays < daysInMonth
+            ? `Rent for ${month} (${billedDays} of ${daysInMonth} days, ${booking.sharing} sharing)`
+            : `Rent for ${month} (${booking.sharing} sharing)`;
+
+        const invoice = await Invoice.create({
+            invoiceNumber: await Invoice.generateInvoiceNumber(month),
+            booking: booking._id,
+            user: booking.user,
+            property: booking.property,
+            billingPeriod: { month, ...period },
+            monthlyRent,
+            lineItems: [{ type: 'rent', description, amount }],
+            totalAmount: amount,
+            dueDate
+        });
+
+        return { invoice, created: true };
+    }
+
+    /**
+     * Generate invoices for every active resident staying in a billing month
+     * @param {string} month - Billing month (YYYY-MM)
+     * @returns {Object} Counts of created, existing and failed invoices
+     */
+    async generateMonthlyInvoices(month = this.getCurrentMonth()) {
+        const period = this.getBillingPeriod(month);
+
+        const bookings = await Booking.find({
+            status: 'in-progress',
+            checkIn: { $lte: period.end },
+            checkOut: { $gte: period.start }
+        });
+
+        const result = { month, created: 0, existing: 0, failed: [] };
+
+        for (const booking of bookings) {
+            try {
+                const { created } = await this.generateInvoice(booking, month);
+                created ? result.created++ : result.existing++;
+            } catch (error) {
+                console.error('Invoice generation error:', error);
+                result.failed.push({ booking: booking._id, reason: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Mark unpaid invoices past their due date overdue, and add the late fee to those past the grace period too
+     * @returns {number} Number of invoices charged a late fee
+     */
+    async applyLateFees() {
+        await Invoice.markOverdue();
+
+        const cutoff = new Date(Date.now() - this.lateFeeGraceDays * DAY_IN_MS);
+
+        const invoices = await Invoice.find({
+            status: { $in: ['pending', 'partially_paid', 'overdue'] },
+            dueDate: { $lt: cutoff },
+            lateFeeApplied: false
+        });
+
+        for (const invoice of invoices) {
+            await invoice.applyLateFee(this.lateFeeAmount);
+        }
+
+        return invoices.length;
+    }
+}
+
+module.exports = new BillingService();
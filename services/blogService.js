@@ -0,0 +1,317 @@
+// services/blogService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Blog = require('../models/Blog');
+const BlogCategory = require('../models/BlogCategory');
+const BlogTag = require('../models/BlogTag');
+const BlogRevision = require('../models/BlogRevision');
+const BlogView = require('../models/BlogView');
+const AppError = require('../utils/appError');
+const jobScheduler = require('./jobScheduler');
+
+// Post fields shown in lists and related posts; the body is left out
+const SUMMARY_FIELDS = 'title slug excerpt coverImage category tags readingTime publishDate views';
+
+// Crawlers and link previews don't count as readers
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless/i;
+
+// Attempts at saving a new slug when another post takes it at the same time
+const SLUG_ATTEMPTS = 3;
+
+class BlogService {
+    constructor() {
+        this.summaryFields = SUMMARY_FIELDS;
+    }
+
+    /**
+     * Register the blog jobs with the scheduler
+     */
+    registerJobs() {
+        jobScheduler.define('blogs:publish', (data) => this.publishScheduled(data));
+        jobScheduler.define('blogs:migrate-categories', () => this.migrateLegacyCategories());
+
+        // Runs once per database: posts from before categories were managed store the name
+        jobScheduler.schedule('blogs:migrate-categories', new Date(), {}, { uniqueKey: 'blogs:migrate-categories' })
+            .catch(error => console.error('Scheduling blog category migration failed:', error.message));
+    }
+
+    slugFor(name) {
+        return slugify(String(name), { lower: true, strict: true });
+    }
+
+    /**
+     * Slug for a title that no other post uses now or used before, suffixed -2, -3... on collision
+     * @param {string} title - Post title
+     * @param {string} [blogId] - Post the slug is for, whose own slugs don't count as taken
+     * @returns {Promise<string>} Free slug
+     */
+    async uniqueSlug(title, blogId) {
+        const base = this.slugFor(title) || 'post';
+        const pattern = new RegExp(`^${base}(-\\d+)?$`);
+        const filter = { $or: [{ slug: pattern }, { previousSlugs: pattern }] };
+        if (blogId) {
+            filter._id = { $ne: blogId };
+        }
+
+        const taken = new Set();
+        (await Blog.find(filter).select('slug previousSlugs')).forEach(blog => {
+            [blog.slug, ...blog.previousSlugs].forEach(slug => taken.add(slug));
+        });
+
+        if (!taken.has(base)) {
+            return base;
+        }
+        let suffix = 2;
+        while (taken.has(`${base}-${suffix}`)) {
+            suffix += 1;
+        }
+        return `${base}-${suffix}`;
+    }
+
+    /**
+     * Give a post the slug of its title, keeping the slug it had so old links redirect
+     */
+    async applySlug(blog) {
+        const slug = await this.uniqueSlug(blog.title, blog._id);
+        if (slug === blog.slug) {
+            return;
+        }
+
+        if (blog.slug && !blog.isNew) {
+            blog.previousSlugs.addToSet(blog.slug);
+        }
+        blog.previousSlugs.pull(slug);
+        blog.slug = slug;
+    }
+
+    /**
+     * Find categories or tags by ID or slug
+     * @param {Object} Model - BlogCategory or BlogTag
+     * @param {Array<string>} values - IDs or slugs
+     * @param {string} label - What they are, for the error message
+     * @returns {Promise<Array>} Documents in the order given
+     * @throws {AppError} When any of them doesn't exist
+     */
+    async findTerms(Model, values, label) {
+        const ids = values.filter(value => mongoose.isValidObjectId(value));
+        const slugs = values.filter(value => !mongoose.isValidObjectId(value)).map(value => this.slugFor(value));
+        const terms = await Model.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] });
+
+        const missing = values.filter(value => !terms.some(term =>
+            term._id.toString() === String(value) || term.slug === this.slugFor(value)));
+        if (missing.length) {
+            throw new AppError(`Unknown ${label}: ${missing.join(', ')}`, 400);
+        }
+
+        return values.map(value => terms.find(term =>
+            term._id.toString() === String(value) || term.slug === this.slugFor(value)));
+    }
+
+    /**
+     * Resolve a category given by ID or slug
+     * @throws {AppError} When the category doesn't exist
+     */
+    async resolveCategory(value) {
+        const [category] = await this.findTerms(BlogCategory, [value], 'category');
+        return category._id;
+    }
+
+    /**
+     * Resolve tags given by ID or slug; only tags created by content managers can be used
+     * @throws {AppError} When a tag doesn't exist
+     */
+    async resolveTags(values) {
+        const tags = await this.findTerms(BlogTag, [...new Set([].concat(values || []))], 'tags');
+        return [...new Set(tags.map(tag => tag._id.toString()))];
+    }
+
+    /**
+     * Save a post, moving it to the slug of a changed title, recording a revision
+     * when an edited field changed and scheduling its publication when it is scheduled
+     * @param {Object} blog - Blog document
+     * @param {string} userId - Editor
+     * @param {Object} [options] - restoredFrom revision number
+     * @returns {Promise<Object>} Saved blog
+     */
+    async save(blog, userId, { restoredFrom } = {}) {
+        const changed = blog.isNew || Blog.REVISIONED_FIELDS.some(field => blog.isModified(field));
+        if (changed) {
+            blog.revision += 1;
+        }
+
+        for (let attempt = 1; ; attempt += 1) {
+            if (blog.isNew || blog.isModified('title')) {
+                await this.applySlug(blog);
+            }
+
+            try {
+                await blog.save();
+                break;
+            } catch (error) {
+                // Another post took the slug between checking and saving
+                if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.slug || attempt === SLUG_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+
+        if (changed) {
+            const snapshot = blog.toObject({ depopulate: true });
+            await BlogRevision.create({
+                blog: blog._id,
+                revision: blog.revision,
+                snapshot: Blog.REVISIONED_FIELDS.reduce((acc, field) => {
+                    acc[field] = snapshot[field];
+                    return acc;
+                }, {}),
+                editedBy: userId,
+                restoredFrom
+            });
+        }
+
+        if (blog.status === 'scheduled') {
+            await this.schedulePublish(blog);
+        }
+
+        return blog;
+    }
+
+    /**
+     * Queue the job that publishes a scheduled post.
+     * The publish time is part of the key, so a rescheduled post gets a fresh job.
+     */
+    schedulePublish(blog) {
+        const publishAt = blog.publishDate.getTime();
+        return jobScheduler.schedule('blogs:publish', blog.publishDate, {
+            blogId: blog._id.toString(),
+            publishAt
+        }, {
+            uniqueKey: `blog-publish:${blog._id}:${publishAt}`
+        });
+    }
+
+    /**
+     * Publish a scheduled post when its job comes due
+     */
+    async publishScheduled({ blogId, publishAt }) {
+        const blog = await Blog.findById(blogId);
+
+        // Unscheduled, deleted or moved to another time since the job was queued
+        if (!blog || blog.status !== 'scheduled' || blog.publishDate.getTime() !== publishAt) {
+            return { skipped: true };
+        }
+
+        blog.status = 'published';
+        await blog.save();
+        return { published: blog._id };
+    }
+
+    /**
+     * Restore the editable fields of an older revision; the restore is saved as a new revision
+     * @throws {AppError} When the revision doesn't exist
+     */
+    async restoreRevision(blog, revisionNumber, userId) {
+        const revision = await BlogRevision.findOne({ blog: blog._id, revision: revisionNumber });
+        if (!revision) {
+            throw new AppError('Revision not found', 404);
+        }
+
+        Blog.REVISIONED_FIELDS.forEach(field => {
+            blog.set(field, revision.snapshot[field]);
+        });
+
+        return this.save(blog, userId, { restoredFrom: revision.revision });
+    }
+
+    /**
+     * Published posts sharing the most tags with a post, then the same category, newest first
+     * @param {Object} blog - Blog document
+     * @param {number} limit - Maximum posts
+     * @returns {Promise<Array>} Post summaries
+     */
+    async getRelated(blog, limit = 4) {
+        const tags = blog.tags.map(tag => tag._id || tag);
+        const category = blog.category._id || blog.category;
+
+        const related = await Blog.aggregate([
+            {
+                $match: {
+                    _id: { $ne: blog._id },
+                    status: 'published',
+                    $or: [{ category }, { tags: { $in: tags } }]
+                }
+            },
+            {
+                $addFields: {
+                    score: {
+                        $add: [
+                            { $multiply: [{ $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] } }, 2] },
+                            { $cond: [{ $eq: ['$category', category] }, 1, 0] }
+                        ]
+                    }
+                }
+            },
+            { $sort: { score: -1, publishDate: -1 } },
+            { $limit: limit },
+            { $project: SUMMARY_FIELDS.split(' ').reduce((acc, field) => ({ ...acc, [field]: 1 }), {}) }
+        ]);
+
+        return Blog.populate(related, [
+            { path: 'category', select: 'name slug' },
+            { path: 'tags', select: 'name slug' }
+        ]);
+    }
+
+    /**
+     * Count a read of a published post, once per visitor per day
+     * @param {Object} blog - Blog document
+     * @param {Object} reader - userId of a signed in reader, ip and userAgent
+     * @returns {Promise<boolean>} Whether the view was counted
+     */
+    async recordView(blog, { userId, ip, userAgent = '' }) {
+        if (BOT_PATTERN.test(userAgent)) {
+            return false;
+        }
+
+        const day = new Date().toISOString().slice(0, 10);
+        const visitor = crypto.createHash('sha256')
+            .update(userId ? `user:${userId}` : `${day}:${ip}:${userAgent}`)
+            .digest('hex');
+
+        try {
+            await BlogView.create({ blog: blog._id, visitor, day });
+            await Blog.updateOne({ _id: blog._id }, { $inc: { views: 1 } });
+            return true;
+        } catch (error) {
+            if (error.code !== 11000) {
+                console.error(`Recording view of blog ${blog._id} failed:`, error.message);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Move posts that store their category as a name onto BlogCategory documents
+     * @returns {Promise<Object>} Number of posts updated
+     */
+    async migrateLegacyCategories() {
+        const names = await Blog.collection.distinct('category', { category: { $type: 'string' } });
+        let updated = 0;
+
+        for (const name of names) {
+            const slug = this.slugFor(name);
+            const category = await BlogCategory.findOneAndUpdate(
+                { slug },
+                { $setOnInsert: { slug, name: name.charAt(0).toUpperCase() + name.slice(1) } },
+                { upsert: true, new: true }
+            );
+            const result = await Blog.collection.updateMany({ category: name }, { $set: { category: category._id } });
+            updated += result.modifiedCount;
+        }
+
+        return { updated };
+    }
+}
+
+module.exports = new BlogService();
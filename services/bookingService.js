@@ -0,0 +1,234 @@
+// services/bookingService.js
+const Room = require('../models/Room');
+const DepositLedger = require('../models/DepositLedger');
+const Agreement = require('../models/Agreement');
+const AppError = require('../utils/appError');
+const paymentService = require('./paymentService');
+const onboardingService = require('./onboardingService');
+
+// Bed status that follows from each booking status
+const BED_STATUS_BY_BOOKING_STATUS = {
+    'in-progress': 'occupied',
+    completed: 'vacant',
+    cancelled: 'vacant'
+};
+
+// Statuses a booking can move to from each status
+const TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['in-progress', 'cancelled'],
+    'in-progress': ['completed', 'cancelled'],
+    completed: [],
+    cancelled: []
+};
+
+/**
+ * Booking status changes and the beds, deposits, refunds and agreements that follow them.
+ * Every route that moves a booking goes through here so none of those steps can be skipped.
+ */
+class BookingService {
+    /**
+     * Reserve a bed of the booked sharing type for a booking that does not hold one yet
+     * @returns {Promise<boolean>} Whether a bed was free
+     */
+    async assignBed(booking) {
+        const reservation = await Room.reserveBed(booking);
+        if (!reservation) {
+            return false;
+        }
+
+        booking.room = reservation.room._id;
+        booking.bed = reservation.bed._id;
+        return true;
+    }
+
+    /**
+     * Keep the bed held by a booking in step with the booking status
+     */
+    async syncBedStatus(booking) {
+        const bedStatus = BED_STATUS_BY_BOOKING_STATUS[booking.status];
+        if (!bedStatus || !booking.bed) {
+            return;
+        }
+
+        await Room.setBookingBedStatus(booking._id, bedStatus);
+
+        if (bedStatus === 'vacant') {
+            booking.room = null;
+            booking.bed = null;
+        }
+    }
+
+    /**
+     * Move a booking that holds a bed to a bed of its new sharing type
+     * @throws {AppError} When no bed of the new type is free; the old bed is held again
+     */
+    async reassignBed(booking, previousSharing) {
+        if (!booking.bed) {
+            return;
+        }
+
+        await Room.setBookingBedStatus(booking._id, 'vacant');
+        booking.room = null;
+        booking.bed = null;
+
+        if (await this.assignBed(booking)) {
+            // A resident who has moved in occupies the new bed straight away
+            await this.syncBedStatus(booking);
+            return;
+        }
+
+        // Hold a bed of the old type again rather than leave the booking without one
+        const sharing = booking.sharing;
+        booking.sharing = previousSharing;
+        if (await this.assignBed(booking)) {
+            await this.syncBedStatus(booking);
+        }
+        booking.sharing = sharing;
+
+        throw new AppError(`No vacant ${sharing} sharing bed to move this booking to`, 400);
+    }
+
+    /**
+     * Make sure a booking may move from its current status to another
+     * @throws {AppError} When the move isn't allowed, or the resident's KYC isn't approved for move-in
+     */
+    async assertTransition(booking, status) {
+        if (!TRANSITIONS[booking.status] || !TRANSITIONS[booking.status].includes(status)) {
+            throw new AppError(`Cannot change a ${booking.status} booking to ${status}`, 400);
+        }
+
+        if (status === 'in-progress') {
+            await onboardingService.assertApproved(booking);
+        }
+    }
+
+    /**
+     * Change the status of a booking through the step for that status
+     * @param {Object} booking - Booking document
+     * @param {string} status - New status
+     * @param {Object} options - cancelledBy and reason, for cancellations
+     * @returns {Promise<Object>} The booking
+     */
+    async transition(booking, status, options = {}) {
+        await this.assertTransition(booking, status);
+
+        switch (status) {
+            case 'confirmed':
+                return this.confirm(booking);
+            case 'in-progress':
+                return this.moveIn(booking);
+            case 'completed':
+                return this.complete(booking);
+            case 'cancelled':
+                return this.cancel(booking, options);
+            default:
+                throw new AppError(`Cannot change a booking to ${status}`, 400);
+        }
+    }
+
+    /**
+     * Confirm a pending booking: hold a bed, open its deposit and onboarding
+     * @throws {AppError} When the booking isn't pending or no bed is free
+     */
+    async confirm(booking) {
+        if (booking.status !== 'pending') {
+            throw new AppError('Only pending bookings can be confirmed', 400);
+        }
+
+        if (!booking.bed && !(await this.assignBed(booking))) {
+            throw new AppError(`No vacant ${booking.sharing} sharing bed to assign to this booking`, 400);
+        }
+
+        booking.status = 'confirmed';
+        await booking.save();
+
+        await DepositLedger.openForBooking(booking);
+        await onboardingService.getForBooking(booking);
+        return booking;
+    }
+
+    /**
+     * Check a resident in: their bed becomes occupied
+     */
+    async moveIn(booking) {
+        if (!booking.bed && !(await this.assignBed(booking))) {
+            throw new AppError(`No vacant ${booking.sharing} sharing bed to assign to this booking`, 400);
+        }
+
+        booking.status = 'in-progress';
+        await this.syncBedStatus(booking);
+        await booking.save();
+        return booking;
+    }
+
+    /**
+     * Check a resident out: free the bed and queue the deposit for settlement
+     */
+    async complete(booking) {
+        booking.status = 'completed';
+        await this.syncBedStatus(booking);
+        await booking.save();
+
+        await DepositLedger.updateOne(
+            { booking: booking._id, status: { $in: ['pending_collection', 'held'] } },
+            { status: 'settlement_pending' }
+        );
+        return booking;
+    }
+
+    /**
+     * Cancel a booking, refunding what its cancellation policy allows through the gateway first
+     * @param {Object} booking - Booking document
+     * @param {Object} options - cancelledBy (user ID) and reason
+     * @throws {AppError} When the booking is already closed or the refund fails
+     */
+    async cancel(booking, { cancelledBy, reason } = {}) {
+        if (['cancelled', 'completed'].includes(booking.status)) {
+            throw new AppError(`Cannot cancel ${booking.status} booking`, 400);
+        }
+
+        // Work out the refund under the policy the booking was made with;
+        // only money actually collected can be refunded
+        const cancelledAt = new Date();
+        const refund = booking.calculateRefund(cancelledAt);
+        const refundAmount = booking.paymentStatus === 'paid' ? refund.refundAmount : 0;
+        const cancellationReason = reason || 'Cancelled by user';
+
+        if (refundAmount > 0) {
+            try {
+                await paymentService.refundBooking(booking, refundAmount, cancellationReason);
+            } catch (error) {
+                console.error('Refund error:', error);
+                throw new AppError(`Refund could not be processed, booking was not cancelled: ${error.message}`, 502);
+            }
+        }
+
+        booking.status = 'cancelled';
+        booking.cancellationReason = cancellationReason;
+        booking.refundAmount = refundAmount;
+        booking.cancellation = {
+            cancelledAt,
+            cancelledBy,
+            policyName: refund.policyName,
+            policyRevision: refund.policyRevision,
+            daysUntilCheckIn: refund.daysUntilCheckIn,
+            refundPercentage: refund.refundPercentage,
+            bookingFee: refund.bookingFee,
+            refundAmount
+        };
+
+        // Free the bed held by this booking
+        await this.syncBedStatus(booking);
+        await booking.save();
+
+        // An agreement the resident hasn't accepted no longer applies
+        await Agreement.updateOne(
+            { booking: booking._id, status: 'pending_acceptance' },
+            { status: 'void' }
+        );
+        return booking;
+    }
+}
+
+module.exports = new BookingService();
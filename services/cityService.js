@@ -0,0 +1,255 @@
+// services/cityService.js
+const City = require('../models/City');
+const Locality = require('../models/Locality');
+const Property = require('../models/Property');
+const AppError = require('../utils/appError');
+const jobScheduler = require('./jobScheduler');
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Properties store the city as typed, so match it ignoring case and surrounding spaces
+const cityNamePattern = (name) => new RegExp(`^\\s*${escapeRegExp(name.trim())}\\s*$`, 'i');
+
+const cityKey = (name) => String(name || '').trim().toLowerCase();
+
+class CityService {
+    constructor() {
+        this.popularLocalityCount = parseInt(process.env.CITY_POPULAR_LOCALITIES, 10) || 6;
+    }
+
+    /**
+     * Register the city jobs with the scheduler
+     */
+    registerJobs() {
+        jobScheduler.define('cities:backfill-slugs', () => this.backfillSlugs());
+
+        // Runs once per database: cities from before landing pages have no slug
+        jobScheduler.schedule('cities:backfill-slugs', new Date(), {}, { uniqueKey: 'cities:backfill-slugs' })
+            .catch(error => console.error('Scheduling city slug backfill failed:', error.message));
+
+        jobScheduler.define('cities:backfill-localities', (data) => this.backfillLocalities(data));
+
+        // Runs once per database: properties listed before localities existed aren't linked to one
+        jobScheduler.schedule('cities:backfill-localities', new Date(), {}, { uniqueKey: 'cities:backfill-localities' })
+            .catch(error => console.error('Scheduling property locality backfill failed:', error.message));
+    }
+
+    /**
+     * Queue linking a city's unlinked properties to its localities, e.g. after a locality is added or renamed
+     */
+    queueLocalityBackfill(cityId) {
+        return jobScheduler.schedule('cities:backfill-localities', new Date(), { city: cityId.toString() })
+            .catch(error => {
+                console.error('Scheduling property locality backfill failed:', error.message);
+                return null;
+            });
+    }
+
+    /**
+     * GeoJSON point from { lat, lng }
+     * @returns {Object|undefined} Point, or undefined when either coordinate is missing
+     */
+    toPoint(coordinates) {
+        return City.toPoint(coordinates);
+    }
+
+    /**
+     * Property filter for the listings of a city
+     */
+    propertyFilter(city) {
+        return { 'location.city': cityNamePattern(city.name) };
+    }
+
+    /**
+     * Link a property location to a locality, filling in its city and state from the hierarchy
+     * @param {Object} location - Property location from the request body
+     * @returns {Promise<Object>} The location
+     * @throws {AppError} When the locality doesn't exist
+     */
+    async applyLocality(location) {
+        if (!location || !location.locality) {
+            return location;
+        }
+
+        const locality = await Locality.findById(location.locality).populate('city', 'name state');
+        if (!locality || !locality.city) {
+            throw new AppError('Locality not found', 400);
+        }
+
+        location.locality = locality._id;
+        location.city = locality.city.name;
+        location.state = location.state || locality.city.state;
+        return location;
+    }
+
+    /**
+     * Link properties without a locality to the locality their address names, within their city
+     * @param {Object} [data] - city ID to only backfill one city
+     * @returns {Promise<Object>} Number of properties linked
+     */
+    async backfillLocalities({ city } = {}) {
+        const cities = await City.find(city ? { _id: city } : {}).select('name');
+        let linked = 0;
+
+        for (const cityDoc of cities) {
+            const localities = await Locality.find({ city: cityDoc._id }).select('name').lean();
+            if (!localities.length) {
+                continue;
+            }
+
+            // Longest names first, so "HSR Layout Sector 2" wins over "HSR Layout"
+            const patterns = localities
+                .sort((a, b) => b.name.length - a.name.length)
+                .map(locality => ({
+                    locality,
+                    pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(locality.name.trim())}([^a-z0-9]|$)`, 'i')
+                }));
+
+            const properties = Property.find({ ...this.propertyFilter(cityDoc), 'location.locality': null })
+                .select('location.address')
+                .cursor();
+
+            for await (const property of properties) {
+                const match = patterns.find(({ pattern }) => pattern.test(property.location.address || ''));
+                if (match) {
+                    await Property.updateOne(
+                        { _id: property._id },
+                        { $set: { 'location.locality': match.locality._id, 'location.city': cityDoc.name } }
+                    );
+                    linked += 1;
+                }
+            }
+        }
+
+        return { linked };
+    }
+
+    /**
+     * Keep the city of linked and free-text property locations in step with a renamed city
+     * @returns {Promise<number>} Properties updated
+     */
+    async renameCity(oldName, newName) {
+        if (cityKey(oldName) === cityKey(newName)) {
+            return 0;
+        }
+
+        const result = await Property.updateMany(
+            { 'location.city': cityNamePattern(oldName) },
+            { $set: { 'location.city': newName } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Live listing figures for cities: property count, starting price, gender split and popular localities
+     * @param {Array<Object>} cities - City documents
+     * @returns {Promise<Map>} City ID -> stats
+     */
+    async getStats(cities) {
+        const stats = new Map(cities.map(city => [city._id.toString(), {
+            propertyCount: 0,
+            availableCount: 0,
+            startingPrice: null,
+            genderSplit: {},
+            popularLocalities: []
+        }]));
+        if (!cities.length) {
+            return stats;
+        }
+
+        const idByKey = new Map(cities.map(city => [cityKey(city.name), city._id.toString()]));
+
+        const [result] = await Property.aggregate([
+            { $match: { 'location.city': { $in: cities.map(city => cityNamePattern(city.name)) } } },
+            {
+                $addFields: {
+                    cityKey: { $toLower: { $trim: { input: '$location.city' } } },
+                    // Only properties with beds free count towards the starting price
+                    availablePrice: { $cond: ['$isAvailable', '$startingPrice', null] }
+                }
+            },
+            {
+                $facet: {
+                    totals: [
+                        {
+                            $group: {
+                                _id: '$cityKey',
+                                propertyCount: { $sum: 1 },
+                                availableCount: { $sum: { $cond: ['$isAvailable', 1, 0] } },
+                                startingPrice: { $min: '$availablePrice' }
+                            }
+                        }
+                    ],
+                    genders: [
+                        { $group: { _id: { city: '$cityKey', gender: '$gender' }, count: { $sum: 1 } } }
+                    ],
+                    localities: [
+                        { $match: { 'location.locality': { $ne: null } } },
+                        {
+                            $group: {
+                                _id: { city: '$cityKey', locality: '$location.locality' },
+                                propertyCount: { $sum: 1 },
+                                startingPrice: { $min: '$availablePrice' }
+                            }
+                        },
+                        { $sort: { propertyCount: -1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const statsFor = (key) => stats.get(idByKey.get(key));
+
+        result.totals.forEach(row => {
+            const cityStats = statsFor(row._id);
+            if (cityStats) {
+                Object.assign(cityStats, {
+                    propertyCount: row.propertyCount,
+                    availableCount: row.availableCount,
+                    startingPrice: row.startingPrice
+                });
+            }
+        });
+
+        result.genders.forEach(row => {
+            const cityStats = statsFor(row._id.city);
+            if (cityStats) {
+                cityStats.genderSplit[row._id.gender] = row.count;
+            }
+        });
+
+        const localities = await Locality.find({
+            _id: { $in: result.localities.map(row => row._id.locality) },
+            isVisible: true
+        }).select('name slug').lean();
+        const localityById = new Map(localities.map(locality => [locality._id.toString(), locality]));
+
+        result.localities.forEach(row => {
+            const cityStats = statsFor(row._id.city);
+            const locality = localityById.get(row._id.locality.toString());
+            if (cityStats && locality && cityStats.popularLocalities.length < this.popularLocalityCount) {
+                cityStats.popularLocalities.push({
+                    ...locality,
+                    propertyCount: row.propertyCount,
+                    startingPrice: row.startingPrice
+                });
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Give cities created before landing pages a slug
+     * @returns {Promise<Object>} Number of cities updated
+     */
+    async backfillSlugs() {
+        const cities = await City.find({ slug: { $in: [null, ''] } });
+        for (const city of cities) {
+            await city.save();
+        }
+        return { updated: cities.length };
+    }
+}
+
+module.exports = new CityService();
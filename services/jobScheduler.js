@@ -0,0 +1,154 @@
+// services/jobScheduler.js
+const os = require('os');
+const Job = require('../models/Job');
+
+const MINUTE_IN_MS = 1000 * 60;
+
+class JobScheduler {
+    constructor() {
+        this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 30 * 1000;
+        this.lockTimeout = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 10 * MINUTE_IN_MS;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.handlers = new Map();
+        this.recurring = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Register the handler for a job name
+     * @param {string} name - Job name
+     * @param {Function} handler - async (data, job) => result
+     */
+    define(name, handler) {
+        this.handlers.set(name, handler);
+    }
+
+    /**
+     * Register a job that runs every interval; created on start if missing
+     * @param {string} name - Job name, also used as its unique key
+     * @param {number} intervalMs - Milliseconds between runs
+     * @param {Function} handler - async (data, job) => result
+     */
+    every(name, intervalMs, handler) {
+        this.define(name, handler);
+        this.recurring.set(name, intervalMs);
+    }
+
+    /**
+     * Persist a job to run at a given time
+     * @param {string} name - Registered job name
+     * @param {Date} runAt - When the job becomes due
+     * @param {Object} data - Handler payload
+     * @param {Object} options - uniqueKey, maxAttempts, repeatInterval
+     * @returns {Promise<Object>} Job document
+     */
+    schedule(name, runAt, data = {}, options = {}) {
+        return Job.schedule(name, runAt, data, options);
+    }
+
+    /**
+     * Cancel pending jobs by unique key
+     */
+    cancel(uniqueKeys) {
+        return Job.updateMany(
+            { uniqueKey: { $in: [].concat(uniqueKeys) }, status: 'pending' },
+            { status: 'cancelled' }
+        );
+    }
+
+    /**
+     * Start polling for due jobs
+     */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+
+        for (const [name, intervalMs] of this.recurring) {
+            await this.schedule(name, new Date(), {}, { uniqueKey: name, repeatInterval: intervalMs });
+            await Job.updateOne({ uniqueKey: name }, { repeatInterval: intervalMs });
+        }
+
+        this.timer = setInterval(() => this.runDueJobs(), this.pollInterval);
+        this.timer.unref();
+        console.log(`Job scheduler started (${this.handlers.size} job types, polling every ${this.pollInterval / 1000}s)`);
+    }
+
+    /**
+     * Stop polling; a batch already running finishes
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run every due job, one at a time
+     * @returns {Promise<number>} Number of jobs run
+     */
+    async runDueJobs() {
+        if (this.running) {
+            return 0;
+        }
+
+        this.running = true;
+        let processed = 0;
+
+        try {
+            let job;
+            while ((job = await Job.claimNext(this.workerId, this.lockTimeout))) {
+                await this.runJob(job);
+                processed += 1;
+            }
+        } catch (error) {
+            console.error('Job scheduler error:', error);
+        } finally {
+            this.running = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Run a claimed job and record the outcome, retrying failures with backoff
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.name);
+
+        try {
+            if (!handler) {
+                throw new Error(`No handler registered for job "${job.name}"`);
+            }
+
+            job.result = await handler(job.data || {}, job);
+            job.lastError = undefined;
+
+            if (job.repeatInterval) {
+                job.status = 'pending';
+                job.attempts = 0;
+                job.runAt = new Date(Date.now() + job.repeatInterval);
+            } else {
+                job.status = 'completed';
+                job.completedAt = new Date();
+            }
+        } catch (error) {
+            console.error(`Job ${job.name} (${job._id}) failed:`, error.message);
+            job.lastError = error.message;
+
+            if (job.repeatInterval || job.attempts < job.maxAttempts) {
+                // Back off 1, 4, 9... minutes between attempts
+                job.status = 'pending';
+                job.runAt = new Date(Date.now() + Math.pow(Math.min(job.attempts, 10), 2) * MINUTE_IN_MS);
+            } else {
+                job.status = 'failed';
+            }
+        }
+
+        job.lockedAt = undefined;
+        job.lockedBy = undefined;
+        await job.save();
+    }
+}
+
+module.exports = new JobScheduler();
@@ -0,0 +1,377 @@
+// services/leadService.js
+const Lead = require('../models/Lead');
+const Form = require('../models/Form');
+const ContactMessage = require('../models/ContactForm');
+const Visit = require('../models/Visit');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const phoneAuthService = require('./phoneAuthService');
+const realtimeService = require('./realtimeService');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Booking statuses that mean the lead became a resident
+const BOOKED_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+class LeadService {
+    constructor() {
+        this.autoAssign = process.env.LEAD_AUTO_ASSIGN !== 'false';
+    }
+
+    /**
+     * Normalize a phone number the way sign-in does, so enquiries from one person match
+     * @returns {string|null} E.164 phone number, or null when it isn't a valid number
+     */
+    normalizePhone(phone) {
+        try {
+            return phoneAuthService.normalizePhone(phone);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Tidy a city typed into a form so leads from one city group together
+     */
+    normalizeCity(city) {
+        const value = String(city || '').trim().replace(/\s+/g, ' ');
+        return value ? value.toLowerCase().replace(/\b\w/g, char => char.toUpperCase()) : undefined;
+    }
+
+    /**
+     * Sales staff with the fewest open leads, or null when there are none
+     */
+    async pickAssignee() {
+        const staff = await User.find({ role: { $in: PERMISSIONS['leads:manage'] } }).select('_id');
+        if (!staff.length) {
+            return null;
+        }
+
+        const load = await Lead.aggregate([
+            { $match: { assignedTo: { $in: staff.map(user => user._id) }, stage: { $in: Lead.OPEN_STAGES } } },
+            { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+        ]);
+        const openLeads = (userId) => (load.find(item => item._id.equals(userId)) || { count: 0 }).count;
+
+        return staff.reduce((best, user) => (openLeads(user._id) < openLeads(best._id) ? user : best))._id;
+    }
+
+    /**
+     * Record an enquiry, adding it to the lead with the same phone number or opening a new lead.
+     * The same source document is only recorded once, so ingesting is safe to repeat.
+     * @param {string} source - One of Lead.LEAD_SOURCES
+     * @param {Object} enquiry - refId, name, phone, email, city, pgType, message, property and user
+     * @param {Object} [options] - stage to move the lead forward to; announce: false keeps new leads off the live dashboards
+     * @returns {Promise<Object|null>} Lead, or null when the phone number isn't valid
+     */
+    async ingest(source, enquiry, { stage, announce = true } = {}) {
+        const phone = this.normalizePhone(enquiry.phone);
+        if (!phone) {
+            return null;
+        }
+
+        let lead = await Lead.findOne({ phone });
+        if (lead && lead.hasEnquiry(source, enquiry.refId)) {
+            return lead;
+        }
+
+        const isNew = !lead;
+        if (isNew) {
+            lead = new Lead({
+                phone,
+                source,
+                stageHistory: [{ stage: 'new' }]
+            });
+        }
+
+        enquiry = { ...enquiry, city: this.normalizeCity(enquiry.city) };
+
+        // Keep what staff already know; fill in what's missing
+        ['name', 'email', 'city', 'pgType', 'user'].forEach(key => {
+            if (enquiry[key] && !lead[key]) {
+                lead[key] = enquiry[key];
+            }
+        });
+
+        const receivedAt = enquiry.receivedAt || new Date();
+        lead.enquiries.push({
+            source,
+            refId: enquiry.refId,
+            message: enquiry.message ? String(enquiry.message).slice(0, 1000) : undefined,
+            property: enquiry.property,
+            receivedAt
+        });
+        if (!lead.lastEnquiryAt || receivedAt > lead.lastEnquiryAt) {
+            lead.lastEnquiryAt = receivedAt;
+        }
+
+        if (lead.stage === 'lost') {
+            lead.setStage('new');
+        }
+        if (stage) {
+            lead.advanceTo(stage);
+        }
+
+        if (!lead.assignedTo && this.autoAssign) {
+            lead.assignedTo = await this.pickAssignee();
+            lead.assignedAt = lead.assignedTo ? new Date() : undefined;
+        }
+
+        try {
+            await lead.save();
+        } catch (error) {
+            // The same person enquired twice at once; add this enquiry to the other lead
+            if (isNew && error.code === 11000) {
+                return this.ingest(source, enquiry, { stage, announce });
+            }
+            throw error;
+        }
+
+        if (isNew && announce) {
+            realtimeService.publish('lead.created', {
+                id: lead._id,
+                name: lead.name,
+                phone: lead.phone,
+                city: lead.city,
+                source: lead.source,
+                stage: lead.stage,
+                assignedTo: lead.assignedTo
+            });
+        }
+        return lead;
+    }
+
+    /**
+     * Ingest an enquiry without failing the request that produced it
+     */
+    async capture(source, enquiry, options) {
+        try {
+            return await this.ingest(source, enquiry, options);
+        } catch (error) {
+            console.error(`Lead capture from ${source} failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Lead fields from a callback form
+     */
+    fromForm(form) {
+        return {
+            refId: form._id,
+            name: form.name,
+            phone: form.phone,
+            city: form.location,
+            pgType: form.pgType,
+            receivedAt: form.createdAt
+        };
+    }
+
+    /**
+     * Lead fields from a contact message
+     */
+    fromContactMessage(message) {
+        return {
+            refId: message._id,
+            name: message.fullName,
+            phone: message.mobileNumber,
+            email: message.email,
+            message: message.message,
+            receivedAt: message.createdAt
+        };
+    }
+
+    /**
+     * Lead fields from a visit; the city comes from the property
+     */
+    async fromVisit(visit) {
+        const property = await Property.findById(visit.property).select('location.city');
+        return {
+            refId: visit._id,
+            name: visit.name,
+            phone: visit.phone,
+            email: visit.email,
+            city: property && property.location ? property.location.city : undefined,
+            message: visit.description,
+            property: visit.property,
+            user: visit.user,
+            receivedAt: visit.createdAt
+        };
+    }
+
+    /**
+     * Stage a visit puts its lead in
+     */
+    visitStage(visit) {
+        if (visit.status === 'completed') {
+            return 'visited';
+        }
+        return Visit.ACTIVE_STATUSES.includes(visit.status) ? 'visit_scheduled' : undefined;
+    }
+
+    /**
+     * Record a visit as an enquiry and move its lead along with the visit status
+     * @param {Object} visit - Visit document
+     */
+    async trackVisit(visit) {
+        try {
+            const phone = this.normalizePhone(visit.phone);
+            const lead = phone ? await Lead.findOne({ phone }) : null;
+
+            if (lead && lead.hasEnquiry('visit', visit._id)) {
+                const stage = this.visitStage(visit);
+                if (stage && lead.advanceTo(stage)) {
+                    await lead.save();
+                }
+                return lead;
+            }
+
+            return await this.ingest('visit', await this.fromVisit(visit), { stage: this.visitStage(visit) });
+        } catch (error) {
+            console.error('Lead tracking for visit failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Mark the lead of a confirmed booking as booked
+     * @param {Object} booking - Booking document
+     */
+    async trackBooking(booking) {
+        if (!BOOKED_STATUSES.includes(booking.status)) {
+            return null;
+        }
+
+        try {
+            const userId = booking.user._id || booking.user;
+            const phone = this.normalizePhone(booking.phoneNumber);
+            const or = [{ user: userId }];
+            if (phone) {
+                or.push({ phone });
+            }
+
+            const lead = await Lead.findOne({ $or: or }).sort({ createdAt: 1 });
+            if (!lead || lead.stage === 'booked') {
+                return lead;
+            }
+
+            lead.setStage('booked');
+            lead.booking = booking._id;
+            lead.user = lead.user || userId;
+            return await lead.save();
+        } catch (error) {
+            console.error('Lead tracking for booking failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Ingest every callback form, contact message and visit received so far
+     * @returns {Promise<Object>} Number of records read and leads created per source
+     */
+    async importExisting() {
+        const before = await Lead.countDocuments();
+        const counts = { callback_form: 0, contact_form: 0, visit: 0 };
+
+        for await (const form of Form.find().sort({ createdAt: 1 }).cursor()) {
+            await this.ingest('callback_form', this.fromForm(form), { announce: false });
+            counts.callback_form += 1;
+        }
+        for await (const message of ContactMessage.find().sort({ createdAt: 1 }).cursor()) {
+            await this.ingest('contact_form', this.fromContactMessage(message), { announce: false });
+            counts.contact_form += 1;
+        }
+        for await (const visit of Visit.find().sort({ createdAt: 1 }).cursor()) {
+            await this.ingest('visit', await this.fromVisit(visit), { stage: this.visitStage(visit), announce: false });
+            counts.visit += 1;
+        }
+
+        return {
+            read: counts,
+            leadsCreated: (await Lead.countDocuments()) - before
+        };
+    }
+
+    /**
+     * Assign a lead to a member of the sales team, or unassign it
+     * @param {Object} lead - Lead document
+     * @param {string|null} userId - Assignee
+     * @throws {AppError} When the user can't work leads
+     */
+    async assign(lead, userId) {
+        if (userId) {
+            const assignee = await User.findById(userId).select('role');
+            if (!assignee || !(assignee.role === 'admin' || PERMISSIONS['leads:manage'].includes(assignee.role))) {
+                throw new AppError('Leads can only be assigned to sales staff', 400);
+            }
+        }
+
+        lead.assignedTo = userId || null;
+        lead.assignedAt = userId ? new Date() : undefined;
+        return lead.save();
+    }
+
+    /**
+     * Leads, bookings and conversion rate per source and per city for leads created in a period
+     * @param {Object} range - from and to dates
+     * @returns {Promise<Object>} Totals, bySource and byCity
+     */
+    async getConversionReport({ from, to } = {}) {
+        const match = {};
+        if (from || to) {
+            match.createdAt = {};
+            if (from) match.createdAt.$gte = from;
+            if (to) match.createdAt.$lte = to;
+        }
+
+        const groupStages = (key) => [
+            {
+                $group: {
+                    _id: key,
+                    leads: { $sum: 1 },
+                    booked: { $sum: { $cond: [{ $eq: ['$stage', 'booked'] }, 1, 0] } },
+                    lost: { $sum: { $cond: [{ $eq: ['$stage', 'lost'] }, 1, 0] } },
+                    visited: { $sum: { $cond: [{ $in: ['visited', '$stageHistory.stage'] }, 1, 0] } }
+                }
+            },
+            { $sort: { leads: -1 } }
+        ];
+
+        const [result] = await Lead.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    totals: groupStages(null),
+                    byStage: [{ $group: { _id: '$stage', count: { $sum: 1 } } }],
+                    bySource: groupStages('$source'),
+                    byCity: groupStages({ $ifNull: ['$city', 'Unknown'] })
+                }
+            }
+        ]);
+
+        const withRate = (row) => ({
+            leads: row.leads,
+            visited: row.visited,
+            booked: row.booked,
+            lost: row.lost,
+            conversionRate: row.leads ? Math.round((row.booked / row.leads) * 10000) / 100 : 0
+        });
+
+        const totals = result.totals[0] || { leads: 0, visited: 0, booked: 0, lost: 0 };
+
+        return {
+            totals: {
+                ...withRate(totals),
+                byStage: Lead.LEAD_STAGES.reduce((acc, stage) => {
+                    const group = result.byStage.find(item => item._id === stage);
+                    acc[stage] = group ? group.count : 0;
+                    return acc;
+                }, {})
+            },
+            bySource: result.bySource.map(row => ({ source: row._id, ...withRate(row) })),
+            byCity: result.byCity.map(row => ({ city: row._id, ...withRate(row) }))
+        };
+    }
+}
+
+module.exports = new LeadService();
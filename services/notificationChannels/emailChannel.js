@@ -0,0 +1,89 @@
+// services/notificationChannels/emailChannel.js
+const { sendEmail: sendSmtpEmail } = require('../../utils/sendEmail');
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+// Shared frame around every email body
+const wrapLayout = (subject, body) => `
+<div style="font-family: Arial, sans-serif; background-color: #f4f4f4; padding: 40px;">
+  <div style="max-width: 600px; margin: auto; background-color: #ffffff; border-radius: 10px; padding: 30px; color: #555555; line-height: 1.6;">
+    <h1 style="color: #2c3e50; font-size: 22px; text-align: center;">${escapeHtml(subject)}</h1>
+    ${body}
+    <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+    <p style="text-align: center; font-size: 12px; color: #bbb;">&copy; ${new Date().getFullYear()} Property Rental. All rights reserved.</p>
+  </div>
+</div>`;
+
+const toText = (html) => html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|h\d|div)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const TRANSPORTS = {
+    // SendGrid API
+    sendgrid: {
+        client: null,
+        async send(message) {
+            if (!this.client) {
+                this.client = require('@sendgrid/mail');
+                this.client.setApiKey(process.env.SENDGRID_API_KEY);
+            }
+            const [response] = await this.client.send({ ...message, from: process.env.SENDGRID_FROM_EMAIL });
+            return { messageId: response && response.headers ? response.headers['x-message-id'] : undefined };
+        }
+    },
+    // Nodemailer SMTP (utils/sendEmail.js)
+    smtp: {
+        async send(message) {
+            return sendSmtpEmail({ email: message.to, subject: message.subject, html: message.html, text: message.text });
+        }
+    },
+    // Development and tests: log instead of sending; only used when EMAIL_PROVIDER=local
+    local: {
+        async send(message) {
+            console.log(`[email:local] to ${message.to}: ${message.subject}`);
+            return { messageId: `local_${Date.now()}` };
+        }
+    }
+};
+
+class EmailChannel {
+    constructor() {
+        this.name = 'email';
+        this.transport = process.env.EMAIL_PROVIDER ||
+            (process.env.SENDGRID_API_KEY ? 'sendgrid' : process.env.EMAIL_USER ? 'smtp' : null);
+
+        if (this.transport && !TRANSPORTS[this.transport]) {
+            throw new Error(`Unknown email provider: ${this.transport}`);
+        }
+        if (this.transport === 'local' && process.env.NODE_ENV === 'production') {
+            throw new Error('The local email provider cannot be used in production');
+        }
+    }
+
+    getRecipient(user, to = {}) {
+        return to.email || (user && user.email) || null;
+    }
+
+    async send(recipient, { subject, body }) {
+        // Without a provider the delivery fails instead of being reported as sent
+        if (!this.transport) {
+            throw new Error('No email provider is configured; set SENDGRID_API_KEY, EMAIL_USER or EMAIL_PROVIDER=local');
+        }
+
+        const html = wrapLayout(subject, body);
+        const result = await TRANSPORTS[this.transport].send({
+            to: recipient,
+            subject,
+            html,
+            text: toText(body)
+        });
+        return { providerMessageId: result && result.messageId };
+    }
+}
+
+module.exports = EmailChannel;
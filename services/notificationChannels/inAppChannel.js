@@ -0,0 +1,31 @@
+// services/notificationChannels/inAppChannel.js
+const Notification = require('../../models/Notification');
+
+class InAppChannel {
+    constructor() {
+        this.name = 'in_app';
+    }
+
+    getRecipient(user) {
+        return user ? user._id.toString() : null;
+    }
+
+    /**
+     * @param {string} recipient - User ID
+     * @param {Object} content - subject (title) and body (message)
+     * @param {Object} context - inAppType, link and extra Notification fields
+     */
+    async send(recipient, { subject, body }, { inAppType, link, fields = {} } = {}) {
+        const notification = await Notification.create({
+            ...fields,
+            user: recipient,
+            type: inAppType,
+            title: subject,
+            message: body,
+            link
+        });
+        return { providerMessageId: notification._id.toString() };
+    }
+}
+
+module.exports = InAppChannel;
@@ -0,0 +1,19 @@
+// services/notificationChannels/smsChannel.js
+const sendSMS = require('../../utils/sendSMS');
+
+class SmsChannel {
+    constructor() {
+        this.name = 'sms';
+    }
+
+    getRecipient(user, to = {}) {
+        return to.phone || (user && user.phone) || null;
+    }
+
+    async send(recipient, { body }) {
+        const result = await sendSMS(recipient, body);
+        return { providerMessageId: result && result.sid };
+    }
+}
+
+module.exports = SmsChannel;
@@ -0,0 +1,48 @@
+// services/notificationChannels/whatsappChannel.js
+const twilio = require('twilio');
+
+/**
+ * WhatsApp messages through Twilio's WhatsApp sender. With
+ * WHATSAPP_PROVIDER=local messages are only logged, like the local SMS stub.
+ */
+class WhatsappChannel {
+    constructor() {
+        this.name = 'whatsapp';
+        this.local = process.env.WHATSAPP_PROVIDER === 'local';
+        this.from = process.env.TWILIO_WHATSAPP_NUMBER;
+        this.client = null;
+
+        if (this.local && process.env.NODE_ENV === 'production') {
+            throw new Error('The local WhatsApp provider cannot be used in production');
+        }
+    }
+
+    getRecipient(user, to = {}) {
+        return to.phone || (user && user.phone) || null;
+    }
+
+    async send(recipient, { body }) {
+        if (this.local) {
+            console.log(`[whatsapp:local] to ${recipient}: ${body}`);
+            return { providerMessageId: `local_${Date.now()}` };
+        }
+
+        // Without Twilio settings the delivery fails instead of being reported as sent
+        if (!this.from || !process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
+            throw new Error('TWILIO_WHATSAPP_NUMBER, TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required; set WHATSAPP_PROVIDER=local for local development');
+        }
+
+        if (!this.client) {
+            this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        }
+
+        const result = await this.client.messages.create({
+            body,
+            from: `whatsapp:${this.from}`,
+            to: `whatsapp:${recipient}`
+        });
+        return { providerMessageId: result.sid };
+    }
+}
+
+module.exports = WhatsappChannel;
@@ -0,0 +1,269 @@
+// services/notificationService.js
+const NotificationTemplate = require('../models/NotificationTemplate');
+const DeliveryLog = require('../models/DeliveryLog');
+const AppError = require('../utils/appError');
+const jobScheduler = require('./jobScheduler');
+const EmailChannel = require('./notificationChannels/emailChannel');
+const SmsChannel = require('./notificationChannels/smsChannel');
+const WhatsappChannel = require('./notificationChannels/whatsappChannel');
+const InAppChannel = require('./notificationChannels/inAppChannel');
+const { NOTIFICATION_TYPES } = require('../config/notificationTemplates');
+
+const CHANNEL_ADAPTERS = {
+    email: EmailChannel,
+    sms: SmsChannel,
+    whatsapp: WhatsappChannel,
+    in_app: InAppChannel
+};
+
+const RECIPIENT_LABELS = {
+    email: 'email address',
+    sms: 'phone number',
+    whatsapp: 'phone number',
+    in_app: 'user account'
+};
+
+class NotificationService {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3; // Including the first, inline attempt
+        this.retryDelayMs = 60 * 1000;
+        this.channels = {};
+
+        Object.keys(CHANNEL_ADAPTERS).forEach(name => this.setChannel(name));
+    }
+
+    /**
+     * Register the delivery retry job with the scheduler
+     */
+    registerJobs() {
+        jobScheduler.define('notifications:deliver', (data, job) => this.retryDelivery(data, job));
+    }
+
+    /**
+     * Replace the adapter of a channel, e.g. with a stub in tests
+     * @param {string} name - Channel name
+     * @param {Object} [adapter] - Object with name, getRecipient and send; the built-in adapter when omitted
+     */
+    setChannel(name, adapter) {
+        if (!CHANNEL_ADAPTERS[name]) {
+            throw new Error(`Unknown notification channel: ${name}`);
+        }
+        this.channels[name] = adapter || new CHANNEL_ADAPTERS[name]();
+    }
+
+    getDefinition(type) {
+        const definition = NOTIFICATION_TYPES[type];
+        if (!definition) {
+            throw new Error(`Unknown notification type: ${type}`);
+        }
+        return definition;
+    }
+
+    /**
+     * Why a user doesn't get a notification on a channel, if they don't
+     * @returns {string|null} Skip reason
+     */
+    getSkipReason(user, type, definition, channel) {
+        if (definition.transactional || !user) {
+            return null;
+        }
+
+        const preferences = user.notificationPreferences || {};
+        const reminders = user.reminderPreferences || {};
+
+        if (preferences[channel] === false) {
+            return 'User opted out of this channel';
+        }
+        if ((preferences.mutedTypes || []).includes(type)) {
+            return 'User muted this notification type';
+        }
+        if (definition.preference && (reminders[definition.preference] === false || reminders[channel] === false)) {
+            return 'User opted out';
+        }
+        return null;
+    }
+
+    /**
+     * Render the active template of a type for a channel
+     * @returns {Promise<Object|null>} subject, body and template version, or null when the type has no template for the channel
+     */
+    async render(type, channel, data = {}) {
+        const template = await NotificationTemplate.resolve(type, channel);
+        if (!template) {
+            return null;
+        }
+
+        return {
+            version: template.version,
+            subject: template.subject ? NotificationTemplate.render(template.subject, data) : undefined,
+            body: NotificationTemplate.render(template.body, data, { html: channel === 'email' })
+        };
+    }
+
+    /**
+     * Send through a channel adapter without throwing
+     * @returns {Promise<Object>} ok with providerMessageId, or the error
+     */
+    async dispatch(channel, recipient, content, context) {
+        try {
+            const result = await this.channels[channel].send(recipient, content, context);
+            return { ok: true, providerMessageId: result && result.providerMessageId };
+        } catch (error) {
+            console.error(`Notification via ${channel} to ${recipient} failed:`, error.message);
+            return { ok: false, error };
+        }
+    }
+
+    /**
+     * Send a notification on every channel its type uses, honouring the
+     * user's preferences, and log each delivery. Failed deliveries are
+     * retried in the background unless the message carries a secret.
+     * @param {string} type - Key in config/notificationTemplates.js
+     * @param {Object} options
+     * @param {Object} [options.user] - Recipient user; optional when `to` is given
+     * @param {Object} [options.to] - email and phone overriding the user's own
+     * @param {Object} [options.data] - Placeholder values
+     * @param {Array<string>} [options.channels] - Limit to these channels
+     * @param {Object} [options.reference] - Document the notification is about ({ kind, id })
+     * @param {string} [options.link] - Frontend path for in-app notifications
+     * @param {Object} [options.fields] - Extra Notification fields for in-app notifications
+     * @param {Object} [options.job] - Job sending the notification
+     * @returns {Promise<Object>} Delivery status per channel
+     */
+    async send(type, { user = null, to = {}, data = {}, channels, reference, link, fields, job } = {}) {
+        const definition = this.getDefinition(type);
+        const outcome = {};
+
+        for (const channel of channels || Object.keys(definition.channels)) {
+            if (!definition.channels[channel]) {
+                continue;
+            }
+
+            // WhatsApp is opt-in, so it isn't tried (or logged) for everyone else
+            if (channel === 'whatsapp' && !(user && user.notificationPreferences && user.notificationPreferences.whatsapp)) {
+                continue;
+            }
+
+            const recipient = this.channels[channel].getRecipient(user, to);
+            const entry = {
+                user: user ? user._id : null,
+                type,
+                channel,
+                recipient,
+                reference,
+                job: job ? job._id : undefined
+            };
+
+            const skipReason = this.getSkipReason(user, type, definition, channel) ||
+                (!recipient ? `No ${RECIPIENT_LABELS[channel]}` : null);
+
+            if (skipReason) {
+                await DeliveryLog.create({ ...entry, status: 'skipped', reason: skipReason });
+                outcome[channel] = 'skipped';
+                continue;
+            }
+
+            const { version, ...content } = await this.render(type, channel, data);
+            const result = await this.dispatch(channel, recipient, content, {
+                inAppType: definition.inAppType,
+                link,
+                fields
+            });
+
+            // In-app notifications are database writes, and secrets aren't stored to resend
+            const retry = !result.ok && !definition.sensitive && channel !== 'in_app' && this.maxAttempts > 1;
+
+            const delivery = await DeliveryLog.create({
+                ...entry,
+                status: result.ok ? 'sent' : retry ? 'retrying' : 'failed',
+                reason: result.ok ? undefined : result.error.message,
+                providerMessageId: result.providerMessageId,
+                template: { key: type, version },
+                content: definition.sensitive ? undefined : content,
+                attempts: 1,
+                lastAttemptAt: new Date()
+            });
+
+            if (retry) {
+                await jobScheduler.schedule('notifications:deliver', new Date(Date.now() + this.retryDelayMs), {
+                    deliveryId: delivery._id.toString()
+                }, {
+                    uniqueKey: `notification-delivery:${delivery._id}`,
+                    maxAttempts: this.maxAttempts - 1
+                });
+            }
+
+            outcome[channel] = delivery.status;
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Job handler: resend a failed delivery with its stored content
+     * @throws {Error} When the attempt fails and the job has attempts left, so it backs off and runs again
+     */
+    async retryDelivery(data, job) {
+        const delivery = await DeliveryLog.findById(data.deliveryId).select('+content');
+
+        if (!delivery || delivery.status !== 'retrying' || !delivery.content) {
+            return { skipped: 'Delivery no longer pending' };
+        }
+
+        const result = await this.dispatch(delivery.channel, delivery.recipient, delivery.content);
+        delivery.attempts += 1;
+        delivery.lastAttemptAt = new Date();
+
+        if (result.ok) {
+            delivery.status = 'sent';
+            delivery.reason = undefined;
+            delivery.providerMessageId = result.providerMessageId;
+            await delivery.save();
+            return { status: 'sent' };
+        }
+
+        delivery.reason = result.error.message;
+        if (!job || job.attempts >= job.maxAttempts) {
+            delivery.status = 'failed';
+            await delivery.save();
+            return { status: 'failed' };
+        }
+
+        await delivery.save();
+        throw result.error;
+    }
+
+    /**
+     * Queue another attempt of a failed delivery
+     * @param {string} deliveryId - Delivery log ID
+     * @returns {Promise<Object>} Delivery log entry
+     * @throws {AppError} When the delivery can't be resent
+     */
+    async retry(deliveryId) {
+        const delivery = await DeliveryLog.findById(deliveryId).select('+content');
+
+        if (!delivery) {
+            throw new AppError('Delivery not found', 404);
+        }
+        if (delivery.status !== 'failed') {
+            throw new AppError(`Only failed deliveries can be retried; this one is ${delivery.status}`, 400);
+        }
+        if (!delivery.content || delivery.channel === 'in_app') {
+            throw new AppError('This delivery cannot be resent', 400);
+        }
+
+        delivery.status = 'retrying';
+        await delivery.save();
+
+        await jobScheduler.schedule('notifications:deliver', new Date(), {
+            deliveryId: delivery._id.toString()
+        }, {
+            uniqueKey: `notification-delivery:${delivery._id}:${delivery.attempts}`,
+            maxAttempts: 1
+        });
+
+        return delivery;
+    }
+}
+
+module.exports = new NotificationService();
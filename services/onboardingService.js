@@ -0,0 +1,196 @@
+// services/onboardingService.js
+const Onboarding = require('../models/Onboarding');
+const UserDocument = require('../models/UserDocuments');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const notificationService = require('./notificationService');
+
+const DOCUMENT_LABELS = {
+    id_proof: 'ID proof',
+    address_proof: 'Address proof',
+    income_proof: 'Income proof'
+};
+
+class OnboardingService {
+    /**
+     * Get the onboarding of a booking, opening it on first access
+     * @param {Object} booking - Booking document
+     * @returns {Promise<Object>} Onboarding document
+     */
+    getForBooking(booking) {
+        return Onboarding.openForBooking(booking);
+    }
+
+    /**
+     * Make sure the resident's KYC is approved before the booking moves in
+     * @param {Object} booking - Booking document
+     * @throws {AppError} When any required document is missing, pending or rejected
+     */
+    async assertApproved(booking) {
+        const onboarding = await this.getForBooking(booking);
+
+        if (onboarding.status !== 'approved') {
+            const outstanding = onboarding.checklist
+                .filter(item => item.status !== 'approved')
+                .map(item => `${DOCUMENT_LABELS[item.documentType]} (${item.status})`);
+
+            throw new AppError(
+                `Resident KYC must be approved before check-in. Outstanding: ${outstanding.join(', ')}`,
+                400
+            );
+        }
+
+        return onboarding;
+    }
+
+    /**
+     * Attach one of the resident's uploaded documents to a checklist item
+     * @param {Object} onboarding - Onboarding document
+     * @param {string} documentId - UserDocument ID
+     * @returns {Promise<Object>} Updated onboarding
+     * @throws {AppError} When the document isn't the resident's or isn't on the checklist
+     */
+    async attachDocument(onboarding, documentId) {
+        const document = await UserDocument.findById(documentId);
+
+        if (!document || document.user.toString() !== onboarding.user.toString()) {
+            throw new AppError('Document not found', 404);
+        }
+
+        const item = onboarding.checklist.find(entry => entry.documentType === document.type);
+        if (!item) {
+            throw new AppError(`${DOCUMENT_LABELS[document.type]} is not required for this booking`, 400);
+        }
+
+        if (document.status === 'rejected') {
+            throw new AppError('This document was rejected; upload a new one', 400);
+        }
+
+        item.document = document._id;
+        onboarding.applyDocument(document);
+        onboarding.refreshStatus();
+
+        return onboarding.save();
+    }
+
+    /**
+     * Approve or reject a document and update every onboarding it is attached to.
+     * The resident is notified in-app of an approval, and in-app and by email of a rejection.
+     * @param {string} documentId - UserDocument ID
+     * @param {Object} review - status (approved | rejected) and reason
+     * @param {string} reviewerId - Admin reviewing the document
+     * @returns {Promise<Object>} document and the onboardings it affected
+     */
+    async reviewDocument(documentId, { status, reason }, reviewerId) {
+        const document = await UserDocument.findById(documentId);
+
+        if (!document) {
+            throw new AppError('Document not found', 404);
+        }
+
+        if (status === 'rejected' && !reason) {
+            throw new AppError('A reason is required to reject a document', 400);
+        }
+
+        document.status = status;
+        document.rejectionReason = status === 'rejected' ? reason : null;
+        document.reviewedBy = reviewerId;
+        document.reviewedAt = new Date();
+        await document.save();
+
+        const onboardings = await this.syncDocument(document);
+
+        if (status === 'rejected') {
+            await this.notifyRejection(document, onboardings);
+        } else if (status === 'approved') {
+            await this.notifyApproval(document);
+        }
+
+        return { document, onboardings };
+    }
+
+    /**
+     * Copy a document's status onto the onboardings it is attached to
+     */
+    async syncDocument(document) {
+        const onboardings = await Onboarding.find({ 'checklist.document': document._id });
+
+        for (const onboarding of onboardings) {
+            onboarding.applyDocument(document);
+            onboarding.refreshStatus();
+            await onboarding.save();
+        }
+
+        return onboardings;
+    }
+
+    /**
+     * Put the checklist items of a deleted document back to missing
+     */
+    async detachDocument(document) {
+        const onboardings = await Onboarding.find({ 'checklist.document': document._id });
+
+        for (const onboarding of onboardings) {
+            onboarding.checklist
+                .filter(item => item.document && item.document.toString() === document._id.toString())
+                .forEach(item => {
+                    item.document = null;
+                    item.status = 'missing';
+                    item.rejectionReason = null;
+                });
+            onboarding.refreshStatus();
+            await onboarding.save();
+        }
+
+        return onboardings;
+    }
+
+    /**
+     * Tell the resident a document was rejected and why
+     */
+    async notifyRejection(document, onboardings) {
+        const user = await User.findById(document.user)
+            .select('name email phone notificationPreferences reminderPreferences');
+        if (!user) {
+            return;
+        }
+
+        const label = DOCUMENT_LABELS[document.type];
+        const booking = onboardings.length ? onboardings[0].booking : null;
+        const link = booking ? `/bookings/${booking}/onboarding` : '/profile/documents';
+
+        await notificationService.send('kyc-document-rejected', {
+            user,
+            data: {
+                name: user.name,
+                documentLabel: label,
+                reason: document.rejectionReason,
+                uploadUrl: `${process.env.FRONTEND_URL}${link}`
+            },
+            reference: booking ? { kind: 'Booking', id: booking } : undefined,
+            link,
+            fields: { reference: { kind: 'UserDocument', id: document._id } }
+        });
+    }
+
+    /**
+     * Tell the resident a document was approved
+     */
+    async notifyApproval(document) {
+        const user = await User.findById(document.user)
+            .select('name notificationPreferences reminderPreferences');
+        if (!user) {
+            return;
+        }
+
+        await notificationService.send('kyc-document-approved', {
+            user,
+            data: { documentLabel: DOCUMENT_LABELS[document.type] },
+            reference: { kind: 'UserDocument', id: document._id },
+            link: '/profile/documents',
+            fields: { reference: { kind: 'UserDocument', id: document._id } }
+        });
+    }
+}
+
+module.exports = new OnboardingService();
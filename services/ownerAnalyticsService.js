@@ -0,0 +1,466 @@
+// services/ownerAnalyticsService.js
+const Property = require('../models/Property');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const Visit = require('../models/Visit');
+const Invoice = require('../models/Invoice');
+const AppError = require('../utils/appError');
+const accessService = require('./accessService');
+
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+// Booking statuses that hold a bed for their stay
+const STAY_STATUSES = ['confirmed', 'in-progress', 'completed'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const rate = (part, whole) => (whole > 0 ? round((part / whole) * 100) : 0);
+
+class OwnerAnalyticsService {
+    constructor() {
+        this.defaultMonths = parseInt(process.env.ANALYTICS_DEFAULT_MONTHS, 10) || 12; // Range used when no dates are given
+        this.maxMonths = parseInt(process.env.ANALYTICS_MAX_MONTHS, 10) || 36; // Longest range a dashboard may ask for
+        this.topListings = 5;
+    }
+
+    /**
+     * Resolve the dashboard date range; months are UTC calendar months
+     * @param {Object} range - Optional from and to dates
+     * @returns {Object} from (inclusive) and to (exclusive) instants
+     */
+    resolveRange({ from, to } = {}) {
+        const now = new Date();
+        const end = to
+            ? new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate() + 1))
+            : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+        const start = from
+            ? new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()))
+            : new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (this.defaultMonths - 1), 1));
+
+        if (start >= end) {
+            throw new AppError('The start date must be before the end date', 400);
+        }
+
+        if (this.getMonths(start, end).length > this.maxMonths) {
+            throw new AppError(`The date range cannot span more than ${this.maxMonths} months`, 400);
+        }
+
+        return { from: start, to: end };
+    }
+
+    /**
+     * Split a range into calendar months clipped to the range
+     * @returns {Array<Object>} key (YYYY-MM), start, end and days of each month
+     */
+    getMonths(from, to) {
+        const months = [];
+        let cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+
+        while (cursor < to) {
+            const next = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+            const start = cursor < from ? from : cursor;
+            const end = next > to ? to : next;
+
+            months.push({
+                key: cursor.toISOString().slice(0, 7),
+                start,
+                end,
+                days: (end - start) / DAY_IN_MS
+            });
+            cursor = next;
+        }
+
+        return months;
+    }
+
+    /**
+     * Build the dashboard for a set of properties
+     * @param {Array<string>|null} propertyIds - Properties to report on, null for the whole platform
+     * @param {Object} range - Optional from and to dates
+     * @returns {Promise<Object>} Dashboard sections
+     */
+    async getDashboard(propertyIds, range) {
+        const { from, to } = this.resolveRange(range);
+        const months = this.getMonths(from, to);
+
+        const [properties, occupancy, revenue, conversion, lengthOfStay, topViewed] = await Promise.all([
+            Property.find(propertyIds === null ? {} : { _id: { $in: propertyIds } }).select('title').lean(),
+            this.getOccupancy(propertyIds, months),
+            this.getRevenue(propertyIds, months),
+            this.getVisitConversion(propertyIds, from, to),
+            this.getLengthOfStay(propertyIds, from, to),
+            this.getTopViewed(propertyIds, from, to)
+        ]);
+
+        // Label the per-property rows with the property title
+        const titles = new Map(properties.map(property => [property._id.toString(), property.title]));
+        const label = rows => rows.map(({ property, ...row }) => ({
+            property: { _id: property, title: titles.get(property.toString()) || null },
+            ...row
+        }));
+
+        return {
+            range: { from, to: new Date(to.getTime() - 1) },
+            totalProperties: properties.length,
+            occupancy: { ...occupancy, byProperty: label(occupancy.byProperty) },
+            revenue: { ...revenue, byProperty: label(revenue.byProperty) },
+            conversion: { ...conversion, byProperty: label(conversion.byProperty) },
+            lengthOfStay: { ...lengthOfStay, byProperty: label(lengthOfStay.byProperty) },
+            topViewed
+        };
+    }
+
+    /**
+     * Occupied bed-nights against lettable bed-nights, per month and per property.
+     * Capacity is the current count of beds not under maintenance.
+     */
+    async getOccupancy(propertyIds, months) {
+        const scope = accessService.scopeMatch(propertyIds);
+        const from = months[0].start;
+        const to = months[months.length - 1].end;
+
+        const [occupied, beds] = await Promise.all([
+            Booking.aggregate([
+                {
+                    $match: {
+                        ...scope,
+                        status: { $in: STAY_STATUSES },
+                        checkIn: { $lt: to },
+                        checkOut: { $gt: from }
+                    }
+                },
+                { $project: { property: 1, checkIn: 1, checkOut: 1 } },
+                { $addFields: { month: { $literal: months.map(({ key, start, end }) => ({ key, start, end })) } } },
+                { $unwind: '$month' },
+                {
+                    $project: {
+                        property: 1,
+                        month: '$month.key',
+                        nights: {
+                            $divide: [
+                                {
+                                    $subtract: [
+                                        { $min: ['$checkOut', '$month.end'] },
+                                        { $max: ['$checkIn', '$month.start'] }
+                                    ]
+                                },
+                                DAY_IN_MS
+                            ]
+                        }
+                    }
+                },
+                { $match: { nights: { $gt: 0 } } },
+                {
+                    $group: {
+                        _id: { property: '$property', month: '$month' },
+                        nights: { $sum: '$nights' }
+                    }
+                }
+            ]),
+            Room.aggregate([
+                { $match: { ...scope, isActive: true } },
+                { $unwind: '$beds' },
+                { $match: { 'beds.status': { $ne: 'maintenance' } } },
+                { $group: { _id: '$property', beds: { $sum: 1 } } }
+            ])
+        ]);
+
+        const totalBeds = beds.reduce((sum, row) => sum + row.beds, 0);
+        const totalDays = months.reduce((sum, month) => sum + month.days, 0);
+
+        const byMonth = months.map(month => {
+            const occupiedBedNights = occupied
+                .filter(row => row._id.month === month.key)
+                .reduce((sum, row) => sum + row.nights, 0);
+            const availableBedNights = totalBeds * month.days;
+
+            return {
+                month: month.key,
+                occupiedBedNights: round(occupiedBedNights),
+                availableBedNights,
+                occupancyRate: rate(occupiedBedNights, availableBedNights)
+            };
+        });
+
+        const bedsByProperty = new Map(beds.map(row => [row._id.toString(), row.beds]));
+        const nightsByProperty = occupied.reduce((totals, row) => {
+            const id = row._id.property.toString();
+            totals.set(id, (totals.get(id) || 0) + row.nights);
+            return totals;
+        }, new Map());
+
+        const byProperty = [...new Set([...bedsByProperty.keys(), ...nightsByProperty.keys()])]
+            .map(id => {
+                const occupiedBedNights = nightsByProperty.get(id) || 0;
+                const availableBedNights = (bedsByProperty.get(id) || 0) * totalDays;
+
+                return {
+                    property: id,
+                    beds: bedsByProperty.get(id) || 0,
+                    occupiedBedNights: round(occupiedBedNights),
+                    availableBedNights,
+                    occupancyRate: rate(occupiedBedNights, availableBedNights)
+                };
+            })
+            .sort((a, b) => b.occupancyRate - a.occupancyRate);
+
+        const occupiedTotal = byMonth.reduce((sum, month) => sum + month.occupiedBedNights, 0);
+
+        return {
+            totalBeds,
+            occupancyRate: rate(occupiedTotal, totalBeds * totalDays),
+            byMonth,
+            byProperty
+        };
+    }
+
+    /**
+     * Rent invoiced per billing month and rent collected per payment month
+     */
+    async getRevenue(propertyIds, months) {
+        const scope = accessService.scopeMatch(propertyIds);
+        const from = months[0].start;
+        const to = months[months.length - 1].end;
+        const keys = months.map(month => month.key);
+
+        const [invoiced, collected] = await Promise.all([
+            Invoice.aggregate([
+                {
+                    $match: {
+                        ...scope,
+                        status: { $ne: 'cancelled' },
+                        'billingPeriod.month': { $in: keys }
+                    }
+                },
+                {
+                    $group: {
+                        _id: { property: '$property', month: '$billingPeriod.month' },
+                        invoiced: { $sum: '$totalAmount' },
+                        invoices: { $sum: 1 }
+                    }
+                }
+            ]),
+            Invoice.aggregate([
+                { $match: { ...scope, 'payments.paidAt': { $gte: from, $lt: to } } },
+                { $unwind: '$payments' },
+                { $match: { 'payments.paidAt': { $gte: from, $lt: to } } },
+                {
+                    $group: {
+                        _id: {
+                            property: '$property',
+                            month: { $dateToString: { format: '%Y-%m', date: '$payments.paidAt' } }
+                        },
+                        collected: { $sum: '$payments.amount' }
+                    }
+                }
+            ])
+        ]);
+
+        const sumFor = (rows, field, match) => rows.filter(match).reduce((sum, row) => sum + row[field], 0);
+
+        const byMonth = keys.map(key => {
+            const inMonth = row => row._id.month === key;
+            return {
+                month: key,
+                invoiced: sumFor(invoiced, 'invoiced', inMonth),
+                collected: sumFor(collected, 'collected', inMonth),
+                invoices: sumFor(invoiced, 'invoices', inMonth)
+            };
+        });
+
+        const propertyIdsSeen = new Set([...invoiced, ...collected].map(row => row._id.property.toString()));
+        const byProperty = [...propertyIdsSeen]
+            .map(id => {
+                const forProperty = row => row._id.property.toString() === id;
+                const invoicedTotal = sumFor(invoiced, 'invoiced', forProperty);
+                const collectedTotal = sumFor(collected, 'collected', forProperty);
+
+                return {
+                    property: id,
+                    invoiced: invoicedTotal,
+                    collected: collectedTotal,
+                    collectionRate: rate(collectedTotal, invoicedTotal)
+                };
+            })
+            .sort((a, b) => b.collected - a.collected);
+
+        const totalInvoiced = byMonth.reduce((sum, month) => sum + month.invoiced, 0);
+        const totalCollected = byMonth.reduce((sum, month) => sum + month.collected, 0);
+
+        return {
+            totalInvoiced,
+            totalCollected,
+            collectionRate: rate(totalCollected, totalInvoiced),
+            byMonth,
+            byProperty
+        };
+    }
+
+    /**
+     * Share of visits requested in the range that were followed by a booking
+     * of the same property by the same user. Guest visits without an account
+     * can't be matched to a booking and count as not converted.
+     */
+    async getVisitConversion(propertyIds, from, to) {
+        const rows = await Visit.aggregate([
+            { $match: { ...accessService.scopeMatch(propertyIds), createdAt: { $gte: from, $lt: to } } },
+            {
+                $lookup: {
+                    from: Booking.collection.name,
+                    let: { property: '$property', user: '$user', requestedAt: '$createdAt' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: {
+                                    $and: [
+                                        { $eq: ['$property', '$$property'] },
+                                        { $eq: ['$user', '$$user'] },
+                                        { $gte: ['$createdAt', '$$requestedAt'] },
+                                        { $ne: ['$status', 'cancelled'] }
+                                    ]
+                                }
+                            }
+                        },
+                        { $limit: 1 },
+                        { $project: { _id: 1 } }
+                    ],
+                    as: 'bookings'
+                }
+            },
+            {
+                $group: {
+                    _id: '$property',
+                    visits: { $sum: 1 },
+                    completedVisits: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                    cancelledVisits: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+                    converted: { $sum: { $cond: [{ $gt: [{ $size: '$bookings' }, 0] }, 1, 0] } }
+                }
+            },
+            { $sort: { visits: -1 } }
+        ]);
+
+        const byProperty = rows.map(({ _id, ...row }) => ({
+            property: _id,
+            ...row,
+            conversionRate: rate(row.converted, row.visits)
+        }));
+
+        const totals = byProperty.reduce((sum, row) => ({
+            visits: sum.visits + row.visits,
+            completedVisits: sum.completedVisits + row.completedVisits,
+            cancelledVisits: sum.cancelledVisits + row.cancelledVisits,
+            converted: sum.converted + row.converted
+        }), { visits: 0, completedVisits: 0, cancelledVisits: 0, converted: 0 });
+
+        return {
+            ...totals,
+            conversionRate: rate(totals.converted, totals.visits),
+            byProperty
+        };
+    }
+
+    /**
+     * Average booked stay in days for stays starting in the range
+     */
+    async getLengthOfStay(propertyIds, from, to) {
+        const [result] = await Booking.aggregate([
+            {
+                $match: {
+                    ...accessService.scopeMatch(propertyIds),
+                    status: { $in: STAY_STATUSES },
+                    checkIn: { $gte: from, $lt: to }
+                }
+            },
+            {
+                $project: {
+                    property: 1,
+                    days: { $divide: [{ $subtract: ['$checkOut', '$checkIn'] }, DAY_IN_MS] }
+                }
+            },
+            {
+                $facet: {
+                    overall: [
+                        { $group: { _id: null, stays: { $sum: 1 }, averageDays: { $avg: '$days' } } }
+                    ],
+                    byProperty: [
+                        {
+                            $group: {
+                                _id: '$property',
+                                stays: { $sum: 1 },
+                                averageDays: { $avg: '$days' },
+                                shortestDays: { $min: '$days' },
+                                longestDays: { $max: '$days' }
+                            }
+                        },
+                        { $sort: { averageDays: -1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const overall = result.overall[0] || { stays: 0, averageDays: 0 };
+
+        return {
+            stays: overall.stays,
+            averageDays: round(overall.averageDays || 0, 1),
+            byProperty: result.byProperty.map(({ _id, ...row }) => ({
+                property: _id,
+                stays: row.stays,
+                averageDays: round(row.averageDays, 1),
+                shortestDays: round(row.shortestDays, 1),
+                longestDays: round(row.longestDays, 1)
+            }))
+        };
+    }
+
+    /**
+     * Most viewed listings with the bookings they received in the range.
+     * Views are a lifetime counter, so they aren't limited to the range.
+     */
+    async getTopViewed(propertyIds, from, to) {
+        const rows = await Property.aggregate([
+            { $match: accessService.scopeMatch(propertyIds, '_id') },
+            { $sort: { views: -1 } },
+            { $limit: this.topListings },
+            {
+                $lookup: {
+                    from: Booking.collection.name,
+                    let: { property: '$_id' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: {
+                                    $and: [
+                                        { $eq: ['$property', '$$property'] },
+                                        { $gte: ['$createdAt', from] },
+                                        { $lt: ['$createdAt', to] },
+                                        { $ne: ['$status', 'cancelled'] }
+                                    ]
+                                }
+                            }
+                        },
+                        { $count: 'count' }
+                    ],
+                    as: 'bookings'
+                }
+            },
+            {
+                $project: {
+                    title: 1,
+                    views: 1,
+                    city: '$location.city',
+                    rating: '$rating.average',
+                    isAvailable: 1,
+                    bookings: { $ifNull: [{ $arrayElemAt: ['$bookings.count', 0] }, 0] }
+                }
+            }
+        ]);
+
+        return rows.map(row => ({
+            ...row,
+            viewToBookingRate: rate(row.bookings, row.views)
+        }));
+    }
+}
+
+module.exports = new OwnerAnalyticsService();
@@ -0,0 +1,86 @@
+// services/paymentProviders/mockProvider.js
+const crypto = require('crypto');
+
+/**
+ * Local payment provider for development and tests
+ * Mirrors the Razorpay order/capture/refund flow without network calls.
+ * Signatures are HMAC SHA256 with MOCK_PAYMENT_SECRET so callers can
+ * produce valid checkout callbacks and webhooks themselves. Anyone holding
+ * the secret can mark bookings paid, so it only runs when PAYMENT_PROVIDER=mock
+ * and never in production.
+ */
+class MockProvider {
+    constructor() {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('The mock payment provider cannot be used in production');
+        }
+        if (!process.env.MOCK_PAYMENT_SECRET) {
+            throw new Error('MOCK_PAYMENT_SECRET is required for the mock payment provider');
+        }
+
+        this.name = 'mock';
+        this.secret = process.env.MOCK_PAYMENT_SECRET;
+    }
+
+    generateId(prefix) {
+        return `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+    }
+
+    async createOrder({ amount, currency = 'INR' }) {
+        return {
+            orderId: this.generateId('order'),
+            amount,
+            currency,
+            status: 'created'
+        };
+    }
+
+    async capturePayment(paymentId) {
+        return { paymentId, status: 'captured' };
+    }
+
+    async refund(paymentId, amount) {
+        return {
+            refundId: this.generateId('rfnd'),
+            amount,
+            status: 'processed'
+        };
+    }
+
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+        return signature === this.sign(`${orderId}|${paymentId}`);
+    }
+
+    verifyWebhookSignature(rawBody, headers) {
+        if (!rawBody) return false;
+        return headers['x-mock-signature'] === this.sign(rawBody);
+    }
+
+    /**
+     * Webhook body: { event, eventId, orderId, paymentId, refundId, amount, errorReason }
+     * where event is one of authorized, captured, failed, refunded, refund_failed
+     */
+    parseWebhookEvent(body) {
+        return {
+            eventId: body.eventId || `${body.event}:${body.refundId || body.paymentId}`,
+            type: body.event,
+            rawType: body.event,
+            orderId: body.orderId,
+            paymentId: body.paymentId,
+            refundId: body.refundId || null,
+            amount: body.amount || 0,
+            method: body.method || 'mock',
+            errorReason: body.errorReason || null
+        };
+    }
+
+    getCheckoutConfig() {
+        return { provider: this.name };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,165 @@
+// services/paymentProviders/razorpayProvider.js
+const crypto = require('crypto');
+
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+
+// Razorpay webhook events mapped to the payment lifecycle
+const EVENT_TYPES = {
+    'payment.authorized': 'authorized',
+    'payment.captured': 'captured',
+    'order.paid': 'captured',
+    'payment.failed': 'failed',
+    'refund.processed': 'refunded',
+    'refund.failed': 'refund_failed'
+};
+
+/**
+ * Constant time comparison of two hex signatures
+ */
+const signaturesMatch = (expected, received) => {
+    if (!received || expected.length !== received.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+class RazorpayProvider {
+    constructor() {
+        this.name = 'razorpay';
+        this.keyId = process.env.RAZORPAY_KEY_ID;
+        this.keySecret = process.env.RAZORPAY_KEY_SECRET;
+        this.webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+        if (!this.keyId || !this.keySecret) {
+            throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required; set PAYMENT_PROVIDER=mock for local development');
+        }
+    }
+
+    /**
+     * Call the Razorpay REST API
+     */
+    async request(method, path, body) {
+        const auth = Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64');
+
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            method,
+            headers: {
+                Authorization: `Basic ${auth}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            const reason = data.error && data.error.description ? data.error.description : response.statusText;
+            throw new Error(`Razorpay request failed: ${reason}`);
+        }
+
+        return data;
+    }
+
+    /**
+     * Create an order the client checkout pays against
+     * @param {Object} options - amount (in rupees), currency, receipt and notes
+     */
+    async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+        const order = await this.request('POST', '/orders', {
+            amount: Math.round(amount * 100),
+            currency,
+            receipt,
+            notes
+        });
+
+        return {
+            orderId: order.id,
+            amount: order.amount / 100,
+            currency: order.currency,
+            status: order.status
+        };
+    }
+
+    /**
+     * Capture an authorized payment
+     */
+    async capturePayment(paymentId, amount, currency = 'INR') {
+        const payment = await this.request('POST', `/payments/${paymentId}/capture`, {
+            amount: Math.round(amount * 100),
+            currency
+        });
+
+        return { paymentId: payment.id, status: payment.status };
+    }
+
+    /**
+     * Refund a captured payment in full or in part
+     */
+    async refund(paymentId, amount, notes = {}) {
+        const refund = await this.request('POST', `/payments/${paymentId}/refund`, {
+            amount: Math.round(amount * 100),
+            notes
+        });
+
+        return {
+            refundId: refund.id,
+            amount: refund.amount / 100,
+            status: refund.status
+        };
+    }
+
+    /**
+     * Verify the signature returned to the client after checkout
+     */
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+        const expected = crypto
+            .createHmac('sha256', this.keySecret)
+            .update(`${orderId}|${paymentId}`)
+            .digest('hex');
+
+        return signaturesMatch(expected, signature);
+    }
+
+    /**
+     * Verify a webhook was sent by Razorpay
+     * @param {Buffer|string} rawBody - Unparsed request body
+     * @param {Object} headers - Request headers
+     */
+    verifyWebhookSignature(rawBody, headers) {
+        if (!rawBody || !this.webhookSecret) return false;
+
+        const expected = crypto
+            .createHmac('sha256', this.webhookSecret)
+            .update(rawBody)
+            .digest('hex');
+
+        return signaturesMatch(expected, headers['x-razorpay-signature']);
+    }
+
+    /**
+     * Normalise a webhook payload into a provider independent event
+     */
+    parseWebhookEvent(body, headers) {
+        const payment = body.payload && body.payload.payment ? body.payload.payment.entity : {};
+        const refund = body.payload && body.payload.refund ? body.payload.refund.entity : null;
+
+        return {
+            eventId: headers['x-razorpay-event-id'] || `${body.event}:${(refund || payment).id}`,
+            type: EVENT_TYPES[body.event] || null,
+            rawType: body.event,
+            orderId: payment.order_id,
+            paymentId: refund ? refund.payment_id : payment.id,
+            refundId: refund ? refund.id : null,
+            amount: ((refund || payment).amount || 0) / 100,
+            method: payment.method,
+            errorReason: payment.error_description || null
+        };
+    }
+
+    /**
+     * Public details the client checkout needs
+     */
+    getCheckoutConfig() {
+        return { provider: this.name, keyId: this.keyId };
+    }
+}
+
+module.exports = RazorpayProvider;
@@ -0,0 +1,270 @@
+// services/paymentService.js
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const RazorpayProvider = require('./paymentProviders/razorpayProvider');
+const MockProvider = require('./paymentProviders/mockProvider');
+
+const PROVIDERS = {
+    razorpay: RazorpayProvider,
+    mock: MockProvider
+};
+
+class PaymentService {
+    constructor() {
+        // The mock only runs when asked for; providers check their own configuration
+        // when first used, so the server still boots without payment credentials
+        this.providerName = process.env.PAYMENT_PROVIDER || 'razorpay';
+        this.activeProvider = null;
+    }
+
+    /**
+     * Active payment provider, created on first use
+     */
+    get provider() {
+        if (!this.activeProvider) {
+            this.setProvider(this.providerName);
+        }
+        return this.activeProvider;
+    }
+
+    /**
+     * Switch the active payment provider
+     * @param {string} name - Registered provider name
+     */
+    setProvider(name) {
+        const Provider = PROVIDERS[name];
+        if (!Provider) {
+            throw new Error(`Unknown payment provider: ${name}`);
+        }
+        this.activeProvider = new Provider();
+        this.providerName = name;
+    }
+
+    /**
+     * Create a payment order for a booking, reusing an open order for the same amount
+     * @param {Object} booking - Booking document
+     * @returns {Object} Payment record and checkout details for the client
+     */
+    async createOrderForBooking(booking) {
+        let payment = await Payment.findOne({
+            booking: booking._id,
+            provider: this.provider.name,
+            status: 'created',
+            amount: booking.totalAmount
+        });
+
+        if (!payment) {
+            const order = await this.provider.createOrder({
+                amount: booking.totalAmount,
+                receipt: booking.bookingReference,
+                notes: { bookingId: booking._id.toString() }
+            });
+
+            payment = await Payment.create({
+                booking: booking._id,
+                user: booking.user,
+                provider: this.provider.name,
+                orderId: order.orderId,
+                amount: order.amount,
+                currency: order.currency
+            });
+        }
+
+        booking.paymentOrderId = payment.orderId;
+        if (booking.paymentStatus === 'failed') {
+            booking.paymentStatus = 'pending';
+        }
+        await booking.save();
+
+        return {
+            payment,
+            checkout: {
+                ...this.provider.getCheckoutConfig(),
+                orderId: payment.orderId,
+                amount: payment.amount,
+                currency: payment.currency
+            }
+        };
+    }
+
+    /**
+     * Confirm a checkout callback signed by the provider
+     * @returns {Object|null} Updated payment, or null when the signature is invalid
+     */
+    async verifyCheckout({ orderId, paymentId, signature }) {
+        const payment = await Payment.findOne({ orderId });
+        if (!payment) {
+            return null;
+        }
+
+        const provider = new PROVIDERS[payment.provider]();
+        if (!provider.verifyPaymentSignature({ orderId, paymentId, signature })) {
+            return null;
+        }
+
+        return this.applyEvent(payment, {
+            eventId: `checkout:${paymentId}`,
+            type: 'captured',
+            paymentId
+        }, 'checkout');
+    }
+
+    /**
+     * Verify and apply a provider webhook
+     * @param {Buffer} rawBody - Unparsed request body used for the signature
+     * @param {Object} headers - Request headers
+     * @param {Object} body - Parsed request body
+     * @returns {Object} Whether the webhook was verified and applied
+     */
+    async handleWebhook(rawBody, headers, body) {
+        if (!this.provider.verifyWebhookSignature(rawBody, headers)) {
+            return { verified: false };
+        }
+
+        const event = this.provider.parseWebhookEvent(body, headers);
+        if (!event.type) {
+            return { verified: true, ignored: true };
+        }
+
+        const payment = event.orderId
+            ? await Payment.findOne({ orderId: event.orderId })
+            : await Payment.findOne({ paymentId: event.paymentId });
+
+        if (!payment) {
+            return { verified: true, ignored: true };
+        }
+
+        if (payment.hasProcessedEvent(event.eventId)) {
+            return { verified: true, duplicate: true, payment };
+        }
+
+        return { verified: true, payment: await this.applyEvent(payment, event, 'webhook') };
+    }
+
+    /**
+     * Move a payment and its booking through the payment lifecycle
+     * @param {Object} payment - Payment document
+     * @param {Object} event - Normalised provider event
+     * @param {string} source - checkout, webhook or admin
+     */
+    async applyEvent(payment, event, source) {
+        const booking = await Booking.findById(payment.booking);
+
+        switch (event.type) {
+            case 'authorized':
+                if (payment.status === 'created') {
+                    payment.status = 'authorized';
+                    payment.paymentId = event.paymentId;
+                }
+                break;
+
+            case 'captured':
+                if (['created', 'authorized', 'failed'].includes(payment.status)) {
+                    payment.status = 'captured';
+                    payment.paymentId = event.paymentId;
+                    payment.method = event.method || payment.method;
+                    payment.failureReason = undefined;
+                }
+                if (booking && booking.paymentStatus !== 'refunded') {
+                    booking.paymentStatus = 'paid';
+                    booking.paymentId = payment.paymentId;
+                }
+                break;
+
+            case 'failed':
+                if (['created', 'authorized'].includes(payment.status)) {
+                    payment.status = 'failed';
+                    payment.paymentId = event.paymentId;
+                    payment.failureReason = event.errorReason;
+                    if (booking && booking.paymentStatus === 'pending') {
+                        booking.paymentStatus = 'failed';
+                    }
+                }
+                break;
+
+            case 'refunded':
+            case 'refund_failed': {
+                const status = event.type === 'refunded' ? 'processed' : 'failed';
+                const refund = payment.refunds.find(r => r.refundId === event.refundId);
+
+                if (refund) {
+                    refund.status = status;
+                } else {
+                    payment.refunds.push({ refundId: event.refundId, amount: event.amount, status });
+                }
+
+                this.updateRefundStatus(payment, booking);
+                break;
+            }
+
+            default:
+                break;
+        }
+
+        payment.events.push({ eventId: event.eventId, type: event.type, source });
+        await payment.save();
+
+        if (booking) {
+            await booking.save();
+        }
+
+        return payment;
+    }
+
+    /**
+     * Keep payment and booking status in step with the refunds issued
+     */
+    updateRefundStatus(payment, booking) {
+        const refunded = payment.refundedAmount;
+
+        if (refunded <= 0) {
+            payment.status = 'captured';
+            return;
+        }
+
+        payment.status = refunded >= payment.amount ? 'refunded' : 'partially_refunded';
+
+        if (booking) {
+            booking.paymentStatus = 'refunded';
+            booking.refundAmount = refunded;
+        }
+    }
+
+    /**
+     * Refund the captured payment of a booking through its provider
+     * @param {Object} booking - Booking document (saved by the caller)
+     * @param {number} amount - Amount to refund
+     * @param {string} reason - Reason recorded with the refund
+     * @returns {Object|null} Refund details, or null when there is nothing to refund
+     */
+    async refundBooking(booking, amount, reason) {
+        const payment = await Payment.findOne({
+            booking: booking._id,
+            status: { $in: ['captured', 'partially_refunded'] }
+        }).sort({ createdAt: -1 });
+
+        if (!payment || amount <= 0) {
+            return null;
+        }
+
+        const refundable = payment.amount - payment.refundedAmount;
+        const refundAmount = Math.min(amount, refundable);
+
+        const provider = new PROVIDERS[payment.provider]();
+        const result = await provider.refund(payment.paymentId, refundAmount, { reason });
+
+        payment.refunds.push({
+            refundId: result.refundId,
+            amount: result.amount,
+            status: result.status === 'processed' ? 'processed' : 'pending',
+            reason
+        });
+        payment.events.push({ eventId: `admin:${result.refundId}`, type: 'refund_requested', source: 'admin' });
+        this.updateRefundStatus(payment, booking);
+        await payment.save();
+
+        return result;
+    }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,204 @@
+// services/phoneAuthService.js
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const notificationService = require('./notificationService');
+
+const MINUTE_IN_MS = 60 * 1000;
+
+class PhoneAuthService {
+    constructor() {
+        this.otpExpiryMinutes = parseInt(process.env.PHONE_OTP_EXPIRY_MINUTES, 10) || 5;
+        this.resendSeconds = parseInt(process.env.PHONE_OTP_RESEND_SECONDS, 10) || 60; // Cooldown between OTPs to one number
+        this.maxAttempts = parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS, 10) || 5; // Wrong codes before the number is locked
+        this.maxSends = parseInt(process.env.PHONE_OTP_MAX_SENDS, 10) || 5; // OTPs per number per send window
+        this.sendWindowMinutes = 60;
+        this.lockMinutes = parseInt(process.env.PHONE_OTP_LOCK_MINUTES, 10) || 15;
+        this.defaultCountryCode = process.env.DEFAULT_COUNTRY_CODE || '+91';
+    }
+
+    /**
+     * Normalize a phone number to E.164, adding the default country code to 10-digit numbers
+     * @param {string} phone - Phone number as entered
+     * @returns {string} E.164 phone number
+     * @throws {AppError} When the number isn't valid
+     */
+    normalizePhone(phone) {
+        const compact = String(phone || '').replace(/[\s\-()]/g, '');
+
+        if (/^\d{10}$/.test(compact)) {
+            return `${this.defaultCountryCode}${compact}`;
+        }
+        if (/^\+\d{11,14}$/.test(compact)) {
+            return compact;
+        }
+
+        throw new AppError('Please enter a valid phone number with country code (e.g. +911234567890) or 10-digit number', 400);
+    }
+
+    /**
+     * Find the account for a phone number; older accounts may store it without the country code
+     * @param {string} phone - E.164 phone number
+     */
+    async findUserByPhone(phone) {
+        const variants = [phone];
+        if (phone.startsWith(this.defaultCountryCode)) {
+            variants.push(phone.slice(this.defaultCountryCode.length));
+        }
+
+        return User.findOne({ phone: { $in: variants } }).sort({ createdAt: 1 });
+    }
+
+    /**
+     * Lock a number out after too many codes or attempts
+     */
+    lock(record) {
+        record.lockedUntil = new Date(Date.now() + this.lockMinutes * MINUTE_IN_MS);
+        record.codeHash = undefined;
+        record.expiresAt = undefined;
+        record.attempts = 0;
+    }
+
+    lockedError(record) {
+        const minutes = Math.ceil((record.lockedUntil.getTime() - Date.now()) / MINUTE_IN_MS);
+        return new AppError(`Too many attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`, 429);
+    }
+
+    /**
+     * Send a sign-in OTP to a phone number
+     * @param {string} rawPhone - Phone number as entered
+     * @returns {Promise<Object>} Normalized phone, OTP expiry and when another OTP can be requested
+     * @throws {AppError} When the number is locked, cooling down or out of sends, or the SMS fails
+     */
+    async sendOtp(rawPhone) {
+        const phone = this.normalizePhone(rawPhone);
+        const now = Date.now();
+
+        const record = (await PhoneOtp.findOne({ phone })) || new PhoneOtp({ phone });
+
+        if (record.isLocked) {
+            throw this.lockedError(record);
+        }
+
+        if (record.lastSentAt && now - record.lastSentAt.getTime() < this.resendSeconds * 1000) {
+            const wait = Math.ceil((record.lastSentAt.getTime() + this.resendSeconds * 1000 - now) / 1000);
+            throw new AppError(`Please wait ${wait} seconds before requesting another OTP`, 429);
+        }
+
+        if (!record.sendWindowStart || now - record.sendWindowStart.getTime() > this.sendWindowMinutes * MINUTE_IN_MS) {
+            record.sendWindowStart = new Date(now);
+            record.sendCount = 0;
+        }
+
+        if (record.sendCount >= this.maxSends) {
+            this.lock(record);
+            await record.save();
+            throw this.lockedError(record);
+        }
+
+        const otp = crypto.randomInt(100000, 1000000).toString();
+        const expiresAt = new Date(now + this.otpExpiryMinutes * MINUTE_IN_MS);
+
+        const outcome = await notificationService.send('login-otp', {
+            to: { phone },
+            channels: ['sms'],
+            data: { otp, expiresInMinutes: this.otpExpiryMinutes }
+        });
+
+        if (outcome.sms !== 'sent') {
+            throw new AppError('Could not send the OTP. Please try again', 502);
+        }
+
+        record.codeHash = PhoneOtp.hashCode(phone, otp);
+        record.expiresAt = expiresAt;
+        record.attempts = 0;
+        record.lastSentAt = new Date(now);
+        record.sendCount += 1;
+        await record.save();
+
+        return {
+            phone,
+            expiresAt,
+            resendAfter: new Date(now + this.resendSeconds * 1000)
+        };
+    }
+
+    /**
+     * Check a sign-in OTP and return the account, creating one for new numbers
+     * @param {string} rawPhone - Phone number as entered
+     * @param {string} otp - Code from the SMS
+     * @param {Object} profile - Optional name for a new account
+     * @returns {Promise<Object>} user and whether it was just created
+     * @throws {AppError} When the code is wrong or expired, or the number is locked
+     */
+    async verifyOtp(rawPhone, otp, { name } = {}) {
+        const phone = this.normalizePhone(rawPhone);
+        const now = new Date();
+
+        // Count the attempt before checking the code, atomically, so parallel guesses can't share one
+        const record = await PhoneOtp.findOneAndUpdate(
+            {
+                phone,
+                codeHash: { $exists: true, $ne: null },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+            },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        ).select('+codeHash');
+
+        if (!record) {
+            const existing = await PhoneOtp.findOne({ phone });
+            if (existing && existing.isLocked) {
+                throw this.lockedError(existing);
+            }
+            throw new AppError('Please request an OTP first', 400);
+        }
+
+        if (record.attempts > this.maxAttempts) {
+            this.lock(record);
+            await record.save();
+            throw this.lockedError(record);
+        }
+
+        if (record.expiresAt < now) {
+            throw new AppError('OTP has expired. Please request a new one', 400);
+        }
+
+        if (!record.matchCode(String(otp))) {
+            if (record.attempts >= this.maxAttempts) {
+                this.lock(record);
+                await record.save();
+                throw this.lockedError(record);
+            }
+
+            const remaining = this.maxAttempts - record.attempts;
+            throw new AppError(`Invalid OTP. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining`, 400);
+        }
+
+        // Consume the code; only one request can delete it, and not once a new code has been sent
+        const { deletedCount } = await PhoneOtp.deleteOne({ _id: record._id, codeHash: record.codeHash });
+        if (!deletedCount) {
+            throw new AppError('Please request an OTP first', 400);
+        }
+
+        let user = await this.findUserByPhone(phone);
+        const isNewUser = !user;
+
+        if (isNewUser) {
+            user = await User.create({
+                phone,
+                name,
+                role: 'user',
+                isPhoneVerified: true
+            });
+        } else if (!user.isPhoneVerified) {
+            user.isPhoneVerified = true;
+            await user.save();
+        }
+
+        return { user, isNewUser };
+    }
+}
+
+module.exports = new PhoneAuthService();
@@ -0,0 +1,227 @@
+// services/propertyAlertService.js
+const Property = require('../models/Property');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const DeliveryLog = require('../models/DeliveryLog');
+const jobScheduler = require('./jobScheduler');
+const notificationService = require('./notificationService');
+
+const HOUR_IN_MS = 1000 * 60 * 60;
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class PropertyAlertService {
+    constructor() {
+        // Don't alert a user about the same property twice within this window
+        this.cooldownHours = parseInt(process.env.PROPERTY_ALERT_COOLDOWN_HOURS, 10) || 24;
+    }
+
+    /**
+     * Register the alert job with the scheduler
+     */
+    registerJobs() {
+        jobScheduler.define('property-alerts:match', (data, job) => this.matchProperty(data, job));
+    }
+
+    /**
+     * Queue alerts for a property that was just listed or became available again.
+     * Matching runs in the background so the owner's request isn't held up.
+     * @param {Object} property - Property document
+     * @param {string} reason - new | available
+     */
+    async queue(property, reason) {
+        if (!property || !property.isAvailable) {
+            return null;
+        }
+
+        try {
+            return await jobScheduler.schedule('property-alerts:match', new Date(), {
+                propertyId: property._id.toString(),
+                reason
+            });
+        } catch (error) {
+            console.error('Failed to queue property alert:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a property fits a user's stored preferences (location, price range, property type)
+     */
+    matchesPreferences(user, property) {
+        const preferences = user.preferences || {};
+
+        if (!preferences.location ||
+            preferences.location.trim().toLowerCase() !== property.location.city.trim().toLowerCase()) {
+            return false;
+        }
+
+        if (preferences.propertyType && preferences.propertyType.length &&
+            !preferences.propertyType.includes(property.type)) {
+            return false;
+        }
+
+        const prices = (property.sharingType || []).map(option => option.price);
+        if (prices.length && preferences.priceRange) {
+            const { min = 0, max = Infinity } = preferences.priceRange;
+            return prices.some(price => price >= min && price <= max);
+        }
+
+        return true;
+    }
+
+    /**
+     * Saved searches that could match a property: alerting, and with no city, type, gender or price filter ruling it out.
+     * Only these are run against the property, instead of every saved search.
+     */
+    candidateSearchQuery(property) {
+        const prices = (property.sharingType || []).map(option => option.price);
+
+        // A city filter may list several cities, e.g. "Pune, Mumbai"
+        const city = new RegExp(`(^|,)\\s*${escapeRegExp(property.location.city.trim())}\\s*(,|$)`, 'i');
+
+        const clauses = [
+            { $or: [{ 'filters.city': { $in: [null, ''] } }, { 'filters.city': city }] },
+            { 'filters.type': { $in: [null, property.type] } },
+            { 'filters.gender': { $in: [null, property.gender] } }
+        ];
+
+        if (prices.length) {
+            clauses.push(
+                { $or: [{ 'filters.minPrice': null }, { 'filters.minPrice': { $lte: Math.max(...prices) } }] },
+                { $or: [{ 'filters.maxPrice': null }, { 'filters.maxPrice': { $gte: Math.min(...prices) } }] }
+            );
+        }
+
+        return {
+            'alerts.enabled': true,
+            user: { $ne: property.owner },
+            $and: clauses
+        };
+    }
+
+    /**
+     * Find the users to alert about a property, with the saved searches it matched
+     * @returns {Promise<Map>} userId => { savedSearches, preferences }
+     */
+    async findRecipients(property) {
+        const recipients = new Map();
+        const recipient = (userId) => {
+            const key = userId.toString();
+            if (!recipients.has(key)) {
+                recipients.set(key, { savedSearches: [], preferences: false });
+            }
+            return recipients.get(key);
+        };
+
+        const searches = SavedSearch.find(this.candidateSearchQuery(property)).cursor();
+        for await (const search of searches) {
+            const matches = await Property.exists({ ...search.toQuery(), _id: property._id });
+            if (matches) {
+                recipient(search.user).savedSearches.push(search);
+            }
+        }
+
+        const users = await User.find({
+            _id: { $ne: property.owner },
+            'preferences.alerts': { $ne: false },
+            'preferences.location': new RegExp(`^\\s*${escapeRegExp(property.location.city.trim())}\\s*$`, 'i')
+        }).select('preferences');
+
+        users
+            .filter(user => this.matchesPreferences(user, property))
+            .forEach(user => {
+                recipient(user._id).preferences = true;
+            });
+
+        return recipients;
+    }
+
+    /**
+     * Job handler: alert every user whose saved search or preferences match the property
+     */
+    async matchProperty(data, job) {
+        const property = await Property.findById(data.propertyId);
+
+        if (!property || !property.isAvailable) {
+            return { skipped: 'Property no longer available' };
+        }
+
+        const recipients = await this.findRecipients(property);
+        if (!recipients.size) {
+            return { matched: 0, notified: 0 };
+        }
+
+        const since = new Date(Date.now() - this.cooldownHours * HOUR_IN_MS);
+        const [notifiedInApp, notifiedByEmail] = await Promise.all([
+            Notification.distinct('user', { type: 'property-alert', property: property._id, createdAt: { $gte: since } }),
+            DeliveryLog.distinct('user', { type: 'property-alert', 'reference.id': property._id, status: 'sent', createdAt: { $gte: since } })
+        ]);
+        const recentlyNotified = new Set([...notifiedInApp, ...notifiedByEmail].map(String));
+
+        let notified = 0;
+        for (const [userId, match] of recipients) {
+            if (recentlyNotified.has(userId)) {
+                continue;
+            }
+
+            const user = await User.findById(userId).select('name email phone notificationPreferences reminderPreferences');
+            if (user) {
+                await this.notify(user, property, match, job);
+                notified += 1;
+            }
+        }
+
+        return { matched: recipients.size, notified };
+    }
+
+    /**
+     * Send one alert to a user, in-app and by email as their saved searches allow
+     */
+    async notify(user, property, match, job) {
+        const { savedSearches, preferences } = match;
+        const inApp = preferences || savedSearches.some(search => search.alerts.inApp);
+        const email = preferences || savedSearches.some(search => search.alerts.email);
+
+        const matchedBy = savedSearches.length
+            ? `your saved search "${savedSearches[0].name}"`
+            : 'your preferences';
+        const { startingPrice } = property;
+        const link = `/properties/${property._id}`;
+
+        const channels = [];
+        if (inApp) channels.push('in_app');
+        if (email) channels.push('email');
+
+        // Failed emails are retried per delivery, so the alert job itself never runs twice
+        await notificationService.send('property-alert', {
+            user,
+            channels,
+            data: {
+                name: user.name,
+                propertyTitle: property.title,
+                city: property.location.city,
+                startingPrice: startingPrice ? `₹${startingPrice}/month` : 'on request',
+                propertyUrl: `${process.env.FRONTEND_URL}${link}`,
+                matchedBy
+            },
+            reference: { kind: 'Property', id: property._id },
+            link,
+            fields: {
+                property: property._id,
+                savedSearch: savedSearches.length ? savedSearches[0]._id : undefined
+            },
+            job
+        });
+
+        if (savedSearches.length) {
+            await SavedSearch.updateMany(
+                { _id: { $in: savedSearches.map(search => search._id) } },
+                { $set: { lastAlertAt: new Date() }, $inc: { alertCount: 1 } }
+            );
+        }
+    }
+}
+
+module.exports = new PropertyAlertService();
@@ -0,0 +1,350 @@
+// services/propertySearchService.js
+const Property = require('../models/Property');
+const jobScheduler = require('./jobScheduler');
+
+// Starting monthly price buckets; anything above the last boundary lands in the open-ended bucket
+const PRICE_BOUNDARIES = [0, 5000, 10000, 15000, 20000, 30000];
+
+const SORT_FIELDS = {
+    createdAt: 'createdAt',
+    price: 'startingPrice',
+    rating: 'rating.average',
+    views: 'views'
+};
+
+const toList = (value) => [].concat(value === undefined ? [] : value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const and = (conditions) => {
+    const parts = conditions.filter(condition => Object.keys(condition).length);
+    return parts.length ? { $and: parts } : {};
+};
+
+// Price range on the starting price, the same field the price facet buckets and sortBy=price orders by
+const priceRange = (minPrice, maxPrice) => {
+    const range = {};
+    if (minPrice !== undefined && minPrice !== '' && !isNaN(minPrice)) {
+        range.$gte = Number(minPrice);
+    }
+    if (maxPrice !== undefined && maxPrice !== '' && !isNaN(maxPrice)) {
+        range.$lte = Number(maxPrice);
+    }
+    return Object.keys(range).length ? { startingPrice: range } : {};
+};
+
+const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+class PropertySearchService {
+    constructor() {
+        this.maxRadius = parseFloat(process.env.LOCATION_SEARCH_MAX_RADIUS_KM) || 50;
+    }
+
+    /**
+     * Register the property search jobs with the scheduler
+     */
+    registerJobs() {
+        jobScheduler.define('properties:backfill-points', () => this.backfillPoints());
+
+        // Runs once per database: properties from before distance search have no GeoJSON point
+        jobScheduler.schedule('properties:backfill-points', new Date(), {}, { uniqueKey: 'properties:backfill-points' })
+            .catch(error => console.error('Scheduling property point backfill failed:', error.message));
+
+        jobScheduler.define('properties:backfill-room-summary', () => this.backfillRoomSummaries());
+
+        // Runs once per database: properties from before room options were summarised on them have no starting price or room features
+        jobScheduler.schedule('properties:backfill-room-summary', new Date(), {}, { uniqueKey: 'properties:backfill-room-summary' })
+            .catch(error => console.error('Scheduling property room summary backfill failed:', error.message));
+    }
+
+    /**
+     * Split the request filters by facet. Every facet counts properties matching all
+     * the other filters but not its own, so unselected options still show their counts.
+     * @param {Object} params - Query string of GET /api/properties/search
+     * @returns {Object} base (applied first), facet filters and the combined results filter
+     */
+    buildFilters(params) {
+        const base = Property.buildSearchQuery({
+            search: params.search,
+            isFeatured: params.isFeatured
+        });
+
+        base.isAvailable = params.isAvailable !== 'false';
+
+        if (params.bulkAccommodation !== undefined) {
+            base.bulkAccommodation = params.bulkAccommodation === 'true';
+        }
+        if (toList(params.bulkAccommodationType).length) {
+            base.bulkAccommodationType = { $in: toList(params.bulkAccommodationType) };
+        }
+
+        const amenities = toList(params.amenities);
+        const acTypes = toList(params.acType);
+        const meals = toList(params.meals).filter(value => ['true', 'false'].includes(value));
+
+        const facets = {
+            city: Property.buildSearchQuery({ city: params.city }),
+            type: Property.buildSearchQuery({ type: params.type }),
+            gender: Property.buildSearchQuery({ gender: params.gender }),
+            sharingType: Property.buildSearchQuery({ sharingType: params.sharingType }),
+            price: priceRange(params.minPrice, params.maxPrice),
+            // Selecting amenities narrows the results: a property needs all of them
+            amenities: amenities.length ? { amenities: { $all: amenities } } : {},
+            acType: acTypes.length ? { 'roomFeatures.acTypes': { $in: acTypes } } : {},
+            meals: meals.length ? { 'roomFeatures.meals': { $in: meals.map(value => value === 'true') } } : {}
+        };
+
+        const results = and(Object.values(facets));
+
+        return { base, facets, results };
+    }
+
+    /**
+     * Filter for one facet: every other facet filter, plus its own when it narrows (amenities)
+     */
+    facetFilter(facets, name) {
+        return and(Object.entries(facets)
+            .filter(([facet]) => facet !== name || facet === 'amenities')
+            .map(([, condition]) => condition));
+    }
+
+    buildSort(params, hasText) {
+        const order = params.sortOrder === 'asc' ? 1 : -1;
+
+        if (SORT_FIELDS[params.sortBy]) {
+            return { [SORT_FIELDS[params.sortBy]]: order, _id: 1 };
+        }
+        if (hasText) {
+            return { _score: -1, _id: 1 };
+        }
+        return { createdAt: -1, _id: 1 };
+    }
+
+    /**
+     * Search available properties and count the options of every filter
+     * @param {Object} params - Filters, sortBy, sortOrder, page, limit
+     * @returns {Promise<Object>} properties, facets, total, page, limit
+     */
+    async search(params = {}) {
+        const page = Math.max(parseInt(params.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(params.limit) || 10, 1), 100);
+        const { base, facets, results } = this.buildFilters(params);
+        const hasText = !!base.$text;
+
+        const countFacet = (name, stages) => [{ $match: this.facetFilter(facets, name) }, ...stages];
+
+        const pipeline = [
+            // $text has to be in the first stage
+            { $match: base },
+            // Carry only what the filters, facets and sort read into $facet; room options are
+            // summarised on the property, so nothing is joined per matched property
+            {
+                $project: {
+                    _score: hasText ? { $meta: 'textScore' } : { $literal: 0 },
+                    'location.city': 1,
+                    type: 1,
+                    gender: 1,
+                    sharingType: 1,
+                    amenities: 1,
+                    roomFeatures: 1,
+                    startingPrice: 1,
+                    createdAt: 1,
+                    'rating.average': 1,
+                    views: 1,
+                    _sharingTypes: { $setUnion: ['$sharingType.type', []] }
+                }
+            },
+            {
+                $facet: {
+                    results: [
+                        { $match: results },
+                        { $sort: this.buildSort(params, hasText) },
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        { $project: { _id: 1 } }
+                    ],
+                    total: [{ $match: results }, { $count: 'count' }],
+                    city: countFacet('city', countBy('$location.city')),
+                    type: countFacet('type', countBy('$type')),
+                    gender: countFacet('gender', countBy('$gender')),
+                    sharingType: countFacet('sharingType', [{ $unwind: '$_sharingTypes' }, ...countBy('$_sharingTypes')]),
+                    amenities: countFacet('amenities', [{ $unwind: '$amenities' }, ...countBy('$amenities')]),
+                    acType: countFacet('acType', [{ $unwind: '$roomFeatures.acTypes' }, ...countBy('$roomFeatures.acTypes')]),
+                    meals: countFacet('meals', [{ $unwind: '$roomFeatures.meals' }, ...countBy('$roomFeatures.meals')]),
+                    price: countFacet('price', [
+                        { $match: { startingPrice: { $ne: null } } },
+                        {
+                            $bucket: {
+                                groupBy: '$startingPrice',
+                                boundaries: PRICE_BOUNDARIES,
+                                default: 'above',
+                                output: { count: { $sum: 1 } }
+                            }
+                        }
+                    ])
+                }
+            }
+        ];
+
+        const [result] = await Property.aggregate(pipeline);
+
+        // Load the page through the model so it has the same shape as the listing
+        const ids = result.results.map(item => item._id);
+        const documents = await Property.find({ _id: { $in: ids } })
+            .populate('owner', 'name email phone')
+            .populate({ path: 'roomOptions' });
+        const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+
+        return {
+            properties: ids.map(id => byId.get(id.toString())).filter(Boolean),
+            facets: {
+                city: result.city,
+                type: result.type,
+                gender: result.gender,
+                sharingType: result.sharingType,
+                amenities: result.amenities,
+                price: this.formatPriceBuckets(result.price),
+                acType: result.acType,
+                meals: result.meals
+            },
+            total: result.total.length ? result.total[0].count : 0,
+            page,
+            limit
+        };
+    }
+
+    /**
+     * Available properties within a radius of a point, nearest first
+     * @param {Object} point - GeoJSON point to measure from
+     * @param {Object} params - Listing filters, radius (km), page, limit
+     * @returns {Promise<Object>} properties (each with distanceKm), total, page, limit, radius
+     */
+    async searchNear(point, params = {}) {
+        const page = Math.max(parseInt(params.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(params.limit) || 20, 1), 100);
+        const radius = Math.min(parseFloat(params.radius) || 10, this.maxRadius);
+
+        // $geoNear can't be combined with $text, so free-text search doesn't apply here
+        const filter = Property.buildSearchQuery({
+            type: params.type,
+            gender: params.gender,
+            minPrice: params.minPrice,
+            maxPrice: params.maxPrice,
+            sharingType: params.sharingType,
+            amenities: params.amenities
+        });
+        filter.isAvailable = true;
+
+        const [result] = await Property.aggregate([
+            {
+                $geoNear: {
+                    near: point,
+                    key: 'location.point',
+                    distanceField: '_distance',
+                    maxDistance: radius * 1000,
+                    query: filter,
+                    spherical: true
+                }
+            },
+            {
+                $facet: {
+                    results: [
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        { $project: { _id: 1, _distance: 1 } }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const documents = await Property.find({ _id: { $in: result.results.map(item => item._id) } })
+            .populate('owner', 'name email phone');
+        const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+
+        return {
+            properties: result.results
+                .filter(item => byId.has(item._id.toString()))
+                .map(item => ({
+                    ...byId.get(item._id.toString()).toJSON(),
+                    distanceKm: Math.round(item._distance / 10) / 100
+                })),
+            total: result.total.length ? result.total[0].count : 0,
+            page,
+            limit,
+            radius
+        };
+    }
+
+    /**
+     * Give properties with { lat, lng } coordinates the GeoJSON point distance search uses,
+     * and drop the old index on the coordinates, which read them in the wrong order
+     * @returns {Promise<Object>} Number of properties updated
+     */
+    async backfillPoints() {
+        try {
+            await Property.collection.dropIndex('location.coordinates_2dsphere');
+        } catch (error) {
+            // IndexNotFound: already dropped, or never built
+            if (error.code !== 27) throw error;
+        }
+
+        const result = await Property.updateMany(
+            {
+                'location.point': { $exists: false },
+                'location.coordinates.lat': { $gte: -90, $lte: 90 },
+                'location.coordinates.lng': { $gte: -180, $lte: 180 }
+            },
+            [{
+                $set: {
+                    'location.point': {
+                        type: 'Point',
+                        coordinates: ['$location.coordinates.lng', '$location.coordinates.lat']
+                    }
+                }
+            }]
+        );
+
+        await Property.createIndexes();
+        return { updated: result.modifiedCount };
+    }
+
+    /**
+     * Store the starting price and room features of properties saved before they were kept on the property
+     * @returns {Promise<Object>} Number of properties updated
+     */
+    async backfillRoomSummaries() {
+        let updated = 0;
+
+        for await (const property of Property.find({ roomFeatures: { $exists: false } }).select('sharingType').cursor()) {
+            await Property.updateOne({ _id: property._id }, await property.summariseRoomOptions());
+            updated += 1;
+        }
+
+        return { updated };
+    }
+
+    /**
+     * Turn $bucket output into { min, max, count }; max is null for the open-ended bucket
+     */
+    formatPriceBuckets(buckets) {
+        const counts = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+        const last = PRICE_BOUNDARIES[PRICE_BOUNDARIES.length - 1];
+
+        return [
+            ...PRICE_BOUNDARIES.slice(0, -1).map((min, index) => ({
+                min,
+                max: PRICE_BOUNDARIES[index + 1],
+                count: counts.get(min) || 0
+            })),
+            { min: last, max: null, count: counts.get('above') || 0 }
+        ];
+    }
+}
+
+module.exports = new PropertySearchService();
@@ -0,0 +1,162 @@
+// services/realtimeService.js
+const accessService = require('./accessService');
+const sessionService = require('./sessionService');
+
+// Event -> permission a dashboard needs to receive it. Events about a
+// property only reach owners and managers of that property.
+const REALTIME_EVENTS = {
+    'booking.created': { permission: 'bookings:read', propertyScoped: true },
+    'visit.created': { permission: 'visits:read', propertyScoped: true },
+    'lead.created': { permission: 'leads:read' },
+    'contact.created': { permission: 'leads:read' },
+    'spam.report.created': { permission: 'spam:moderate' },
+    'spam.report.urgent': { permission: 'spam:moderate' }
+};
+
+/**
+ * Pushes dashboard events to connected staff over Server-Sent Events.
+ * Connections live in this process; with several instances behind a load
+ * balancer each one only sees the events it published.
+ */
+class RealtimeService {
+    constructor() {
+        this.heartbeatMs = (parseInt(process.env.REALTIME_HEARTBEAT_SECONDS, 10) || 25) * 1000;
+        this.maxConnectionsPerUser = parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER, 10) || 5;
+        this.clients = new Set();
+        this.nextEventId = 1;
+    }
+
+    /**
+     * Events a user may receive
+     * @param {Object} user - Authenticated user
+     * @returns {Array<string>} Event names
+     */
+    getAllowedEvents(user) {
+        return Object.keys(REALTIME_EVENTS).filter(event =>
+            accessService.hasPermission(user, REALTIME_EVENTS[event].permission));
+    }
+
+    /**
+     * Work out which events a user gets and for which properties
+     */
+    async buildSubscriptions(user, requested) {
+        const subscriptions = {};
+
+        for (const event of this.getAllowedEvents(user)) {
+            if (requested && !requested.includes(event)) {
+                continue;
+            }
+            const { permission, propertyScoped } = REALTIME_EVENTS[event];
+            subscriptions[event] = propertyScoped ? await accessService.getPropertyScope(user, permission) : null;
+        }
+
+        return subscriptions;
+    }
+
+    write(client, event, data, id) {
+        client.res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Open an event stream for the request and keep it until the client disconnects
+     * @param {Object} req - Authenticated request
+     * @param {Object} res - Response to stream on
+     * @param {Array<string>} [requested] - Only these events
+     * @returns {Promise<boolean>} false when the user may not open another stream
+     */
+    async subscribe(req, res, requested) {
+        const userId = req.user._id.toString();
+        const open = [...this.clients].filter(client => client.userId === userId).length;
+        if (open >= this.maxConnectionsPerUser) {
+            return false;
+        }
+
+        const client = {
+            userId,
+            sessionId: req.sessionId,
+            res,
+            subscriptions: await this.buildSubscriptions(req.user, requested)
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stop nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: 5000\n\n`);
+        this.write(client, 'ready', { events: Object.keys(client.subscriptions) });
+
+        // Comments keep proxies from closing an idle stream; a signed out session ends it
+        client.heartbeat = setInterval(async () => {
+            if (client.sessionId && !(await sessionService.isActive(client.sessionId).catch(() => true))) {
+                this.write(client, 'session.ended', {});
+                return this.close(client);
+            }
+            res.write(': heartbeat\n\n');
+        }, this.heartbeatMs);
+
+        // The stream lasts no longer than the access token it was opened with; the client reconnects with a fresh one
+        if (req.tokenExpiresAt) {
+            client.expiry = setTimeout(() => {
+                this.write(client, 'token.expired', {});
+                this.close(client);
+            }, Math.max(req.tokenExpiresAt.getTime() - Date.now(), 0));
+        }
+
+        this.clients.add(client);
+        req.on('close', () => this.close(client));
+        return true;
+    }
+
+    close(client) {
+        clearInterval(client.heartbeat);
+        clearTimeout(client.expiry);
+        this.clients.delete(client);
+        client.res.end();
+    }
+
+    /**
+     * Send an event to every connected dashboard allowed to see it
+     * @param {string} event - Key of REALTIME_EVENTS
+     * @param {Object} data - Event payload
+     * @param {Object} [options] - property the event is about, for property-scoped events
+     */
+    publish(event, data, { property } = {}) {
+        if (!REALTIME_EVENTS[event]) {
+            throw new Error(`Unknown realtime event: ${event}`);
+        }
+        if (!this.clients.size) {
+            return 0;
+        }
+
+        const id = this.nextEventId++;
+        const propertyId = property ? (property._id || property).toString() : null;
+        const payload = { ...data, occurredAt: new Date().toISOString() };
+        let delivered = 0;
+
+        for (const client of this.clients) {
+            if (!(event in client.subscriptions)) {
+                continue;
+            }
+
+            const scope = client.subscriptions[event];
+            if (scope !== null && !(propertyId && scope.includes(propertyId))) {
+                continue;
+            }
+
+            try {
+                this.write(client, event, payload, id);
+                delivered += 1;
+            } catch (error) {
+                console.error(`Realtime ${event} to ${client.userId} failed:`, error.message);
+                this.close(client);
+            }
+        }
+
+        return delivered;
+    }
+}
+
+module.exports = new RealtimeService();
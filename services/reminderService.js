@@ -0,0 +1,201 @@
+// services/reminderService.js
+const Visit = require('../models/Visit');
+const Booking = require('../models/Booking');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const jobScheduler = require('./jobScheduler');
+const notificationService = require('./notificationService');
+
+const HOUR_IN_MS = 1000 * 60 * 60;
+const DAY_IN_MS = HOUR_IN_MS * 24;
+
+// Parse a comma separated list of numbers, e.g. "24,1"
+const parseOffsets = (value, fallback) => {
+    const offsets = String(value || '')
+        .split(',')
+        .map(Number)
+        .filter(offset => offset > 0);
+    return offsets.length ? offsets : fallback;
+};
+
+class ReminderService {
+    constructor() {
+        this.sweepInterval = parseInt(process.env.REMINDER_SWEEP_INTERVAL_MS, 10) || 15 * 60 * 1000;
+        this.timeZone = process.env.REMINDER_TIMEZONE || 'Asia/Kolkata';
+        this.visitOffsetsHours = parseOffsets(process.env.VISIT_REMINDER_HOURS, [24, 1]);
+        this.checkInOffsetsHours = parseOffsets(process.env.CHECKIN_REMINDER_HOURS, [24]);
+        this.rentDueOffsetsDays = parseOffsets(process.env.RENT_REMINDER_DAYS, [3, 1]);
+    }
+
+    /**
+     * Register the reminder jobs with the scheduler
+     */
+    registerJobs() {
+        jobScheduler.every('reminders:sweep', this.sweepInterval, () => this.sweep());
+        jobScheduler.define('reminders:visit', (data, job) => this.sendVisitReminder(data, job));
+        jobScheduler.define('reminders:check-in', (data, job) => this.sendCheckInReminder(data, job));
+        jobScheduler.define('reminders:rent-due', (data, job) => this.sendRentDueReminder(data, job));
+    }
+
+    formatDateTime(date) {
+        return new Date(date).toLocaleString('en-IN', {
+            timeZone: this.timeZone,
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+    }
+
+    formatDate(date) {
+        return new Date(date).toLocaleDateString('en-IN', {
+            timeZone: this.timeZone,
+            dateStyle: 'medium'
+        });
+    }
+
+    /**
+     * Schedule one reminder job per offset before a target time.
+     * Offsets whose send time passed before the last sweep are skipped.
+     * @param {string} name - Reminder job name
+     * @param {string} key - Unique key prefix, e.g. visit-reminder:<id>
+     * @param {Date} target - Time the reminder is about
+     * @param {Array<number>} offsetsMs - How long before the target to send
+     * @param {Object} data - Job payload
+     * @returns {Promise<number>} Number of jobs scheduled
+     */
+    async scheduleOffsets(name, key, target, offsetsMs, data) {
+        const earliest = Date.now() - this.sweepInterval;
+        let scheduled = 0;
+
+        for (const offset of offsetsMs) {
+            const runAt = new Date(target.getTime() - offset);
+            if (runAt.getTime() < earliest) {
+                continue;
+            }
+
+            // The target time is part of the key, so a reschedule gets fresh reminders
+            await jobScheduler.schedule(name, runAt, { ...data, target: target.getTime() }, {
+                uniqueKey: `${key}:${target.getTime()}:${offset}`
+            });
+            scheduled += 1;
+        }
+
+        return scheduled;
+    }
+
+    /**
+     * Schedule reminders for upcoming visits, check-ins and rent due dates
+     */
+    async sweep() {
+        const now = new Date();
+        const visitOffsets = this.visitOffsetsHours.map(hours => hours * HOUR_IN_MS);
+        const checkInOffsets = this.checkInOffsetsHours.map(hours => hours * HOUR_IN_MS);
+        const rentDueOffsets = this.rentDueOffsetsDays.map(days => days * DAY_IN_MS);
+
+        const horizon = (offsets) => new Date(now.getTime() + Math.max(...offsets) + this.sweepInterval);
+
+        const [visits, bookings, invoices] = await Promise.all([
+            Visit.find({
+                status: { $in: Visit.ACTIVE_STATUSES },
+                scheduledAt: { $gt: now, $lte: horizon(visitOffsets) }
+            }).select('scheduledAt'),
+            Booking.find({
+                status: 'confirmed',
+                checkIn: { $gt: now, $lte: horizon(checkInOffsets) }
+            }).select('checkIn'),
+            Invoice.find({
+                status: { $in: ['pending', 'partially_paid'] },
+                dueDate: { $gt: now, $lte: horizon(rentDueOffsets) }
+            }).select('dueDate')
+        ]);
+
+        let scheduled = 0;
+
+        for (const visit of visits) {
+            scheduled += await this.scheduleOffsets('reminders:visit', `visit-reminder:${visit._id}`,
+                visit.scheduledAt, visitOffsets, { visitId: visit._id.toString() });
+        }
+        for (const booking of bookings) {
+            scheduled += await this.scheduleOffsets('reminders:check-in', `check-in-reminder:${booking._id}`,
+                booking.checkIn, checkInOffsets, { bookingId: booking._id.toString() });
+        }
+        for (const invoice of invoices) {
+            scheduled += await this.scheduleOffsets('reminders:rent-due', `rent-due-reminder:${invoice._id}`,
+                invoice.dueDate, rentDueOffsets, { invoiceId: invoice._id.toString() });
+        }
+
+        return { visits: visits.length, bookings: bookings.length, invoices: invoices.length, scheduled };
+    }
+
+    /**
+     * Reminder for a scheduled visit; skipped if the visit was cancelled or moved
+     */
+    async sendVisitReminder(data, job) {
+        const visit = await Visit.findById(data.visitId).populate('property', 'title');
+
+        if (!visit || !visit.isActive || visit.scheduledAt.getTime() !== data.target || visit.scheduledAt <= new Date()) {
+            return { skipped: 'Visit no longer due' };
+        }
+
+        const user = visit.user ? await User.findById(visit.user) : null;
+        const propertyTitle = visit.property ? visit.property.title : 'the property';
+        const when = this.formatDateTime(visit.scheduledAt);
+
+        return notificationService.send('visit-reminder', {
+            user,
+            to: { phone: visit.phone, email: visit.email || (user && user.email) },
+            data: { name: visit.name, propertyTitle, when, mode: visit.mode },
+            reference: { kind: 'Visit', id: visit._id },
+            job
+        });
+    }
+
+    /**
+     * Reminder for an upcoming check-in; skipped if the booking changed
+     */
+    async sendCheckInReminder(data, job) {
+        const booking = await Booking.findById(data.bookingId).populate('property', 'title');
+
+        if (!booking || booking.status !== 'confirmed' || booking.checkIn.getTime() !== data.target || booking.checkIn <= new Date()) {
+            return { skipped: 'Check-in no longer due' };
+        }
+
+        const user = await User.findById(booking.user);
+        const propertyTitle = booking.property ? booking.property.title : 'your property';
+        const checkIn = this.formatDateTime(booking.checkIn);
+
+        return notificationService.send('check-in-reminder', {
+            user,
+            to: { phone: booking.phoneNumber, email: booking.email },
+            data: { name: booking.fullName, propertyTitle, checkIn, bookingReference: booking.bookingReference },
+            reference: { kind: 'Booking', id: booking._id },
+            job
+        });
+    }
+
+    /**
+     * Reminder for rent coming due; skipped once the invoice is paid or cancelled
+     */
+    async sendRentDueReminder(data, job) {
+        const invoice = await Invoice.findById(data.invoiceId);
+
+        if (!invoice || !['pending', 'partially_paid'].includes(invoice.status) || invoice.dueDate.getTime() !== data.target) {
+            return { skipped: 'Invoice no longer due' };
+        }
+
+        const user = await User.findById(invoice.user);
+        if (!user) {
+            return { skipped: 'User not found' };
+        }
+
+        const dueDate = this.formatDate(invoice.dueDate);
+
+        return notificationService.send('rent-due-reminder', {
+            user,
+            data: { name: user.name, invoiceNumber: invoice.invoiceNumber, amountDue: invoice.balanceDue, dueDate },
+            reference: { kind: 'Invoice', id: invoice._id },
+            job
+        });
+    }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,300 @@
+// services/seoService.js
+const slugify = require('slugify');
+const Property = require('../models/Property');
+const City = require('../models/City');
+const Blog = require('../models/Blog');
+const SiteSettings = require('../models/SiteSetting');
+
+// A sitemap file may list at most this many URLs
+const SITEMAP_URL_LIMIT = 50000;
+
+const SHARING_LABELS = {
+    single: 'Single sharing',
+    double: 'Double sharing',
+    triple: 'Triple sharing',
+    quadruple: 'Quadruple sharing'
+};
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toTitleCase = (value) => String(value).toLowerCase().replace(/\b\w/g, char => char.toUpperCase());
+
+/**
+ * Builds what crawlers read: the sitemap, the blog feeds and structured data for listings.
+ * Links point at the public site, so the page paths must match the frontend's routes.
+ */
+class SeoService {
+    constructor() {
+        this.siteUrl = (process.env.FRONTEND_URL || 'https://vizima.in').replace(/\/+$/, '');
+        this.propertyPath = process.env.SEO_PROPERTY_PATH || '/properties/:id';
+        this.cityPath = process.env.SEO_CITY_PATH || '/city/:slug';
+        this.blogPath = process.env.SEO_BLOG_PATH || '/blogs/:slug';
+        this.feedSize = parseInt(process.env.SEO_FEED_SIZE, 10) || 50;
+        this.currency = process.env.SEO_CURRENCY || 'INR';
+    }
+
+    propertyUrl(property) {
+        return `${this.siteUrl}${this.propertyPath.replace(':id', property._id)}`;
+    }
+
+    cityUrl(slug) {
+        return `${this.siteUrl}${this.cityPath.replace(':slug', slug)}`;
+    }
+
+    blogUrl(blog) {
+        return `${this.siteUrl}${this.blogPath.replace(':slug', blog.slug)}`;
+    }
+
+    /**
+     * Atom entry ID that stays the same when a post's slug changes
+     */
+    entryId(post) {
+        const host = new URL(this.siteUrl).host;
+        return `tag:${host},${new Date(post.publishDate).toISOString().slice(0, 10)}:blog:${post._id}`;
+    }
+
+    /**
+     * Site name and description for feed headers, from the site settings when set
+     */
+    async getSiteInfo() {
+        const settings = await SiteSettings.findOne().select('siteName siteDescription').lean();
+        return {
+            name: (settings && settings.siteName) || process.env.SITE_NAME || 'Vizima',
+            description: (settings && settings.siteDescription) || ''
+        };
+    }
+
+    /**
+     * sitemap.xml with every property, visible city landing page and published blog
+     * @returns {Promise<string>} XML
+     */
+    async buildSitemap() {
+        const [properties, cities, cityActivity, blogs] = await Promise.all([
+            Property.find().select('_id updatedAt').sort({ updatedAt: -1 }).lean(),
+            City.find({ isVisible: true }).select('name slug updatedAt').sort({ order: 1 }).lean(),
+            Property.aggregate([
+                { $group: { _id: { $toLower: '$location.city' }, updatedAt: { $max: '$updatedAt' } } }
+            ]),
+            Blog.find({ status: 'published' }).select('slug updatedAt').sort({ publishDate: -1 }).lean()
+        ]);
+
+        // A city page changes whenever one of its listings does
+        const cityUpdatedAt = new Map(cityActivity.map(item => [item._id, item.updatedAt]));
+
+        const urls = [
+            ...cities.map(city => {
+                const listingsUpdatedAt = cityUpdatedAt.get(city.name.toLowerCase());
+                return {
+                    loc: this.cityUrl(city.slug || slugify(city.name, { lower: true, strict: true })),
+                    lastmod: listingsUpdatedAt > city.updatedAt ? listingsUpdatedAt : city.updatedAt,
+                    changefreq: 'daily',
+                    priority: '0.8'
+                };
+            }),
+            ...properties.map(property => ({
+                loc: this.propertyUrl(property),
+                lastmod: property.updatedAt,
+                changefreq: 'weekly',
+                priority: '0.7'
+            })),
+            ...blogs.map(blog => ({
+                loc: this.blogUrl(blog),
+                lastmod: blog.updatedAt,
+                changefreq: 'monthly',
+                priority: '0.5'
+            }))
+        ];
+
+        if (urls.length > SITEMAP_URL_LIMIT) {
+            console.warn(`Sitemap has ${urls.length} URLs; only the first ${SITEMAP_URL_LIMIT} are listed`);
+        }
+
+        const entries = urls.slice(0, SITEMAP_URL_LIMIT).map(url => [
+            '  <url>',
+            `    <loc>${escapeXml(url.loc)}</loc>`,
+            url.lastmod ? `    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>` : null,
+            `    <changefreq>${url.changefreq}</changefreq>`,
+            `    <priority>${url.priority}</priority>`,
+            '  </url>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...entries,
+            '</urlset>'
+        ].join('\n');
+    }
+
+    /**
+     * Latest published blogs with their author and category
+     */
+    getFeedPosts() {
+        return Blog.find({ status: 'published' })
+            .select('title slug excerpt category tags publishDate updatedAt userId')
+            .populate('category', 'name')
+            .populate('tags', 'name')
+            .populate('userId', 'name')
+            .sort({ publishDate: -1 })
+            .limit(this.feedSize)
+            .lean();
+    }
+
+    /**
+     * RSS 2.0 feed of published blogs
+     * @param {string} feedUrl - Where the feed itself is served
+     * @returns {Promise<string>} XML
+     */
+    async buildRssFeed(feedUrl) {
+        const [site, posts] = await Promise.all([this.getSiteInfo(), this.getFeedPosts()]);
+
+        const items = posts.map(post => [
+            '    <item>',
+            `      <title>${escapeXml(post.title)}</title>`,
+            `      <link>${escapeXml(this.blogUrl(post))}</link>`,
+            `      <guid isPermaLink="false">${post._id}</guid>`,
+            `      <pubDate>${new Date(post.publishDate).toUTCString()}</pubDate>`,
+            post.userId ? `      <dc:creator>${escapeXml(post.userId.name)}</dc:creator>` : null,
+            ...[post.category, ...(post.tags || [])].filter(Boolean)
+                .map(term => `      <category>${escapeXml(term.name)}</category>`),
+            post.excerpt ? `      <description>${escapeXml(post.excerpt)}</description>` : null,
+            '    </item>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            '  <channel>',
+            `    <title>${escapeXml(`${site.name} Blog`)}</title>`,
+            `    <link>${escapeXml(this.siteUrl)}</link>`,
+            `    <description>${escapeXml(site.description || `Latest posts from ${site.name}`)}</description>`,
+            '    <language>en-in</language>',
+            `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+            posts.length ? `    <lastBuildDate>${new Date(posts[0].publishDate).toUTCString()}</lastBuildDate>` : null,
+            ...items,
+            '  </channel>',
+            '</rss>'
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Atom feed of published blogs
+     * @param {string} feedUrl - Where the feed itself is served
+     * @returns {Promise<string>} XML
+     */
+    async buildAtomFeed(feedUrl) {
+        const [site, posts] = await Promise.all([this.getSiteInfo(), this.getFeedPosts()]);
+        const updated = posts.reduce((latest, post) => (post.updatedAt > latest ? post.updatedAt : latest), new Date(0));
+
+        const entries = posts.map(post => [
+            '  <entry>',
+            `    <title>${escapeXml(post.title)}</title>`,
+            `    <link href="${escapeXml(this.blogUrl(post))}"/>`,
+            `    <id>${escapeXml(this.entryId(post))}</id>`,
+            `    <published>${new Date(post.publishDate).toISOString()}</published>`,
+            `    <updated>${new Date(post.updatedAt).toISOString()}</updated>`,
+            post.userId ? `    <author><name>${escapeXml(post.userId.name)}</name></author>` : null,
+            ...[post.category, ...(post.tags || [])].filter(Boolean)
+                .map(term => `    <category term="${escapeXml(term.name)}"/>`),
+            post.excerpt ? `    <summary>${escapeXml(post.excerpt)}</summary>` : null,
+            '  </entry>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            `  <title>${escapeXml(`${site.name} Blog`)}</title>`,
+            site.description ? `  <subtitle>${escapeXml(site.description)}</subtitle>` : null,
+            `  <link href="${escapeXml(this.siteUrl)}"/>`,
+            `  <link href="${escapeXml(feedUrl)}" rel="self" type="application/atom+xml"/>`,
+            `  <id>${escapeXml(`${this.siteUrl}/`)}</id>`,
+            `  <updated>${(posts.length ? updated : new Date()).toISOString()}</updated>`,
+            ...entries,
+            '</feed>'
+        ].filter(Boolean).join('\n');
+    }
+
+    /**
+     * schema.org LodgingBusiness for a property, with one Offer per sharing type
+     * @param {Object} property - Property document
+     * @returns {Object} JSON-LD
+     */
+    buildPropertyJsonLd(property) {
+        const url = this.propertyUrl(property);
+        const { location = {}, rating = {} } = property;
+        const prices = (property.sharingType || []).map(option => option.price).filter(price => price > 0);
+
+        const jsonLd = {
+            '@context': 'https://schema.org',
+            '@type': 'LodgingBusiness',
+            '@id': url,
+            name: property.title,
+            description: property.description,
+            url,
+            image: property.images || [],
+            address: {
+                '@type': 'PostalAddress',
+                streetAddress: location.address,
+                addressLocality: location.city ? toTitleCase(location.city) : undefined,
+                addressRegion: location.state,
+                postalCode: location.zipCode,
+                addressCountry: 'IN'
+            },
+            amenityFeature: (property.amenities || []).map(amenity => ({
+                '@type': 'LocationFeatureSpecification',
+                name: amenity.replace(/_/g, ' '),
+                value: true
+            })),
+            makesOffer: (property.sharingType || []).map(option => ({
+                '@type': 'Offer',
+                name: SHARING_LABELS[option.type] || option.type,
+                description: option.description || undefined,
+                price: option.price,
+                priceCurrency: this.currency,
+                priceSpecification: {
+                    '@type': 'UnitPriceSpecification',
+                    price: option.price,
+                    priceCurrency: this.currency,
+                    unitText: 'MONTH'
+                },
+                availability: property.isAvailable ? 'https://schema.org/InStock' : 'https://schema.org/SoldOut',
+                url
+            }))
+        };
+
+        if (property.phone) {
+            jsonLd.telephone = property.phone;
+        }
+        if (location.coordinates && location.coordinates.lat !== undefined && location.coordinates.lng !== undefined) {
+            jsonLd.geo = {
+                '@type': 'GeoCoordinates',
+                latitude: location.coordinates.lat,
+                longitude: location.coordinates.lng
+            };
+        }
+        if (prices.length) {
+            const symbol = this.currency === 'INR' ? '₹' : `${this.currency} `;
+            const [min, max] = [Math.min(...prices), Math.max(...prices)];
+            jsonLd.priceRange = min === max ? `${symbol}${min}` : `${symbol}${min} - ${symbol}${max}`;
+        }
+        // Search engines reject ratings without reviews behind them
+        if (rating.count > 0) {
+            jsonLd.aggregateRating = {
+                '@type': 'AggregateRating',
+                ratingValue: Number(rating.average.toFixed(1)),
+                reviewCount: rating.count,
+                bestRating: 5,
+                worstRating: 1
+            };
+        }
+
+        return jsonLd;
+    }
+}
+
+module.exports = new SeoService();
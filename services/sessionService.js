@@ -0,0 +1,271 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const StreamTicket = require('../models/StreamTicket');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { generateTokenPair, verifyJWTToken, TOKEN_TYPES } = require('../utils/generateToken');
+
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+class SessionService {
+    constructor() {
+        this.refreshTokenDays = 30; // Matches the refresh token lifetime in utils/generateToken.js
+        this.maxSessionsPerUser = parseInt(process.env.MAX_SESSIONS_PER_USER, 10) || 10; // Oldest devices are signed out beyond this
+        this.streamTicketSeconds = parseInt(process.env.STREAM_TICKET_SECONDS, 10) || 30; // Time to open the stream once a ticket is issued
+    }
+
+    /**
+     * Sign a token pair for a session and remember the refresh token ID
+     * @param {Object} user - User the tokens are for
+     * @param {Object} session - Session document (tokenHash is updated, not saved)
+     * @returns {Object} Token pair
+     */
+    issueTokens(user, session) {
+        const tokenId = crypto.randomUUID();
+        session.tokenHash = Session.hashToken(tokenId);
+        session.expiresAt = this.refreshExpiry();
+
+        return this.signTokens(user, session._id, tokenId);
+    }
+
+    /**
+     * Sign a token pair for a session whose refresh token ID is already stored
+     * @param {Object} user - User the tokens are for
+     * @param {Object} sessionId - Session ID
+     * @param {string} tokenId - Refresh token ID
+     * @returns {Object} Token pair
+     */
+    signTokens(user, sessionId, tokenId) {
+        return {
+            ...generateTokenPair(user._id.toString(), user, {
+                sessionId: sessionId.toString(),
+                tokenId
+            }),
+            sessionId
+        };
+    }
+
+    /**
+     * When a refresh token issued now stops being accepted
+     * @returns {Date}
+     */
+    refreshExpiry() {
+        return new Date(Date.now() + this.refreshTokenDays * DAY_IN_MS);
+    }
+
+    /**
+     * Start a session for a device that just signed in
+     * @param {Object} user - Authenticated user
+     * @param {Object} device - deviceName, userAgent and ip of the request
+     * @returns {Promise<Object>} Token pair
+     */
+    async createSession(user, { deviceName, userAgent, ip } = {}) {
+        const session = new Session({
+            user: user._id,
+            deviceName,
+            userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+            ip
+        });
+
+        const tokens = this.issueTokens(user, session);
+        await session.save();
+        await this.pruneSessions(user._id);
+
+        return tokens;
+    }
+
+    /**
+     * Exchange a refresh token for a new pair. Presenting a refresh token that
+     * was already rotated means it leaked, so the whole session is revoked.
+     * @param {string} refreshToken - Refresh token from the client
+     * @param {Object} device - userAgent and ip of the request
+     * @returns {Promise<Object>} New token pair
+     */
+    async refresh(refreshToken, { userAgent, ip } = {}) {
+        let decoded;
+        try {
+            decoded = verifyJWTToken(refreshToken, TOKEN_TYPES.REFRESH);
+        } catch (error) {
+            throw new AppError('Invalid or expired refresh token', 401);
+        }
+
+        if (!decoded.sid || !decoded.jti) {
+            throw new AppError('Invalid or expired refresh token', 401);
+        }
+
+        // Swap the token only while the presented one is still current, so of two
+        // requests racing with the same token exactly one wins the rotation
+        const tokenId = crypto.randomUUID();
+        const update = {
+            $set: {
+                tokenHash: Session.hashToken(tokenId),
+                expiresAt: this.refreshExpiry(),
+                lastUsedAt: new Date()
+            },
+            $inc: { rotations: 1 }
+        };
+        if (userAgent) update.$set.userAgent = userAgent.slice(0, 500);
+        if (ip) update.$set.ip = ip;
+
+        const session = await Session.findOneAndUpdate({
+            _id: decoded.sid,
+            user: decoded.id,
+            tokenHash: Session.hashToken(decoded.jti),
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }, update, { new: true });
+
+        if (!session) {
+            // A live session that no longer holds this token already rotated past it
+            if (await this.revokeSession(decoded.id, decoded.sid, 'reuse_detected')) {
+                console.warn(`Refresh token reuse detected for session ${decoded.sid} of user ${decoded.id}`);
+                throw new AppError('Refresh token was already used. Please log in again.', 401);
+            }
+            throw new AppError('Session has expired or was signed out', 401);
+        }
+
+        const user = await User.findById(session.user);
+        if (!user) {
+            await this.revoke(session, 'revoked');
+            throw new AppError('User not found', 401);
+        }
+
+        return this.signTokens(user, session._id, tokenId);
+    }
+
+    /**
+     * Check the session behind an access token hasn't been revoked
+     * @param {string} sessionId - Session ID from the access token
+     * @returns {Promise<boolean>}
+     */
+    async isActive(sessionId) {
+        return !!(await Session.exists({
+            _id: sessionId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }));
+    }
+
+    /**
+     * Issue a ticket that opens one event stream for the holder of an access token
+     * @param {Object} user - Authenticated user
+     * @param {Object} token - sessionId and expiresAt of the access token
+     * @returns {Promise<Object>} Ticket and when it expires
+     */
+    async issueStreamTicket(user, { sessionId, expiresAt }) {
+        const ticket = crypto.randomBytes(32).toString('hex');
+        const ticketExpiresAt = new Date(Math.min(Date.now() + this.streamTicketSeconds * 1000, expiresAt.getTime()));
+
+        await StreamTicket.create({
+            tokenHash: StreamTicket.hashToken(ticket),
+            user: user._id,
+            session: sessionId,
+            accessExpiresAt: expiresAt,
+            expiresAt: ticketExpiresAt
+        });
+
+        return { ticket, expiresAt: ticketExpiresAt };
+    }
+
+    /**
+     * Use up a stream ticket; only one request can redeem it
+     * @param {string} ticket - Ticket from the query string
+     * @returns {Promise<Object>} user, sessionId and the access token expiry
+     * @throws {AppError} When the ticket is unknown, used, expired or its session signed out
+     */
+    async redeemStreamTicket(ticket) {
+        const redeemed = await StreamTicket.findOneAndDelete({
+            tokenHash: StreamTicket.hashToken(String(ticket)),
+            expiresAt: { $gt: new Date() }
+        });
+        if (!redeemed) {
+            throw new AppError('Invalid or expired stream ticket', 401);
+        }
+
+        if (redeemed.session && !(await this.isActive(redeemed.session))) {
+            throw new AppError('Session has expired or was signed out', 401);
+        }
+
+        const user = await User.findById(redeemed.user).select('-password');
+        if (!user) {
+            throw new AppError('User not found', 401);
+        }
+
+        return {
+            user,
+            sessionId: redeemed.session ? redeemed.session.toString() : undefined,
+            expiresAt: redeemed.accessExpiresAt
+        };
+    }
+
+    /**
+     * Active sessions of a user, most recently used first
+     */
+    async listSessions(userId) {
+        return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('deviceName userAgent ip lastUsedAt createdAt expiresAt')
+            .sort({ lastUsedAt: -1 })
+            .lean();
+    }
+
+    /**
+     * Revoke a single session
+     * @param {Object} session - Session document
+     * @param {string} reason - One of Session.REVOKE_REASONS
+     */
+    async revoke(session, reason) {
+        if (session.revokedAt) {
+            return session;
+        }
+        session.revokedAt = new Date();
+        session.revokedReason = reason;
+        return session.save();
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @returns {Promise<boolean>} Whether an active session was revoked
+     */
+    async revokeSession(userId, sessionId, reason = 'revoked') {
+        const result = await Session.updateOne(
+            { _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Revoke every session of a user, optionally keeping one
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    async revokeAll(userId, { reason = 'logout_all', exceptSessionId } = {}) {
+        const filter = { user: userId, revokedAt: null };
+        if (exceptSessionId) {
+            filter._id = { $ne: exceptSessionId };
+        }
+
+        const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+        return result.modifiedCount;
+    }
+
+    /**
+     * Sign out the least recently used devices beyond the per-user limit
+     */
+    async pruneSessions(userId) {
+        const stale = await Session.find({ user: userId, revokedAt: null })
+            .sort({ lastUsedAt: -1 })
+            .skip(this.maxSessionsPerUser)
+            .select('_id')
+            .lean();
+
+        if (stale.length > 0) {
+            await Session.updateMany(
+                { _id: { $in: stale.map(session => session._id) } },
+                { revokedAt: new Date(), revokedReason: 'revoked' }
+            );
+        }
+    }
+}
+
+module.exports = new SessionService();
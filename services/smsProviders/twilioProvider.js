@@ -0,0 +1,29 @@
+// services/smsProviders/twilioProvider.js
+const twilio = require('twilio');
+
+class TwilioProvider {
+    constructor() {
+        this.name = 'twilio';
+        this.from = process.env.TWILIO_PHONE_NUMBER;
+        this.client = null;
+    }
+
+    // Create the Twilio client on first use
+    getClient() {
+        if (!this.client) {
+            this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        }
+        return this.client;
+    }
+
+    async send(phone, message) {
+        const result = await this.getClient().messages.create({
+            body: message,
+            from: this.from,
+            to: phone
+        });
+        return { sid: result.sid };
+    }
+}
+
+module.exports = TwilioProvider;
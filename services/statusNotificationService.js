@@ -0,0 +1,201 @@
+// services/statusNotificationService.js
+const User = require('../models/User');
+const Property = require('../models/Property');
+const notificationService = require('./notificationService');
+const { PERMISSIONS } = require('../config/permissions');
+
+const RECIPIENT_FIELDS = 'name notificationPreferences reminderPreferences';
+
+const BOOKING_STATUS_LABELS = {
+    pending: 'pending',
+    confirmed: 'confirmed',
+    'in-progress': 'checked in',
+    completed: 'completed',
+    cancelled: 'cancelled'
+};
+
+const SPAM_STATUS_LABELS = {
+    pending: 'pending',
+    under_review: 'under review',
+    confirmed: 'confirmed',
+    false_positive: 'closed as not spam',
+    resolved: 'resolved',
+    dismissed: 'dismissed'
+};
+
+class StatusNotificationService {
+    constructor() {
+        this.timeZone = process.env.REMINDER_TIMEZONE || 'Asia/Kolkata';
+    }
+
+    formatDateTime(date) {
+        return new Date(date).toLocaleString('en-IN', {
+            timeZone: this.timeZone,
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+    }
+
+    /**
+     * Post an in-app notification to each user. The status change it reports
+     * has already been saved, so a failure is logged rather than thrown.
+     * @param {string} type - Key in config/notificationTemplates.js
+     * @param {Array<Object>} users - Recipients
+     * @param {Object} options - data, reference and link as for notificationService.send
+     */
+    async notify(type, users, { data, reference, link }) {
+        for (const user of users) {
+            try {
+                await notificationService.send(type, {
+                    user,
+                    channels: ['in_app'],
+                    data,
+                    reference,
+                    link,
+                    fields: { reference }
+                });
+            } catch (error) {
+                console.error(`In-app ${type} notification to ${user._id} failed:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Owner and managers of a property, leaving out whoever made the change
+     */
+    async getPropertyStaff(propertyId, exceptUserId) {
+        const property = await Property.findById(propertyId).select('owner managers');
+        if (!property) {
+            return [];
+        }
+
+        const ids = [property.owner, ...(property.managers || [])]
+            .filter(Boolean)
+            .filter(id => id.toString() !== String(exceptUserId));
+
+        return User.find({ _id: { $in: ids } }).select(RECIPIENT_FIELDS);
+    }
+
+    /**
+     * Tell the resident their booking changed status; when the resident
+     * cancelled it themselves, tell the property staff instead
+     * @param {Object} booking - Booking document after the change
+     * @param {string} actorId - User who made the change
+     */
+    async bookingStatusChanged(booking, actorId) {
+        const propertyId = booking.property._id || booking.property;
+        const residentId = booking.user._id || booking.user;
+        const property = booking.property.title ? booking.property : await Property.findById(propertyId).select('title');
+        const reference = { kind: 'Booking', id: booking._id };
+        const propertyTitle = property ? property.title : 'your property';
+
+        if (residentId.toString() === String(actorId)) {
+            if (booking.status !== 'cancelled') {
+                return;
+            }
+
+            const staff = await this.getPropertyStaff(propertyId, actorId);
+            return this.notify('booking-cancelled-by-resident', staff, {
+                data: { name: booking.fullName, propertyTitle, bookingReference: booking.bookingReference },
+                reference,
+                link: `/admin/bookings/${booking._id}`
+            });
+        }
+
+        const resident = await User.findById(residentId).select(RECIPIENT_FIELDS);
+        if (!resident) {
+            return;
+        }
+
+        return this.notify('booking-status-changed', [resident], {
+            data: {
+                propertyTitle,
+                bookingReference: booking.bookingReference,
+                status: BOOKING_STATUS_LABELS[booking.status] || booking.status
+            },
+            reference,
+            link: `/bookings/${booking._id}`
+        });
+    }
+
+    /**
+     * Tell the visitor their visit changed status; when the visitor
+     * cancelled it themselves, tell the property staff instead
+     * @param {Object} visit - Visit document after the change
+     * @param {string} actorId - User who made the change
+     */
+    async visitStatusChanged(visit, actorId) {
+        const propertyId = visit.property._id || visit.property;
+        const property = await Property.findById(propertyId).select('title');
+        const reference = { kind: 'Visit', id: visit._id };
+        const propertyTitle = property ? property.title : 'the property';
+        const when = this.formatDateTime(visit.scheduledAt);
+        const visitorId = visit.user ? (visit.user._id || visit.user).toString() : null;
+
+        if (visitorId && visitorId === String(actorId)) {
+            if (visit.status !== 'cancelled') {
+                return;
+            }
+
+            const staff = await this.getPropertyStaff(propertyId, actorId);
+            return this.notify('visit-cancelled-by-visitor', staff, {
+                data: { name: visit.name, propertyTitle, when },
+                reference,
+                link: `/admin/visits/${visit._id}`
+            });
+        }
+
+        // Guest visits have no account to notify
+        const visitor = visitorId ? await User.findById(visitorId).select(RECIPIENT_FIELDS) : null;
+        if (!visitor) {
+            return;
+        }
+
+        return this.notify('visit-status-changed', [visitor], {
+            data: { propertyTitle, when, status: visit.status },
+            reference,
+            link: `/visits/${visit._id}`
+        });
+    }
+
+    /**
+     * Tell the moderators about a spam report a user submitted
+     * @param {Object} report - SpamReport document
+     */
+    async spamReportSubmitted(report) {
+        const roles = ['admin', ...PERMISSIONS['spam:moderate']];
+        const moderators = await User.find({ role: { $in: roles }, _id: { $ne: report.reporterId } })
+            .select(RECIPIENT_FIELDS);
+
+        return this.notify('spam-report-submitted', moderators, {
+            data: { contentType: report.contentType, category: report.category.replace('_', ' ') },
+            reference: { kind: 'SpamReport', id: report._id },
+            link: `/admin/spam-reports/${report._id}`
+        });
+    }
+
+    /**
+     * Tell the user who filed a spam report that it was reviewed
+     * @param {Object} report - SpamReport document after the review
+     */
+    async spamReportReviewed(report) {
+        if (!report.reporterId) {
+            return;
+        }
+
+        const reporter = await User.findById(report.reporterId).select(RECIPIENT_FIELDS);
+        if (!reporter) {
+            return;
+        }
+
+        return this.notify('spam-report-status-changed', [reporter], {
+            data: {
+                contentType: report.contentType,
+                status: SPAM_STATUS_LABELS[report.status] || report.status
+            },
+            reference: { kind: 'SpamReport', id: report._id }
+        });
+    }
+}
+
+module.exports = new StatusNotificationService();
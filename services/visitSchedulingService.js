@@ -0,0 +1,438 @@
+// services/visitSchedulingService.js
+const mongoose = require('mongoose');
+const Visit = require('../models/Visit');
+const VisitSlot = require('../models/VisitSlot');
+const Property = require('../models/Property');
+const AppError = require('../utils/appError');
+const jobScheduler = require('./jobScheduler');
+const leadService = require('./leadService');
+
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+const MINUTE_IN_MS = 1000 * 60;
+
+// Mirrors the 9:00 AM - 5:30 PM slots the old visit booking form offered
+const DEFAULT_HOURS = [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '09:00', close: '18:00' }));
+
+class VisitSchedulingService {
+    constructor() {
+        // Visiting hours are in property-local time; defaults to IST
+        const offset = parseInt(process.env.VISIT_UTC_OFFSET_MINUTES, 10);
+        this.utcOffsetMinutes = Number.isNaN(offset) ? 330 : offset;
+    }
+
+    /**
+     * Register the visit jobs with the scheduler
+     */
+    registerJobs() {
+        jobScheduler.define('visits:migrate-legacy', () => this.migrateLegacyVisits());
+
+        // Runs once per database: requests made through the retired visit forms live in their own collections
+        jobScheduler.schedule('visits:migrate-legacy', new Date(), {}, { uniqueKey: 'visits:migrate-legacy' })
+            .catch(error => console.error('Scheduling legacy visit migration failed:', error.message));
+    }
+
+    /**
+     * Parse a YYYY-MM-DD visit date into its UTC midnight, or null if invalid
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            value = value.toISOString().slice(0, 10);
+        }
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || ''));
+        if (!match) {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Normalize "11:00 AM" or "11:00" into 24h "HH:mm", or null if invalid
+     */
+    normalizeTimeSlot(value) {
+        const match = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i.exec(String(value || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        const meridiem = match[3] && match[3].toUpperCase();
+
+        if (meridiem) {
+            if (hours < 1 || hours > 12) {
+                return null;
+            }
+            hours = (hours % 12) + (meridiem === 'PM' ? 12 : 0);
+        }
+
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Display label for a time slot, e.g. "13:30" -> "1:30 PM"
+     */
+    formatTimeSlot(timeSlot) {
+        const [hours, minutes] = timeSlot.split(':').map(Number);
+        const meridiem = hours >= 12 ? 'PM' : 'AM';
+        return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+    }
+
+    /**
+     * Normalize a 10 digit Indian number to the +91 format visits are stored in
+     */
+    normalizePhone(phone) {
+        const value = String(phone || '').replace(/[\s-]/g, '');
+        return /^[6-9]\d{9}$/.test(value) ? `+91${value}` : value;
+    }
+
+    /**
+     * Exact instant a slot starts
+     */
+    getSlotStart(date, timeSlot) {
+        const [hours, minutes] = timeSlot.split(':').map(Number);
+        return new Date(date.getTime() + (hours * 60 + minutes - this.utcOffsetMinutes) * MINUTE_IN_MS);
+    }
+
+    /**
+     * Property visit settings merged with the scheduler defaults
+     */
+    getSettings(property) {
+        const settings = (property.visitSettings && property.visitSettings.toObject
+            ? property.visitSettings.toObject()
+            : property.visitSettings) || {};
+
+        return {
+            isEnabled: settings.isEnabled !== false,
+            hours: settings.hours && settings.hours.length ? settings.hours : DEFAULT_HOURS,
+            slotDuration: settings.slotDuration || 30,
+            slotCapacity: settings.slotCapacity || 1,
+            modes: settings.modes && settings.modes.length ? settings.modes : ['physical', 'virtual'],
+            advanceBookingDays: settings.advanceBookingDays || 30
+        };
+    }
+
+    /**
+     * Start times of every slot a property offers on a date
+     */
+    buildTimeSlots(settings, date) {
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+
+        const slots = [];
+
+        settings.hours
+            .filter(window => window.day === date.getUTCDay())
+            .forEach(window => {
+                const close = toMinutes(window.close);
+                for (let start = toMinutes(window.open); start + settings.slotDuration <= close; start += settings.slotDuration) {
+                    slots.push(`${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`);
+                }
+            });
+
+        return [...new Set(slots)].sort();
+    }
+
+    /**
+     * Check a date is one visits can be booked for
+     * @throws {AppError} When the date is in the past or beyond the booking window
+     */
+    assertBookableDate(settings, date) {
+        const today = this.parseDate(new Date(Date.now() + this.utcOffsetMinutes * MINUTE_IN_MS));
+
+        if (date < today) {
+            throw new AppError('Visit date cannot be in the past', 400);
+        }
+
+        if (date - today > settings.advanceBookingDays * DAY_IN_MS) {
+            throw new AppError(`Visits can only be booked up to ${settings.advanceBookingDays} days ahead`, 400);
+        }
+    }
+
+    /**
+     * Slots of a property on a date with their remaining capacity
+     * @param {Object} property - Property document
+     * @param {Date} date - Visit day (UTC midnight)
+     * @returns {Array} Slots with capacity, booked and available counts
+     */
+    async getSlots(property, date) {
+        const settings = this.getSettings(property);
+
+        if (!settings.isEnabled) {
+            return [];
+        }
+
+        const bookedCounts = await VisitSlot.getBookedCounts(property._id, date);
+        const now = new Date();
+
+        return this.buildTimeSlots(settings, date).map(timeSlot => {
+            const booked = bookedCounts[timeSlot] || 0;
+            const isPast = this.getSlotStart(date, timeSlot) <= now;
+
+            return {
+                timeSlot,
+                label: this.formatTimeSlot(timeSlot),
+                capacity: settings.slotCapacity,
+                booked,
+                available: isPast ? 0 : Math.max(settings.slotCapacity - booked, 0)
+            };
+        });
+    }
+
+    /**
+     * Check a slot is offered and still open, then take a place in it
+     * @throws {AppError} When the slot is not offered, already started or full
+     */
+    async reserveSlot(property, date, timeSlot) {
+        const settings = this.getSettings(property);
+
+        if (!settings.isEnabled) {
+            throw new AppError('This property is not accepting visits', 400);
+        }
+
+        this.assertBookableDate(settings, date);
+
+        if (!this.buildTimeSlots(settings, date).includes(timeSlot)) {
+            throw new AppError(`${this.formatTimeSlot(timeSlot)} is outside the visiting hours for this date`, 400);
+        }
+
+        if (this.getSlotStart(date, timeSlot) <= new Date()) {
+            throw new AppError('This time slot has already started', 400);
+        }
+
+        const reserved = await VisitSlot.reserve(property._id, date, timeSlot, settings.slotCapacity);
+        if (!reserved) {
+            throw new AppError('This time slot is fully booked, please choose another', 409);
+        }
+    }
+
+    /**
+     * Book a visit into an open slot
+     * @param {Object} property - Property document
+     * @param {Object} details - Visitor details, date (YYYY-MM-DD) and timeSlot
+     * @returns {Promise<Object>} Created visit
+     * @throws {AppError} On invalid input, conflicting visits or a full slot
+     */
+    async scheduleVisit(property, details) {
+        const date = this.parseDate(details.date);
+        const timeSlot = this.normalizeTimeSlot(details.timeSlot);
+
+        if (!date || !timeSlot) {
+            throw new AppError('A valid visit date (YYYY-MM-DD) and time slot are required', 400);
+        }
+
+        const settings = this.getSettings(property);
+        if (!settings.modes.includes(details.mode)) {
+            throw new AppError(`This property does not offer ${details.mode} visits`, 400);
+        }
+
+        const phone = this.normalizePhone(details.phone);
+
+        // One active visit per visitor per property and day
+        const existing = await Visit.findOne({
+            property: property._id,
+            phone,
+            date,
+            status: { $in: Visit.ACTIVE_STATUSES }
+        });
+        if (existing) {
+            throw new AppError(
+                `A visit is already booked at ${this.formatTimeSlot(existing.timeSlot)} on this date`,
+                409
+            );
+        }
+
+        await this.reserveSlot(property, date, timeSlot);
+
+        try {
+            return await Visit.create({
+                ...details,
+                property: property._id,
+                phone,
+                date,
+                timeSlot,
+                scheduledAt: this.getSlotStart(date, timeSlot),
+                status: 'pending'
+            });
+        } catch (error) {
+            await VisitSlot.release(property._id, date, timeSlot);
+
+            // Another request booked this visitor in since the check above
+            if (error.code === 11000) {
+                throw new AppError('A visit is already booked for this phone number on this date', 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Move an active visit to another slot, keeping the old slot if the new one is unavailable
+     * @throws {AppError} On invalid input or when the new slot is not open
+     */
+    async rescheduleVisit(visit, property, dateValue, timeSlotValue) {
+        const date = dateValue ? this.parseDate(dateValue) : visit.date;
+        const timeSlot = timeSlotValue ? this.normalizeTimeSlot(timeSlotValue) : visit.timeSlot;
+
+        if (!date || !timeSlot) {
+            throw new AppError('A valid visit date (YYYY-MM-DD) and time slot are required', 400);
+        }
+
+        if (!visit.isActive) {
+            throw new AppError(`Cannot reschedule a ${visit.status} visit`, 400);
+        }
+
+        if (date.getTime() === visit.date.getTime() && timeSlot === visit.timeSlot) {
+            return visit;
+        }
+
+        await this.reserveSlot(property, date, timeSlot);
+        await VisitSlot.release(visit.property, visit.date, visit.timeSlot);
+
+        visit.date = date;
+        visit.timeSlot = timeSlot;
+        visit.scheduledAt = this.getSlotStart(date, timeSlot);
+        return visit;
+    }
+
+    /**
+     * Change a visit's status, freeing or re-taking its slot as needed
+     * @throws {AppError} When a cancelled visit is reopened into a full slot
+     */
+    async changeStatus(visit, property, status) {
+        const wasActive = visit.isActive;
+        const willBeActive = Visit.ACTIVE_STATUSES.includes(status);
+
+        if (wasActive && !willBeActive && status === 'cancelled') {
+            await VisitSlot.release(visit.property, visit.date, visit.timeSlot);
+            visit.cancelledAt = new Date();
+        }
+
+        if (!wasActive && willBeActive) {
+            await this.reserveSlot(property, visit.date, visit.timeSlot);
+            visit.cancelledAt = undefined;
+        }
+
+        visit.status = status;
+        return visit;
+    }
+
+    /**
+     * Move requests made through the retired schedule visit and visit booking forms.
+     * Scheduled visits named a property and become visits, closed as cancelled once their day has passed;
+     * visit bookings didn't, so they become lead enquiries.
+     * Moved records are marked rather than deleted, so the migration is safe to repeat.
+     * @returns {Promise<Object>} Counts of visits and leads created, and the records that couldn't be moved
+     */
+    async migrateLegacyVisits() {
+        const result = { visits: 0, leads: 0, failed: [] };
+        const notMigrated = { migratedAt: { $exists: false } };
+
+        const scheduleVisits = mongoose.connection.collection('schedulevisits');
+        for await (const legacy of scheduleVisits.find(notMigrated)) {
+            try {
+                const visit = await this.visitFromScheduleVisit(legacy);
+                await scheduleVisits.updateOne({ _id: legacy._id }, { $set: { migratedAt: new Date(), migratedTo: visit._id } });
+                result.visits++;
+            } catch (error) {
+                result.failed.push({ collection: 'schedulevisits', id: legacy._id, reason: error.message });
+            }
+        }
+
+        const visitBookings = mongoose.connection.collection('visitbookings');
+        for await (const legacy of visitBookings.find(notMigrated)) {
+            try {
+                const lead = await this.leadFromVisitBooking(legacy);
+                await visitBookings.updateOne({ _id: legacy._id }, { $set: { migratedAt: new Date(), migratedTo: lead._id } });
+                result.leads++;
+            } catch (error) {
+                result.failed.push({ collection: 'visitbookings', id: legacy._id, reason: error.message });
+            }
+        }
+
+        if (result.failed.length) {
+            console.error('Legacy visit migration left records behind:', result.failed);
+        }
+        return result;
+    }
+
+    /**
+     * Visit for a request from the retired schedule visit form
+     */
+    async visitFromScheduleVisit(legacy) {
+        const property = await Property.findById(legacy.propertyId).select('visitSettings');
+        if (!property) {
+            throw new Error(`Property ${legacy.propertyId} no longer exists`);
+        }
+
+        // Stored dates are local midnight; the form only asked for a day, so the visit takes its first slot
+        const date = this.parseDate(new Date(legacy.date.getTime() + this.utcOffsetMinutes * MINUTE_IN_MS));
+        const timeSlot = this.buildTimeSlots(this.getSettings(property), date)[0] || '09:00';
+        const scheduledAt = this.getSlotStart(date, timeSlot);
+
+        // The old form kept no status, so a request whose day has passed was never confirmed
+        // through this system; it is closed as lapsed rather than left waiting for a decision
+        const lapsed = scheduledAt <= new Date();
+
+        const visit = await Visit.create({
+            property: property._id,
+            name: legacy.fullName,
+            phone: this.normalizePhone(legacy.phone),
+            email: legacy.email,
+            gender: legacy.gender,
+            sharing: legacy.sharing,
+            mode: legacy.mode,
+            date,
+            timeSlot,
+            scheduledAt,
+            status: lapsed ? 'cancelled' : 'pending',
+            cancelledAt: lapsed ? scheduledAt : undefined,
+            createdAt: legacy.createdAt
+        });
+
+        // Legacy requests were taken without slot limits, so upcoming ones count against the slot even past its capacity
+        if (!lapsed) {
+            await VisitSlot.reserve(property._id, date, timeSlot, Infinity);
+        }
+        return visit;
+    }
+
+    /**
+     * Lead enquiry for a request from the retired visit booking form
+     */
+    async leadFromVisitBooking(legacy) {
+        const day = new Date(legacy.date.getTime() + this.utcOffsetMinutes * MINUTE_IN_MS).toISOString().slice(0, 10);
+        const request = `Asked for a ${legacy.mode} visit on ${day}${legacy.timeSlot ? ` at ${legacy.timeSlot}` : ''}`;
+
+        const lead = await leadService.ingest('visit', {
+            refId: legacy._id,
+            name: legacy.name,
+            phone: legacy.phone,
+            message: legacy.description ? `${request}: ${legacy.description}` : request,
+            receivedAt: legacy.createdAt
+        }, { stage: leadService.visitStage(legacy), announce: false });
+
+        if (!lead) {
+            throw new Error(`Invalid phone number ${legacy.phone}`);
+        }
+        return lead;
+    }
+
+    /**
+     * Free the slot of a visit that is being removed
+     */
+    async releaseVisit(visit) {
+        if (visit.isActive) {
+            await VisitSlot.release(visit.property, visit.date, visit.timeSlot);
+        }
+    }
+}
+
+module.exports = new VisitSchedulingService();
@@ -0,0 +1,65 @@
+// utils/generateAgreementPdf.js
+const PDFDocument = require('pdfkit');
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Asia/Kolkata'
+});
+
+/**
+ * Render a rental agreement as a PDF
+ * @param {Object} agreement - Agreement document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const generateAgreementPdf = (agreement) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `Rental Agreement ${agreement.agreementNumber}` }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.fontSize(20).text('Vizima', { continued: true })
+        .fontSize(10).text('  Rental Agreement', { baseline: 'bottom' });
+    doc.moveDown();
+
+    doc.fontSize(10)
+        .text(`Agreement No: ${agreement.agreementNumber}`)
+        .text(`Template: ${agreement.template.name} (v${agreement.template.version})`);
+    doc.moveDown();
+
+    doc.fontSize(10).text(agreement.content, { align: 'justify' });
+
+    // Acceptance
+    doc.moveDown(2);
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.5);
+    doc.fontSize(12).text('Acceptance', 50);
+    doc.fontSize(10);
+
+    if (agreement.acceptance && agreement.acceptance.acceptedAt) {
+        doc.text(`Accepted by ${agreement.terms.residentName} on ${formatDateTime(agreement.acceptance.acceptedAt)} IST`)
+            .text(`Verified with a one-time password sent to ${agreement.acceptance.phone}`)
+            .text(`IP address: ${agreement.acceptance.ip || 'unknown'}`);
+    } else {
+        doc.text('Awaiting acceptance by the resident.');
+    }
+
+    doc.moveDown();
+    doc.fontSize(8).fillColor('#888888')
+        .text(`Content SHA-256: ${agreement.contentHash}`, 50)
+        .text('This agreement was accepted electronically and does not require a physical signature.', 50, doc.y, { align: 'center' });
+
+    doc.end();
+});
+
+module.exports = generateAgreementPdf;
@@ -0,0 +1,100 @@
+// utils/generateInvoicePdf.js
+const PDFDocument = require('pdfkit');
+
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+/**
+ * Write an invoice as a PDF to a writable stream
+ * @param {Object} invoice - Invoice populated with user, property and booking
+ * @param {Stream} stream - Destination stream (e.g. the HTTP response)
+ */
+const generateInvoicePdf = (invoice, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    doc.pipe(stream);
+
+    // Header
+    doc.fontSize(20).text('Vizima', { continued: true })
+        .fontSize(10).text('  Rent Invoice', { baseline: 'bottom' });
+    doc.moveDown();
+
+    doc.fontSize(10)
+        .text(`Invoice No: ${invoice.invoiceNumber}`)
+        .text(`Invoice Date: ${formatDate(invoice.createdAt)}`)
+        .text(`Billing Month: ${invoice.billingPeriod.month}`)
+        .text(`Due Date: ${formatDate(invoice.dueDate)}`)
+        .text(`Status: ${invoice.status.replace('_', ' ').toUpperCase()}`);
+    doc.moveDown();
+
+    // Resident and property
+    const resident = invoice.user || {};
+    const property = invoice.property || {};
+    const location = property.location || {};
+
+    doc.fontSize(12).text('Billed To');
+    doc.fontSize(10)
+        .text(resident.name || (invoice.booking && invoice.booking.fullName) || '')
+        .text(resident.email || '')
+        .text(resident.phone || '');
+    doc.moveDown();
+
+    doc.fontSize(12).text('Property');
+    doc.fontSize(10)
+        .text(property.title || '')
+        .text([location.address, location.city, location.state, location.zipCode].filter(Boolean).join(', '));
+    doc.moveDown();
+
+    // Line items
+    doc.fontSize(12).text('Charges');
+    doc.moveDown(0.5);
+
+    invoice.lineItems.forEach(item => {
+        const y = doc.y;
+        doc.fontSize(10).text(item.description, 50, y, { width: 380 });
+        doc.text(formatAmount(item.amount), 430, y, { width: 115, align: 'right' });
+        doc.moveDown(0.5);
+    });
+
+    doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+    doc.moveDown(0.5);
+
+    const totals = [
+        ['Total', invoice.totalAmount],
+        ['Paid', invoice.amountPaid],
+        ['Balance Due', invoice.balanceDue]
+    ];
+
+    totals.forEach(([label, amount]) => {
+        const y = doc.y;
+        doc.fontSize(10).text(label, 330, y, { width: 100 });
+        doc.text(formatAmount(amount), 430, y, { width: 115, align: 'right' });
+        doc.moveDown(0.5);
+    });
+
+    // Payments
+    if (invoice.payments.length > 0) {
+        doc.moveDown();
+        doc.fontSize(12).text('Payments', 50);
+        doc.moveDown(0.5);
+
+        invoice.payments.forEach(payment => {
+            doc.fontSize(10).text(
+                `${formatDate(payment.paidAt)}  ${payment.method}${payment.reference ? ` (${payment.reference})` : ''}  ${formatAmount(payment.amount)}`,
+                50
+            );
+        });
+    }
+
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor('#888888')
+        .text('This is a computer generated invoice and does not require a signature.', 50, doc.y, { align: 'center' });
+
+    doc.end();
+};
+
+module.exports = generateInvoicePdf;
@@ -27,25 +27,31 @@ const generateJWTToken = (userId, payload = {}, expiresIn = process.env.JWT_EXPI
  * Generate access token (short-lived)
  * @param {string} userId - User ID
  * @param {object} userInfo - User information
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} Access token
  */
-const generateAccessToken = (userId, userInfo = {}) => {
+const generateAccessToken = (userId, userInfo = {}, sessionId) => {
     return generateJWTToken(userId, {
         type: 'access',
         email: userInfo.email,
         role: userInfo.role,
         name: userInfo.name,
+        sid: sessionId,
     }, '15m'); // 15 minutes
 };
 
 /**
  * Generate refresh token (long-lived)
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session the token belongs to
+ * @param {string} tokenId - Unique token ID, rotated on every refresh
  * @returns {string} Refresh token
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, sessionId, tokenId) => {
     return generateJWTToken(userId, {
         type: 'refresh',
+        sid: sessionId,
+        jti: tokenId,
     }, '30d'); // 30 days
 };
 
@@ -240,11 +246,12 @@ const getTokenExpiration = (token) => {
  * Generate token pair (access + refresh)
  * @param {string} userId - User ID
  * @param {object} userInfo - User information
+ * @param {object} session - Session ID and refresh token ID
  * @returns {object} Token pair
  */
-const generateTokenPair = (userId, userInfo = {}) => {
-    const accessToken = generateAccessToken(userId, userInfo);
-    const refreshToken = generateRefreshToken(userId);
+const generateTokenPair = (userId, userInfo = {}, session = {}) => {
+    const accessToken = generateAccessToken(userId, userInfo, session.sessionId);
+    const refreshToken = generateRefreshToken(userId, session.sessionId, session.tokenId);
 
     return {
         accessToken,
@@ -0,0 +1,48 @@
+// utils/sendSMS.js
+const TwilioProvider = require('../services/smsProviders/twilioProvider');
+const LocalProvider = require('../services/smsProviders/localProvider');
+
+const PROVIDERS = {
+    twilio: TwilioProvider,
+    local: LocalProvider
+};
+
+let provider = null;
+
+/**
+ * Switch the active SMS provider
+ * @param {string} name - Registered provider name
+ */
+const setProvider = (name) => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    provider = new Provider();
+    return provider;
+};
+
+// Twilio unless the local stub is asked for
+const getProvider = () => {
+    if (!provider) {
+        setProvider(process.env.SMS_PROVIDER || 'twilio');
+    }
+    return provider;
+};
+
+// Send SMS function
+const sendSMS = async (phone, message) => {
+    try {
+        const result = await getProvider().send(phone, message);
+        console.log(`SMS sent successfully via ${provider.name}:`, result.sid);
+        return { success: true, sid: result.sid };
+    } catch (error) {
+        console.error(`Error sending SMS via ${getProvider().name}:`, error);
+        throw error;
+    }
+};
+
+sendSMS.setProvider = setProvider;
+sendSMS.getProvider = getProvider;
+
+module.exports = sendSMS;